@@ -1,10 +1,19 @@
 import React, { useState } from 'react';
 import BookingInterface from './components/BookingInterface';
 import AdminPanel from './components/AdminPanel';
-import { Calendar, Settings } from 'lucide-react';
+import MyBooking from './components/MyBooking';
+import GateScanner from './components/GateScanner';
+import { Calendar, Settings, ScanLine } from 'lucide-react';
 
 function App() {
   const [currentView, setCurrentView] = useState('booking');
+  // Booking being moved to another slot, picked in the booking view
+  const [rescheduling, setRescheduling] = useState(null);
+
+  const startReschedule = (booking, phone) => {
+    setRescheduling({ booking, phone });
+    setCurrentView('booking');
+  };
 
   return (
     <div className="min-h-screen bg-gray-50">
@@ -32,6 +41,29 @@ function App() {
                 <span className="hidden sm:inline">Book Slot</span>
                 <span className="sm:hidden">Book</span>
               </button>
+              <button
+                onClick={() => setCurrentView('my-booking')}
+                className={`px-2 sm:px-3 py-2 rounded-md text-xs sm:text-sm font-medium transition-colors duration-200 ${
+                  currentView === 'my-booking'
+                    ? 'bg-primary-100 text-primary-700'
+                    : 'text-gray-500 hover:text-gray-700 hover:bg-gray-100'
+                }`}
+              >
+                <span className="hidden sm:inline">My Booking</span>
+                <span className="sm:hidden">Mine</span>
+              </button>
+              <button
+                onClick={() => setCurrentView('gate')}
+                className={`px-2 sm:px-3 py-2 rounded-md text-xs sm:text-sm font-medium transition-colors duration-200 flex items-center ${
+                  currentView === 'gate'
+                    ? 'bg-primary-100 text-primary-700'
+                    : 'text-gray-500 hover:text-gray-700 hover:bg-gray-100'
+                }`}
+              >
+                <ScanLine className="h-3 w-3 sm:h-4 sm:w-4 mr-1" />
+                <span className="hidden sm:inline">Gate</span>
+                <span className="sm:hidden">Gate</span>
+              </button>
               <button
                 onClick={() => setCurrentView('admin')}
                 className={`px-2 sm:px-3 py-2 rounded-md text-xs sm:text-sm font-medium transition-colors duration-200 flex items-center ${
@@ -51,7 +83,15 @@ function App() {
 
       {/* Main Content */}
       <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
-        {currentView === 'booking' ? <BookingInterface /> : <AdminPanel />}
+        {currentView === 'booking' && (
+          <BookingInterface
+            rescheduling={rescheduling}
+            onRescheduleEnd={() => setRescheduling(null)}
+          />
+        )}
+        {currentView === 'my-booking' && <MyBooking onReschedule={startReschedule} />}
+        {currentView === 'gate' && <GateScanner />}
+        {currentView === 'admin' && <AdminPanel />}
       </main>
 
       {/* Footer */}
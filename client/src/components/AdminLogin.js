@@ -0,0 +1,128 @@
+import React, { useState } from 'react';
+import { bookingAPI, adminSession } from '../services/api';
+import { toast } from 'react-hot-toast';
+import { Lock, Eye, EyeOff } from 'lucide-react';
+
+// Admin sign-in screen; stores the session token and hands the admin to onLogin
+const AdminLogin = ({ title = 'Admin Login', description = 'Enter your credentials to access the admin panel', onLogin }) => {
+  const [loginForm, setLoginForm] = useState({
+    username: '',
+    password: ''
+  });
+  const [showPassword, setShowPassword] = useState(false);
+  const [isLoggingIn, setIsLoggingIn] = useState(false);
+
+  const handleLogin = async (e) => {
+    e.preventDefault();
+    setIsLoggingIn(true);
+    
+    try {
+      const response = await bookingAPI.login(loginForm.username, loginForm.password);
+      adminSession.setToken(response.data.token);
+      setLoginForm({ username: '', password: '' });
+      toast.success('Login successful!');
+      onLogin(response.data.admin);
+    } catch (error) {
+      if (error.response?.status === 401) {
+        toast.error('Invalid username or password');
+      } else {
+        toast.error('Login failed');
+      }
+      console.error('Login error:', error);
+    } finally {
+      setIsLoggingIn(false);
+    }
+  };
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setLoginForm(prev => ({
+      ...prev,
+      [name]: value
+    }));
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-8">
+        <div className="text-center">
+          <div className="mx-auto h-12 w-12 bg-primary-600 rounded-full flex items-center justify-center">
+            <Lock className="h-6 w-6 text-white" />
+          </div>
+          <h2 className="mt-6 text-3xl font-bold text-gray-900">SLOG SOLUTIONS</h2>
+          <h3 className="mt-2 text-xl font-semibold text-gray-700">{title}</h3>
+          <p className="mt-2 text-sm text-gray-600">{description}</p>
+        </div>
+        
+        <form className="mt-8 space-y-6" onSubmit={handleLogin}>
+          <div className="space-y-4">
+            <div>
+              <label htmlFor="username" className="block text-sm font-medium text-gray-700">
+                Username
+              </label>
+              <input
+                id="username"
+                name="username"
+                type="text"
+                required
+                value={loginForm.username}
+                onChange={handleInputChange}
+                className="mt-1 input-field"
+                placeholder="Enter username"
+              />
+            </div>
+            
+            <div>
+              <label htmlFor="password" className="block text-sm font-medium text-gray-700">
+                Password
+              </label>
+              <div className="mt-1 relative">
+                <input
+                  id="password"
+                  name="password"
+                  type={showPassword ? 'text' : 'password'}
+                  required
+                  value={loginForm.password}
+                  onChange={handleInputChange}
+                  className="input-field pr-10"
+                  placeholder="Enter password"
+                />
+                <button
+                  type="button"
+                  onClick={() => setShowPassword(!showPassword)}
+                  className="absolute inset-y-0 right-0 pr-3 flex items-center"
+                >
+                  {showPassword ? (
+                    <EyeOff className="h-5 w-5 text-gray-400" />
+                  ) : (
+                    <Eye className="h-5 w-5 text-gray-400" />
+                  )}
+                </button>
+              </div>
+            </div>
+          </div>
+
+          <div>
+            <button
+              type="submit"
+              disabled={isLoggingIn}
+              className="btn-primary w-full flex justify-center items-center disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {isLoggingIn ? (
+                <>
+                  <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white mr-2"></div>
+                  Logging in...
+                </>
+              ) : (
+                'Sign In'
+              )}
+            </button>
+          </div>
+
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default AdminLogin;
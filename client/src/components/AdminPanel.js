@@ -1,6 +1,6 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import DatePicker from 'react-datepicker';
-import { bookingAPI } from '../services/api';
+import { bookingAPI, adminSession } from '../services/api';
 import { toast } from 'react-hot-toast';
 import { 
   BarChart3, 
@@ -14,27 +14,70 @@ import {
   Trash2,
   CheckSquare,
   Square,
-  Lock,
-  Eye,
-  EyeOff
+  UserX,
+  ArrowUp,
+  ArrowDown,
+  ArrowUpDown,
+  ChevronLeft,
+  ChevronRight
 } from 'lucide-react';
 import moment from 'moment';
 import 'react-datepicker/dist/react-datepicker.css';
 import QRCodeModal from './QRCodeModal';
+import AdminLogin from './AdminLogin';
+import AdminUsers from './AdminUsers';
+import ScheduleEditor from './ScheduleEditor';
+import ClosuresManager from './ClosuresManager';
+import BlocksManager from './BlocksManager';
+import DeletedBookings from './DeletedBookings';
+import AuditLog from './AuditLog';
+import { config } from '../config';
+
+// Attendance badges shown next to a booking's reference
+const ATTENDANCE_BADGES = {
+  arrived: { label: 'Arrived', className: 'bg-green-100 text-green-700' },
+  late: { label: 'Late', className: 'bg-yellow-100 text-yellow-700' },
+  no_show: { label: 'No-show', className: 'bg-gray-200 text-gray-700' }
+};
+
+const EMPTY_FILTERS = { location: '', purpose: '', time_slot: '', status: '' };
+const PAGE_SIZES = [25, 50, 100];
+
+// Columns the list sorts on first in descending order; the rest start ascending
+const DESCENDING_FIRST = ['date', 'created'];
+
+// A column header that sorts the list by `column`, showing the current direction
+const SortableHeader = ({ column, label, sort, onSort }) => {
+  const Icon = sort.column !== column ? ArrowUpDown : sort.order === 'asc' ? ArrowUp : ArrowDown;
+  return (
+    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+      <button
+        onClick={() => onSort(column)}
+        className={`flex items-center uppercase tracking-wider hover:text-gray-700 transition-colors ${sort.column === column ? 'text-gray-900' : ''}`}
+      >
+        {label}
+        <Icon className="h-3 w-3 ml-1" />
+      </button>
+    </th>
+  );
+};
 
 const AdminPanel = () => {
   // Authentication state
   const [isAuthenticated, setIsAuthenticated] = useState(false);
-  const [loginForm, setLoginForm] = useState({
-    username: '',
-    password: ''
-  });
-  const [showPassword, setShowPassword] = useState(false);
-  const [isLoggingIn, setIsLoggingIn] = useState(false);
 
   // Admin panel state
+  // The page of bookings on screen, and how many match the filters in all
   const [bookings, setBookings] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(1);
+  const [pageSize, setPageSize] = useState(50);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [search, setSearch] = useState('');
+  const [sort, setSort] = useState({ column: 'date', order: 'desc' });
   const [stats, setStats] = useState(null);
+  const [districtDate, setDistrictDate] = useState(new Date());
+  const [districtStats, setDistrictStats] = useState(null);
   const [loading, setLoading] = useState(false);
   const [startDate, setStartDate] = useState(null);
   const [endDate, setEndDate] = useState(null);
@@ -43,77 +86,120 @@ const AdminPanel = () => {
   const [selectedBooking, setSelectedBooking] = useState(null);
   const [selectedBookings, setSelectedBookings] = useState([]);
   const [isDeleting, setIsDeleting] = useState(false);
+  const [isMarkingNoShows, setIsMarkingNoShows] = useState(false);
   const [showDeleteConfirm, setShowDeleteConfirm] = useState(false);
 
-  // Default admin credentials
-  const DEFAULT_USERNAME = 'Slog_admin';
-  const DEFAULT_PASSWORD = 'slog5496@';
-
-  const handleLogin = async (e) => {
-    e.preventDefault();
-    setIsLoggingIn(true);
-    
-    try {
-      // Simple authentication check
-      if (loginForm.username === DEFAULT_USERNAME && loginForm.password === DEFAULT_PASSWORD) {
-        setIsAuthenticated(true);
-        toast.success('Login successful!');
-        // Store authentication in localStorage for persistence
-        localStorage.setItem('adminAuthenticated', 'true');
-      } else {
-        toast.error('Invalid username or password');
-      }
-    } catch (error) {
-      toast.error('Login failed');
-      console.error('Login error:', error);
-    } finally {
-      setIsLoggingIn(false);
-    }
+  const [admin, setAdmin] = useState(null);
+  const [activeTab, setActiveTab] = useState('bookings');
+
+  const isSuperAdmin = admin?.role === 'super_admin';
+  const canDelete = admin?.role === 'super_admin' || admin?.role === 'operator';
+
+  // Dashboard tabs available to the signed-in admin's role
+  const tabs = [
+    { id: 'bookings', label: 'Bookings' },
+    { id: 'closures', label: 'Closures' },
+    { id: 'blocks', label: 'Blocks' },
+    { id: 'deleted', label: 'Deleted' },
+    ...(isSuperAdmin ? [
+      { id: 'schedule', label: 'Schedule' },
+      { id: 'users', label: 'Admin Users' },
+      { id: 'audit', label: 'Audit Log' }
+    ] : [])
+  ];
+
+  const handleLogin = (signedInAdmin) => {
+    setAdmin(signedInAdmin);
+    setIsAuthenticated(true);
   };
 
   const handleLogout = () => {
     setIsAuthenticated(false);
-    localStorage.removeItem('adminAuthenticated');
+    setAdmin(null);
+    setActiveTab('bookings');
+    adminSession.clear();
     toast.success('Logged out successfully');
   };
 
-  const handleInputChange = (e) => {
-    const { name, value } = e.target;
-    setLoginForm(prev => ({
-      ...prev,
-      [name]: value
-    }));
-  };
-
-  // Check if already authenticated on component mount
+  // Restore a stored session on component mount, and drop back to the login form when it expires
   useEffect(() => {
-    const isAuth = localStorage.getItem('adminAuthenticated') === 'true';
-    setIsAuthenticated(isAuth);
+    if (adminSession.getToken()) {
+      bookingAPI.getSession()
+        .then((response) => {
+          setAdmin(response.data.admin);
+          setIsAuthenticated(true);
+        })
+        .catch(() => adminSession.clear());
+    }
+
+    const handleSessionExpired = () => {
+      setIsAuthenticated(false);
+      setAdmin(null);
+      toast.error('Your session has expired. Please log in again.');
+    };
+    window.addEventListener('admin-session-expired', handleSessionExpired);
+    return () => window.removeEventListener('admin-session-expired', handleSessionExpired);
   }, []);
 
+  // The list's filters as query parameters, leaving out empty ones
+  const filterParams = useCallback(() => {
+    const params = {};
+    if (startDate) params.startDate = moment(startDate).format('YYYY-MM-DD');
+    if (endDate) params.endDate = moment(endDate).format('YYYY-MM-DD');
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value) params[key] = value;
+    });
+    if (search) params.search = search;
+    return params;
+  }, [startDate, endDate, filters, search]);
+
   const fetchBookings = useCallback(async () => {
     setLoading(true);
     try {
-      const start = startDate ? moment(startDate).format('YYYY-MM-DD') : null;
-      const end = endDate ? moment(endDate).format('YYYY-MM-DD') : null;
-      
-      const response = await bookingAPI.getAllBookings(start, end);
-      setBookings(response.data);
+      const response = await bookingAPI.getBookings({
+        ...filterParams(),
+        sort: sort.column,
+        order: sort.order,
+        page,
+        pageSize
+      });
+      const { bookings: pageBookings, total: matching } = response.data;
+      if (pageBookings.length === 0 && page > 1 && matching > 0) {
+        // The page emptied, e.g. after deleting its last bookings
+        setPage(Math.ceil(matching / pageSize));
+        return;
+      }
+      setBookings(pageBookings);
+      setTotal(matching);
     } catch (error) {
-      toast.error('Failed to fetch bookings');
+      toast.error(error.response?.data?.error || 'Failed to fetch bookings');
       console.error('Error fetching bookings:', error);
     } finally {
       setLoading(false);
     }
-  }, [startDate, endDate]);
+  }, [filterParams, sort, page, pageSize]);
+
+  // Search once typing pauses
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setSearch(searchTerm.trim());
+      setPage(1);
+    }, 400);
+    return () => clearTimeout(timer);
+  }, [searchTerm]);
 
   useEffect(() => {
     if (isAuthenticated) {
       fetchBookings();
-      fetchStats();
     }
   }, [fetchBookings, isAuthenticated]);
 
+  useEffect(() => {
+    if (isAuthenticated) {
+      fetchStats();
+    }
+  }, [isAuthenticated]);
+
   const fetchStats = async () => {
     try {
       const response = await bookingAPI.getStats();
@@ -123,18 +209,53 @@ const AdminPanel = () => {
     }
   };
 
+  // Per-district usage for a single day
+  const fetchDistrictStats = useCallback(async () => {
+    try {
+      const response = await bookingAPI.getStats(moment(districtDate).format('YYYY-MM-DD'));
+      setDistrictStats(response.data);
+    } catch (error) {
+      console.error('Error fetching district stats:', error);
+    }
+  }, [districtDate]);
+
+  useEffect(() => {
+    if (isAuthenticated) {
+      fetchDistrictStats();
+    }
+  }, [fetchDistrictStats, isAuthenticated]);
+
+  const handleMarkNoShows = async () => {
+    const date = moment(districtDate).format('YYYY-MM-DD');
+    if (!window.confirm(`Mark everyone booked on ${moment(districtDate).format('MMM D, YYYY')} who never checked in as a no-show? Slots still open for check-in are skipped.`)) {
+      return;
+    }
+
+    setIsMarkingNoShows(true);
+    try {
+      const response = await bookingAPI.markNoShows(date);
+      toast.success(response.data.message);
+      fetchBookings();
+      fetchStats();
+      fetchDistrictStats();
+    } catch (error) {
+      const errorMessage = error.response?.data?.error || 'Failed to mark no-shows';
+      toast.error(errorMessage);
+    } finally {
+      setIsMarkingNoShows(false);
+    }
+  };
+
   const handleExport = async () => { 
     try {
-      const start = startDate ? moment(startDate).format('YYYY-MM-DD') : null;
-      const end = endDate ? moment(endDate).format('YYYY-MM-DD') : null;
-         
-      const response = await bookingAPI.exportBookings(start, end);
+      const params = filterParams();
+      const response = await bookingAPI.exportBookings(params);
        
       // Create download link
       const url = window.URL.createObjectURL(new Blob([response.data]));
       const link = document.createElement('a');
       link.href = url;
-      link.setAttribute('download', `bookings_${start || 'all'}_${end || 'all'}_${moment().format('YYYY-MM-DD_HH-mm')}.xlsx`);
+      link.setAttribute('download', `bookings_${params.startDate || 'all'}_${params.endDate || 'all'}_${moment().format('YYYY-MM-DD_HH-mm')}.xlsx`);
       document.body.appendChild(link);
       link.click();
       link.remove();
@@ -147,18 +268,34 @@ const AdminPanel = () => {
     }
   };
 
-  const filteredBookings = bookings.filter(booking =>
-    booking.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
-    booking.purpose.toLowerCase().includes(searchTerm.toLowerCase()) ||
-    booking.location.toLowerCase().includes(searchTerm.toLowerCase())
-  );
+  // Changing what is listed starts again from the first page
+  const setFilter = (key) => (e) => {
+    setFilters({ ...filters, [key]: e.target.value });
+    setPage(1);
+  };
+
+  const handleDateChange = (setDate) => (date) => {
+    setDate(date);
+    setPage(1);
+  };
 
   const clearFilters = () => {
     setStartDate(null);
     setEndDate(null);
+    setFilters(EMPTY_FILTERS);
     setSearchTerm('');
+    setPage(1);
+  };
+
+  const handleSort = (column) => {
+    setSort(sort.column === column
+      ? { column, order: sort.order === 'asc' ? 'desc' : 'asc' }
+      : { column, order: DESCENDING_FIRST.includes(column) ? 'desc' : 'asc' });
+    setPage(1);
   };
 
+  const pageCount = Math.max(1, Math.ceil(total / pageSize));
+
   const handleShowQRCode = (booking) => {
     setSelectedBooking(booking);
     setShowQRModal(true);
@@ -172,35 +309,52 @@ const AdminPanel = () => {
     );
   };
 
+  // Select or unselect every booking on the page, keeping selections on other pages
+  const allOnPageSelected = bookings.length > 0 && bookings.every(booking => selectedBookings.includes(booking.id));
+
   const handleSelectAll = () => {
-    if (selectedBookings.length === filteredBookings.length) {
-      setSelectedBookings([]);
+    const pageIds = bookings.map(booking => booking.id);
+    if (allOnPageSelected) {
+      setSelectedBookings(prev => prev.filter(id => !pageIds.includes(id)));
     } else {
-      setSelectedBookings(filteredBookings.map(booking => booking.id));
+      setSelectedBookings(prev => [...prev, ...pageIds.filter(id => !prev.includes(id))]);
     }
   };
 
+  // Ask why bookings are being deleted; null if the admin backs out or gives no reason
+  const askDeleteReason = (what) => {
+    const reason = window.prompt(`Why are you deleting ${what}? It can be restored from the Deleted tab.`);
+    if (reason === null) {
+      return null;
+    }
+    if (!reason.trim()) {
+      toast.error('Please give a reason for deleting');
+      return null;
+    }
+    return reason.trim();
+  };
+
   const handleDeleteSelected = async () => {
     if (selectedBookings.length === 0) {
       toast.error('Please select bookings to delete');
       return;
     }
 
-    const confirmMessage = selectedBookings.length === 1 
-      ? 'Are you sure you want to delete this booking?' 
-      : `Are you sure you want to delete ${selectedBookings.length} bookings? This action cannot be undone.`;
-
-    if (!window.confirm(confirmMessage)) {
+    const reason = askDeleteReason(selectedBookings.length === 1
+      ? 'this booking'
+      : `${selectedBookings.length} bookings`);
+    if (!reason) {
       return;
     }
 
     setIsDeleting(true);
     try {
-      const response = await bookingAPI.deleteMultipleBookings(selectedBookings);
+      const response = await bookingAPI.deleteMultipleBookings(selectedBookings, reason);
       toast.success(response.data.message);
       setSelectedBookings([]);
       fetchBookings();
       fetchStats();
+      fetchDistrictStats();
     } catch (error) {
       const errorMessage = error.response?.data?.error || 'Failed to delete bookings';
       toast.error(errorMessage);
@@ -210,16 +364,18 @@ const AdminPanel = () => {
   };
 
   const handleDeleteSingle = async (bookingId, bookingName) => {
-    if (!window.confirm(`Are you sure you want to delete the booking for "${bookingName}"?`)) {
+    const reason = askDeleteReason(`the booking for "${bookingName}"`);
+    if (!reason) {
       return;
     }
 
     setIsDeleting(true);
     try {
-      const response = await bookingAPI.deleteBooking(bookingId);
+      const response = await bookingAPI.deleteBooking(bookingId, reason);
       toast.success(response.data.message);
       fetchBookings();
       fetchStats();
+      fetchDistrictStats();
     } catch (error) {
       const errorMessage = error.response?.data?.error || 'Failed to delete booking';
       toast.error(errorMessage);
@@ -230,87 +386,7 @@ const AdminPanel = () => {
 
   // Login Form
   if (!isAuthenticated) {
-    return (
-      <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
-        <div className="max-w-md w-full space-y-8">
-          <div className="text-center">
-            <div className="mx-auto h-12 w-12 bg-primary-600 rounded-full flex items-center justify-center">
-              <Lock className="h-6 w-6 text-white" />
-            </div>
-            <h2 className="mt-6 text-3xl font-bold text-gray-900">SLOG SOLUTIONS</h2>
-            <h3 className="mt-2 text-xl font-semibold text-gray-700">Admin Login</h3>
-            <p className="mt-2 text-sm text-gray-600">Enter your credentials to access the admin panel</p>
-          </div>
-          
-          <form className="mt-8 space-y-6" onSubmit={handleLogin}>
-            <div className="space-y-4">
-              <div>
-                <label htmlFor="username" className="block text-sm font-medium text-gray-700">
-                  Username
-                </label>
-                <input
-                  id="username"
-                  name="username"
-                  type="text"
-                  required
-                  value={loginForm.username}
-                  onChange={handleInputChange}
-                  className="mt-1 input-field"
-                  placeholder="Enter username"
-                />
-              </div>
-              
-              <div>
-                <label htmlFor="password" className="block text-sm font-medium text-gray-700">
-                  Password
-                </label>
-                <div className="mt-1 relative">
-                  <input
-                    id="password"
-                    name="password"
-                    type={showPassword ? 'text' : 'password'}
-                    required
-                    value={loginForm.password}
-                    onChange={handleInputChange}
-                    className="input-field pr-10"
-                    placeholder="Enter password"
-                  />
-                  <button
-                    type="button"
-                    onClick={() => setShowPassword(!showPassword)}
-                    className="absolute inset-y-0 right-0 pr-3 flex items-center"
-                  >
-                    {showPassword ? (
-                      <EyeOff className="h-5 w-5 text-gray-400" />
-                    ) : (
-                      <Eye className="h-5 w-5 text-gray-400" />
-                    )}
-                  </button>
-                </div>
-              </div>
-            </div>
-
-            <div>
-              <button
-                type="submit"
-                disabled={isLoggingIn}
-                className="btn-primary w-full flex justify-center items-center disabled:opacity-50 disabled:cursor-not-allowed"
-              >
-                {isLoggingIn ? (
-                  <>
-                    <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white mr-2"></div>
-                    Logging in...
-                  </>
-                ) : (
-                  'Sign In'
-                )}
-              </button>
-            </div>
-
-          </form>
-        </div>
-      </div>
-    );
+    return <AdminLogin onLogin={handleLogin} />;
   }
 
   // Admin Dashboard
@@ -320,6 +396,12 @@ const AdminPanel = () => {
         <h2 className="text-3xl font-bold text-gray-900 mb-2">SLOG SOLUTIONS</h2>
         <h3 className="text-xl font-semibold text-gray-700 mb-2">Admin Dashboard</h3>
         <p className="text-gray-600">Manage bookings and view statistics</p>
+        {admin && (
+          <p className="mt-1 text-sm text-gray-500">
+            Signed in as {admin.username}
+            {admin.locations.length > 0 && !isSuperAdmin && ` • ${admin.locations.join(', ')}`}
+          </p>
+        )}
         <button
           onClick={handleLogout}
           className="mt-4 btn-secondary text-sm"
@@ -328,272 +410,458 @@ const AdminPanel = () => {
         </button>
       </div>
 
-      {/* Statistics Cards */}
-      {stats && (
-        <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-8">
-          <div className="card">
-            <div className="flex items-center">
-              <div className="p-2 bg-blue-100 rounded-lg">
-                <Users className="h-6 w-6 text-blue-600" />
+      {/* Tabs */}
+      {tabs.length > 1 && (
+        <div className="flex justify-center gap-2 mb-6">
+          {tabs.map((tab) => (
+            <button
+              key={tab.id}
+              onClick={() => setActiveTab(tab.id)}
+              className={`px-4 py-2 rounded-md text-sm font-medium transition-colors duration-200 ${
+                activeTab === tab.id
+                  ? 'bg-primary-100 text-primary-700'
+                  : 'text-gray-500 hover:text-gray-700 hover:bg-gray-100'
+              }`}
+            >
+              {tab.label}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {activeTab === 'schedule' && <ScheduleEditor />}
+
+      {activeTab === 'closures' && <ClosuresManager currentAdmin={admin} />}
+
+      {activeTab === 'blocks' && <BlocksManager currentAdmin={admin} />}
+
+      {activeTab === 'deleted' && (
+        <DeletedBookings
+          currentAdmin={admin}
+          onRestored={() => {
+            fetchBookings();
+            fetchStats();
+            fetchDistrictStats();
+          }}
+        />
+      )}
+
+      {activeTab === 'users' && <AdminUsers currentAdmin={admin} />}
+
+      {activeTab === 'audit' && <AuditLog />}
+
+      {activeTab === 'bookings' && (
+        <>
+        {/* Statistics Cards */}
+        {stats && (
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-6 mb-8">
+            <div className="card">
+              <div className="flex items-center">
+                <div className="p-2 bg-blue-100 rounded-lg">
+                  <Users className="h-6 w-6 text-blue-600" />
+                </div>
+                <div className="ml-4">
+                  <p className="text-sm font-medium text-gray-600">Total Bookings</p>
+                  <p className="text-2xl font-bold text-gray-900">{stats.totalBookings}</p>
+                </div>
               </div>
-              <div className="ml-4">
-                <p className="text-sm font-medium text-gray-600">Total Bookings</p>
-                <p className="text-2xl font-bold text-gray-900">{stats.totalBookings}</p>
+            </div>
+
+            <div className="card">
+              <div className="flex items-center">
+                <div className="p-2 bg-green-100 rounded-lg">
+                  <BarChart3 className="h-6 w-6 text-green-600" />
+                </div>
+                <div className="ml-4">
+                  <p className="text-sm font-medium text-gray-600">Available Slots</p>
+                  <p className="text-2xl font-bold text-gray-900">{stats.availableBookings}</p>
+                </div>
               </div>
             </div>
-          </div>
 
-          <div className="card">
-            <div className="flex items-center">
-              <div className="p-2 bg-green-100 rounded-lg">
-                <BarChart3 className="h-6 w-6 text-green-600" />
+            <div className="card">
+              <div className="flex items-center">
+                <div className="p-2 bg-purple-100 rounded-lg">
+                  <Clock className="h-6 w-6 text-purple-600" />
+                </div>
+                <div className="ml-4">
+                  <p className="text-sm font-medium text-gray-600">Daily Limit</p>
+                  <p className="text-2xl font-bold text-gray-900">{stats.maxBookings}</p>
+                </div>
               </div>
-              <div className="ml-4">
-                <p className="text-sm font-medium text-gray-600">Available Slots</p>
-                <p className="text-2xl font-bold text-gray-900">{stats.availableBookings}</p>
+            </div>
+
+            <div className="card">
+              <div className="flex items-center">
+                <div className="p-2 bg-red-100 rounded-lg">
+                  <UserX className="h-6 w-6 text-red-600" />
+                </div>
+                <div className="ml-4">
+                  <p className="text-sm font-medium text-gray-600">No-show Rate</p>
+                  <p className="text-2xl font-bold text-gray-900">
+                    {stats.attendance.noShowRate !== null ? `${stats.attendance.noShowRate}%` : '-'}
+                  </p>
+                  <p className="text-xs text-gray-500">{stats.attendance.noShow} no-shows, {stats.attendance.arrived + stats.attendance.late} arrived</p>
+                </div>
               </div>
             </div>
           </div>
+        )}
 
-          <div className="card">
-            <div className="flex items-center">
-              <div className="p-2 bg-purple-100 rounded-lg">
-                <Clock className="h-6 w-6 text-purple-600" />
+        {/* Usage by District */}
+        {districtStats && (
+          <div className="card mb-8">
+            <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4 mb-4">
+              <div>
+                <h3 className="text-lg font-semibold text-gray-900">Usage by District</h3>
+                <p className="text-sm text-gray-500">
+                  {districtStats.totalBookings} / {districtStats.maxBookings} seats booked
+                  {' • '}{districtStats.attendance.arrived + districtStats.attendance.late} arrived, {districtStats.attendance.noShow} no-shows
+                </p>
               </div>
-              <div className="ml-4">
-                <p className="text-sm font-medium text-gray-600">Daily Limit</p>
-                <p className="text-2xl font-bold text-gray-900">{stats.maxBookings}</p>
+              <div className="flex items-center gap-2">
+                <DatePicker
+                  selected={districtDate}
+                  onChange={(date) => date && setDistrictDate(date)}
+                  dateFormat="yyyy-MM-dd"
+                  className="input-field"
+                />
+                {canDelete && (
+                  <button
+                    onClick={handleMarkNoShows}
+                    disabled={isMarkingNoShows}
+                    className="btn-secondary flex items-center whitespace-nowrap text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    <UserX className="h-4 w-4 mr-1" />
+                    {isMarkingNoShows ? 'Marking...' : 'Mark No-shows'}
+                  </button>
+                )}
               </div>
             </div>
+            <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
+              {districtStats.byLocation.map((district) => {
+                const usage = district.maxBookings > 0 ? (district.totalBookings / district.maxBookings) * 100 : 0;
+                return (
+                  <div key={district.location} className="border border-gray-200 rounded-lg p-3">
+                    <div className="flex justify-between text-sm">
+                      <span className="font-medium text-gray-900">{district.location}</span>
+                      <span className="text-gray-500">{district.totalBookings}/{district.maxBookings}</span>
+                    </div>
+                    <div className="w-full bg-gray-200 rounded-full h-2 mt-2">
+                      <div
+                        className={`h-2 rounded-full transition-all duration-300 ${usage >= 90 ? 'bg-red-500' : 'bg-green-500'}`}
+                        style={{ width: `${Math.min(100, usage)}%` }}
+                      ></div>
+                    </div>
+                    <p className="text-xs text-gray-500 mt-2">
+                      {district.attendance.arrived} arrived, {district.attendance.late} late, {district.attendance.noShow} no-show
+                      {district.attendance.noShowRate !== null && ` (${district.attendance.noShowRate}%)`}
+                    </p>
+                  </div>
+                );
+              })}
+            </div>
           </div>
-        </div>
-      )}
+        )}
 
-      {/* Filters and Actions */}
-      <div className="card mb-6">
-        <div className="flex flex-col lg:flex-row lg:items-center lg:justify-between gap-4">
-          <div className="flex flex-col sm:flex-row gap-4">
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-1">Start Date</label>
-              <DatePicker
-                selected={startDate}
-                onChange={(date) => setStartDate(date)}
-                dateFormat="yyyy-MM-dd"
-                className="input-field"
-                placeholderText="Select start date"
-              />
+        {/* Filters and Actions */}
+        <div className="card mb-6">
+          <div className="flex flex-col lg:flex-row lg:items-center lg:justify-between gap-4">
+            <div className="flex flex-col sm:flex-row sm:flex-wrap gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Start Date</label>
+                <DatePicker
+                  selected={startDate}
+                  onChange={handleDateChange(setStartDate)}
+                  dateFormat="yyyy-MM-dd"
+                  className="input-field"
+                  placeholderText="Select start date"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">End Date</label>
+                <DatePicker
+                  selected={endDate}
+                  onChange={handleDateChange(setEndDate)}
+                  dateFormat="yyyy-MM-dd"
+                  className="input-field"
+                  placeholderText="Select end date"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Location</label>
+                <select value={filters.location} onChange={setFilter('location')} className="input-field">
+                  <option value="">All locations</option>
+                  {config.locations.map((location) => (
+                    <option key={location} value={location}>{location}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Purpose</label>
+                <select value={filters.purpose} onChange={setFilter('purpose')} className="input-field">
+                  <option value="">All purposes</option>
+                  {config.purposes.map((purpose) => (
+                    <option key={purpose} value={purpose}>{purpose}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Slot</label>
+                <input type="time" value={filters.time_slot} onChange={setFilter('time_slot')} className="input-field" />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Status</label>
+                <select value={filters.status} onChange={setFilter('status')} className="input-field">
+                  <option value="">Any status</option>
+                  <option value="confirmed">Confirmed</option>
+                  <option value="cancelled">Cancelled</option>
+                </select>
+              </div>
             </div>
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-1">End Date</label>
-              <DatePicker
-                selected={endDate}
-                onChange={(date) => setEndDate(date)}
-                dateFormat="yyyy-MM-dd"
-                className="input-field"
-                placeholderText="Select end date"
-              />
+          
+            <div className="flex gap-2">
+              <button
+                onClick={clearFilters}
+                className="btn-secondary"
+              >
+                Clear Filters
+              </button>
+              <button
+                onClick={handleExport}
+                className="btn-primary flex items-center"
+              >
+                <Download className="h-4 w-4 mr-2" />
+                Export Excel
+              </button>
             </div>
           </div>
-          
-          <div className="flex gap-2">
-            <button
-              onClick={clearFilters}
-              className="btn-secondary"
-            >
-              Clear Filters
-            </button>
+        </div>
+
+        {/* Search */}
+        <div className="card mb-6">
+          <div className="flex items-center">
+            <Search className="h-5 w-5 text-gray-400 mr-3" />
+            <input
+              type="text"
+              placeholder="Search by name, phone, reference, or booking ID..."
+              value={searchTerm}
+              onChange={(e) => setSearchTerm(e.target.value)}
+              className="input-field flex-1"
+            />
             <button
-              onClick={handleExport}
-              className="btn-primary flex items-center"
+              onClick={fetchBookings}
+              className="btn-secondary ml-2 flex items-center"
             >
-              <Download className="h-4 w-4 mr-2" />
-              Export Excel
+              <RefreshCw className="h-4 w-4 mr-1" />
+              Refresh
             </button>
           </div>
         </div>
-      </div>
-
-      {/* Search */}
-      <div className="card mb-6">
-        <div className="flex items-center">
-          <Search className="h-5 w-5 text-gray-400 mr-3" />
-          <input
-            type="text"
-                         placeholder="Search by name, purpose, or location..."
-            value={searchTerm}
-            onChange={(e) => setSearchTerm(e.target.value)}
-            className="input-field flex-1"
-          />
-          <button
-            onClick={fetchBookings}
-            className="btn-secondary ml-2 flex items-center"
-          >
-            <RefreshCw className="h-4 w-4 mr-1" />
-            Refresh
-          </button>
-        </div>
-      </div>
 
-      {/* Bookings Table */}
-      <div className="card">
-        <div className="flex items-center justify-between mb-4">
-          <h3 className="text-lg font-semibold text-gray-900">Bookings</h3>
-          <div className="flex items-center gap-4">
-            {selectedBookings.length > 0 && (
-              <div className="flex items-center gap-2">
-                <span className="text-sm text-gray-600">
-                  {selectedBookings.length} selected
-                </span>
-                <button
-                  onClick={handleDeleteSelected}
-                  disabled={isDeleting}
-                  className="btn-danger flex items-center text-sm"
-                >
-                  <Trash2 className="h-4 w-4 mr-1" />
-                  {isDeleting ? 'Deleting...' : `Delete Selected`}
-                </button>
-              </div>
-            )}
-            <span className="text-sm text-gray-500">
-              {filteredBookings.length} booking{filteredBookings.length !== 1 ? 's' : ''}
-            </span>
+        {/* Bookings Table */}
+        <div className="card">
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="text-lg font-semibold text-gray-900">Bookings</h3>
+            <div className="flex items-center gap-4">
+              {selectedBookings.length > 0 && canDelete && (
+                <div className="flex items-center gap-2">
+                  <span className="text-sm text-gray-600">
+                    {selectedBookings.length} selected
+                  </span>
+                  <button
+                    onClick={handleDeleteSelected}
+                    disabled={isDeleting}
+                    className="btn-danger flex items-center text-sm"
+                  >
+                    <Trash2 className="h-4 w-4 mr-1" />
+                    {isDeleting ? 'Deleting...' : `Delete Selected`}
+                  </button>
+                </div>
+              )}
+              <span className="text-sm text-gray-500">
+                {total} booking{total !== 1 ? 's' : ''}
+              </span>
+            </div>
           </div>
-        </div>
 
-        {loading ? (
-          <div className="flex justify-center py-8">
-            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
-          </div>
-        ) : filteredBookings.length > 0 ? (
-          <div className="overflow-x-auto">
-            <table className="min-w-full divide-y divide-gray-200">
-              <thead className="bg-gray-50">
-                <tr>
-                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                    <button
-                      onClick={handleSelectAll}
-                      className="flex items-center hover:text-gray-700 transition-colors"
-                    >
-                      {selectedBookings.length === filteredBookings.length && filteredBookings.length > 0 ? (
-                        <CheckSquare className="h-4 w-4" />
-                      ) : (
-                        <Square className="h-4 w-4" />
-                      )}
-                    </button>
-                  </th>
-                                     <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                     Name
-                   </th>
-                   <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                     Phone
-                   </th>
-                   <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                     Date & Time
-                   </th>
-                   <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                     Purpose
-                   </th>
-                   <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                     Created
-                   </th>
-                   <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                     Location
-                   </th>
-                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                    Actions
-                  </th>
-                </tr>
-              </thead>
-              <tbody className="bg-white divide-y divide-gray-200">
-                                 {filteredBookings.map((booking) => (
-                   <tr 
-                     key={booking.id} 
-                     className="hover:bg-gray-50"
-                   >
-                     <td className="px-6 py-4 whitespace-nowrap">
-                       <button
-                         onClick={() => handleSelectBooking(booking.id)}
-                         className="flex items-center hover:text-gray-700 transition-colors"
-                       >
-                         {selectedBookings.includes(booking.id) ? (
-                           <CheckSquare className="h-4 w-4" />
-                         ) : (
-                           <Square className="h-4 w-4" />
-                         )}
-                       </button>
-                     </td>
-                                           <td 
-                        className="px-6 py-4 whitespace-nowrap cursor-pointer"
-                        onClick={() => handleShowQRCode(booking)}
-                      >
-                        <div className="text-sm font-medium text-gray-900">{booking.name}</div>
-                      </td>
-                      <td 
-                        className="px-6 py-4 whitespace-nowrap cursor-pointer"
-                        onClick={() => handleShowQRCode(booking)}
-                      >
-                        <div className="text-sm text-gray-900">{booking.phone}</div>
-                      </td>
-                      <td 
-                        className="px-6 py-4 whitespace-nowrap cursor-pointer"
-                        onClick={() => handleShowQRCode(booking)}
-                      >
-                        <div className="text-sm text-gray-900">
-                          {moment(booking.date).format('MMM D, YYYY')}
-                        </div>
-                        <div className="text-sm text-gray-500">{booking.time_slot}</div>
-                      </td>
-                      <td 
-                        className="px-6 py-4 cursor-pointer"
-                        onClick={() => handleShowQRCode(booking)}
-                      >
-                        <div className="text-sm text-gray-900 max-w-xs truncate">
-                          {booking.purpose}
-                        </div>
-                      </td>
-                      <td 
-                        className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 cursor-pointer"
-                        onClick={() => handleShowQRCode(booking)}
-                      >
-                        {moment(booking.created_at).format('MMM D, YYYY HH:mm')}
-                      </td>
-                      <td 
-                        className="px-6 py-4 whitespace-nowrap cursor-pointer"
-                        onClick={() => handleShowQRCode(booking)}
+          {loading ? (
+            <div className="flex justify-center py-8">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+            </div>
+          ) : bookings.length > 0 ? (
+            <>
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      <button
+                        onClick={handleSelectAll}
+                        className="flex items-center hover:text-gray-700 transition-colors"
                       >
-                        <div className="text-sm text-gray-900">{booking.location}</div>
-                      </td>
-                     <td className="px-6 py-4 whitespace-nowrap">
-                       <div className="flex items-center gap-2">
-                         <button
-                           onClick={() => handleShowQRCode(booking)}
-                           className="text-primary-600 hover:text-primary-800 transition-colors"
-                           title="View QR Code"
-                         >
-                           <QrCode className="h-5 w-5" />
-                         </button>
+                        {allOnPageSelected ? (
+                          <CheckSquare className="h-4 w-4" />
+                        ) : (
+                          <Square className="h-4 w-4" />
+                        )}
+                      </button>
+                    </th>
+                    <SortableHeader column="name" label="Name" sort={sort} onSort={handleSort} />
+                    <SortableHeader column="phone" label="Phone" sort={sort} onSort={handleSort} />
+                    <SortableHeader column="date" label="Date & Time" sort={sort} onSort={handleSort} />
+                    <SortableHeader column="purpose" label="Purpose" sort={sort} onSort={handleSort} />
+                    <SortableHeader column="created" label="Created" sort={sort} onSort={handleSort} />
+                    <SortableHeader column="location" label="Location" sort={sort} onSort={handleSort} />
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Actions
+                    </th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                                   {bookings.map((booking) => (
+                     <tr 
+                       key={booking.id} 
+                       className="hover:bg-gray-50"
+                     >
+                       <td className="px-6 py-4 whitespace-nowrap">
                          <button
-                           onClick={() => handleDeleteSingle(booking.id, booking.name)}
-                           disabled={isDeleting}
-                           className="text-red-600 hover:text-red-800 transition-colors"
-                           title="Delete Booking"
+                           onClick={() => handleSelectBooking(booking.id)}
+                           className="flex items-center hover:text-gray-700 transition-colors"
                          >
-                           <Trash2 className="h-5 w-5" />
+                           {selectedBookings.includes(booking.id) ? (
+                             <CheckSquare className="h-4 w-4" />
+                           ) : (
+                             <Square className="h-4 w-4" />
+                           )}
                          </button>
-                       </div>
-                     </td>
-                   </tr>
-                ))}
-              </tbody>
-            </table>
-          </div>
-        ) : (
-          <div className="text-center py-8">
-            <Calendar className="h-12 w-12 text-gray-400 mx-auto mb-4" />
-            <p className="text-gray-500">No bookings found</p>
-          </div>
-                 )}
-       </div>
+                       </td>
+                                             <td 
+                          className="px-6 py-4 whitespace-nowrap cursor-pointer"
+                          onClick={() => handleShowQRCode(booking)}
+                        >
+                          <div className="text-sm font-medium text-gray-900">{booking.name}</div>
+                          <div className="text-xs text-gray-500 font-mono">
+                            {booking.reference}
+                            {booking.status === 'cancelled' && (
+                              <span className="ml-2 px-2 py-0.5 rounded-full bg-red-100 text-red-700 font-sans">Cancelled</span>
+                            )}
+                            {booking.attendance_status && ATTENDANCE_BADGES[booking.attendance_status] && (
+                              <span className={`ml-2 px-2 py-0.5 rounded-full font-sans ${ATTENDANCE_BADGES[booking.attendance_status].className}`}>
+                                {ATTENDANCE_BADGES[booking.attendance_status].label}
+                              </span>
+                            )}
+                          </div>
+                        </td>
+                        <td 
+                          className="px-6 py-4 whitespace-nowrap cursor-pointer"
+                          onClick={() => handleShowQRCode(booking)}
+                        >
+                          <div className="text-sm text-gray-900">{booking.phone}</div>
+                        </td>
+                        <td 
+                          className="px-6 py-4 whitespace-nowrap cursor-pointer"
+                          onClick={() => handleShowQRCode(booking)}
+                        >
+                          <div className="text-sm text-gray-900">
+                            {moment(booking.date).format('MMM D, YYYY')}
+                          </div>
+                          <div className="text-sm text-gray-500">{booking.time_slot}</div>
+                        </td>
+                        <td 
+                          className="px-6 py-4 cursor-pointer"
+                          onClick={() => handleShowQRCode(booking)}
+                        >
+                          <div className="text-sm text-gray-900 max-w-xs truncate">
+                            {booking.purpose}
+                          </div>
+                        </td>
+                        <td 
+                          className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 cursor-pointer"
+                          onClick={() => handleShowQRCode(booking)}
+                        >
+                          {moment(booking.created_at).format('MMM D, YYYY HH:mm')}
+                        </td>
+                        <td 
+                          className="px-6 py-4 whitespace-nowrap cursor-pointer"
+                          onClick={() => handleShowQRCode(booking)}
+                        >
+                          <div className="text-sm text-gray-900">{booking.location}</div>
+                        </td>
+                       <td className="px-6 py-4 whitespace-nowrap">
+                         <div className="flex items-center gap-2">
+                           <button
+                             onClick={() => handleShowQRCode(booking)}
+                             className="text-primary-600 hover:text-primary-800 transition-colors"
+                             title="View QR Code"
+                           >
+                             <QrCode className="h-5 w-5" />
+                           </button>
+                           {canDelete && (
+                             <button
+                               onClick={() => handleDeleteSingle(booking.id, booking.name)}
+                               disabled={isDeleting}
+                               className="text-red-600 hover:text-red-800 transition-colors"
+                               title="Delete Booking"
+                             >
+                               <Trash2 className="h-5 w-5" />
+                             </button>
+                           )}
+                         </div>
+                       </td>
+                     </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            {/* Pagination */}
+            <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 mt-4 text-sm text-gray-600">
+              <span>
+                Showing {(page - 1) * pageSize + 1}-{(page - 1) * pageSize + bookings.length} of {total}
+              </span>
+              <div className="flex items-center gap-2">
+                <select
+                  value={pageSize}
+                  onChange={(e) => {
+                    setPageSize(parseInt(e.target.value));
+                    setPage(1);
+                  }}
+                  className="input-field w-auto py-1"
+                >
+                  {PAGE_SIZES.map((size) => (
+                    <option key={size} value={size}>{size} per page</option>
+                  ))}
+                </select>
+                <button
+                  onClick={() => setPage(page - 1)}
+                  disabled={page <= 1}
+                  className="btn-secondary flex items-center py-1 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  <ChevronLeft className="h-4 w-4" />
+                  Previous
+                </button>
+                <span className="whitespace-nowrap">Page {page} of {pageCount}</span>
+                <button
+                  onClick={() => setPage(page + 1)}
+                  disabled={page >= pageCount}
+                  className="btn-secondary flex items-center py-1 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Next
+                  <ChevronRight className="h-4 w-4" />
+                </button>
+              </div>
+            </div>
+            </>
+          ) : (
+            <div className="text-center py-8">
+              <Calendar className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+              <p className="text-gray-500">No bookings found</p>
+            </div>
+                   )}
+         </div>
+        </>
+      )}
 
        {/* QR Code Modal */}
        <QRCodeModal
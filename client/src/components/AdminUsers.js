@@ -0,0 +1,286 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { adminAPI } from '../services/api';
+import { toast } from 'react-hot-toast';
+import { UserPlus, Pencil, Trash2, X } from 'lucide-react';
+import { config } from '../config';
+
+const ROLE_LABELS = {
+  super_admin: 'Super Admin',
+  operator: 'District Operator',
+  viewer: 'Read-only Viewer'
+};
+
+const emptyForm = {
+  username: '',
+  password: '',
+  role: 'operator',
+  locations: []
+};
+
+const AdminUsers = ({ currentAdmin }) => {
+  const [admins, setAdmins] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [form, setForm] = useState(emptyForm);
+  const [editingId, setEditingId] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const fetchAdmins = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await adminAPI.getAdmins();
+      setAdmins(response.data);
+    } catch (error) {
+      toast.error('Failed to fetch admin accounts');
+      console.error('Error fetching admins:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchAdmins();
+  }, [fetchAdmins]);
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setForm(prev => ({
+      ...prev,
+      [name]: value
+    }));
+  };
+
+  const toggleLocation = (location) => {
+    setForm(prev => ({
+      ...prev,
+      locations: prev.locations.includes(location)
+        ? prev.locations.filter(l => l !== location)
+        : [...prev.locations, location]
+    }));
+  };
+
+  const resetForm = () => {
+    setForm(emptyForm);
+    setEditingId(null);
+  };
+
+  const handleEdit = (admin) => {
+    setEditingId(admin.id);
+    setForm({
+      username: admin.username,
+      password: '',
+      role: admin.role,
+      locations: admin.locations
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (form.role === 'operator' && form.locations.length === 0) {
+      toast.error('Operators must be assigned at least one location');
+      return;
+    }
+
+    const adminData = {
+      role: form.role,
+      locations: form.role === 'super_admin' ? [] : form.locations
+    };
+    if (form.password) adminData.password = form.password;
+
+    setIsSaving(true);
+    try {
+      const response = editingId
+        ? await adminAPI.updateAdmin(editingId, adminData)
+        : await adminAPI.createAdmin({ ...adminData, username: form.username });
+      toast.success(response.data.message);
+      resetForm();
+      fetchAdmins();
+    } catch (error) {
+      const errorMessage = error.response?.data?.error || error.response?.data?.errors?.[0]?.msg || 'Failed to save admin account';
+      toast.error(errorMessage);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async (admin) => {
+    if (!window.confirm(`Are you sure you want to delete the admin account "${admin.username}"?`)) {
+      return;
+    }
+
+    try {
+      const response = await adminAPI.deleteAdmin(admin.id);
+      toast.success(response.data.message);
+      fetchAdmins();
+    } catch (error) {
+      const errorMessage = error.response?.data?.error || 'Failed to delete admin account';
+      toast.error(errorMessage);
+    }
+  };
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+      {/* Create / edit form */}
+      <div className="card">
+        <div className="flex items-center justify-between mb-4">
+          <div className="flex items-center">
+            <UserPlus className="h-5 w-5 text-primary-600 mr-2" />
+            <h3 className="text-lg font-semibold text-gray-900">
+              {editingId ? 'Edit Admin' : 'New Admin'}
+            </h3>
+          </div>
+          {editingId && (
+            <button
+              onClick={resetForm}
+              className="text-gray-400 hover:text-gray-600 transition-colors"
+              title="Cancel editing"
+            >
+              <X className="h-5 w-5" />
+            </button>
+          )}
+        </div>
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Username</label>
+            <input
+              type="text"
+              name="username"
+              value={form.username}
+              onChange={handleInputChange}
+              disabled={!!editingId}
+              className="input-field disabled:bg-gray-100"
+              placeholder="Enter username"
+              required
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Password {editingId && <span className="text-gray-400 font-normal">(leave blank to keep)</span>}
+            </label>
+            <input
+              type="password"
+              name="password"
+              value={form.password}
+              onChange={handleInputChange}
+              className="input-field"
+              placeholder="At least 8 characters"
+              required={!editingId}
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Role</label>
+            <select
+              name="role"
+              value={form.role}
+              onChange={handleInputChange}
+              className="input-field"
+            >
+              {Object.entries(ROLE_LABELS).map(([role, label]) => (
+                <option key={role} value={role}>{label}</option>
+              ))}
+            </select>
+          </div>
+
+          {form.role !== 'super_admin' && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Locations {form.role === 'viewer' && <span className="text-gray-400 font-normal">(none = all)</span>}
+              </label>
+              <div className="grid grid-cols-2 gap-1 max-h-48 overflow-y-auto border border-gray-200 rounded-lg p-2">
+                {config.locations.map((location) => (
+                  <label key={location} className="flex items-center text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={form.locations.includes(location)}
+                      onChange={() => toggleLocation(location)}
+                      className="mr-2"
+                    />
+                    {location}
+                  </label>
+                ))}
+              </div>
+            </div>
+          )}
+
+          <button
+            type="submit"
+            disabled={isSaving}
+            className="btn-primary w-full disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {isSaving ? 'Saving...' : editingId ? 'Save Changes' : 'Create Admin'}
+          </button>
+        </form>
+      </div>
+
+      {/* Admin accounts table */}
+      <div className="card lg:col-span-2">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold text-gray-900">Admin Accounts</h3>
+          <span className="text-sm text-gray-500">
+            {admins.length} account{admins.length !== 1 ? 's' : ''}
+          </span>
+        </div>
+
+        {loading ? (
+          <div className="flex justify-center py-8">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Username</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Role</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Locations</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {admins.map((admin) => (
+                  <tr key={admin.id} className="hover:bg-gray-50">
+                    <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                      {admin.username}
+                      {currentAdmin && admin.id === currentAdmin.id && (
+                        <span className="ml-2 text-xs text-gray-400">(you)</span>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{ROLE_LABELS[admin.role] || admin.role}</td>
+                    <td className="px-6 py-4 text-sm text-gray-500">
+                      {admin.role === 'super_admin' || admin.locations.length === 0 ? 'All' : admin.locations.join(', ')}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <div className="flex items-center gap-2">
+                        <button
+                          onClick={() => handleEdit(admin)}
+                          className="text-primary-600 hover:text-primary-800 transition-colors"
+                          title="Edit Admin"
+                        >
+                          <Pencil className="h-5 w-5" />
+                        </button>
+                        {(!currentAdmin || admin.id !== currentAdmin.id) && (
+                          <button
+                            onClick={() => handleDelete(admin)}
+                            className="text-red-600 hover:text-red-800 transition-colors"
+                            title="Delete Admin"
+                          >
+                            <Trash2 className="h-5 w-5" />
+                          </button>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AdminUsers;
@@ -0,0 +1,282 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import DatePicker from 'react-datepicker';
+import { auditAPI } from '../services/api';
+import { toast } from 'react-hot-toast';
+import { ScrollText, Download, Search } from 'lucide-react';
+import moment from 'moment';
+import 'react-datepicker/dist/react-datepicker.css';
+
+// How each recorded action reads in the log
+const ACTION_LABELS = {
+  'booking.created': 'Booking created',
+  'booking.cancelled': 'Booking cancelled',
+  'booking.rescheduled': 'Booking rescheduled',
+  'booking.deleted': 'Booking deleted',
+  'booking.restored': 'Booking restored',
+  'booking.checked_in': 'Booking checked in',
+  'bookings.no_shows_marked': 'No-shows marked',
+  'bookings.exported': 'Bookings exported',
+  'audit.exported': 'Audit log exported',
+  'admin.login': 'Admin login',
+  'admin.login_failed': 'Failed admin login',
+  'admin.created': 'Admin account created',
+  'admin.updated': 'Admin account updated',
+  'admin.deleted': 'Admin account deleted',
+  'closure.added': 'Closure added',
+  'closure.removed': 'Closure removed',
+  'schedule.templates_saved': 'Weekly schedule saved',
+  'schedule.override_saved': 'Date schedule saved',
+  'block.lifted': 'Block lifted'
+};
+
+const EMPTY_FILTERS = { actor: '', bookingId: '', phone: '', action: '', from: null, to: null };
+
+// A one-line summary of an event's details
+const describeDetails = (event) => {
+  const { details } = event;
+  switch (event.action) {
+    case 'booking.created':
+      return `${details.reference} • ${details.location}, ${details.date} at ${details.time_slot}`;
+    case 'booking.rescheduled':
+      return `${details.reference} • ${details.from.date} ${details.from.time_slot} → ${details.to.date} ${details.to.time_slot}`;
+    case 'booking.deleted':
+      return `${details.reference} • ${details.reason}`;
+    case 'bookings.exported':
+      return `${details.startDate || 'all'} to ${details.endDate || 'all'} • ${details.rows} rows`;
+    case 'audit.exported':
+      return `${details.format} • ${details.rows} rows`;
+    case 'booking.checked_in':
+      return `${details.reference} • ${details.attendance}`;
+    case 'bookings.no_shows_marked':
+      return `${details.date}${details.time_slot ? ` at ${details.time_slot}` : ''} • ${details.marked} marked, ${details.blocked} blocked`;
+    case 'admin.created':
+    case 'admin.updated':
+    case 'admin.deleted':
+      return `${details.username} • ${details.role}`;
+    case 'closure.added':
+    case 'closure.removed':
+      return `${details.location || 'All locations'}, ${details.date} • ${details.reason}`;
+    case 'schedule.templates_saved':
+      return `${details.templates.length} periods`;
+    case 'schedule.override_saved':
+      return `${details.date} • ${details.periods.length} periods`;
+    default:
+      return details.reference || '';
+  }
+};
+
+const AuditLog = () => {
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [appliedFilters, setAppliedFilters] = useState(EMPTY_FILTERS);
+  const [events, setEvents] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const [exporting, setExporting] = useState(false);
+
+  // The filters as query parameters, leaving out empty ones
+  const toParams = (values) => {
+    const params = {};
+    ['actor', 'bookingId', 'phone', 'action'].forEach((key) => {
+      if (values[key].trim()) params[key] = values[key].trim();
+    });
+    if (values.from) params.from = moment(values.from).format('YYYY-MM-DD');
+    if (values.to) params.to = moment(values.to).format('YYYY-MM-DD');
+    return params;
+  };
+
+  const fetchEvents = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await auditAPI.getEvents(toParams(appliedFilters));
+      setEvents(response.data.events);
+      setTotal(response.data.total);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to fetch the audit log');
+      console.error('Error fetching audit log:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [appliedFilters]);
+
+  useEffect(() => {
+    fetchEvents();
+  }, [fetchEvents]);
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    setAppliedFilters(filters);
+  };
+
+  const handleReset = () => {
+    setFilters(EMPTY_FILTERS);
+    setAppliedFilters(EMPTY_FILTERS);
+  };
+
+  const handleExport = async (format) => {
+    setExporting(true);
+    try {
+      const params = toParams(appliedFilters);
+      const response = await auditAPI.exportEvents(params, format);
+
+      const url = window.URL.createObjectURL(new Blob([response.data]));
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', `audit_${params.from || 'all'}_${params.to || 'all'}_${moment().format('YYYY-MM-DD_HH-mm')}.${format}`);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+
+      toast.success('Audit log exported successfully!');
+    } catch (error) {
+      toast.error('Failed to export the audit log');
+      console.error('Error exporting audit log:', error);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const setFilter = (key) => (e) => setFilters({ ...filters, [key]: e.target.value });
+
+  return (
+    <div className="card">
+      <div className="flex items-center justify-between mb-2">
+        <div className="flex items-center">
+          <ScrollText className="h-5 w-5 text-primary-600 mr-2" />
+          <h3 className="text-lg font-semibold text-gray-900">Audit Log</h3>
+        </div>
+        <div className="flex gap-2">
+          <button
+            onClick={() => handleExport('xlsx')}
+            disabled={exporting}
+            className="btn-secondary flex items-center text-sm disabled:opacity-50"
+          >
+            <Download className="h-4 w-4 mr-1" />
+            Excel
+          </button>
+          <button
+            onClick={() => handleExport('csv')}
+            disabled={exporting}
+            className="btn-secondary flex items-center text-sm disabled:opacity-50"
+          >
+            <Download className="h-4 w-4 mr-1" />
+            CSV
+          </button>
+        </div>
+      </div>
+
+      <p className="text-sm text-gray-500 mb-4">
+        Every booking change, deletion, export and admin login, as recorded at the time. Entries cannot be edited or removed.
+      </p>
+
+      <form onSubmit={handleSearch} className="grid grid-cols-1 md:grid-cols-3 lg:grid-cols-6 gap-3 mb-4">
+        <div>
+          <label className="block text-xs text-gray-500 mb-1">Admin</label>
+          <input type="text" value={filters.actor} onChange={setFilter('actor')} className="input-field" placeholder="Username" />
+        </div>
+        <div>
+          <label className="block text-xs text-gray-500 mb-1">Booking ID</label>
+          <input type="text" value={filters.bookingId} onChange={setFilter('bookingId')} className="input-field" />
+        </div>
+        <div>
+          <label className="block text-xs text-gray-500 mb-1">Phone</label>
+          <input type="text" value={filters.phone} onChange={setFilter('phone')} className="input-field" />
+        </div>
+        <div>
+          <label className="block text-xs text-gray-500 mb-1">Action</label>
+          <select value={filters.action} onChange={setFilter('action')} className="input-field">
+            <option value="">Any action</option>
+            {Object.entries(ACTION_LABELS).map(([action, label]) => (
+              <option key={action} value={action}>{label}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-xs text-gray-500 mb-1">From</label>
+          <DatePicker
+            selected={filters.from}
+            onChange={(date) => setFilters({ ...filters, from: date })}
+            dateFormat="yyyy-MM-dd"
+            className="input-field"
+            placeholderText="Any date"
+          />
+        </div>
+        <div>
+          <label className="block text-xs text-gray-500 mb-1">To</label>
+          <DatePicker
+            selected={filters.to}
+            onChange={(date) => setFilters({ ...filters, to: date })}
+            dateFormat="yyyy-MM-dd"
+            className="input-field"
+            placeholderText="Any date"
+          />
+        </div>
+        <div className="md:col-span-3 lg:col-span-6 flex gap-2">
+          <button type="submit" className="btn-primary flex items-center text-sm">
+            <Search className="h-4 w-4 mr-1" />
+            Search
+          </button>
+          <button type="button" onClick={handleReset} className="btn-secondary text-sm">
+            Reset
+          </button>
+        </div>
+      </form>
+
+      {loading ? (
+        <div className="flex justify-center py-8">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+        </div>
+      ) : events.length === 0 ? (
+        <p className="text-gray-500 text-center py-4">No audit events match these filters.</p>
+      ) : (
+        <>
+          {total > events.length && (
+            <p className="text-sm text-gray-500 mb-2">
+              Showing the latest {events.length} of {total} events. Narrow the filters or export to see them all.
+            </p>
+          )}
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Time</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Action</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">By</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Booking</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Details</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Source</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {events.map((event) => (
+                  <tr key={event.id} className="hover:bg-gray-50">
+                    <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-500">
+                      {moment(event.occurred_at).format('MMM D, YYYY HH:mm:ss')}
+                    </td>
+                    <td className="px-4 py-3 whitespace-nowrap text-sm font-medium text-gray-900">
+                      {ACTION_LABELS[event.action] || event.action}
+                    </td>
+                    <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-900">
+                      {event.actor_type === 'admin' ? event.actor_username : 'Booker'}
+                    </td>
+                    <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-900">
+                      {event.booking_id && <div>#{event.booking_id}</div>}
+                      {event.phone && <div className="text-gray-500">{event.phone}</div>}
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-900 max-w-xs break-words">{describeDetails(event)}</td>
+                    <td className="px-4 py-3 text-xs text-gray-500 max-w-xs">
+                      <div>{event.ip}</div>
+                      <div className="truncate" title={event.user_agent || ''}>{event.user_agent}</div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default AuditLog;
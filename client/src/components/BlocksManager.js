@@ -0,0 +1,119 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { blockAPI } from '../services/api';
+import { toast } from 'react-hot-toast';
+import { Ban, Unlock } from 'lucide-react';
+import moment from 'moment';
+
+const BlocksManager = ({ currentAdmin }) => {
+  const [blocks, setBlocks] = useState([]);
+  const [policy, setPolicy] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const canManage = currentAdmin?.role === 'super_admin' || currentAdmin?.role === 'operator';
+
+  const fetchBlocks = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await blockAPI.getBlocks();
+      setBlocks(response.data.blocks);
+      setPolicy(response.data.policy);
+    } catch (error) {
+      toast.error('Failed to fetch blocks');
+      console.error('Error fetching blocks:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchBlocks();
+  }, [fetchBlocks]);
+
+  const handleLift = async (block) => {
+    if (!window.confirm(`Let ${block.phone} book again now?`)) {
+      return;
+    }
+
+    try {
+      const response = await blockAPI.liftBlock(block.id);
+      toast.success(response.data.message);
+      fetchBlocks();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to lift block');
+    }
+  };
+
+  return (
+    <div className="card">
+      <div className="flex items-center justify-between mb-2">
+        <div className="flex items-center">
+          <Ban className="h-5 w-5 text-primary-600 mr-2" />
+          <h3 className="text-lg font-semibold text-gray-900">Blocked Phone Numbers</h3>
+        </div>
+        <span className="text-sm text-gray-500">
+          {blocks.length} block{blocks.length !== 1 ? 's' : ''}
+        </span>
+      </div>
+
+      {policy && (
+        <p className="text-sm text-gray-500 mb-4">
+          {policy.enabled
+            ? `A phone number that misses ${policy.maxNoShows} bookings within ${policy.windowWeeks} weeks cannot book for ${policy.blockDays} days.`
+            : 'The no-show policy is turned off, so no new blocks are added.'}
+        </p>
+      )}
+
+      {loading ? (
+        <div className="flex justify-center py-8">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+        </div>
+      ) : blocks.length === 0 ? (
+        <p className="text-gray-500 text-center py-4">No phone numbers are blocked.</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Phone</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">No-shows</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Blocked Since</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Can Book From</th>
+                {canManage && (
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                )}
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {blocks.map((block) => (
+                <tr key={block.id} className="hover:bg-gray-50">
+                  <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{block.phone}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{block.no_show_count}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                    {moment(block.created_at).format('MMM D, YYYY')}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                    {moment(block.blocked_until).format('MMM D, YYYY')}
+                  </td>
+                  {canManage && (
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <button
+                        onClick={() => handleLift(block)}
+                        className="text-primary-600 hover:text-primary-800 transition-colors flex items-center text-sm"
+                        title="Lift Block"
+                      >
+                        <Unlock className="h-4 w-4 mr-1" />
+                        Lift
+                      </button>
+                    </td>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BlocksManager;
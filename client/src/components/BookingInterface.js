@@ -1,13 +1,17 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { bookingAPI } from '../services/api';
+import { subscribeToSlots, applySlotCounts } from '../services/slotStream';
+import { proveBrowser } from '../services/proofOfWork';
 import { toast } from 'react-hot-toast';
-import { Clock, User, Phone, FileText, MapPin, CheckCircle, RefreshCw } from 'lucide-react';
+import { Clock, User, Phone, FileText, MapPin, CheckCircle, RefreshCw, CalendarClock, ShieldCheck, Timer, Hourglass } from 'lucide-react';
 import moment from 'moment';
 import CustomCalendar from './CustomCalendar';
 import QRCodeModal from './QRCodeModal';
 import { config } from '../config';
 
-const BookingInterface = () => {
+// With `rescheduling` ({ booking, phone }) set, the slot picker moves that booking to
+// another slot in its week instead of creating a new one
+const BookingInterface = ({ rescheduling = null, onRescheduleEnd }) => {
   const [selectedDate, setSelectedDate] = useState(new Date());
 
   // Add a ref to track the current selectedDate
@@ -25,17 +29,55 @@ const BookingInterface = () => {
   const [isBooking, setIsBooking] = useState(false);
   const [showQRModal, setShowQRModal] = useState(false);
   const [bookingConfirmation, setBookingConfirmation] = useState(null);
-  const [liveSlotStatus, setLiveSlotStatus] = useState({ available: 0, total: config.booking.maxSlotsPerDay });
+  const [liveSlotStatus, setLiveSlotStatus] = useState({ available: 0, total: 0 });
   const [isLoadingSlotStatus, setIsLoadingSlotStatus] = useState(false);
+  // Whether seat counts are being pushed by the server, so polling can slow down
+  const [isLive, setIsLive] = useState(false);
   const [weeklyBookingStatus, setWeeklyBookingStatus] = useState(null);
   const [isCheckingWeeklyStatus, setIsCheckingWeeklyStatus] = useState(false);
+  const [calendarRange, setCalendarRange] = useState(null);
+  const [closures, setClosures] = useState([]);
+  const [bookingRules, setBookingRules] = useState(null);
+  // Phone verification: the code sent by SMS and the token it was exchanged for
+  const [otpSentTo, setOtpSentTo] = useState(null);
+  const [otpCode, setOtpCode] = useState('');
+  const [isSendingOtp, setIsSendingOtp] = useState(false);
+  const [isVerifyingOtp, setIsVerifyingOtp] = useState(false);
+  const [verification, setVerification] = useState(null);
+  // Seat held in the selected slot while the form is filled in, and the clock for its countdown
+  const [hold, setHold] = useState(null);
+  const [now, setNow] = useState(Date.now());
+  const holdRef = React.useRef(hold);
+  holdRef.current = hold;
+  const holdRequestRef = React.useRef(0);
+  // When the server stops turning requests away after too many (429), in ms
+  const [rateLimitedUntil, setRateLimitedUntil] = useState(null);
+  const [isCheckingBrowser, setIsCheckingBrowser] = useState(false);
+  const weeklyStatusTimerRef = React.useRef(null);
+
+  // Each location has its own seats, so the chosen location drives the slot grid
+  const selectedLocation = bookingForm.location;
+
+  // A booking can only move within its own week, at its own location
+  const rescheduleWeek = rescheduling && {
+    start: moment(rescheduling.booking.date).startOf('isoWeek'),
+    end: moment(rescheduling.booking.date).endOf('isoWeek')
+  };
+
+  useEffect(() => {
+    if (rescheduling) {
+      // The booker verifies the booking's phone before moving it
+      setBookingForm(prev => ({ ...prev, location: rescheduling.booking.location, phone: rescheduling.phone }));
+      setSelectedDate(moment(rescheduling.booking.date).toDate());
+    }
+  }, [rescheduling]);
 
   // Fetch live slot status
   const fetchLiveSlotStatus = async () => {
     try {
       setIsLoadingSlotStatus(true);
       const selectedDateStr = moment(selectedDate).format('YYYY-MM-DD');
-      const response = await bookingAPI.getSlotStatus(selectedDateStr);
+      const response = await bookingAPI.getSlotStatus(selectedDateStr, selectedLocation);
       const { availableSlots, maxSlots } = response.data;
       
       setLiveSlotStatus({
@@ -43,62 +85,96 @@ const BookingInterface = () => {
         total: maxSlots
       });
     } catch (error) {
+      // Keep showing the last known status
       console.error('Error fetching live slot status:', error);
-      // Fallback to default values
-      setLiveSlotStatus({ available: 985, total: config.booking.maxSlotsPerDay });
     } finally {
       setIsLoadingSlotStatus(false);
     }
   };
 
-  // Fetch slots when date changes
+  // Fetch slots when date or location changes
   useEffect(() => {
-    if (selectedDate) {
-      fetchSlots(moment(selectedDate).format('YYYY-MM-DD'));
-      // Clear selected slot when date changes to prevent stale data
-      setSelectedSlot(null);
+    // Clear selected slot when date or location changes to prevent stale data
+    setSelectedSlot(null);
+    if (selectedDate && selectedLocation) {
+      fetchSlots(moment(selectedDate).format('YYYY-MM-DD'), selectedLocation);
+    } else {
+      setSlotsData(null);
     }
-  }, [selectedDate]);
+  }, [selectedDate, selectedLocation]);
+
+  // Subscribe to pushed seat counts for the selected location and date
+  useEffect(() => {
+    if (!selectedDate || !selectedLocation) return;
+    const unsubscribe = subscribeToSlots(
+      { date: moment(selectedDate).format('YYYY-MM-DD'), location: selectedLocation },
+      {
+        onUpdate: (update) => {
+          setSlotsData(prev => applySlotCounts(prev, update));
+          setLiveSlotStatus({
+            available: Math.max(0, update.maxBookings - update.totalBookings),
+            total: update.maxBookings
+          });
+        },
+        onStatus: setIsLive
+      }
+    );
+    return () => {
+      unsubscribe();
+      setIsLive(false);
+    };
+  }, [selectedDate, selectedLocation]);
 
-  // Fetch live slot status on component mount, when date changes, and every 30 seconds
+  // Fetch live slot status on component mount, when date or location changes, and every
+  // 30 seconds while no counts are being pushed
   useEffect(() => {
-    if (selectedDate) {
+    if (selectedDate && !isLive) {
       fetchLiveSlotStatus();
       const interval = setInterval(fetchLiveSlotStatus, 30000); // Update every 30 seconds
       return () => clearInterval(interval);
     }
-  }, [selectedDate]);
+  }, [selectedDate, selectedLocation, isLive]);
 
-  // Refresh slots data every 30 seconds to update booking status
+  // Refresh slots data every 30 seconds to update booking status. Pushed counts keep it
+  // current while the stream is up, so then it only picks up closures and cutoffs.
   useEffect(() => {
-    if (selectedDate) {
+    if (selectedDate && selectedLocation) {
       const interval = setInterval(() => {
-        fetchSlots(moment(selectedDate).format('YYYY-MM-DD'));
-      }, 30000); // Update every 30 seconds
+        fetchSlots(moment(selectedDate).format('YYYY-MM-DD'), selectedLocation);
+      }, isLive ? 300000 : 30000);
       return () => clearInterval(interval);
     }
-  }, [selectedDate]);
+  }, [selectedDate, selectedLocation, isLive]);
+
+  // Load the booking window once, to limit which dates the calendar offers
+  useEffect(() => {
+    bookingAPI.getBookingRules()
+      .then((response) => setBookingRules(response.data))
+      .catch((error) => console.error('Error fetching booking rules:', error));
+  }, []);
 
-  const fetchSlots = async (date) => {
+  const handleCalendarMonthChange = useCallback((from, to) => {
+    setCalendarRange({ from, to });
+  }, []);
+
+  // Fetch closures for the month on the calendar. Without a location only the
+  // closures that apply everywhere are relevant.
+  useEffect(() => {
+    if (!calendarRange) return;
+    bookingAPI.getClosures(calendarRange.from, calendarRange.to, selectedLocation || undefined)
+      .then((response) => {
+        setClosures(selectedLocation ? response.data : response.data.filter(closure => !closure.location));
+      })
+      .catch((error) => {
+        console.error('Error fetching closures:', error);
+      });
+  }, [calendarRange, selectedLocation]);
+
+  const fetchSlots = async (date, location) => {
     setLoading(true);
     try {
-      const response = await bookingAPI.getSlots(date);
-      
-      // Ensure allSlots exists, use fixed 10 slots if missing
-      let slotsData = response.data;
-      if (!slotsData.allSlots || slotsData.allSlots.length === 0) {
-        const timeSlots = [
-          '09:00', '09:30', '10:00', '10:30', '11:00', '11:30', 
-          '12:00', '15:00', '15:30', '16:00'
-        ];
-        
-        slotsData = {
-          ...slotsData,
-          allSlots: timeSlots
-        };
-      }
-      
-      setSlotsData(slotsData);
+      const response = await bookingAPI.getSlots(date, location);
+      setSlotsData(response.data);
     } catch (error) {
       toast.error('Failed to fetch available slots');
       console.error('Error fetching slots:', error);
@@ -108,8 +184,100 @@ const BookingInterface = () => {
     }
   };
 
-  const handleSlotSelect = (slot) => {
+  // Give the held seat back, if there is one
+  const releaseHold = useCallback(() => {
+    const current = holdRef.current;
+    holdRef.current = null;
+    holdRequestRef.current += 1;
+    setHold(null);
+    if (current) {
+      bookingAPI.releaseHold(current.token).catch(() => {});
+    }
+  }, []);
+
+  // The hold is for a slot on the selected date and location: give it back when either
+  // changes, or when the booker leaves the form
+  useEffect(() => releaseHold, [selectedDate, selectedLocation, releaseHold]);
+
+  // Tick the countdowns while a seat is held or requests are being turned away
+  useEffect(() => {
+    if (!hold && !rateLimitedUntil) return;
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [hold, rateLimitedUntil]);
+
+  const holdSecondsLeft = hold ? Math.max(0, Math.ceil((hold.expiresAt - now) / 1000)) : 0;
+  const rateLimitSecondsLeft = rateLimitedUntil ? Math.max(0, Math.ceil((rateLimitedUntil - now) / 1000)) : 0;
+
+  useEffect(() => {
+    if (rateLimitedUntil && rateLimitSecondsLeft === 0) {
+      setRateLimitedUntil(null);
+    }
+  }, [rateLimitedUntil, rateLimitSecondsLeft]);
+
+  // Start the wait if the server answered "too many requests", returning whether it did
+  const noteRateLimit = (error) => {
+    if (error.response?.status !== 429) return false;
+    const retryAfter = error.response.data?.retryAfter || parseInt(error.response.headers?.['retry-after']) || 60;
+    setNow(Date.now());
+    setRateLimitedUntil(Date.now() + retryAfter * 1000);
+    return true;
+  };
+
+  // Drop a pending weekly status check when the form goes away
+  useEffect(() => () => clearTimeout(weeklyStatusTimerRef.current), []);
+
+  const formatCountdown = (seconds) => `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+
+  useEffect(() => {
+    if (hold && holdSecondsLeft === 0) {
+      setHold(null);
+      toast.error('Your held seat has been released. You can still book if the slot has space.');
+    }
+  }, [hold, holdSecondsLeft]);
+
+  const handleSlotSelect = async (slot) => {
     setSelectedSlot(slot);
+
+    // Full slots are for the waitlist, and moving a booking does not hold a seat
+    const slotInfo = slotsData?.slotStatus?.find(s => s.time === slot);
+    if (rescheduling || !slotInfo || slotInfo.isFullyBooked) {
+      releaseHold();
+      return;
+    }
+    if (hold?.time_slot === slot) return;
+
+    const request = ++holdRequestRef.current;
+    try {
+      const response = await bookingAPI.holdSlot({
+        location: selectedLocation,
+        date: moment(selectedDate).format('YYYY-MM-DD'),
+        time_slot: slot,
+        holdToken: holdRef.current?.token
+      });
+      if (request !== holdRequestRef.current) {
+        // Another slot was picked in the meantime
+        bookingAPI.releaseHold(response.data.holdToken).catch(() => {});
+        return;
+      }
+      setNow(Date.now());
+      setHold({
+        token: response.data.holdToken,
+        time_slot: slot,
+        expiresAt: Date.now() + response.data.expiresIn * 1000
+      });
+    } catch (error) {
+      if (request !== holdRequestRef.current) return;
+      setHold(null);
+      if (noteRateLimit(error)) {
+        // Booking still works without a held seat while the slot has space
+        return;
+      }
+      const errorMessage = error.response?.data?.error || error.response?.data?.errors?.[0]?.msg || 'Failed to hold this slot';
+      toast.error(errorMessage);
+      // The slot may have just filled up
+      fetchSlots(moment(selectedDate).format('YYYY-MM-DD'), selectedLocation);
+    }
   };
 
   const handleInputChange = (e) => {
@@ -119,18 +287,73 @@ const BookingInterface = () => {
       [name]: value
     }));
     
-    // Check weekly booking status when phone changes
+    // Check weekly booking status once the phone number stops changing
     if (name === 'phone') {
       const phone = value;
+      clearTimeout(weeklyStatusTimerRef.current);
       
       if (phone && phone.trim()) {
-        checkWeeklyBookingStatus(phone, moment(selectedDate).format('YYYY-MM-DD'));
+        const date = moment(selectedDate).format('YYYY-MM-DD');
+        weeklyStatusTimerRef.current = setTimeout(() => checkWeeklyBookingStatus(phone, date), 500);
       } else {
         setWeeklyBookingStatus(null);
       }
     }
   };
 
+  const normalizedPhone = bookingForm.phone.replace(/\s/g, '');
+  const isPhoneVerified = verification !== null &&
+    verification.phone === normalizedPhone &&
+    verification.expiresAt > Date.now();
+
+  const handleSendOtp = async () => {
+    const phoneRegex = /^[+]?[1-9][\d]{0,15}$/;
+    if (!phoneRegex.test(normalizedPhone)) {
+      toast.error('Please enter a valid phone number');
+      return;
+    }
+
+    setIsSendingOtp(true);
+    try {
+      await bookingAPI.requestOtp(normalizedPhone);
+      setOtpSentTo(normalizedPhone);
+      setOtpCode('');
+      toast.success('Verification code sent');
+    } catch (error) {
+      noteRateLimit(error);
+      const errorMessage = error.response?.data?.error || error.response?.data?.errors?.[0]?.msg || 'Failed to send verification code';
+      toast.error(errorMessage);
+    } finally {
+      setIsSendingOtp(false);
+    }
+  };
+
+  const handleVerifyOtp = async () => {
+    if (!otpCode.trim()) {
+      toast.error('Please enter the code we sent you');
+      return;
+    }
+
+    setIsVerifyingOtp(true);
+    try {
+      const response = await bookingAPI.verifyOtp(otpSentTo, otpCode.trim());
+      setVerification({
+        phone: otpSentTo,
+        token: response.data.verificationToken,
+        expiresAt: Date.now() + response.data.expiresIn * 1000
+      });
+      setOtpSentTo(null);
+      setOtpCode('');
+      toast.success('Phone number verified');
+    } catch (error) {
+      noteRateLimit(error);
+      const errorMessage = error.response?.data?.error || error.response?.data?.errors?.[0]?.msg || 'Failed to verify code';
+      toast.error(errorMessage);
+    } finally {
+      setIsVerifyingOtp(false);
+    }
+  };
+
   const checkWeeklyBookingStatus = async (phone, date) => {
     if (!phone || !phone.trim()) return;
     
@@ -139,6 +362,7 @@ const BookingInterface = () => {
       const response = await bookingAPI.checkWeeklyStatus(phone, date);
       setWeeklyBookingStatus(response.data);
     } catch (error) {
+      noteRateLimit(error);
       console.error('Error checking weekly booking status:', error);
       setWeeklyBookingStatus(null);
     } finally {
@@ -162,11 +386,16 @@ const BookingInterface = () => {
 
     // Validate phone number
     const phoneRegex = /^[+]?[1-9][\d]{0,15}$/;
-    if (!phoneRegex.test(bookingForm.phone.replace(/\s/g, ''))) {
+    if (!phoneRegex.test(normalizedPhone)) {
       toast.error('Please enter a valid phone number');
       return;
     }
 
+    if (!isPhoneVerified) {
+      toast.error('Please verify your phone number first');
+      return;
+    }
+
     // Check weekly booking restriction
     try {
       const weeklyStatusResponse = await bookingAPI.checkWeeklyStatus(
@@ -174,56 +403,203 @@ const BookingInterface = () => {
         moment(selectedDate).format('YYYY-MM-DD')
       );
       
+      if (weeklyStatusResponse.data.blockedUntil) {
+        toast.error(weeklyStatusResponse.data.message);
+        return;
+      }
       if (weeklyStatusResponse.data.hasBookedThisWeek) {
         toast.error('You have already booked a slot this week. Only one booking per week is allowed.');
         return;
       }
     } catch (error) {
+      if (noteRateLimit(error)) {
+        toast.error(error.response.data.error);
+        return;
+      }
       console.error('Error checking weekly booking status:', error);
       // Continue with booking attempt - server will validate again
     }
 
     setIsBooking(true);
     try {
+      // Solve the server's proof-of-work challenge, which every submission needs
+      setIsCheckingBrowser(true);
+      let proof;
+      try {
+        proof = await proveBrowser();
+      } finally {
+        setIsCheckingBrowser(false);
+      }
+
       // Prepare booking data
       const bookingData = {
         name: bookingForm.name,
-        phone: bookingForm.phone,
+        phone: normalizedPhone,
         purpose: bookingForm.purpose,
         location: bookingForm.location,
         date: moment(selectedDate).format('YYYY-MM-DD'),
         time_slot: selectedSlot
       };
 
-      const response = await bookingAPI.createBooking(bookingData);
-      toast.success('Booking created successfully!');
-      
-      // Set booking confirmation data for QR code
-      setBookingConfirmation({
-        ...bookingData,
-        id: response.data.id || Date.now() // Use response ID or fallback
-      });
-      setShowQRModal(true);
+      if (isJoiningWaitlist) {
+        const response = await bookingAPI.joinWaitlist({ ...bookingData, ...proof, verificationToken: verification.token });
+        toast.success(`${response.data.message}. If a seat opens up, we will book it for you and text you the booking reference.`, { duration: 6000 });
+      } else {
+        const response = await bookingAPI.createBooking({
+          ...bookingData,
+          ...proof,
+          verificationToken: verification.token,
+          holdToken: hold?.token
+        });
+        toast.success('Booking created successfully!');
+        // The held seat is now the booking
+        holdRef.current = null;
+        setHold(null);
+
+        // Set booking confirmation data for QR code
+        setBookingConfirmation({
+          ...bookingData,
+          id: response.data.id || Date.now(), // Use response ID or fallback
+          reference: response.data.reference,
+          qr_token: response.data.booking?.qr_token
+        });
+        setShowQRModal(true);
+      }
       
-      // Reset form
-      setBookingForm({
+      // Reset form, keeping the location so its slots stay on screen
+      setBookingForm(prev => ({
         name: '',
         phone: '',
         purpose: '',
-        location: ''
-      });
+        location: prev.location
+      }));
       setSelectedSlot(null);
+      setVerification(null);
       
       // Refresh slots
-      fetchSlots(moment(selectedDate).format('YYYY-MM-DD'));
+      fetchSlots(moment(selectedDate).format('YYYY-MM-DD'), bookingData.location);
+    } catch (error) {
+      if (error.response?.status === 403) {
+        // Verification expired or was for another number
+        setVerification(null);
+      }
+      noteRateLimit(error);
+      const errorMessage = error.response?.data?.error || error.response?.data?.errors?.[0]?.msg ||
+        (isJoiningWaitlist ? 'Failed to join waitlist' : 'Failed to create booking');
+      toast.error(errorMessage);
+    } finally {
+      setIsBooking(false);
+    }
+  };
+
+  const handleReschedule = async () => {
+    if (!selectedSlot) {
+      toast.error('Please select a time slot');
+      return;
+    }
+    if (!isPhoneVerified) {
+      toast.error('Please verify your phone number first');
+      return;
+    }
+
+    setIsBooking(true);
+    try {
+      const { booking, phone } = rescheduling;
+      const response = await bookingAPI.rescheduleBooking(
+        phone,
+        booking.reference,
+        moment(selectedDate).format('YYYY-MM-DD'),
+        selectedSlot,
+        verification.token
+      );
+      toast.success(response.data.message);
+
+      setBookingConfirmation(response.data.booking);
+      setShowQRModal(true);
+      setSelectedSlot(null);
+      onRescheduleEnd();
+
+      fetchSlots(moment(selectedDate).format('YYYY-MM-DD'), booking.location);
     } catch (error) {
-      const errorMessage = error.response?.data?.error || error.response?.data?.errors?.[0]?.msg || 'Failed to create booking';
+      if (error.response?.status === 403) {
+        // Verification expired
+        setVerification(null);
+      }
+      noteRateLimit(error);
+      const errorMessage = error.response?.data?.error || error.response?.data?.errors?.[0]?.msg || 'Failed to reschedule booking';
       toast.error(errorMessage);
     } finally {
       setIsBooking(false);
     }
   };
 
+  // Dates the calendar offers: the booking window, narrowed to the booking's week when rescheduling
+  const windowStart = bookingRules ? moment(bookingRules.today) : moment();
+  const windowEnd = bookingRules ? moment(bookingRules.lastBookableDate) : null;
+  const calendarMinDate = (rescheduleWeek ? moment.max(windowStart, rescheduleWeek.start) : windowStart).toDate();
+  const calendarMaxDate = rescheduleWeek
+    ? (windowEnd ? moment.min(windowEnd, rescheduleWeek.end) : rescheduleWeek.end).toDate()
+    : windowEnd && windowEnd.toDate();
+
+  // Phone verification: a button to send a code, then the code field, then a tick
+  const phoneVerification = normalizedPhone && (isPhoneVerified ? (
+    <div className="mt-2 flex items-center text-sm text-green-700">
+      <ShieldCheck className="h-4 w-4 mr-1" />
+      Phone number verified
+    </div>
+  ) : otpSentTo === normalizedPhone ? (
+    <div className="mt-2 space-y-2">
+      <div className="flex gap-2">
+        <input
+          type="text"
+          inputMode="numeric"
+          autoComplete="one-time-code"
+          value={otpCode}
+          onChange={(e) => setOtpCode(e.target.value)}
+          className="input-field font-mono"
+          placeholder="Enter the 6-digit code"
+          maxLength={8}
+        />
+        <button
+          type="button"
+          onClick={handleVerifyOtp}
+          disabled={isVerifyingOtp}
+          className="btn-primary whitespace-nowrap disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {isVerifyingOtp ? 'Verifying...' : 'Verify'}
+        </button>
+      </div>
+      <button
+        type="button"
+        onClick={handleSendOtp}
+        disabled={isSendingOtp}
+        className="text-xs text-primary-600 hover:text-primary-800 disabled:opacity-50"
+      >
+        {isSendingOtp ? 'Sending...' : 'Send a new code'}
+      </button>
+    </div>
+  ) : (
+    <button
+      type="button"
+      onClick={handleSendOtp}
+      disabled={isSendingOtp}
+      className="btn-secondary w-full mt-2 flex items-center justify-center disabled:opacity-50 disabled:cursor-not-allowed"
+    >
+      <ShieldCheck className="h-4 w-4 mr-2" />
+      {isSendingOtp ? 'Sending code...' : 'Verify phone number'}
+    </button>
+  ));
+
+  // A full slot can be picked to join its waitlist instead of booking it
+  const selectedSlotInfo = slotsData?.slotStatus?.find(slot => slot.time === selectedSlot);
+  const isJoiningWaitlist = !rescheduling && !hold && !!selectedSlotInfo?.isFullyBooked;
+
+  // Share of today's seats still free, for the progress bar
+  const [availableSeats, totalSeats] = slotsData
+    ? [Math.max(0, slotsData.maxBookings - slotsData.totalBookings - (slotsData.totalHeld || 0)), slotsData.maxBookings]
+    : [liveSlotStatus.available, liveSlotStatus.total];
+  const availabilityPercent = totalSeats > 0 ? (availableSeats / totalSeats) * 100 : 0;
+
   // These functions are available for future use if needed
   // const isSlotAvailable = (slot) => {
   //   return slotsData?.availableSlots?.includes(slot);
@@ -236,13 +612,21 @@ const BookingInterface = () => {
   return (
     <div className="max-w-7xl mx-auto">
       <div className="text-center mb-8">
-        <h2 className="text-3xl font-bold text-gray-900 mb-2">Book Your Slot</h2>
-        <p className="text-gray-600">Select a date and time slot that works best for you</p>
+        <h2 className="text-3xl font-bold text-gray-900 mb-2">
+          {rescheduling ? 'Reschedule Your Booking' : 'Book Your Slot'}
+        </h2>
+        <p className="text-gray-600">
+          {rescheduling
+            ? `Pick a new slot at ${rescheduling.booking.location} between ${rescheduleWeek.start.format('MMM D')} and ${rescheduleWeek.end.format('MMM D')}`
+            : 'Select a date and time slot that works best for you'}
+        </p>
         
         {/* Live Slot Status */}
         <div className="mt-4 bg-blue-50 rounded-lg p-4 max-w-md mx-auto">
           <div className="flex items-center justify-between mb-2">
-            <h3 className="font-semibold text-blue-900 text-sm">Daily Booking Status</h3>
+            <h3 className="font-semibold text-blue-900 text-sm">
+              Daily Booking Status{selectedLocation ? ` • ${selectedLocation}` : ''}
+            </h3>
             <button
               onClick={fetchLiveSlotStatus}
               disabled={isLoadingSlotStatus}
@@ -254,12 +638,12 @@ const BookingInterface = () => {
           </div>
           <div className="text-center">
             <p className="text-lg font-bold text-green-600">
-              {slotsData ? (1200 - slotsData.totalBookings) : liveSlotStatus.available} / {slotsData ? 1200 : liveSlotStatus.total} are available
+              {availableSeats} / {totalSeats} are available
             </p>
             <div className="w-full bg-gray-200 rounded-full h-2 mt-2">
               <div 
                 className="bg-green-500 h-2 rounded-full transition-all duration-300"
-                style={{ width: `${slotsData ? ((1200 - slotsData.totalBookings) / 1200) * 100 : (liveSlotStatus.available / liveSlotStatus.total) * 100}%` }}
+                style={{ width: `${availabilityPercent}%` }}
               ></div>
             </div>
             <p className="text-xs text-gray-500 mt-1">
@@ -275,11 +659,84 @@ const BookingInterface = () => {
           <CustomCalendar
             selectedDate={selectedDate}
             onDateSelect={setSelectedDate}
-            minDate={new Date()}
+            minDate={calendarMinDate}
+            maxDate={calendarMaxDate}
+            closures={closures}
+            onMonthChange={handleCalendarMonthChange}
           />
         </div>
 
-        {/* Middle Column - Booking Form */}
+        {/* Middle Column - Booking Form, or the booking being moved */}
+        {rescheduling ? (
+        <div className="card order-3 lg:order-2">
+          <div className="flex items-center mb-4">
+            <CalendarClock className="h-5 w-5 text-primary-600 mr-2" />
+            <h3 className="text-lg font-semibold text-gray-900">Reschedule Booking</h3>
+          </div>
+
+          <div className="space-y-2 text-sm mb-4">
+            <div className="flex justify-between">
+              <span className="text-gray-600">Reference:</span>
+              <span className="font-mono font-bold">{rescheduling.booking.reference}</span>
+            </div>
+            <div className="flex justify-between">
+              <span className="text-gray-600">Name:</span>
+              <span className="font-medium">{rescheduling.booking.name}</span>
+            </div>
+            <div className="flex justify-between">
+              <span className="text-gray-600">Current slot:</span>
+              <span className="font-medium">
+                {moment(rescheduling.booking.date).format('MMM D, YYYY')} at {rescheduling.booking.time_slot}
+              </span>
+            </div>
+          </div>
+
+          <div className="mb-4">
+            <p className="text-sm text-gray-600">
+              <Phone className="h-4 w-4 inline mr-1" />
+              {rescheduling.phone}
+            </p>
+            {phoneVerification}
+          </div>
+
+          {selectedSlot && (
+            <div className="bg-primary-50 border border-primary-200 rounded-lg p-4 mb-4">
+              <p className="text-sm text-primary-800">
+                <strong>New Slot:</strong> {moment(selectedDate).format('MMMM D, YYYY')} at {selectedSlot}
+              </p>
+            </div>
+          )}
+
+          {rateLimitedUntil && (
+            <div className="bg-amber-50 border border-amber-200 rounded-lg p-4 mb-4 flex items-start">
+              <Hourglass className="h-4 w-4 text-amber-600 mr-2 mt-0.5 flex-shrink-0" />
+              <p className="text-sm text-amber-800">
+                We've received too many requests from you in a short time. Please wait {formatCountdown(rateLimitSecondsLeft)} before trying again.
+              </p>
+            </div>
+          )}
+
+          <div className="space-y-3">
+            <button
+              onClick={handleReschedule}
+              disabled={!selectedSlot || isBooking || !isPhoneVerified || rateLimitedUntil !== null}
+              className="btn-primary w-full disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {isBooking ? 'Moving Booking...' :
+               rateLimitedUntil ? `Try Again in ${formatCountdown(rateLimitSecondsLeft)}` :
+               !isPhoneVerified ? 'Verify Phone to Reschedule' :
+               'Confirm New Slot'}
+            </button>
+            <button
+              onClick={onRescheduleEnd}
+              disabled={isBooking}
+              className="btn-secondary w-full"
+            >
+              Keep Current Slot
+            </button>
+          </div>
+        </div>
+        ) : (
         <div className="card order-3 lg:order-2">
           <div className="flex items-center mb-4">
             <CheckCircle className="h-5 w-5 text-primary-600 mr-2" />
@@ -317,6 +774,8 @@ const BookingInterface = () => {
                 placeholder="Enter your phone number"
                 required
               />
+
+              {phoneVerification}
               
               {/* Weekly Booking Status */}
               {isCheckingWeeklyStatus && (
@@ -330,12 +789,17 @@ const BookingInterface = () => {
               
               {weeklyBookingStatus && !isCheckingWeeklyStatus && (
                 <div className={`mt-2 p-2 rounded-md text-sm ${
-                  weeklyBookingStatus.hasBookedThisWeek 
+                  !weeklyBookingStatus.canBook 
                     ? 'bg-red-50 text-red-700 border border-red-200' 
                     : 'bg-green-50 text-green-700 border border-green-200'
                 }`}>
                   <div className="flex items-center">
-                    {weeklyBookingStatus.hasBookedThisWeek ? (
+                    {weeklyBookingStatus.blockedUntil ? (
+                      <>
+                        <span className="text-red-500 mr-1">⚠️</span>
+                        <span>{weeklyBookingStatus.message}</span>
+                      </>
+                    ) : weeklyBookingStatus.hasBookedThisWeek ? (
                       <>
                         <span className="text-red-500 mr-1">⚠️</span>
                         <span>You have already booked a slot this week</span>
@@ -383,20 +847,9 @@ const BookingInterface = () => {
                 required
               >
                 <option value="" disabled>Select location</option>
-                <option value="Almora">Almora</option>
-                <option value="Bageshwar">Bageshwar</option>
-                <option value="Chamoli">Chamoli</option>
-                <option value="Champawat">Champawat</option>
-                <option value="Dehradun">Dehradun</option>
-                <option value="Haridwar">Haridwar</option>
-                <option value="Nainital">Nainital</option>
-                <option value="Pauri Garhwal">Pauri Garhwal</option>
-                <option value="Pithoragarh">Pithoragarh</option>
-                <option value="Rudraprayag">Rudraprayag</option>
-                <option value="Tehri Garhwal">Tehri Garhwal</option>
-                <option value="Uttarkashi">Uttarkashi</option>
-                <option value="Udham Singh Nagar">Udham Singh Nagar</option>
-                <option value="Others">Others</option>
+                {config.locations.map((location) => (
+                  <option key={location} value={location}>{location}</option>
+                ))}
               </select>
             </div>
 
@@ -405,31 +858,60 @@ const BookingInterface = () => {
                 <p className="text-sm text-primary-800">
                   <strong>Selected Slot:</strong> {selectedDateRef.current.toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' })} at {selectedSlot}
                 </p>
+                {hold && (
+                  <p className="text-xs text-primary-700 mt-1 flex items-center">
+                    <Timer className="h-3 w-3 mr-1" />
+                    Seat held for you for {formatCountdown(holdSecondsLeft)}
+                  </p>
+                )}
+                {isJoiningWaitlist && (
+                  <p className="text-xs text-primary-700 mt-1">
+                    This slot is full. Join the waitlist and you will be booked in automatically if a seat opens up.
+                  </p>
+                )}
+              </div>
+            )}
+
+            {rateLimitedUntil && (
+              <div className="bg-amber-50 border border-amber-200 rounded-lg p-4 flex items-start">
+                <Hourglass className="h-4 w-4 text-amber-600 mr-2 mt-0.5 flex-shrink-0" />
+                <p className="text-sm text-amber-800">
+                  We've received too many requests from you in a short time. Please wait {formatCountdown(rateLimitSecondsLeft)} before trying again.
+                </p>
               </div>
             )}
 
                          <button
                type="submit"
-               disabled={!selectedSlot || isBooking || (weeklyBookingStatus && weeklyBookingStatus.hasBookedThisWeek)}
+               disabled={!selectedSlot || isBooking || !isPhoneVerified || (weeklyBookingStatus && !weeklyBookingStatus.canBook) || rateLimitedUntil !== null}
                className="btn-primary w-full disabled:opacity-50 disabled:cursor-not-allowed"
              >
-               {isBooking ? 'Creating Booking...' : 
+               {isCheckingBrowser ? 'Checking your browser...' :
+                isBooking ? (isJoiningWaitlist ? 'Joining Waitlist...' : 'Creating Booking...') : 
+                rateLimitedUntil ? `Try Again in ${formatCountdown(rateLimitSecondsLeft)}` : 
+                (weeklyBookingStatus && weeklyBookingStatus.blockedUntil) ? 'Booking Blocked' :
                 (weeklyBookingStatus && weeklyBookingStatus.hasBookedThisWeek) ? 'Already Booked This Week' : 
+                !isPhoneVerified ? 'Verify Phone to Book' :
+                isJoiningWaitlist ? 'Join Waitlist' :
                 'Confirm Booking'}
              </button>
           </form>
         </div>
+        )}
 
         {/* Right Column - Time Slots */}
         <div className="card order-2 lg:order-3">
           <div className="flex items-center justify-between mb-4">
             <div className="flex items-center">
               <Clock className="h-5 w-5 text-primary-600 mr-2" />
-              <h3 className="text-lg font-semibold text-gray-900">Available Time Slots</h3>
+              <div>
+                <h3 className="text-lg font-semibold text-gray-900">Available Time Slots</h3>
+                {selectedLocation && <p className="text-xs text-gray-500">{selectedLocation}</p>}
+              </div>
             </div>
                          {slotsData && (
                <div className="text-sm text-gray-500">
-                 {1200 - slotsData.totalBookings}/1200 available • {slotsData.availableSlots.length} slots open
+                 {Math.max(0, slotsData.maxBookings - slotsData.totalBookings - (slotsData.totalHeld || 0))}/{slotsData.maxBookings} available • {slotsData.availableSlots.length} slots open
                </div>
              )}
           </div>
@@ -438,16 +920,68 @@ const BookingInterface = () => {
             <div className="flex justify-center py-8">
               <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
             </div>
+          ) : slotsData?.closure ? (
+            <div className="text-center py-8 text-gray-500">
+              <p className="font-medium text-gray-700">Closed on this date</p>
+              <p className="text-sm mt-1">{slotsData.closure.reason}</p>
+            </div>
+          ) : slotsData?.bookingClosedReason ? (
+            <div className="text-center py-8 text-gray-500">
+              <p className="font-medium text-gray-700">Not open for booking</p>
+              <p className="text-sm mt-1">{slotsData.bookingClosedReason}</p>
+            </div>
           ) : slotsData ? (
                          <div className="grid grid-cols-2 gap-3">
                {(slotsData.slotStatus || []).map((slotInfo) => {
                  const isSelected = selectedSlot === slotInfo.time;
-                 const isFullyBooked = slotInfo.isFullyBooked;
+                 // The booker's own hold may have taken the last seat
+                 const isHeldByMe = hold?.time_slot === slotInfo.time;
+                 const isFullyBooked = slotInfo.isFullyBooked && !isHeldByMe;
                  const isAvailable = slotInfo.isAvailable;
                  
 
                  
-                 if (isFullyBooked) {
+                 if (slotInfo.isClosed) {
+                   return (
+                     <div
+                       key={slotInfo.time}
+                       className="p-3 text-sm font-medium rounded-lg border border-gray-200 bg-gray-100 text-gray-400 flex flex-col items-center justify-center cursor-not-allowed"
+                       title={`Closed: ${slotInfo.closureReason}`}
+                     >
+                       <span className="font-bold">{slotInfo.time}</span>
+                       <span className="text-xs">Closed</span>
+                       <span className="text-xs truncate max-w-full">{slotInfo.closureReason}</span>
+                     </div>
+                   );
+                 } else if (slotInfo.isPastCutoff) {
+                   return (
+                     <div
+                       key={slotInfo.time}
+                       className="p-3 text-sm font-medium rounded-lg border border-gray-200 bg-gray-100 text-gray-400 flex flex-col items-center justify-center cursor-not-allowed"
+                       title="Bookings for this slot have closed"
+                     >
+                       <span className="font-bold">{slotInfo.time}</span>
+                       <span className="text-xs">Booking closed</span>
+                     </div>
+                   );
+                 } else if (isFullyBooked && !rescheduling) {
+                   return (
+                     <button
+                       key={slotInfo.time}
+                       onClick={() => handleSlotSelect(slotInfo.time)}
+                       className={`p-3 text-sm font-medium rounded-lg border transition-all duration-200 flex flex-col items-center justify-center ${
+                         isSelected ? 'slot-selected' : 'slot-booked cursor-pointer'
+                       }`}
+                       title="This slot is fully booked - select it to join the waitlist"
+                     >
+                       <span className="font-bold">{slotInfo.time}</span>
+                       <span className="text-xs opacity-75">Fully Booked</span>
+                       <span className="text-xs opacity-75">
+                         Join waitlist{slotInfo.waitlistCount > 0 && ` (${slotInfo.waitlistCount} waiting)`}
+                       </span>
+                     </button>
+                   );
+                 } else if (isFullyBooked) {
                    return (
                      <div
                        key={slotInfo.time}
@@ -456,7 +990,7 @@ const BookingInterface = () => {
                      >
                        <span className="font-bold">{slotInfo.time}</span>
                        <span className="text-xs opacity-75">Fully Booked</span>
-                       <span className="text-xs opacity-75">0/120 available</span>
+                       <span className="text-xs opacity-75">0/{slotInfo.maxCapacity} available</span>
                      </div>
                    );
                  } else {
@@ -472,7 +1006,9 @@ const BookingInterface = () => {
                        title={`${slotInfo.availableSpots} spots available`}
                      >
                        <span className="font-bold">{slotInfo.time}</span>
-                       <span className="text-xs opacity-75">{120 - slotInfo.bookingCount}/120 available</span>
+                       <span className="text-xs opacity-75">
+                         {isHeldByMe ? 'Held for you' : `${slotInfo.availableSpots}/${slotInfo.maxCapacity} available`}
+                       </span>
                      </button>
                    );
                  }
@@ -485,7 +1021,9 @@ const BookingInterface = () => {
               )}
             </div>
           ) : (
-            <p className="text-gray-500 text-center py-4">Select a date to view available slots</p>
+            <p className="text-gray-500 text-center py-4">
+              {selectedLocation ? 'Select a date to view available slots' : 'Select a location to view available slots'}
+            </p>
           )}
         </div>
       </div>
@@ -0,0 +1,246 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { closureAPI } from '../services/api';
+import { toast } from 'react-hot-toast';
+import { CalendarOff, Trash2 } from 'lucide-react';
+import moment from 'moment';
+import { config } from '../config';
+
+const emptyForm = () => ({
+  date: moment().add(1, 'day').format('YYYY-MM-DD'),
+  fullDay: true,
+  start_time: '09:00',
+  end_time: '12:00',
+  location: '',
+  reason: ''
+});
+
+const ClosuresManager = ({ currentAdmin }) => {
+  const [closures, setClosures] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [form, setForm] = useState(emptyForm);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const canManage = currentAdmin?.role === 'super_admin' || currentAdmin?.role === 'operator';
+  // Location-scoped admins can only close their own locations, never everywhere
+  const scopedLocations = currentAdmin?.role !== 'super_admin' && currentAdmin?.locations.length > 0
+    ? currentAdmin.locations
+    : null;
+
+  const fetchClosures = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await closureAPI.getClosures();
+      setClosures(response.data);
+    } catch (error) {
+      toast.error('Failed to fetch closures');
+      console.error('Error fetching closures:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchClosures();
+  }, [fetchClosures]);
+
+  const handleInputChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setForm(prev => ({
+      ...prev,
+      [name]: type === 'checkbox' ? checked : value
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const closureData = {
+      date: form.date,
+      location: form.location || (scopedLocations ? scopedLocations[0] : null),
+      reason: form.reason
+    };
+    if (!form.fullDay) {
+      closureData.start_time = form.start_time;
+      closureData.end_time = form.end_time;
+    }
+
+    setIsSaving(true);
+    try {
+      const response = await closureAPI.createClosure(closureData);
+      toast.success(response.data.message);
+      setForm(emptyForm());
+      fetchClosures();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to add closure');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async (closure) => {
+    if (!window.confirm(`Reopen ${moment(closure.date).format('MMM D, YYYY')} (${closure.reason})?`)) {
+      return;
+    }
+
+    try {
+      const response = await closureAPI.deleteClosure(closure.id);
+      toast.success(response.data.message);
+      fetchClosures();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to remove closure');
+    }
+  };
+
+  return (
+    <div className={`grid grid-cols-1 gap-6 ${canManage ? 'lg:grid-cols-3' : ''}`}>
+      {/* New closure form */}
+      {canManage && (
+        <div className="card">
+          <div className="flex items-center mb-4">
+            <CalendarOff className="h-5 w-5 text-primary-600 mr-2" />
+            <h3 className="text-lg font-semibold text-gray-900">New Closure</h3>
+          </div>
+
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Date</label>
+              <input
+                type="date"
+                name="date"
+                value={form.date}
+                min={moment().format('YYYY-MM-DD')}
+                onChange={handleInputChange}
+                className="input-field"
+                required
+              />
+            </div>
+
+            <label className="flex items-center text-sm text-gray-700">
+              <input
+                type="checkbox"
+                name="fullDay"
+                checked={form.fullDay}
+                onChange={handleInputChange}
+                className="mr-2"
+              />
+              Whole day
+            </label>
+
+            {!form.fullDay && (
+              <div className="grid grid-cols-2 gap-2">
+                <div>
+                  <label className="block text-xs text-gray-500 mb-1">From</label>
+                  <input type="time" name="start_time" value={form.start_time} onChange={handleInputChange} className="input-field" />
+                </div>
+                <div>
+                  <label className="block text-xs text-gray-500 mb-1">Until</label>
+                  <input type="time" name="end_time" value={form.end_time} onChange={handleInputChange} className="input-field" />
+                </div>
+              </div>
+            )}
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Location</label>
+              <select
+                name="location"
+                value={form.location}
+                onChange={handleInputChange}
+                className="input-field"
+              >
+                {!scopedLocations && <option value="">All locations</option>}
+                {(scopedLocations || config.locations).map((location) => (
+                  <option key={location} value={location}>{location}</option>
+                ))}
+              </select>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Reason</label>
+              <input
+                type="text"
+                name="reason"
+                value={form.reason}
+                onChange={handleInputChange}
+                className="input-field"
+                placeholder="e.g. Public holiday"
+                maxLength={255}
+                required
+              />
+            </div>
+
+            <button
+              type="submit"
+              disabled={isSaving}
+              className="btn-primary w-full disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {isSaving ? 'Saving...' : 'Add Closure'}
+            </button>
+          </form>
+        </div>
+      )}
+
+      {/* Upcoming closures table */}
+      <div className={`card ${canManage ? 'lg:col-span-2' : ''}`}>
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold text-gray-900">Upcoming Closures</h3>
+          <span className="text-sm text-gray-500">
+            {closures.length} closure{closures.length !== 1 ? 's' : ''}
+          </span>
+        </div>
+
+        {loading ? (
+          <div className="flex justify-center py-8">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+          </div>
+        ) : closures.length === 0 ? (
+          <p className="text-gray-500 text-center py-4">No upcoming closures.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Hours</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Location</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Reason</th>
+                  {canManage && (
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                  )}
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {closures.map((closure) => (
+                  <tr key={closure.id} className="hover:bg-gray-50">
+                    <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                      {moment(closure.date).format('MMM D, YYYY')}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                      {closure.start_time ? `${closure.start_time} - ${closure.end_time}` : 'Whole day'}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{closure.location || 'All'}</td>
+                    <td className="px-6 py-4 text-sm text-gray-900">{closure.reason}</td>
+                    {canManage && (
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        {(!scopedLocations || closure.location) && (
+                          <button
+                            onClick={() => handleDelete(closure)}
+                            className="text-red-600 hover:text-red-800 transition-colors"
+                            title="Remove Closure"
+                          >
+                            <Trash2 className="h-5 w-5" />
+                          </button>
+                        )}
+                      </td>
+                    )}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ClosuresManager;
@@ -2,7 +2,7 @@ import React from 'react';
 import moment from 'moment';
 import { ChevronLeft, ChevronRight } from 'lucide-react';
 
-const CustomCalendar = ({ selectedDate, onDateSelect, minDate }) => {
+const CustomCalendar = ({ selectedDate, onDateSelect, minDate, maxDate, closures = [], onMonthChange }) => {
   const [currentMonth, setCurrentMonth] = React.useState(moment());
 
   const startOfMonth = currentMonth.clone().startOf('month');
@@ -18,12 +18,45 @@ const CustomCalendar = ({ selectedDate, onDateSelect, minDate }) => {
     day.add(1, 'day');
   }
 
+  // Let the parent load closures for the visible range
+  const rangeStart = startDate.format('YYYY-MM-DD');
+  const rangeEnd = endDate.format('YYYY-MM-DD');
+  React.useEffect(() => {
+    if (onMonthChange) {
+      onMonthChange(rangeStart, rangeEnd);
+    }
+  }, [rangeStart, rangeEnd, onMonthChange]);
+
   const weekDays = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
 
+  const closuresOn = (date) => closures.filter(closure => closure.date === date.format('YYYY-MM-DD'));
+  // A whole-day closure shuts the date; closures with hours only shut some slots
+  const dayClosure = (date) => closuresOn(date).find(closure => !closure.start_time);
+  const hasPartialClosure = (date) => closuresOn(date).some(closure => closure.start_time);
+
   const isToday = (date) => moment().isSame(date, 'day');
   const isSelected = (date) => selectedDate && moment(selectedDate).isSame(date, 'day');
   const isCurrentMonth = (date) => date.isSame(currentMonth, 'month');
-  const isDisabled = (date) => date.isBefore(moment(), 'day');
+  const isPast = (date) => date.isBefore(moment(minDate), 'day');
+  // Dates after maxDate are not open for booking yet
+  const isTooFar = (date) => !!maxDate && date.isAfter(moment(maxDate), 'day');
+  const isDisabled = (date) => isPast(date) || isTooFar(date) || !!dayClosure(date);
+
+  const dayTitle = (date) => {
+    if (isPast(date)) return undefined;
+    if (isTooFar(date)) return 'Not open for booking yet';
+    const closure = dayClosure(date);
+    if (closure) return `Closed: ${closure.reason}`;
+    const partial = closuresOn(date).filter(c => c.start_time);
+    return partial.length > 0
+      ? partial.map(c => `${c.start_time}-${c.end_time} closed: ${c.reason}`).join('\n')
+      : undefined;
+  };
+
+  // Whole-day closures in the month on screen, listed with their reasons
+  const monthClosures = closures.filter(closure =>
+    !closure.start_time && moment(closure.date).isSame(currentMonth, 'month') && !isPast(moment(closure.date))
+  );
 
   const handleDateClick = (date) => {
     if (!isDisabled(date)) {
@@ -31,6 +64,10 @@ const CustomCalendar = ({ selectedDate, onDateSelect, minDate }) => {
     }
   };
 
+  // Only months with bookable dates can be shown
+  const canGoBack = currentMonth.isAfter(moment(minDate), 'month');
+  const canGoForward = !maxDate || currentMonth.isBefore(moment(maxDate), 'month');
+
   const previousMonth = () => {
     setCurrentMonth(currentMonth.clone().subtract(1, 'month'));
   };
@@ -46,7 +83,8 @@ const CustomCalendar = ({ selectedDate, onDateSelect, minDate }) => {
         <div className="flex items-center space-x-2">
           <button
             onClick={previousMonth}
-            className="p-2 hover:bg-gray-100 rounded-lg transition-colors duration-200"
+            disabled={!canGoBack}
+            className="p-2 hover:bg-gray-100 rounded-lg transition-colors duration-200 disabled:opacity-30 disabled:cursor-not-allowed"
           >
             <ChevronLeft className="h-4 w-4 text-gray-600" />
           </button>
@@ -55,7 +93,8 @@ const CustomCalendar = ({ selectedDate, onDateSelect, minDate }) => {
           </span>
           <button
             onClick={nextMonth}
-            className="p-2 hover:bg-gray-100 rounded-lg transition-colors duration-200"
+            disabled={!canGoForward}
+            className="p-2 hover:bg-gray-100 rounded-lg transition-colors duration-200 disabled:opacity-30 disabled:cursor-not-allowed"
           >
             <ChevronRight className="h-4 w-4 text-gray-600" />
           </button>
@@ -81,9 +120,12 @@ const CustomCalendar = ({ selectedDate, onDateSelect, minDate }) => {
             key={index}
             onClick={() => handleDateClick(day)}
             disabled={isDisabled(day)}
+            title={dayTitle(day)}
             className={`
               relative p-3 text-sm font-medium rounded-lg transition-all duration-200
-              ${isDisabled(day)
+              ${!isPast(day) && dayClosure(day)
+                ? 'bg-gray-100 text-gray-400 line-through cursor-not-allowed'
+                : isDisabled(day)
                 ? 'text-gray-300 cursor-not-allowed'
                 : isSelected(day)
                 ? 'bg-primary-600 text-white shadow-md'
@@ -99,6 +141,9 @@ const CustomCalendar = ({ selectedDate, onDateSelect, minDate }) => {
             {isToday(day) && !isSelected(day) && (
               <div className="absolute bottom-1 left-1/2 transform -translate-x-1/2 w-1 h-1 bg-primary-600 rounded-full"></div>
             )}
+            {!isDisabled(day) && hasPartialClosure(day) && (
+              <div className="absolute top-1 right-1 w-1.5 h-1.5 bg-amber-500 rounded-full"></div>
+            )}
           </button>
         ))}
       </div>
@@ -114,7 +159,24 @@ const CustomCalendar = ({ selectedDate, onDateSelect, minDate }) => {
             <div className="w-3 h-3 bg-primary-100 rounded"></div>
             <span>Today</span>
           </div>
+          <div className="flex items-center space-x-1">
+            <div className="w-3 h-3 bg-gray-100 rounded"></div>
+            <span>Closed</span>
+          </div>
+          <div className="flex items-center space-x-1">
+            <div className="w-1.5 h-1.5 bg-amber-500 rounded-full"></div>
+            <span>Partly closed</span>
+          </div>
         </div>
+        {monthClosures.length > 0 && (
+          <ul className="mt-3 space-y-1 text-xs text-gray-600">
+            {monthClosures.map((closure) => (
+              <li key={`${closure.date}-${closure.location || 'all'}`}>
+                <span className="font-medium">{moment(closure.date).format('MMM D')}</span> - closed: {closure.reason}
+              </li>
+            ))}
+          </ul>
+        )}
       </div>
     </div>
   );
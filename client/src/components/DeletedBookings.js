@@ -0,0 +1,128 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { bookingAPI } from '../services/api';
+import { toast } from 'react-hot-toast';
+import { Trash2, RotateCcw } from 'lucide-react';
+import moment from 'moment';
+
+const DeletedBookings = ({ currentAdmin, onRestored }) => {
+  const [bookings, setBookings] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [restoringId, setRestoringId] = useState(null);
+
+  const canRestore = currentAdmin?.role === 'super_admin' || currentAdmin?.role === 'operator';
+
+  const fetchDeleted = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await bookingAPI.getDeletedBookings();
+      setBookings(response.data);
+    } catch (error) {
+      toast.error('Failed to fetch deleted bookings');
+      console.error('Error fetching deleted bookings:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchDeleted();
+  }, [fetchDeleted]);
+
+  const handleRestore = async (booking) => {
+    if (!window.confirm(`Restore the booking for "${booking.name}"?`)) {
+      return;
+    }
+
+    setRestoringId(booking.id);
+    try {
+      const response = await bookingAPI.restoreBooking(booking.id);
+      toast.success(response.data.message);
+      fetchDeleted();
+      if (onRestored) onRestored();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to restore booking');
+    } finally {
+      setRestoringId(null);
+    }
+  };
+
+  return (
+    <div className="card">
+      <div className="flex items-center justify-between mb-2">
+        <div className="flex items-center">
+          <Trash2 className="h-5 w-5 text-primary-600 mr-2" />
+          <h3 className="text-lg font-semibold text-gray-900">Deleted Bookings</h3>
+        </div>
+        <span className="text-sm text-gray-500">
+          {bookings.length} booking{bookings.length !== 1 ? 's' : ''}
+        </span>
+      </div>
+
+      <p className="text-sm text-gray-500 mb-4">
+        Deleted bookings free their seats. A confirmed booking can only be restored while its slot still has a seat free and the booker has no other booking that week.
+      </p>
+
+      {loading ? (
+        <div className="flex justify-center py-8">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+        </div>
+      ) : bookings.length === 0 ? (
+        <p className="text-gray-500 text-center py-4">No bookings have been deleted.</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Booking</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Slot</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Deleted</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Reason</th>
+                {canRestore && (
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                )}
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {bookings.map((booking) => (
+                <tr key={booking.id} className="hover:bg-gray-50">
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <div className="text-sm font-medium text-gray-900">{booking.name}</div>
+                    <div className="text-sm text-gray-500">{booking.phone}</div>
+                    <div className="text-xs text-gray-400">
+                      {booking.reference}
+                      {booking.status === 'cancelled' && ' • Cancelled'}
+                    </div>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                    <div>{moment(booking.date).format('MMM D, YYYY')} at {booking.time_slot.substring(0, 5)}</div>
+                    <div className="text-gray-500">{booking.location}</div>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                    <div>{moment(booking.deleted_at).format('MMM D, YYYY HH:mm')}</div>
+                    <div>by {booking.deleted_by_username || 'a removed admin'}</div>
+                  </td>
+                  <td className="px-6 py-4 text-sm text-gray-900 max-w-xs break-words">{booking.deleted_reason}</td>
+                  {canRestore && (
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <button
+                        onClick={() => handleRestore(booking)}
+                        disabled={restoringId === booking.id}
+                        className="text-primary-600 hover:text-primary-800 transition-colors flex items-center text-sm disabled:opacity-50"
+                        title="Restore Booking"
+                      >
+                        <RotateCcw className="h-4 w-4 mr-1" />
+                        Restore
+                      </button>
+                    </td>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DeletedBookings;
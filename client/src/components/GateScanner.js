@@ -0,0 +1,332 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { bookingAPI, checkinAPI, adminSession } from '../services/api';
+import { toast } from 'react-hot-toast';
+import { Camera, CameraOff, CheckCircle, XCircle, Hash, Users, RefreshCw } from 'lucide-react';
+import moment from 'moment';
+import AdminLogin from './AdminLogin';
+import { config } from '../config';
+
+// Headline shown for each check-in result from the server
+const RESULT_LABELS = {
+  valid: 'Valid - let in',
+  wrong_day: 'Wrong day',
+  wrong_slot: 'Wrong slot',
+  already_used: 'Already used',
+  cancelled: 'Cancelled'
+};
+
+// Ignore the same QR code while it stays in front of the camera
+const RESCAN_DELAY_MS = 4000;
+
+const GateScanner = () => {
+  const [admin, setAdmin] = useState(null);
+  const [location, setLocation] = useState('');
+  const [cameraOn, setCameraOn] = useState(false);
+  const [manualId, setManualId] = useState('');
+  const [isChecking, setIsChecking] = useState(false);
+  const [lastResult, setLastResult] = useState(null);
+  const [slotStatus, setSlotStatus] = useState(null);
+
+  const videoRef = useRef(null);
+  const lastScanRef = useRef({ value: null, at: 0 });
+  const isCheckingRef = useRef(false);
+
+  const canCheckIn = admin?.role === 'super_admin' || admin?.role === 'operator';
+  const scannerSupported = typeof window !== 'undefined' && 'BarcodeDetector' in window;
+  // Location-scoped admins only see their own locations
+  const locations = admin && admin.role !== 'super_admin' && admin.locations.length > 0
+    ? admin.locations
+    : config.locations;
+
+  // Restore a stored session on mount, and drop back to the login form when it expires
+  useEffect(() => {
+    if (adminSession.getToken()) {
+      bookingAPI.getSession()
+        .then((response) => setAdmin(response.data.admin))
+        .catch(() => adminSession.clear());
+    }
+
+    const handleSessionExpired = () => {
+      setAdmin(null);
+      setCameraOn(false);
+      toast.error('Your session has expired. Please log in again.');
+    };
+    window.addEventListener('admin-session-expired', handleSessionExpired);
+    return () => window.removeEventListener('admin-session-expired', handleSessionExpired);
+  }, []);
+
+  // Default to the admin's own location when they only have one
+  useEffect(() => {
+    if (admin && !location && locations.length === 1) {
+      setLocation(locations[0]);
+    }
+  }, [admin, location, locations]);
+
+  const fetchSlotStatus = useCallback(async () => {
+    try {
+      const response = await checkinAPI.getStatus(location);
+      setSlotStatus(response.data);
+    } catch (error) {
+      // Keep showing the last known count
+      console.error('Error fetching check-in status:', error);
+    }
+  }, [location]);
+
+  // Live counter for the current slot
+  useEffect(() => {
+    if (!admin) return;
+    fetchSlotStatus();
+    const interval = setInterval(fetchSlotStatus, 15000);
+    return () => clearInterval(interval);
+  }, [admin, fetchSlotStatus]);
+
+  const checkIn = useCallback(async (request) => {
+    if (isCheckingRef.current) return;
+    isCheckingRef.current = true;
+    setIsChecking(true);
+    try {
+      const response = await checkinAPI.checkIn(request);
+      setLastResult(response.data);
+      fetchSlotStatus();
+    } catch (error) {
+      const data = error.response?.data;
+      setLastResult({
+        result: data?.result || 'invalid',
+        message: data?.error || data?.errors?.[0]?.msg || 'Check-in failed',
+        booking: data?.booking || null
+      });
+    } finally {
+      isCheckingRef.current = false;
+      setIsChecking(false);
+    }
+  }, [fetchSlotStatus]);
+
+  // Read QR codes from the camera while it is on
+  useEffect(() => {
+    if (!cameraOn) return;
+
+    let stream = null;
+    let interval = null;
+    let cancelled = false;
+
+    const start = async () => {
+      try {
+        stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } });
+        if (cancelled) return;
+        videoRef.current.srcObject = stream;
+        await videoRef.current.play();
+
+        const detector = new window.BarcodeDetector({ formats: ['qr_code'] });
+        interval = setInterval(async () => {
+          if (isCheckingRef.current || !videoRef.current || videoRef.current.readyState < 2) return;
+          try {
+            const codes = await detector.detect(videoRef.current);
+            const value = codes[0]?.rawValue;
+            if (!value) return;
+
+            const now = Date.now();
+            if (value === lastScanRef.current.value && now - lastScanRef.current.at < RESCAN_DELAY_MS) return;
+            lastScanRef.current = { value, at: now };
+            checkIn({ token: value });
+          } catch (error) {
+            console.error('Error reading QR code:', error);
+          }
+        }, 300);
+      } catch (error) {
+        console.error('Error starting camera:', error);
+        toast.error('Could not open the camera. Use the booking ID instead.');
+        setCameraOn(false);
+      }
+    };
+    start();
+
+    return () => {
+      cancelled = true;
+      clearInterval(interval);
+      if (stream) {
+        stream.getTracks().forEach(track => track.stop());
+      }
+    };
+  }, [cameraOn, checkIn]);
+
+  const handleManualSubmit = (e) => {
+    e.preventDefault();
+    if (!manualId.trim()) {
+      toast.error('Please enter a booking ID or reference');
+      return;
+    }
+    checkIn({ bookingId: manualId.trim() });
+    setManualId('');
+  };
+
+  const handleLogout = () => {
+    setCameraOn(false);
+    setAdmin(null);
+    setLastResult(null);
+    adminSession.clear();
+    toast.success('Logged out successfully');
+  };
+
+  if (!admin) {
+    return (
+      <AdminLogin
+        title="Gate Check-in"
+        description="Sign in with your operator account to check in bookings"
+        onLogin={setAdmin}
+      />
+    );
+  }
+
+  const isValid = lastResult?.result === 'valid';
+  const booking = lastResult?.booking;
+
+  return (
+    <div className="max-w-xl mx-auto space-y-6">
+      <div className="text-center">
+        <h2 className="text-2xl font-bold text-gray-900">Gate Check-in</h2>
+        <p className="text-gray-600 mt-1">Scan the booking QR code, or enter the booking ID or reference</p>
+        <p className="mt-1 text-sm text-gray-500">
+          Signed in as {admin.username}
+          <button onClick={handleLogout} className="ml-2 text-primary-600 hover:text-primary-800">Logout</button>
+        </p>
+      </div>
+
+      {/* Live counter for the current slot */}
+      <div className="card">
+        <div className="flex items-center justify-between mb-3">
+          <div className="flex items-center">
+            <Users className="h-5 w-5 text-primary-600 mr-2" />
+            <h3 className="text-lg font-semibold text-gray-900">
+              {slotStatus?.time_slot ? `${slotStatus.time_slot} slot` : 'No slots today'}
+            </h3>
+          </div>
+          <div className="flex items-center gap-2">
+            <select
+              value={location}
+              onChange={(e) => setLocation(e.target.value)}
+              className="input-field py-1 text-sm"
+            >
+              {locations.length > 1 && <option value="">All locations</option>}
+              {locations.map((name) => (
+                <option key={name} value={name}>{name}</option>
+              ))}
+            </select>
+            <button
+              onClick={fetchSlotStatus}
+              className="text-primary-600 hover:text-primary-800 transition-colors"
+              title="Refresh"
+            >
+              <RefreshCw className="h-4 w-4" />
+            </button>
+          </div>
+        </div>
+        {slotStatus?.time_slot && (
+          <>
+            <p className="text-3xl font-bold text-gray-900">
+              {slotStatus.checkedIn} <span className="text-lg font-medium text-gray-500">/ {slotStatus.booked} checked in</span>
+            </p>
+            <div className="w-full bg-gray-200 rounded-full h-2 mt-2">
+              <div
+                className="bg-green-500 h-2 rounded-full transition-all duration-300"
+                style={{ width: `${slotStatus.booked > 0 ? (slotStatus.checkedIn / slotStatus.booked) * 100 : 0}%` }}
+              ></div>
+            </div>
+          </>
+        )}
+      </div>
+
+      {!canCheckIn ? (
+        <div className="card">
+          <p className="text-sm text-gray-600">Your account can view the counter but not check in bookings.</p>
+        </div>
+      ) : (
+        <div className="card space-y-4">
+          {/* Camera scanner */}
+          {scannerSupported ? (
+            <div>
+              {cameraOn && (
+                <video ref={videoRef} className="w-full rounded-lg bg-black mb-3" muted playsInline />
+              )}
+              <button
+                onClick={() => setCameraOn(!cameraOn)}
+                className="btn-secondary w-full flex items-center justify-center"
+              >
+                {cameraOn ? <CameraOff className="h-4 w-4 mr-2" /> : <Camera className="h-4 w-4 mr-2" />}
+                {cameraOn ? 'Stop Camera' : 'Scan QR Code'}
+              </button>
+            </div>
+          ) : (
+            <p className="text-sm text-gray-500">
+              This browser cannot read QR codes with the camera. Enter the booking ID or reference below.
+            </p>
+          )}
+
+          {/* Manual entry */}
+          <form onSubmit={handleManualSubmit} className="flex gap-2">
+            <div className="relative flex-1">
+              <Hash className="h-4 w-4 text-gray-400 absolute left-3 top-1/2 transform -translate-y-1/2" />
+              <input
+                type="text"
+                value={manualId}
+                onChange={(e) => setManualId(e.target.value)}
+                className="input-field pl-9 font-mono uppercase"
+                placeholder="Booking ID or reference"
+              />
+            </div>
+            <button
+              type="submit"
+              disabled={isChecking}
+              className="btn-primary whitespace-nowrap disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {isChecking ? 'Checking...' : 'Check In'}
+            </button>
+          </form>
+        </div>
+      )}
+
+      {/* Result of the last check-in */}
+      {lastResult && (
+        <div className={`rounded-lg p-6 text-center border-2 ${
+          isValid ? 'bg-green-50 border-green-500' : 'bg-red-50 border-red-500'
+        }`}>
+          {isValid ? (
+            <CheckCircle className="h-16 w-16 text-green-600 mx-auto" />
+          ) : (
+            <XCircle className="h-16 w-16 text-red-600 mx-auto" />
+          )}
+          <p className={`mt-2 text-3xl font-bold ${isValid ? 'text-green-700' : 'text-red-700'}`}>
+            {RESULT_LABELS[lastResult.result] || 'Invalid'}
+          </p>
+          <p className={`mt-1 text-sm ${isValid ? 'text-green-800' : 'text-red-800'}`}>{lastResult.message}</p>
+
+          {booking && (
+            <div className="mt-4 bg-white rounded-lg p-4 text-left space-y-2 text-sm">
+              <div className="flex justify-between">
+                <span className="text-gray-600">Name:</span>
+                <span className="font-medium">{booking.name}</span>
+              </div>
+              <div className="flex justify-between">
+                <span className="text-gray-600">Slot:</span>
+                <span className="font-medium">{moment(booking.date).format('MMM D, YYYY')} at {booking.time_slot}</span>
+              </div>
+              <div className="flex justify-between">
+                <span className="text-gray-600">Purpose:</span>
+                <span className="font-medium">{booking.purpose}</span>
+              </div>
+              <div className="flex justify-between">
+                <span className="text-gray-600">Location:</span>
+                <span className="font-medium">{booking.location}</span>
+              </div>
+              <div className="flex justify-between">
+                <span className="text-gray-600">Booking:</span>
+                <span className="font-mono">#{booking.id} · {booking.reference}</span>
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default GateScanner;
@@ -0,0 +1,221 @@
+import React, { useState } from 'react';
+import { bookingAPI } from '../services/api';
+import { toast } from 'react-hot-toast';
+import { Search, Phone, Hash, QrCode, XCircle, CalendarClock } from 'lucide-react';
+import moment from 'moment';
+import QRCodeModal from './QRCodeModal';
+
+const MyBooking = ({ onReschedule }) => {
+  const [lookupForm, setLookupForm] = useState({ phone: '', reference: '' });
+  const [booking, setBooking] = useState(null);
+  const [changes, setChanges] = useState([]);
+  const [isSearching, setIsSearching] = useState(false);
+  const [isCancelling, setIsCancelling] = useState(false);
+  const [showQRModal, setShowQRModal] = useState(false);
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setLookupForm(prev => ({
+      ...prev,
+      [name]: value
+    }));
+  };
+
+  const credentials = () => ({
+    phone: lookupForm.phone.replace(/\s/g, ''),
+    reference: lookupForm.reference.trim().toUpperCase()
+  });
+
+  const handleLookup = async (e) => {
+    e.preventDefault();
+
+    const { phone, reference } = credentials();
+    if (!phone || !reference) {
+      toast.error('Please enter your phone number and booking reference');
+      return;
+    }
+
+    setIsSearching(true);
+    try {
+      const response = await bookingAPI.lookupBooking(phone, reference);
+      setBooking(response.data.booking);
+      setChanges(response.data.changes || []);
+    } catch (error) {
+      setBooking(null);
+      setChanges([]);
+      const errorMessage = error.response?.data?.error || error.response?.data?.errors?.[0]?.msg || 'Failed to find booking';
+      toast.error(errorMessage);
+    } finally {
+      setIsSearching(false);
+    }
+  };
+
+  const handleCancel = async () => {
+    if (!window.confirm(`Cancel your booking on ${moment(booking.date).format('MMMM D, YYYY')} at ${booking.time_slot}? This cannot be undone.`)) {
+      return;
+    }
+
+    const { phone, reference } = credentials();
+    setIsCancelling(true);
+    try {
+      const response = await bookingAPI.cancelBooking(phone, reference);
+      setBooking(response.data.booking);
+      toast.success(response.data.message);
+    } catch (error) {
+      const errorMessage = error.response?.data?.error || 'Failed to cancel booking';
+      toast.error(errorMessage);
+    } finally {
+      setIsCancelling(false);
+    }
+  };
+
+  const isCancelled = booking?.status === 'cancelled';
+  const hasStarted = booking && moment(`${booking.date} ${booking.time_slot}`, 'YYYY-MM-DD HH:mm').isBefore(moment());
+
+  return (
+    <div className="max-w-xl mx-auto space-y-6">
+      <div className="text-center">
+        <h2 className="text-2xl font-bold text-gray-900">My Booking</h2>
+        <p className="text-gray-600 mt-1">View, reschedule or cancel your booking with your phone number and booking reference</p>
+      </div>
+
+      <div className="card">
+        <form onSubmit={handleLookup} className="space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              <Phone className="h-4 w-4 inline mr-1" />
+              Phone Number
+            </label>
+            <input
+              type="tel"
+              name="phone"
+              value={lookupForm.phone}
+              onChange={handleInputChange}
+              className="input-field"
+              placeholder="The phone number you booked with"
+              required
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              <Hash className="h-4 w-4 inline mr-1" />
+              Booking Reference
+            </label>
+            <input
+              type="text"
+              name="reference"
+              value={lookupForm.reference}
+              onChange={handleInputChange}
+              className="input-field font-mono uppercase"
+              placeholder="e.g. 7K3MQ9PX"
+              required
+            />
+          </div>
+
+          <button
+            type="submit"
+            disabled={isSearching}
+            className="btn-primary w-full flex items-center justify-center disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            <Search className="h-4 w-4 mr-2" />
+            {isSearching ? 'Searching...' : 'Find Booking'}
+          </button>
+        </form>
+      </div>
+
+      {booking && (
+        <div className="card">
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="text-lg font-semibold text-gray-900">Booking {booking.reference}</h3>
+            <span className={`px-2 py-1 rounded-full text-xs font-medium ${
+              isCancelled ? 'bg-red-100 text-red-700' : 'bg-green-100 text-green-700'
+            }`}>
+              {isCancelled ? 'Cancelled' : 'Confirmed'}
+            </span>
+          </div>
+
+          <div className="space-y-2 text-sm mb-6">
+            <div className="flex justify-between">
+              <span className="text-gray-600">Name:</span>
+              <span className="font-medium">{booking.name}</span>
+            </div>
+            <div className="flex justify-between">
+              <span className="text-gray-600">Location:</span>
+              <span className="font-medium">{booking.location}</span>
+            </div>
+            <div className="flex justify-between">
+              <span className="text-gray-600">Date:</span>
+              <span className="font-medium">{moment(booking.date).format('MMMM D, YYYY')}</span>
+            </div>
+            <div className="flex justify-between">
+              <span className="text-gray-600">Time:</span>
+              <span className="font-medium">{booking.time_slot}</span>
+            </div>
+            <div className="flex justify-between">
+              <span className="text-gray-600">Purpose:</span>
+              <span className="font-medium max-w-xs truncate">{booking.purpose}</span>
+            </div>
+          </div>
+
+          {changes.length > 0 && (
+            <div className="border-t border-gray-200 pt-3 mb-6">
+              <h4 className="text-sm font-medium text-gray-700 mb-2">Reschedule history</h4>
+              <ul className="space-y-1 text-xs text-gray-600">
+                {changes.map((change) => (
+                  <li key={change.changed_at}>
+                    {moment(change.changed_at).format('MMM D, HH:mm')}: moved from {moment(change.from_date).format('MMM D')} {change.from_time_slot} to {moment(change.to_date).format('MMM D')} {change.to_time_slot}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {isCancelled ? (
+            <p className="text-sm text-gray-600">
+              This booking was cancelled{booking.cancelled_at && ` on ${moment(booking.cancelled_at).format('MMM D, YYYY HH:mm')}`}. You can book another slot this week.
+            </p>
+          ) : (
+            <div className="flex flex-col sm:flex-row gap-3">
+              <button
+                onClick={() => setShowQRModal(true)}
+                className="btn-secondary flex-1 flex items-center justify-center"
+              >
+                <QrCode className="h-4 w-4 mr-2" />
+                Show QR Code
+              </button>
+              {!hasStarted && onReschedule && (
+                <button
+                  onClick={() => onReschedule(booking, credentials().phone)}
+                  className="btn-secondary flex-1 flex items-center justify-center"
+                >
+                  <CalendarClock className="h-4 w-4 mr-2" />
+                  Reschedule
+                </button>
+              )}
+              {!hasStarted && (
+                <button
+                  onClick={handleCancel}
+                  disabled={isCancelling}
+                  className="btn-danger flex-1 flex items-center justify-center disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  <XCircle className="h-4 w-4 mr-2" />
+                  {isCancelling ? 'Cancelling...' : 'Cancel Booking'}
+                </button>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* QR Code Modal */}
+      <QRCodeModal
+        isOpen={showQRModal}
+        onClose={() => setShowQRModal(false)}
+        bookingData={booking}
+      />
+    </div>
+  );
+};
+
+export default MyBooking;
@@ -3,19 +3,21 @@ import { QRCodeSVG } from 'qrcode.react';
 import { X, Download, CheckCircle, RefreshCw } from 'lucide-react';
 import moment from 'moment';
 import { bookingAPI } from '../services/api';
+import { subscribeToSlots } from '../services/slotStream';
 import { config } from '../config';
 
 const QRCodeModal = ({ isOpen, onClose, bookingData, isUserView = false }) => {
-  const [slotStatus, setSlotStatus] = useState({ available: 0, total: config.booking.maxSlotsPerDay });
+  const [slotStatus, setSlotStatus] = useState({ available: 0, total: 0 });
   const [isLoading, setIsLoading] = useState(false);
   const [isDownloading, setIsDownloading] = useState(false);
+  const [isLive, setIsLive] = useState(false);
 
     // Fetch slot status
   const fetchSlotStatus = async () => {
     try {
       setIsLoading(true);
       const selectedDateStr = moment(bookingData.date).format('YYYY-MM-DD');
-      const response = await bookingAPI.getSlotStatus(selectedDateStr);
+      const response = await bookingAPI.getSlotStatus(selectedDateStr, bookingData.location);
       const { availableSlots, maxSlots } = response.data;
       
       setSlotStatus({
@@ -23,40 +25,49 @@ const QRCodeModal = ({ isOpen, onClose, bookingData, isUserView = false }) => {
         total: maxSlots
       });
     } catch (error) {
+      // Keep showing the last known status
       console.error('Error fetching slot status:', error);
-      // Fallback to default values
-      setSlotStatus({ available: 985, total: config.booking.maxSlotsPerDay });
     } finally {
       setIsLoading(false);
     }
   };
 
-  // Fetch slot status on component mount and every 30 seconds
+  // Subscribe to pushed seat counts for the booking's location and date
+  const bookingDate = bookingData && moment(bookingData.date).format('YYYY-MM-DD');
+  const bookingLocation = bookingData?.location;
   useEffect(() => {
-    if (isOpen) {
+    if (!isOpen || !bookingDate || !bookingLocation) return;
+    const unsubscribe = subscribeToSlots(
+      { date: bookingDate, location: bookingLocation },
+      {
+        onUpdate: (update) => setSlotStatus({
+          available: Math.max(0, update.maxBookings - update.totalBookings),
+          total: update.maxBookings
+        }),
+        onStatus: setIsLive
+      }
+    );
+    return () => {
+      unsubscribe();
+      setIsLive(false);
+    };
+  }, [isOpen, bookingDate, bookingLocation]);
+
+  // Fetch slot status on component mount and every 30 seconds while no counts are being pushed
+  useEffect(() => {
+    if (isOpen && !isLive) {
       fetchSlotStatus();
       const interval = setInterval(fetchSlotStatus, 30000); // Update every 30 seconds
       return () => clearInterval(interval);
     }
-  }, [isOpen]);
+  }, [isOpen, isLive]);
 
   // Early return after all hooks
   if (!isOpen || !bookingData) return null;
 
-  // Create QR code data string (after null check)
-  const qrData = JSON.stringify({
-    booking_id: bookingData.id || 'pending',
-    name: bookingData.name,
-    phone: bookingData.phone,
-    date: bookingData.date,
-    time_slot: bookingData.time_slot,
-    purpose: bookingData.purpose,
-    location: bookingData.location,
-    created_at: bookingData.created_at || new Date().toISOString(),
-    company: config.company.name,
-    qr_generated_at: new Date().toISOString(),
-    booking_status: 'confirmed'
-  }, null, 2); // Pretty print JSON with 2-space indentation
+  // The QR code carries the server-signed ticket checked at the gate; cancelled
+  // bookings have none
+  const qrData = bookingData.qr_token;
 
   const handleDownload = async () => {
     try {
@@ -107,7 +118,10 @@ const QRCodeModal = ({ isOpen, onClose, bookingData, isUserView = false }) => {
            ctx.fillStyle = '#374151';
            ctx.font = '12px Arial';
            ctx.textAlign = 'left';
-           ctx.fillText(`Name: ${bookingData.name}`, 50, 370);
+           ctx.fillText(`Name: ${bookingData.name}`, 50, 355);
+           if (bookingData.reference) {
+             ctx.fillText(`Reference: ${bookingData.reference}`, 50, 370);
+           }
            ctx.fillText(`Date: ${moment(bookingData.date).format('MMMM D, YYYY')}`, 50, 385);
            ctx.fillText(`Time: ${bookingData.time_slot}`, 50, 400);
            ctx.fillText(`Purpose: ${bookingData.purpose}`, 50, 415);
@@ -175,13 +189,14 @@ const QRCodeModal = ({ isOpen, onClose, bookingData, isUserView = false }) => {
           ) : (
             <>
               <h2 className="text-xl font-bold text-gray-900 mb-2">Booking QR Code</h2>
-              <p className="text-gray-600">Scan to view booking details</p>
+              <p className="text-gray-600">Scan at the gate to check in</p>
             </>
           )}
         </div>
 
         {/* QR Code with Company Name Overlay */}
         <div className="flex justify-center mb-6">
+          {qrData ? (
           <div className="bg-white p-2 sm:p-4 rounded-lg border-2 border-gray-200 relative">
                          <QRCodeSVG
                id="qr-code-svg"
@@ -199,6 +214,13 @@ const QRCodeModal = ({ isOpen, onClose, bookingData, isUserView = false }) => {
                </div>
              </div>
           </div>
+          ) : (
+            <p className="text-sm text-gray-500 text-center py-8">
+              {bookingData.status === 'cancelled'
+                ? 'This booking was cancelled, so it has no QR code.'
+                : 'The QR code is not available for this booking.'}
+            </p>
+          )}
         </div>
 
         {/* Live Slot Status */}
@@ -220,7 +242,7 @@ const QRCodeModal = ({ isOpen, onClose, bookingData, isUserView = false }) => {
             <div className="w-full bg-gray-200 rounded-full h-2 mt-2">
               <div 
                 className="bg-green-500 h-2 rounded-full transition-all duration-300"
-                style={{ width: `${(slotStatus.available / slotStatus.total) * 100}%` }}
+                style={{ width: `${slotStatus.total > 0 ? (slotStatus.available / slotStatus.total) * 100 : 0}%` }}
               ></div>
             </div>
           </div>
@@ -230,6 +252,12 @@ const QRCodeModal = ({ isOpen, onClose, bookingData, isUserView = false }) => {
         <div className="bg-gray-50 rounded-lg p-4 mb-6">
           <h3 className="font-semibold text-gray-900 mb-3">Booking Details</h3>
           <div className="space-y-2 text-sm">
+            {bookingData.reference && (
+              <div className="flex justify-between">
+                <span className="text-gray-600">Reference:</span>
+                <span className="font-mono font-bold">{bookingData.reference}</span>
+              </div>
+            )}
             <div className="flex justify-between">
               <span className="text-gray-600">Name:</span>
               <span className="font-medium">{bookingData.name}</span>
@@ -261,7 +289,7 @@ const QRCodeModal = ({ isOpen, onClose, bookingData, isUserView = false }) => {
         <div className="flex flex-col sm:flex-row gap-3">
           <button
             onClick={handleDownload}
-            disabled={isDownloading}
+            disabled={isDownloading || !qrData}
             className="btn-secondary flex-1 flex items-center justify-center disabled:opacity-50 disabled:cursor-not-allowed"
           >
             {isDownloading ? (
@@ -291,6 +319,7 @@ const QRCodeModal = ({ isOpen, onClose, bookingData, isUserView = false }) => {
           <div className="mt-4 p-3 bg-blue-50 rounded-lg">
             <p className="text-sm text-blue-800">
               <strong>Important:</strong> Please save this QR code. You may need to show it when you arrive for your appointment.
+              {bookingData.reference && ` Keep your booking reference ${bookingData.reference} to view or cancel this booking under "My Booking".`}
             </p>
           </div>
         )}
@@ -0,0 +1,305 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { scheduleAPI } from '../services/api';
+import { toast } from 'react-hot-toast';
+import { Clock, Plus, Trash2, Copy, CalendarDays } from 'lucide-react';
+import moment from 'moment';
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const newPeriod = () => ({ start_time: '09:00', end_time: '12:00', slot_minutes: 30, capacity: 120 });
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Slots and seats a list of periods offers, matching how the server expands them
+const summarize = (periods) => periods.reduce((summary, period) => {
+  const slots = period.slot_minutes > 0
+    ? Math.max(0, Math.floor((toMinutes(period.end_time) - toMinutes(period.start_time)) / period.slot_minutes))
+    : 0;
+  return {
+    slots: summary.slots + slots,
+    seats: summary.seats + slots * (period.capacity || 0)
+  };
+}, { slots: 0, seats: 0 });
+
+const stripIds = (periods) => periods.map(({ start_time, end_time, slot_minutes, capacity }) => ({
+  start_time, end_time, slot_minutes, capacity
+}));
+
+const PeriodRow = ({ period, onChange, onRemove }) => {
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    onChange({
+      ...period,
+      [name]: name === 'slot_minutes' || name === 'capacity' ? parseInt(value) || 0 : value
+    });
+  };
+
+  return (
+    <div className="grid grid-cols-2 sm:grid-cols-5 gap-2 items-end">
+      <div>
+        <label className="block text-xs text-gray-500 mb-1">Start</label>
+        <input type="time" name="start_time" value={period.start_time} onChange={handleChange} className="input-field" />
+      </div>
+      <div>
+        <label className="block text-xs text-gray-500 mb-1">End</label>
+        <input type="time" name="end_time" value={period.end_time} onChange={handleChange} className="input-field" />
+      </div>
+      <div>
+        <label className="block text-xs text-gray-500 mb-1">Slot (min)</label>
+        <input type="number" min="5" name="slot_minutes" value={period.slot_minutes} onChange={handleChange} className="input-field" />
+      </div>
+      <div>
+        <label className="block text-xs text-gray-500 mb-1">Seats / slot</label>
+        <input type="number" min="0" name="capacity" value={period.capacity} onChange={handleChange} className="input-field" />
+      </div>
+      <div className="flex justify-end pb-2">
+        <button
+          onClick={onRemove}
+          className="text-red-600 hover:text-red-800 transition-colors"
+          title="Remove period"
+        >
+          <Trash2 className="h-5 w-5" />
+        </button>
+      </div>
+    </div>
+  );
+};
+
+const ScheduleEditor = () => {
+  // Weekly template, keyed by weekday (0 = Sunday)
+  const [weekly, setWeekly] = useState(WEEKDAYS.map(() => []));
+  const [overrides, setOverrides] = useState([]);
+  const [overrideDate, setOverrideDate] = useState(moment().add(1, 'day').format('YYYY-MM-DD'));
+  const [overridePeriods, setOverridePeriods] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const fetchSchedule = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await scheduleAPI.getSchedule();
+      setWeekly(WEEKDAYS.map((_, weekday) =>
+        response.data.templates.filter(period => period.weekday === weekday)
+      ));
+      setOverrides(response.data.overrides);
+    } catch (error) {
+      toast.error('Failed to fetch schedule');
+      console.error('Error fetching schedule:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchSchedule();
+  }, [fetchSchedule]);
+
+  // Load the selected date's override into the editor
+  useEffect(() => {
+    setOverridePeriods(overrides.filter(period => period.date === overrideDate));
+  }, [overrideDate, overrides]);
+
+  const updateDay = (weekday, periods) => {
+    setWeekly(prev => prev.map((dayPeriods, day) => (day === weekday ? periods : dayPeriods)));
+  };
+
+  const copyToAllDays = (weekday) => {
+    setWeekly(prev => prev.map(() => prev[weekday].map(period => ({ ...period }))));
+    toast.success(`Copied ${WEEKDAYS[weekday]} to every day - remember to save`);
+  };
+
+  const errorMessage = (error, fallback) =>
+    error.response?.data?.error || error.response?.data?.errors?.[0]?.msg || fallback;
+
+  const handleSaveWeekly = async () => {
+    const templates = weekly.flatMap((periods, weekday) =>
+      stripIds(periods).map(period => ({ ...period, weekday }))
+    );
+
+    setIsSaving(true);
+    try {
+      const response = await scheduleAPI.saveTemplates(templates);
+      toast.success(response.data.message);
+      fetchSchedule();
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to save schedule'));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleSaveOverride = async (periods) => {
+    setIsSaving(true);
+    try {
+      const response = await scheduleAPI.saveOverride(overrideDate, stripIds(periods));
+      toast.success(response.data.message);
+      fetchSchedule();
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to save schedule'));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const overrideDates = [...new Set(overrides.map(period => period.date))];
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-8">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Weekly template */}
+      <div className="card">
+        <div className="flex items-center justify-between mb-4">
+          <div className="flex items-center">
+            <Clock className="h-5 w-5 text-primary-600 mr-2" />
+            <h3 className="text-lg font-semibold text-gray-900">Weekly Schedule</h3>
+          </div>
+          <button
+            onClick={handleSaveWeekly}
+            disabled={isSaving}
+            className="btn-primary disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {isSaving ? 'Saving...' : 'Save Weekly Schedule'}
+          </button>
+        </div>
+
+        <div className="space-y-4">
+          {weekly.map((periods, weekday) => {
+            const summary = summarize(periods);
+            return (
+              <div key={weekday} className="border border-gray-200 rounded-lg p-4">
+                <div className="flex items-center justify-between mb-2">
+                  <div>
+                    <h4 className="font-medium text-gray-900">{WEEKDAYS[weekday]}</h4>
+                    <p className="text-xs text-gray-500">
+                      {periods.length === 0 ? 'No slots' : `${summary.slots} slots • ${summary.seats} seats`}
+                    </p>
+                  </div>
+                  <div className="flex items-center gap-3">
+                    <button
+                      onClick={() => copyToAllDays(weekday)}
+                      className="text-gray-500 hover:text-gray-700 transition-colors flex items-center text-sm"
+                      title="Copy this day to every day"
+                    >
+                      <Copy className="h-4 w-4 mr-1" />
+                      Copy to all
+                    </button>
+                    <button
+                      onClick={() => updateDay(weekday, [...periods, newPeriod()])}
+                      className="text-primary-600 hover:text-primary-800 transition-colors flex items-center text-sm"
+                    >
+                      <Plus className="h-4 w-4 mr-1" />
+                      Add period
+                    </button>
+                  </div>
+                </div>
+                <div className="space-y-2">
+                  {periods.map((period, index) => (
+                    <PeriodRow
+                      key={index}
+                      period={period}
+                      onChange={(updated) => updateDay(weekday, periods.map((p, i) => (i === index ? updated : p)))}
+                      onRemove={() => updateDay(weekday, periods.filter((_, i) => i !== index))}
+                    />
+                  ))}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      </div>
+
+      {/* Date overrides */}
+      <div className="card">
+        <div className="flex items-center mb-4">
+          <CalendarDays className="h-5 w-5 text-primary-600 mr-2" />
+          <h3 className="text-lg font-semibold text-gray-900">Date Overrides</h3>
+        </div>
+        <p className="text-sm text-gray-600 mb-4">
+          A date with an override uses these periods instead of its weekday schedule.
+        </p>
+
+        <div className="flex flex-col sm:flex-row sm:items-end gap-4 mb-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Date</label>
+            <input
+              type="date"
+              value={overrideDate}
+              min={moment().format('YYYY-MM-DD')}
+              onChange={(e) => setOverrideDate(e.target.value)}
+              className="input-field"
+            />
+          </div>
+          <div className="flex gap-2">
+            <button
+              onClick={() => setOverridePeriods([...overridePeriods, newPeriod()])}
+              className="btn-secondary flex items-center"
+            >
+              <Plus className="h-4 w-4 mr-1" />
+              Add period
+            </button>
+            <button
+              onClick={() => handleSaveOverride(overridePeriods)}
+              disabled={isSaving || overridePeriods.length === 0}
+              className="btn-primary disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Save Override
+            </button>
+            {overrideDates.includes(overrideDate) && (
+              <button
+                onClick={() => handleSaveOverride([])}
+                disabled={isSaving}
+                className="btn-danger disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Remove Override
+              </button>
+            )}
+          </div>
+        </div>
+
+        <div className="space-y-2 mb-4">
+          {overridePeriods.map((period, index) => (
+            <PeriodRow
+              key={index}
+              period={period}
+              onChange={(updated) => setOverridePeriods(overridePeriods.map((p, i) => (i === index ? updated : p)))}
+              onRemove={() => setOverridePeriods(overridePeriods.filter((_, i) => i !== index))}
+            />
+          ))}
+        </div>
+
+        {overrideDates.length > 0 && (
+          <div className="border-t border-gray-200 pt-4">
+            <h4 className="text-sm font-medium text-gray-700 mb-2">Upcoming overrides</h4>
+            <div className="flex flex-wrap gap-2">
+              {overrideDates.map((date) => (
+                <button
+                  key={date}
+                  onClick={() => setOverrideDate(date)}
+                  className={`px-3 py-1 rounded-full text-sm transition-colors ${
+                    date === overrideDate
+                      ? 'bg-primary-100 text-primary-700'
+                      : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                  }`}
+                >
+                  {moment(date).format('MMM D, YYYY')}
+                </button>
+              ))}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ScheduleEditor;
@@ -7,19 +7,15 @@ export const config = {
     website: 'https://slogsolutions.com', // Add your website URL
   },
   
-  // Booking settings
-  booking: {
-    maxSlotsPerDay: 1200, // Total slots available per day
-    timeSlots: [
-      '09:00', '09:30', '10:00', '10:30', '11:00', '11:30',
-      '12:00', '12:30', '13:00', '13:30', '14:00', '14:30',
-      '15:00', '15:30', '16:00', '16:30', '17:00', '17:30'
-    ],
-    businessHours: {
-      start: '09:00',
-      end: '18:00'
-    }
-  },
+  // Districts that bookings can be made for (must match server/locations.js)
+  locations: [
+    'Almora', 'Bageshwar', 'Chamoli', 'Champawat', 'Dehradun', 'Haridwar',
+    'Nainital', 'Pauri Garhwal', 'Pithoragarh', 'Rudraprayag', 'Tehri Garhwal',
+    'Uttarkashi', 'Udham Singh Nagar', 'Others'
+  ],
+  
+  // Purposes of visit offered on the booking form
+  purposes: ['Liquor', 'Grocery', 'Both'],
   
   // QR Code settings
   qrCode: {
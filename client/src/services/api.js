@@ -1,6 +1,6 @@
 import axios from 'axios';
 
-const API_BASE_URL = process.env.REACT_APP_API_URL || '/api';
+export const API_BASE_URL = process.env.REACT_APP_API_URL || '/api';
 
 // Validate API URL
 if (!API_BASE_URL) {
@@ -15,10 +15,23 @@ const api = axios.create({
   timeout: 10000, // 10 second timeout
 });
 
-// Request interceptor for logging
+// Admin session token, kept across page reloads
+const ADMIN_TOKEN_KEY = 'adminToken';
+
+export const adminSession = {
+  getToken: () => localStorage.getItem(ADMIN_TOKEN_KEY),
+  setToken: (token) => localStorage.setItem(ADMIN_TOKEN_KEY, token),
+  clear: () => localStorage.removeItem(ADMIN_TOKEN_KEY),
+};
+
+// Request interceptor for logging and attaching the admin session
 api.interceptors.request.use(
   (config) => {
     console.log('API Request:', config.method?.toUpperCase(), config.url);
+    const token = adminSession.getToken();
+    if (token) {
+      config.headers.Authorization = `Bearer ${token}`;
+    }
     return config;
   },
   (error) => {
@@ -38,6 +51,10 @@ api.interceptors.response.use(
     // Handle specific error cases
     if (error.code === 'ECONNABORTED') {
       console.error('Request timeout');
+    } else if (error.response?.status === 401 && adminSession.getToken()) {
+      // Session expired or was revoked - let the admin panel return to its login form
+      adminSession.clear();
+      window.dispatchEvent(new Event('admin-session-expired'));
     } else if (error.response?.status === 404) {
       console.error('API endpoint not found');
     } else if (error.response?.status >= 500) {
@@ -49,13 +66,24 @@ api.interceptors.response.use(
 );
 
 export const bookingAPI = {
-  // Get available slots for a specific date
-  getSlots: (date) => api.get(`/slots/${date}`),
+  // Get available slots for a specific date at a location
+  getSlots: (date, location) => api.get(`/slots/${date}`, { params: { location } }),
+  
+  // Get the booking window rules (how far ahead and how late slots can be booked)
+  getBookingRules: () => api.get('/booking-rules'),
+  
+  // Get closures between two dates, optionally for one location
+  getClosures: (from, to, location) => {
+    const params = { from, to };
+    if (location) params.location = location;
+    return api.get('/closures', { params });
+  },
   
-  // Get overall slot status
-  getSlotStatus: (date) => {
+  // Get overall slot status, for one location or across all of them
+  getSlotStatus: (date, location) => {
     const params = {};
     if (date) params.date = date;
+    if (location) params.location = location;
     return api.get('/slots/status/overall', { params });
   },
   
@@ -66,33 +94,68 @@ export const bookingAPI = {
     return api.get('/user/weekly-status', { params });
   },
   
+  // Send a verification code to a phone number by SMS
+  requestOtp: (phone) => api.post('/otp/request', { phone }),
+  
+  // Exchange a verification code for a token that lets the phone book
+  verifyOtp: (phone, code) => api.post('/otp/verify', { phone, code }),
+  
+  // Get a proof-of-work challenge to solve before booking or joining a waitlist
+  getChallenge: () => api.get('/challenge'),
+  
   // Create a new booking
   createBooking: (bookingData) => api.post('/bookings', bookingData),
   
-  // Get all bookings (admin)
-  getAllBookings: (startDate, endDate) => {
-    const params = {};
-    if (startDate) params.startDate = startDate;
-    if (endDate) params.endDate = endDate;
-    return api.get('/admin/bookings', { params });
-  },
+  // Hold a seat in a slot while the booking form is filled in; pass the previous
+  // holdToken to move the hold
+  holdSlot: (slot) => api.post('/holds', slot),
   
-  // Delete a single booking (admin)
-  deleteBooking: (id) => api.delete(`/admin/bookings/${id}`),
+  // Give a held seat back
+  releaseHold: (holdToken) => api.delete(`/holds/${holdToken}`),
+  
+  // Join the waitlist of a fully booked slot (same fields as a booking)
+  joinWaitlist: (entry) => api.post('/waitlist', entry),
+  
+  // Look up a booking by phone number and booking reference
+  lookupBooking: (phone, reference) => api.post('/bookings/lookup', { phone, reference }),
+  
+  // Cancel a booking by phone number and booking reference
+  cancelBooking: (phone, reference) => api.post('/bookings/cancel', { phone, reference }),
+  
+  // Move a booking to another slot in the same week, with the token from verifyOtp
+  rescheduleBooking: (phone, reference, date, time_slot, verificationToken) =>
+    api.post('/bookings/reschedule', { phone, reference, date, time_slot, verificationToken }),
+  
+  // Admin login
+  login: (username, password) => api.post('/admin/login', { username, password }),
+
+  // Validate the stored admin session
+  getSession: () => api.get('/admin/session'),
+
+  // Get a page of bookings (admin): filters (startDate, endDate, location, purpose,
+  // time_slot, status, search) plus sort, order, page and pageSize
+  getBookings: (params) => api.get('/admin/bookings', { params }),
+  
+  // Delete a single booking (admin), with the reason kept alongside it
+  deleteBooking: (id, reason) => api.delete(`/admin/bookings/${id}`, { data: { reason } }),
   
   // Delete multiple bookings (admin)
-  deleteMultipleBookings: (ids) => api.delete('/admin/bookings', { data: { ids } }),
+  deleteMultipleBookings: (ids, reason) => api.delete('/admin/bookings', { data: { ids, reason } }),
+
+  // Bookings deleted by admins, most recently deleted first
+  getDeletedBookings: () => api.get('/admin/bookings/deleted'),
+
+  // Undo a booking's deletion; refused if its seat has been taken since
+  restoreBooking: (id) => api.post(`/admin/bookings/${id}/restore`),
+  
+  // Mark bookings on a date that were never checked in as no-shows (admin)
+  markNoShows: (date) => api.post('/admin/attendance/no-shows', { date }),
   
   // Export bookings to Excel
-  exportBookings: (startDate, endDate) => {
-    const params = {};
-    if (startDate) params.startDate = startDate;
-    if (endDate) params.endDate = endDate;
-    return api.get('/admin/export', { 
-      params,
-      responseType: 'blob'
-    });
-  },
+  exportBookings: (filters) => api.get('/admin/export', {
+    params: filters,
+    responseType: 'blob'
+  }),
   
   // Get booking statistics
   getStats: (date) => {
@@ -102,4 +165,67 @@ export const bookingAPI = {
   },
 };
 
+export const adminAPI = {
+  // List admin accounts (super admin)
+  getAdmins: () => api.get('/admin/users'),
+  
+  // Create an admin account (super admin)
+  createAdmin: (adminData) => api.post('/admin/users', adminData),
+  
+  // Update an admin's role, locations or password (super admin)
+  updateAdmin: (id, adminData) => api.put(`/admin/users/${id}`, adminData),
+  
+  // Delete an admin account (super admin)
+  deleteAdmin: (id) => api.delete(`/admin/users/${id}`),
+};
+
+export const scheduleAPI = {
+  // Get the weekly template and upcoming date overrides
+  getSchedule: () => api.get('/admin/schedule'),
+  
+  // Replace the weekly template (super admin)
+  saveTemplates: (templates) => api.put('/admin/schedule/templates', { templates }),
+  
+  // Replace the schedule for one date; an empty list removes the override (super admin)
+  saveOverride: (date, periods) => api.put(`/admin/schedule/overrides/${date}`, { periods }),
+};
+
+export const closureAPI = {
+  // List upcoming closures the admin can see
+  getClosures: () => api.get('/admin/closures'),
+  
+  // Close a date, or a time range within it, at one location or everywhere
+  createClosure: (closureData) => api.post('/admin/closures', closureData),
+  
+  // Remove a closure
+  deleteClosure: (id) => api.delete(`/admin/closures/${id}`),
+};
+
+export const blockAPI = {
+  // Phones blocked today for repeated no-shows, and the blocking policy
+  getBlocks: () => api.get('/admin/blocks'),
+  
+  // Let a blocked phone book again
+  liftBlock: (id) => api.delete(`/admin/blocks/${id}`),
+};
+
+export const checkinAPI = {
+  // Check in a booking by its scanned QR token, or by booking ID or reference
+  checkIn: ({ token, bookingId }) => api.post('/checkin', token ? { token } : { bookingId }),
+  
+  // Checked-in versus booked for the current slot, optionally at one location
+  getStatus: (location) => api.get('/checkin/status', { params: location ? { location } : {} }),
+};
+
+export const auditAPI = {
+  // Audit events matching the filters (actor, bookingId, phone, action, from, to), newest first
+  getEvents: (filters) => api.get('/admin/audit', { params: filters }),
+  
+  // Every matching audit event as an Excel file, or CSV with format 'csv'
+  exportEvents: (filters, format) => api.get('/admin/audit/export', {
+    params: { ...filters, format },
+    responseType: 'blob'
+  }),
+};
+
 export default api; 
\ No newline at end of file
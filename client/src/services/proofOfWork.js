@@ -0,0 +1,38 @@
+import { bookingAPI } from './api';
+
+// Hashes tried at once; the browser works through a batch in parallel
+const BATCH_SIZE = 256;
+
+const leadingZeroBits = (hash) => {
+  let bits = 0;
+  for (const byte of hash) {
+    if (byte === 0) {
+      bits += 8;
+      continue;
+    }
+    return bits + Math.clz32(byte) - 24;
+  }
+  return bits;
+};
+
+const sha256 = async (text) =>
+  new Uint8Array(await window.crypto.subtle.digest('SHA-256', new TextEncoder().encode(text)));
+
+// Find a solution: a number whose SHA-256 hash of `${challenge}:${solution}` starts
+// with `difficulty` zero bits. Takes a second or two at the default difficulty.
+export const solveChallenge = async (challenge, difficulty) => {
+  for (let start = 0; ; start += BATCH_SIZE) {
+    const candidates = Array.from({ length: BATCH_SIZE }, (_, i) => String(start + i));
+    const hashes = await Promise.all(candidates.map((candidate) => sha256(`${challenge}:${candidate}`)));
+    const found = hashes.findIndex((hash) => leadingZeroBits(hash) >= difficulty);
+    if (found !== -1) return candidates[found];
+  }
+};
+
+// Fetch a challenge from the server and solve it, as the { challenge, solution } a
+// booking or waitlist submission carries
+export const proveBrowser = async () => {
+  const { data } = await bookingAPI.getChallenge();
+  const solution = data.difficulty > 0 ? await solveChallenge(data.challenge, data.difficulty) : '0';
+  return { challenge: data.challenge, solution };
+};
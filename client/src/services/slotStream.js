@@ -0,0 +1,64 @@
+import { API_BASE_URL } from './api';
+
+// Subscribe to the live seat counts of one location's day. The server pushes the counts
+// on connect and whenever they change. onStatus(true/false) reports whether the stream
+// is up; while it is down (the browser keeps reconnecting) callers should poll instead.
+// Returns a function that closes the stream.
+export const subscribeToSlots = ({ date, location }, { onUpdate, onStatus }) => {
+  if (typeof window === 'undefined' || !('EventSource' in window)) {
+    onStatus(false);
+    return () => {};
+  }
+
+  const params = new URLSearchParams({ date, location });
+  const source = new EventSource(`${API_BASE_URL}/slots/stream?${params}`);
+
+  source.addEventListener('slots', (event) => {
+    try {
+      onUpdate(JSON.parse(event.data));
+    } catch (error) {
+      console.error('Error reading slot update:', error);
+    }
+  });
+  source.onopen = () => onStatus(true);
+  source.onerror = () => onStatus(false);
+
+  return () => source.close();
+};
+
+// Apply pushed counts to a GET /api/slots/:date response for the same location and day
+export const applySlotCounts = (slotsData, update) => {
+  if (!slotsData || slotsData.date !== update.date || slotsData.location !== update.location) {
+    return slotsData;
+  }
+
+  const counts = {};
+  update.slots.forEach(slot => {
+    counts[slot.time] = slot;
+  });
+
+  const slotStatus = (slotsData.slotStatus || []).map(slot => {
+    const count = counts[slot.time];
+    if (!count) return slot;
+
+    const takenCount = count.bookingCount + count.heldCount;
+    const isAvailable = !slot.isClosed && !slotsData.bookingClosedReason && !slot.isPastCutoff && takenCount < slot.maxCapacity;
+    return {
+      ...slot,
+      bookingCount: count.bookingCount,
+      heldCount: count.heldCount,
+      isAvailable,
+      isFullyBooked: takenCount >= slot.maxCapacity,
+      availableSpots: isAvailable ? slot.maxCapacity - takenCount : 0
+    };
+  });
+
+  return {
+    ...slotsData,
+    slotStatus,
+    availableSlots: slotStatus.filter(slot => slot.isAvailable).map(slot => slot.time),
+    fullyBookedSlots: slotStatus.filter(slot => slot.isFullyBooked).map(slot => slot.time),
+    totalBookings: update.totalBookings,
+    totalHeld: update.totalHeld
+  };
+};
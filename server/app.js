@@ -0,0 +1,934 @@
+// The Express app: middleware and routes. It does not connect to the database or
+// listen until index.js starts it, so it can be required on its own.
+const express = require('express');
+const cors = require('cors');
+const XLSX = require('xlsx');
+const moment = require('moment');
+const { body, validationResult } = require('express-validator');
+const helmet = require('helmet');
+const morgan = require('morgan');
+const path = require('path');
+const repo = require('./repository');
+const {
+  ROLES,
+  authenticate,
+  createSession,
+  serializeAdmin,
+  locationScope,
+  requireAdmin,
+  requireRole
+} = require('./auth');
+const {
+  checkWeeklyBookingRestriction,
+  getActiveBlock,
+  blockedMessage,
+  countBookingsBySlot,
+  countHoldsBySlot,
+  countBookingsByLocation,
+  serializeBooking,
+  findBooking,
+  createBooking,
+  cancelBooking,
+  rescheduleBooking,
+  deleteBookings,
+  restoreBooking,
+  getDeletedBookings,
+  getBookingChanges
+} = require('./bookings');
+const { joinWaitlist, countWaitlistBySlot } = require('./waitlist');
+const { holdSlot, releaseHold } = require('./holds');
+const { streamSlots } = require('./slotStream');
+const { LOCATIONS } = require('./locations');
+const { sendError } = require('./errors');
+const { getSlotsForDate, dailyCapacity } = require('./schedule');
+const { getClosures, getClosuresForDate, closureForSlot, fullDayClosure } = require('./closures');
+const { dateWindowError, isPastCutoff, publicRules } = require('./bookingRules');
+const { requestOtp, verifyOtp, requireVerifiedPhone } = require('./otp');
+const { countAttendanceByLocation, emptyAttendance, withNoShowRate } = require('./checkin');
+const { AUDIT, recordAudit } = require('./audit');
+const { RATE_LIMITS, rateLimit, byIp, byPhone } = require('./rateLimit');
+const { issueChallenge, requireProofOfWork } = require('./proofOfWork');
+const scheduleRouter = require('./routes/schedule');
+const closuresRouter = require('./routes/closures');
+const checkinRouter = require('./routes/checkin');
+const attendanceRouter = require('./routes/attendance');
+const blocksRouter = require('./routes/blocks');
+const adminUsersRouter = require('./routes/adminUsers');
+const auditRouter = require('./routes/audit');
+
+const app = express();
+
+// Behind a load balancer (e.g. Render), req.ip is the proxy's address unless Express
+// is told how many proxies to trust for X-Forwarded-For. The audit log records it.
+app.set('trust proxy', parseInt(process.env.TRUST_PROXY_HOPS) || false);
+
+// Middleware
+app.use(helmet({
+  contentSecurityPolicy: {
+    directives: {
+      defaultSrc: ["'self'"],
+      styleSrc: ["'self'", "'unsafe-inline'"],
+      scriptSrc: ["'self'"],
+      imgSrc: ["'self'", "data:", "https:"],
+    },
+  },
+  crossOriginEmbedderPolicy: false,
+}));
+// Request logs, left out of the test runs
+app.use(morgan('combined', { skip: () => process.env.NODE_ENV === 'test' }));
+
+// CORS configuration
+const corsOptions = {
+  origin: process.env.NODE_ENV === 'production' 
+    ? ['https://slot-booking-lime.vercel.app'] // Vercel frontend URL
+    : ['http://localhost:3000'],
+  credentials: true,
+  optionsSuccessStatus: 200
+};
+app.use(cors(corsOptions));
+
+app.use(express.json());
+
+// Booking submissions (bookings and waitlist entries) are rate limited per client and
+// per phone, and need a solved proof-of-work challenge
+const protectBookingSubmission = [
+  rateLimit('bookings-ip', RATE_LIMITS.bookingsPerIp, byIp),
+  rateLimit('bookings-phone', RATE_LIMITS.bookingsPerPhone, byPhone),
+  requireProofOfWork
+];
+
+// Validation middleware
+const validateBooking = [
+  body('name').trim().isLength({ min: 2, max: 255 }).withMessage('Name must be between 2 and 255 characters long').escape(),
+  body('phone').matches(/^[\+]?[1-9][\d]{0,15}$/).withMessage('Must be a valid phone number').escape(),
+  body('purpose').trim().notEmpty().withMessage('Purpose is required').escape(),
+  body('location').trim().notEmpty().withMessage('Location is required').isIn(LOCATIONS).withMessage('Unknown location'),
+  body('date').isISO8601().withMessage('Must be a valid date'),
+  body('time_slot').matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Must be a valid time slot')
+];
+
+// Routes
+
+// Health check endpoint
+app.get('/api/health', (req, res) => {
+  res.json({ 
+    status: 'OK', 
+    timestamp: new Date().toISOString(),
+    database: 'PostgreSQL Connected',
+    databaseUrl: 'Configured',
+    environment: process.env.NODE_ENV || 'development'
+  });
+});
+
+// Live seat counts for one location's day, pushed as Server-Sent Events whenever a
+// booking or hold changes them. Registered before /api/slots/:date, which would match it.
+app.get('/api/slots/stream', (req, res) => {
+  const { date, location } = req.query;
+
+  if (!moment(date, 'YYYY-MM-DD', true).isValid()) {
+    return res.status(400).json({ error: 'Invalid date format' });
+  }
+  if (!LOCATIONS.includes(location)) {
+    return res.status(400).json({ error: 'A valid location is required' });
+  }
+
+  streamSlots(req, res);
+});
+
+// Get available slots for a specific date
+app.get('/api/slots/:date', async (req, res) => {
+  const { date } = req.params;
+  const { location } = req.query;
+  
+  if (!moment(date, 'YYYY-MM-DD', true).isValid()) {
+    return res.status(400).json({ error: 'Invalid date format' });
+  }
+
+  // Every location has its own seats, so availability is per location
+  if (!LOCATIONS.includes(location)) {
+    return res.status(400).json({ error: 'A valid location is required' });
+  }
+
+  try {
+    // Slots offered on this date, from the schedule
+    const slots = await getSlotsForDate(date);
+    const maxBookings = dailyCapacity(slots);
+
+    // Get booking counts for each slot at this location
+    const slotBookings = await countBookingsBySlot(date, location);
+
+    // Seats held by people filling in the booking form count as taken
+    const slotHolds = await countHoldsBySlot(date, location);
+
+    // Closures for this date at this location
+    const closures = await getClosuresForDate(date, location);
+
+    // People waiting for a seat in each slot
+    const waitlistCounts = await countWaitlistBySlot(date, location);
+
+    // Dates outside the booking window are shown, but nothing on them can be booked
+    const windowError = dateWindowError(date);
+
+    // Calculate slot status for each time slot
+    const slotStatus = slots.map(slot => {
+      const bookingCount = slotBookings[slot.time] || 0;
+      const heldCount = slotHolds[slot.time] || 0;
+      const takenCount = bookingCount + heldCount;
+      const closure = closureForSlot(closures, slot.time);
+      const pastCutoff = !windowError && isPastCutoff(date, slot.time);
+      const isAvailable = !closure && !windowError && !pastCutoff && takenCount < slot.capacity;
+      const isFullyBooked = takenCount >= slot.capacity;
+      
+      return {
+        time: slot.time,
+        bookingCount: bookingCount,
+        heldCount: heldCount,
+        maxCapacity: slot.capacity,
+        durationMinutes: slot.durationMinutes,
+        isAvailable: isAvailable,
+        isFullyBooked: isFullyBooked,
+        isClosed: !!closure,
+        closureReason: closure ? closure.reason : null,
+        isPastCutoff: pastCutoff,
+        availableSpots: isAvailable ? slot.capacity - takenCount : 0,
+        waitlistCount: waitlistCounts[slot.time] || 0
+      };
+    });
+
+    const totalBookings = Object.values(slotBookings).reduce((sum, count) => sum + count, 0);
+    const totalHeld = Object.values(slotHolds).reduce((sum, count) => sum + count, 0);
+    const availableSlots = slotStatus.filter(slot => slot.isAvailable).map(slot => slot.time);
+    const fullyBookedSlots = slotStatus.filter(slot => slot.isFullyBooked).map(slot => slot.time);
+    const closedSlots = slotStatus.filter(slot => slot.isClosed).map(slot => slot.time);
+    const dayClosure = fullDayClosure(closures);
+
+    console.log('API Response:', {
+      date,
+      location,
+      slotStatus: slotStatus.length,
+      availableSlots: availableSlots.length,
+      fullyBookedSlots: fullyBookedSlots.length,
+      closedSlots: closedSlots.length,
+      totalBookings: totalBookings,
+      totalHeld: totalHeld,
+      maxBookings: maxBookings
+    });
+
+    res.json({
+      date,
+      location,
+      slotStatus,
+      availableSlots,
+      fullyBookedSlots,
+      closedSlots,
+      closure: dayClosure ? { reason: dayClosure.reason } : null,
+      bookingClosedReason: windowError,
+      allSlots: slots.map(slot => slot.time),
+      totalBookings: totalBookings,
+      totalHeld: totalHeld,
+      maxBookings: maxBookings
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Booking window rules, for limiting the booking calendar
+app.get('/api/booking-rules', (req, res) => {
+  res.json(publicRules());
+});
+
+// Closures between two dates, for greying out the booking calendar
+app.get('/api/closures', async (req, res) => {
+  const { from, to, location } = req.query;
+
+  if (!moment(from, 'YYYY-MM-DD', true).isValid() || !moment(to, 'YYYY-MM-DD', true).isValid()) {
+    return res.status(400).json({ error: 'Invalid date format' });
+  }
+  if (location && !LOCATIONS.includes(location)) {
+    return res.status(400).json({ error: 'Unknown location' });
+  }
+
+  try {
+    const closures = await getClosures(from, to, location);
+    res.json(closures.map(({ date, start_time, end_time, location, reason }) => ({
+      date, start_time, end_time, location, reason
+    })));
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Check if user has already booked this week
+app.get('/api/user/weekly-status', [
+  rateLimit('weekly-status-ip', RATE_LIMITS.weeklyStatusPerIp, byIp),
+  rateLimit('weekly-status-phone', RATE_LIMITS.weeklyStatusPerPhone, byPhone)
+], (req, res) => {
+  const { phone, date } = req.query;
+  
+  if (!phone) {
+    return res.status(400).json({ error: 'Phone number is required' });
+  }
+  
+  const slotDate = date && moment(date, 'YYYY-MM-DD', true).isValid() ? date : moment().format('YYYY-MM-DD');
+  Promise.all([checkWeeklyBookingRestriction(phone, slotDate), getActiveBlock(phone)])
+    .then(([weeklyBookings, block]) => {
+      const hasBookedThisWeek = weeklyBookings > 0;
+      
+      res.json({
+        hasBookedThisWeek,
+        weeklyBookings,
+        blockedUntil: block ? moment(block.blocked_until).format('YYYY-MM-DD') : null,
+        canBook: !hasBookedThisWeek && !block,
+        message: block
+          ? blockedMessage(block)
+          : hasBookedThisWeek 
+            ? 'You have already booked a slot this week' 
+            : 'You can book a slot this week'
+      });
+    })
+    .catch(() => res.status(500).json({ error: 'Database error' }));
+});
+
+// Get overall slot statistics
+app.get('/api/slots/status/overall', async (req, res) => {
+  const { date, location } = req.query;
+  const targetDate = date && moment(date, 'YYYY-MM-DD', true).isValid() ? date : moment().format('YYYY-MM-DD');
+
+  if (location && !LOCATIONS.includes(location)) {
+    return res.status(400).json({ error: 'Unknown location' });
+  }
+  
+  try {
+    // Get bookings count for the specified date, at one location or across all of them
+    const counts = await countBookingsByLocation({ date: targetDate, locations: location ? [location] : null });
+    
+    const totalBookings = Object.values(counts).reduce((sum, count) => sum + count, 0);
+    // Total seats on the schedule for the day, which every location offers separately
+    const maxSlots = dailyCapacity(await getSlotsForDate(targetDate)) * (location ? 1 : LOCATIONS.length);
+    const availableSlots = Math.max(0, maxSlots - totalBookings);
+    
+    res.json({
+      date: targetDate,
+      location: location || null,
+      availableSlots,
+      totalBookings,
+      maxSlots,
+      utilizationRate: maxSlots > 0 ? ((totalBookings / maxSlots) * 100).toFixed(1) : '0.0'
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Phone numbers are verified with a one-time code before they can book
+const validatePhone = body('phone').matches(/^[\+]?[1-9][\d]{0,15}$/).withMessage('Must be a valid phone number');
+
+// Requesting and checking codes is limited per client, on top of the per-phone limits
+const otpRateLimit = rateLimit('otp-ip', RATE_LIMITS.otpPerIp, byIp);
+
+// Send a verification code to a phone
+app.post('/api/otp/request', [otpRateLimit, validatePhone], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const result = await requestOtp(req.body.phone);
+    res.json({ message: 'Verification code sent', ...result });
+  } catch (err) {
+    sendError(res, err, 'Failed to send verification code');
+  }
+});
+
+// Exchange a verification code for a token that allows booking with the phone
+app.post('/api/otp/verify', [
+  otpRateLimit,
+  validatePhone,
+  body('code').trim().matches(/^\d{4,8}$/).withMessage('Enter the code from the SMS')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const result = await verifyOtp(req.body.phone, req.body.code);
+    res.json({ message: 'Phone number verified', ...result });
+  } catch (err) {
+    sendError(res, err, 'Failed to verify code');
+  }
+});
+
+// A proof-of-work challenge to solve before submitting a booking or joining a waitlist
+app.get('/api/challenge', (req, res) => {
+  res.json(issueChallenge());
+});
+
+// Create a new booking
+app.post('/api/bookings', protectBookingSubmission, validateBooking, requireVerifiedPhone, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { name, phone, purpose, location, date, time_slot, holdToken } = req.body;
+
+  try {
+    const booking = await createBooking({ name, phone, purpose, location, date, time_slot, holdToken });
+    await recordAudit(req, AUDIT.BOOKING_CREATED, {
+      booking,
+      details: { reference: booking.reference, location, date, time_slot: booking.time_slot.substring(0, 5) }
+    });
+
+    res.status(201).json({
+      id: booking.id,
+      reference: booking.reference,
+      message: 'Booking created successfully',
+      booking: serializeBooking(booking)
+    });
+  } catch (err) {
+    sendError(res, err, 'Failed to create booking');
+  }
+});
+
+// Hold a seat in a slot for a few minutes while the booker fills in the form. Send the
+// previous holdToken to move the hold to another slot.
+app.post('/api/holds', [
+  rateLimit('holds-ip', RATE_LIMITS.holdsPerIp, byIp),
+  body('location').trim().notEmpty().withMessage('Location is required').isIn(LOCATIONS).withMessage('Unknown location'),
+  body('date').isISO8601().withMessage('Must be a valid date'),
+  body('time_slot').matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Must be a valid time slot'),
+  body('holdToken').optional({ nullable: true }).isString()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { location, date, time_slot, holdToken } = req.body;
+
+  try {
+    const hold = await holdSlot({ location, date, time_slot }, holdToken);
+    res.status(201).json({ message: 'Seat held', ...hold });
+  } catch (err) {
+    sendError(res, err, 'Failed to hold slot');
+  }
+});
+
+// Give up a held seat
+app.delete('/api/holds/:token', async (req, res) => {
+  try {
+    if (!await releaseHold(req.params.token)) {
+      return res.status(404).json({ error: 'Hold not found or already expired' });
+    }
+    res.json({ message: 'Hold released' });
+  } catch (err) {
+    sendError(res, err, 'Failed to release hold');
+  }
+});
+
+// Join the waitlist of a fully booked slot. A seat freed later is booked for the
+// first person waiting, who is notified with the booking reference.
+app.post('/api/waitlist', protectBookingSubmission, validateBooking, requireVerifiedPhone, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { name, phone, purpose, location, date, time_slot } = req.body;
+
+  try {
+    const { entry, position } = await joinWaitlist({ name, phone, purpose, location, date, time_slot });
+    res.status(201).json({
+      message: `You are number ${position} on the waitlist`,
+      id: entry.id,
+      position
+    });
+  } catch (err) {
+    sendError(res, err, 'Failed to join waitlist');
+  }
+});
+
+// The booker identifies a booking by phone number plus booking reference. Lookups,
+// cancellations and reschedules share one limit per client, so references cannot be
+// guessed by trying them one after another.
+const validateBookingLookup = [
+  rateLimit('lookup-ip', RATE_LIMITS.lookupPerIp, byIp),
+  body('phone').trim().notEmpty().withMessage('Phone number is required'),
+  body('reference').trim().notEmpty().withMessage('Booking reference is required')
+];
+
+// Look up a booking (booker)
+app.post('/api/bookings/lookup', validateBookingLookup, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const booking = await findBooking(req.body.phone, req.body.reference);
+    if (!booking) {
+      return res.status(404).json({ error: 'No booking found for this phone number and reference' });
+    }
+    res.json({
+      booking: serializeBooking(booking),
+      changes: await getBookingChanges(booking.id)
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// One booking.created event per booking made for someone on a waitlist, when the
+// action through req freed their seat
+const recordPromotions = async (req, bookings) => {
+  for (const booking of bookings) {
+    await recordAudit(req, AUDIT.BOOKING_CREATED, {
+      booking,
+      details: {
+        reference: booking.reference,
+        location: booking.location,
+        date: moment(booking.date).format('YYYY-MM-DD'),
+        time_slot: booking.time_slot.substring(0, 5),
+        source: 'waitlist'
+      }
+    });
+  }
+};
+
+// Cancel a booking (booker), freeing the seat and the week
+app.post('/api/bookings/cancel', validateBookingLookup, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { cancelled: booking, promoted } = await cancelBooking(req.body.phone, req.body.reference);
+    await recordAudit(req, AUDIT.BOOKING_CANCELLED, { booking, details: { reference: booking.reference } });
+    await recordPromotions(req, promoted);
+    res.json({
+      message: 'Booking cancelled successfully',
+      booking: serializeBooking(booking)
+    });
+  } catch (err) {
+    sendError(res, err, 'Failed to cancel booking');
+  }
+});
+
+// Move a booking to another slot in the same week (booker), with the phone verified as
+// for a new booking
+app.post('/api/bookings/reschedule', [
+  ...validateBookingLookup,
+  body('date').isISO8601().withMessage('Must be a valid date'),
+  body('time_slot').matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Must be a valid time slot')
+], requireVerifiedPhone, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { phone, reference, date, time_slot } = req.body;
+
+  try {
+    const { rescheduled: booking, promoted } = await rescheduleBooking(phone, reference, { date, time_slot });
+    const changes = await getBookingChanges(booking.id);
+    const change = changes[changes.length - 1];
+    await recordAudit(req, AUDIT.BOOKING_RESCHEDULED, {
+      booking,
+      details: {
+        reference: booking.reference,
+        from: { date: change.from_date, time_slot: change.from_time_slot },
+        to: { date: change.to_date, time_slot: change.to_time_slot }
+      }
+    });
+    await recordPromotions(req, promoted);
+    res.json({
+      message: 'Booking rescheduled successfully',
+      booking: serializeBooking(booking),
+      changes
+    });
+  } catch (err) {
+    sendError(res, err, 'Failed to reschedule booking');
+  }
+});
+
+// Admin login
+app.post('/api/admin/login', [
+  body('username').trim().notEmpty().withMessage('Username is required'),
+  body('password').notEmpty().withMessage('Password is required')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const admin = await authenticate(req.body.username, req.body.password);
+    if (!admin) {
+      await recordAudit(req, AUDIT.ADMIN_LOGIN_FAILED, { admin: { username: req.body.username } });
+      return res.status(401).json({ error: 'Invalid username or password' });
+    }
+    await recordAudit(req, AUDIT.ADMIN_LOGIN, { admin });
+
+    res.json({
+      ...createSession(admin),
+      admin: serializeAdmin(admin)
+    });
+  } catch (err) {
+    console.error('Login error:', err);
+    res.status(500).json({ error: 'Login failed' });
+  }
+});
+
+// Every other admin endpoint requires a valid session
+app.use('/api/admin', requireAdmin);
+
+// Current admin session
+app.get('/api/admin/session', (req, res) => {
+  res.json({ admin: serializeAdmin(req.admin) });
+});
+
+// Audit log viewer and export (super admins only)
+app.use('/api/admin/audit', requireRole(ROLES.SUPER_ADMIN), auditRouter);
+
+// Admin account management (super admins only)
+app.use('/api/admin/users', requireRole(ROLES.SUPER_ADMIN), adminUsersRouter);
+
+// Slot schedule: readable by every admin, editable by super admins
+app.use('/api/admin/schedule', scheduleRouter);
+
+// Closures: readable by every admin, managed by super admins and operators
+app.use('/api/admin/closures', closuresRouter);
+
+// Gate check-in: any admin sees the live count, super admins and operators check in
+app.use('/api/checkin', requireAdmin, checkinRouter);
+
+// Attendance: bulk no-show marking by super admins and operators
+app.use('/api/admin/attendance', attendanceRouter);
+
+// No-show blocks: readable by every admin, lifted by super admins and operators
+app.use('/api/admin/blocks', blocksRouter);
+
+// The admin list's filters in the query string: startDate and endDate ('YYYY-MM-DD'),
+// location, purpose, time_slot, status and a search term (name, phone, reference or
+// ID). Returns { filter } or { error }.
+const BOOKING_STATUSES = ['confirmed', 'cancelled'];
+const MAX_SEARCH_LENGTH = 100;
+const parseBookingFilter = ({ startDate, endDate, location, purpose, time_slot, status, search }) => {
+  const filter = {};
+  for (const [key, value] of [['startDate', startDate], ['endDate', endDate]]) {
+    if (!value) continue;
+    if (!moment(value, 'YYYY-MM-DD', true).isValid()) {
+      return { error: 'Invalid date format' };
+    }
+    filter[key] = value;
+  }
+  if (location) {
+    if (!LOCATIONS.includes(location)) {
+      return { error: 'Unknown location' };
+    }
+    filter.location = location;
+  }
+  if (purpose) filter.purpose = String(purpose).trim();
+  if (time_slot) {
+    if (!/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/.test(time_slot)) {
+      return { error: 'Invalid time slot' };
+    }
+    filter.timeSlot = time_slot;
+  }
+  if (status) {
+    if (!BOOKING_STATUSES.includes(status)) {
+      return { error: 'Unknown status' };
+    }
+    filter.status = status;
+  }
+  if (search) filter.search = String(search).trim().slice(0, MAX_SEARCH_LENGTH);
+  return { filter };
+};
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// One page of bookings (admin endpoint), filtered as in parseBookingFilter and sorted
+// by `sort` (see repo.bookings.ADMIN_SORTS) in `order` ('asc' or 'desc'). Pages are
+// numbered from 1; the response has the total matching, for the page controls.
+app.get('/api/admin/bookings', async (req, res) => {
+  const { filter, error } = parseBookingFilter(req.query);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  const sort = req.query.sort || 'date';
+  if (!repo.bookings.ADMIN_SORTS[sort]) {
+    return res.status(400).json({ error: 'Unknown sort column' });
+  }
+  const order = req.query.order === 'asc' ? 'asc' : 'desc';
+  const page = Math.max(1, parseInt(req.query.page) || 1);
+  const pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(req.query.pageSize) || DEFAULT_PAGE_SIZE));
+
+  try {
+    const scopedFilter = { ...filter, locations: locationScope(req.admin) };
+    const [bookings, total] = await Promise.all([
+      repo.bookings.listForAdmin(scopedFilter, { sort, order, limit: pageSize, offset: (page - 1) * pageSize }),
+      repo.bookings.countForAdmin(scopedFilter)
+    ]);
+    res.json({
+      // Include the QR ticket so admins can show it to a booker again
+      bookings: bookings.map(row => ({ ...row, qr_token: serializeBooking(row).qr_token })),
+      total,
+      page,
+      pageSize
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Why an admin is deleting bookings, kept with the deleted bookings; null if missing
+const MAX_DELETE_REASON_LENGTH = 500;
+const deleteReason = (body) => {
+  const reason = typeof body.reason === 'string' ? body.reason.trim() : '';
+  return reason && reason.length <= MAX_DELETE_REASON_LENGTH ? reason : null;
+};
+const DELETE_REASON_ERROR = `A reason of up to ${MAX_DELETE_REASON_LENGTH} characters is required to delete bookings`;
+
+// One audit event per deleted booking
+const recordDeletions = async (req, bookings, reason) => {
+  for (const booking of bookings) {
+    await recordAudit(req, AUDIT.BOOKING_DELETED, { booking, details: { reference: booking.reference, reason } });
+  }
+};
+
+// Bookings deleted by admins, for the Deleted tab (admin endpoint)
+app.get('/api/admin/bookings/deleted', async (req, res) => {
+  try {
+    res.json(await getDeletedBookings(locationScope(req.admin)));
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Delete a single booking (admin endpoint). The booking is kept and can be restored.
+app.delete('/api/admin/bookings/:id', requireRole(ROLES.SUPER_ADMIN, ROLES.OPERATOR), async (req, res) => {
+  const { id } = req.params;
+  
+  if (!id || isNaN(parseInt(id))) {
+    return res.status(400).json({ error: 'Invalid booking ID' });
+  }
+  const reason = deleteReason(req.body);
+  if (!reason) {
+    return res.status(400).json({ error: DELETE_REASON_ERROR });
+  }
+  
+  try {
+    const { deleted, promoted } = await deleteBookings([parseInt(id)], req.admin, reason);
+    if (deleted.length === 0) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+    await recordDeletions(req, deleted, reason);
+    await recordPromotions(req, promoted);
+
+    res.json({
+      message: 'Booking deleted successfully',
+      deletedBooking: deleted[0]
+    });
+  } catch (err) {
+    sendError(res, err, 'Failed to delete booking');
+  }
+});
+
+// Delete multiple bookings (admin endpoint)
+app.delete('/api/admin/bookings', requireRole(ROLES.SUPER_ADMIN, ROLES.OPERATOR), async (req, res) => {
+  const { ids } = req.body;
+  
+  if (!ids || !Array.isArray(ids) || ids.length === 0) {
+    return res.status(400).json({ error: 'Booking IDs array is required' });
+  }
+  
+  // Validate all IDs are numbers
+  const validIds = ids.filter(id => !isNaN(parseInt(id)));
+  if (validIds.length !== ids.length) {
+    return res.status(400).json({ error: 'Invalid booking ID format' });
+  }
+  const reason = deleteReason(req.body);
+  if (!reason) {
+    return res.status(400).json({ error: DELETE_REASON_ERROR });
+  }
+  
+  try {
+    const { deleted, promoted } = await deleteBookings(validIds.map(id => parseInt(id)), req.admin, reason);
+    await recordDeletions(req, deleted, reason);
+    await recordPromotions(req, promoted);
+    res.json({
+      message: `${deleted.length} booking(s) deleted successfully`,
+      deletedBookings: deleted,
+      deletedCount: deleted.length
+    });
+  } catch (err) {
+    sendError(res, err, 'Failed to delete bookings');
+  }
+});
+
+// Restore a deleted booking (admin endpoint). A confirmed booking needs its seat to be
+// free again.
+app.post('/api/admin/bookings/:id/restore', requireRole(ROLES.SUPER_ADMIN, ROLES.OPERATOR), async (req, res) => {
+  const id = parseInt(req.params.id);
+  if (isNaN(id)) {
+    return res.status(400).json({ error: 'Invalid booking ID' });
+  }
+
+  try {
+    const booking = await restoreBooking(id, req.admin);
+    await recordAudit(req, AUDIT.BOOKING_RESTORED, { booking, details: { reference: booking.reference } });
+    res.json({ message: 'Booking restored successfully', booking });
+  } catch (err) {
+    sendError(res, err, 'Failed to restore booking');
+  }
+});
+
+// Export bookings to Excel, every one matching the admin list's filters
+app.get('/api/admin/export', async (req, res) => {
+  const { filter, error } = parseBookingFilter(req.query);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  const { startDate, endDate } = filter;
+
+  let rows;
+  try {
+    rows = await repo.bookings.listForExport({ ...filter, locations: locationScope(req.admin) });
+  } catch (err) {
+    return res.status(500).json({ error: 'Database error' });
+  }
+  await recordAudit(req, AUDIT.BOOKINGS_EXPORTED, {
+    details: { ...filter, startDate: startDate || null, endDate: endDate || null, rows: rows.length }
+  });
+
+  // Transform data for Excel
+  const excelData = rows.map(row => ({
+    'ID': row.id,
+    'Reference': row.reference,
+    'Status': row.status,
+    'Name': row.name,
+    'Phone': row.phone,
+    'Purpose': row.purpose,
+    'Location': row.location,
+    'Date': row.date,
+    'Time Slot': row.time_slot,
+    'Attendance': row.attendance_status || '',
+    'Checked In At': row.checked_in_at || '',
+    'Checked In By': row.checked_in_by_username || '',
+    'Created At': row.created_at
+  }));
+
+  // Create workbook and worksheet
+  const workbook = XLSX.utils.book_new();
+  const worksheet = XLSX.utils.json_to_sheet(excelData);
+
+  // Add worksheet to workbook
+  XLSX.utils.book_append_sheet(workbook, worksheet, 'Bookings');
+
+  // Generate filename
+  const filename = `bookings_${startDate || 'all'}_${endDate || 'all'}_${moment().format('YYYY-MM-DD_HH-mm')}.xlsx`;
+
+  // Set headers for file download
+  res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+  // Write to buffer and send
+  const buffer = XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+  res.send(buffer);
+});
+
+// Get booking statistics, overall and per location
+app.get('/api/admin/stats', async (req, res) => {
+  const { date } = req.query;
+  if (date && !moment(date, 'YYYY-MM-DD', true).isValid()) {
+    return res.status(400).json({ error: 'Invalid date format' });
+  }
+  
+  try {
+    const counts = await countBookingsByLocation({ date, locations: locationScope(req.admin) });
+    const attendance = await countAttendanceByLocation({ date, locations: locationScope(req.admin) });
+
+    // Daily limit per location from the schedule for the requested date (today if none)
+    const capacityDate = date || moment().format('YYYY-MM-DD');
+    const locationCapacity = dailyCapacity(await getSlotsForDate(capacityDate));
+
+    const byLocation = (locationScope(req.admin) || LOCATIONS).map(location => ({
+      location,
+      totalBookings: counts[location] || 0,
+      maxBookings: locationCapacity,
+      availableBookings: locationCapacity - (counts[location] || 0),
+      attendance: withNoShowRate(attendance[location] || emptyAttendance())
+    }));
+
+    const totalBookings = Object.values(counts).reduce((sum, count) => sum + count, 0);
+    const maxBookings = locationCapacity * byLocation.length;
+
+    const totalAttendance = byLocation.reduce((total, { attendance: counts }) => ({
+      arrived: total.arrived + counts.arrived,
+      late: total.late + counts.late,
+      noShow: total.noShow + counts.noShow,
+      pending: total.pending + counts.pending
+    }), emptyAttendance());
+
+    res.json({
+      totalBookings,
+      maxBookings,
+      availableBookings: maxBookings - totalBookings,
+      attendance: withNoShowRate(totalAttendance),
+      byLocation
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Root route handler
+app.get('/', (req, res) => {
+  res.json({
+    message: 'SLOG SOLUTIONS Slot Booking API',
+    status: 'Server is running',
+    endpoints: {
+      health: '/api/health',
+      slots: '/api/slots/:date',
+      closures: '/api/closures',
+      bookingRules: '/api/booking-rules',
+      otp: '/api/otp/request',
+      otpVerify: '/api/otp/verify',
+      bookings: '/api/bookings',
+      bookingLookup: '/api/bookings/lookup',
+      bookingCancel: '/api/bookings/cancel',
+      bookingReschedule: '/api/bookings/reschedule',
+      checkin: '/api/checkin',
+      admin: {
+        login: '/api/admin/login',
+        users: '/api/admin/users',
+        audit: '/api/admin/audit',
+        schedule: '/api/admin/schedule',
+        closures: '/api/admin/closures',
+        attendance: '/api/admin/attendance/no-shows',
+        blocks: '/api/admin/blocks',
+        bookings: '/api/admin/bookings',
+        deletedBookings: '/api/admin/bookings/deleted',
+        stats: '/api/admin/stats',
+        export: '/api/admin/export'
+      }
+    },
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Remove static file serving - this is a backend-only deployment
+// if (process.env.NODE_ENV === 'production') {
+//   app.use(express.static(path.join(__dirname, '../client/build')));
+//   
+//   app.get('*', (req, res) => {
+//     res.sendFile(path.join(__dirname, '../client/build', 'index.html'));
+//   });
+// }
+
+module.exports = app;
@@ -0,0 +1,70 @@
+// The audit log: who did what, when, for settling disputes. Routes record an event
+// once an action has succeeded (or, for logins, failed); admin changes to accounts,
+// closures, the schedule, blocks and attendance are recorded in the transaction that
+// makes them.
+const repo = require('./repository');
+
+const AUDIT = {
+  BOOKING_CREATED: 'booking.created',
+  BOOKING_CANCELLED: 'booking.cancelled',
+  BOOKING_RESCHEDULED: 'booking.rescheduled',
+  BOOKING_DELETED: 'booking.deleted',
+  BOOKING_RESTORED: 'booking.restored',
+  BOOKINGS_EXPORTED: 'bookings.exported',
+  AUDIT_EXPORTED: 'audit.exported',
+  BOOKING_CHECKED_IN: 'booking.checked_in',
+  NO_SHOWS_MARKED: 'bookings.no_shows_marked',
+  ADMIN_LOGIN: 'admin.login',
+  ADMIN_LOGIN_FAILED: 'admin.login_failed',
+  ADMIN_CREATED: 'admin.created',
+  ADMIN_UPDATED: 'admin.updated',
+  ADMIN_DELETED: 'admin.deleted',
+  CLOSURE_ADDED: 'closure.added',
+  CLOSURE_REMOVED: 'closure.removed',
+  SCHEDULE_TEMPLATES_SAVED: 'schedule.templates_saved',
+  SCHEDULE_OVERRIDE_SAVED: 'schedule.override_saved',
+  BLOCK_LIFTED: 'block.lifted'
+};
+
+const MAX_USER_AGENT_LENGTH = 500;
+
+// Record that `action` was taken through req: by `admin` (the signed-in admin unless
+// given, or { username } alone for a failed login), or else by the booker with
+// `phone`. Given the transaction client `db` making the change, the event is written
+// in it, and failing to record it fails (and rolls back) the change. Otherwise the
+// action has already happened, so failing to record it is logged rather than failing
+// the request.
+async function recordAudit(req, action, { admin = req.admin, booking = null, phone = null, details = {}, db = null } = {}) {
+  const userAgent = req.get('user-agent');
+  const event = {
+    action,
+    actorType: admin ? 'admin' : 'booker',
+    adminId: admin && admin.id ? admin.id : null,
+    actorUsername: admin ? String(admin.username).slice(0, 100) : null,
+    bookingId: booking ? booking.id : null,
+    phone: phone || (booking ? booking.phone : null),
+    ip: req.ip || null,
+    userAgent: userAgent ? userAgent.slice(0, MAX_USER_AGENT_LENGTH) : null,
+    details
+  };
+  if (db) {
+    return repo.audit.insert(event, db);
+  }
+
+  try {
+    await repo.audit.insert(event);
+  } catch (err) {
+    console.error(`Error recording audit event ${action}:`, err.message);
+  }
+}
+
+// Most events the audit viewer shows at once; the export has them all
+const MAX_LISTED_EVENTS = 500;
+
+// Events matching the viewer's filters, newest first, with how many match in all
+const getAuditEvents = async (filter) => ({
+  events: await repo.audit.list(filter, { limit: MAX_LISTED_EVENTS }),
+  total: await repo.audit.count(filter)
+});
+
+module.exports = { AUDIT, MAX_LISTED_EVENTS, recordAudit, getAuditEvents };
@@ -0,0 +1,146 @@
+// Admin authentication: password hashing, session tokens and route protection
+const crypto = require('crypto');
+const repo = require('./repository');
+const { signToken, verifyToken } = require('./tokens');
+
+// Admin roles. Operators and viewers may be limited to a set of locations;
+// an empty location list means every location.
+const ROLES = {
+  SUPER_ADMIN: 'super_admin',
+  OPERATOR: 'operator',
+  VIEWER: 'viewer'
+};
+
+const SESSION_TTL_SECONDS = parseInt(process.env.ADMIN_SESSION_TTL_HOURS || '12') * 60 * 60;
+
+// Sessions are signed with ADMIN_SESSION_SECRET. Without it a random secret is used,
+// which logs every admin out whenever the server restarts.
+let sessionSecret = process.env.ADMIN_SESSION_SECRET;
+if (!sessionSecret) {
+  console.warn('ADMIN_SESSION_SECRET is not set - using a random secret, admin sessions will not survive a restart.');
+  sessionSecret = crypto.randomBytes(32).toString('hex');
+}
+
+const SCRYPT_KEYLEN = 64;
+
+// Hash a password as "scrypt$<salt>$<hash>"
+const hashPassword = (password) => new Promise((resolve, reject) => {
+  const salt = crypto.randomBytes(16).toString('hex');
+  crypto.scrypt(password, salt, SCRYPT_KEYLEN, (err, derivedKey) => {
+    if (err) return reject(err);
+    resolve(`scrypt$${salt}$${derivedKey.toString('hex')}`);
+  });
+});
+
+const verifyPassword = (password, storedHash) => new Promise((resolve, reject) => {
+  const [scheme, salt, hash] = (storedHash || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return resolve(false);
+
+  crypto.scrypt(password, salt, SCRYPT_KEYLEN, (err, derivedKey) => {
+    if (err) return reject(err);
+    const expected = Buffer.from(hash, 'hex');
+    resolve(expected.length === derivedKey.length && crypto.timingSafeEqual(expected, derivedKey));
+  });
+});
+
+// Used to spend the same time on unknown usernames as on wrong passwords
+const dummyHashPromise = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+// Check credentials, returning the admin row or null
+const authenticate = async (username, password) => {
+  const admin = await repo.admins.findByUsername(username);
+
+  if (!admin) {
+    await verifyPassword(password, await dummyHashPromise);
+    return null;
+  }
+
+  return (await verifyPassword(password, admin.password_hash)) ? admin : null;
+};
+
+const createSession = (admin) => ({
+  token: signToken({ sub: admin.id }, sessionSecret, SESSION_TTL_SECONDS),
+  expiresIn: SESSION_TTL_SECONDS
+});
+
+// Public view of an admin account
+const serializeAdmin = (admin) => ({
+  id: admin.id,
+  username: admin.username,
+  role: admin.role,
+  locations: admin.locations || [],
+  created_at: admin.created_at
+});
+
+// Locations an admin is limited to, or null when they can see every location
+const locationScope = (admin) => {
+  if (admin.role === ROLES.SUPER_ADMIN || !admin.locations || admin.locations.length === 0) {
+    return null;
+  }
+  return admin.locations;
+};
+
+const canAccessLocation = (admin, location) => {
+  const scope = locationScope(admin);
+  return !scope || scope.includes(location);
+};
+
+// Middleware: require a valid admin session token in the Authorization header
+const requireAdmin = (req, res, next) => {
+  const header = req.get('Authorization') || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7) : null;
+  const session = verifyToken(token, sessionSecret);
+
+  if (!session) {
+    return res.status(401).json({ error: 'Admin login required' });
+  }
+
+  repo.admins.findById(session.sub).then((admin) => {
+    if (!admin) {
+      return res.status(401).json({ error: 'Admin account no longer exists' });
+    }
+
+    req.admin = admin;
+    next();
+  }, () => res.status(500).json({ error: 'Database error' }));
+};
+
+// Middleware: only let admins with one of the given roles through. Use after requireAdmin.
+const requireRole = (...roles) => (req, res, next) => {
+  if (!req.admin || !roles.includes(req.admin.role)) {
+    return res.status(403).json({ error: 'You do not have permission to perform this action' });
+  }
+  next();
+};
+
+// Create the first admin from ADMIN_USERNAME / ADMIN_PASSWORD when there are none yet
+async function ensureDefaultAdmin() {
+  if (await repo.admins.count() > 0) return;
+
+  const { ADMIN_USERNAME, ADMIN_PASSWORD } = process.env;
+  if (!ADMIN_USERNAME || !ADMIN_PASSWORD) {
+    console.warn('No admin accounts exist. Set ADMIN_USERNAME and ADMIN_PASSWORD to create the first one.');
+    return;
+  }
+
+  await repo.admins.insert({
+    username: ADMIN_USERNAME,
+    password_hash: await hashPassword(ADMIN_PASSWORD),
+    role: ROLES.SUPER_ADMIN
+  });
+  console.log(`Created super admin account "${ADMIN_USERNAME}".`);
+}
+
+module.exports = {
+  ROLES,
+  hashPassword,
+  verifyPassword,
+  authenticate,
+  createSession,
+  serializeAdmin,
+  locationScope,
+  canAccessLocation,
+  requireAdmin,
+  requireRole,
+  ensureDefaultAdmin
+};
@@ -0,0 +1,120 @@
+// Booking window rules: how far ahead slots can be booked, how late before a slot
+// starts, and when a new week opens for booking. Dates and times are in the
+// service's local time (BOOKING_UTC_OFFSET), not the server's.
+const moment = require('moment');
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const parseWeekday = (value) => {
+  if (value === undefined || value === '') return null;
+  const index = /^\d$/.test(value)
+    ? parseInt(value)
+    : WEEKDAYS.findIndex(day => day.toLowerCase() === value.toLowerCase());
+  if (index < 0 || index > 6) {
+    console.warn(`Ignoring invalid BOOKING_WEEK_OPENS_ON "${value}"`);
+    return null;
+  }
+  return index;
+};
+
+const RULES = {
+  // Furthest date that can be booked, in days from today
+  maxDaysAhead: parseInt(process.env.BOOKING_MAX_DAYS_AHEAD || '30'),
+  // Bookings for a slot close this many minutes before it starts
+  minLeadMinutes: parseInt(process.env.BOOKING_MIN_LEAD_MINUTES || '30'),
+  // Weekday (0 = Sunday) on which the following Monday-Sunday week opens for booking;
+  // null opens every week within maxDaysAhead straight away
+  weekOpensOn: parseWeekday(process.env.BOOKING_WEEK_OPENS_ON),
+  utcOffset: process.env.BOOKING_UTC_OFFSET || '+05:30'
+};
+
+// Current local time of the service
+const now = () => moment().utcOffset(RULES.utcOffset);
+
+const today = () => now().format('YYYY-MM-DD');
+
+// The moment bookings open for the week containing date. Weeks run Monday to Sunday,
+// matching the one-booking-per-week rule.
+const weekOpensAt = (date) => {
+  if (RULES.weekOpensOn === null) return null;
+  const weekStart = moment(date, 'YYYY-MM-DD').isoWeekday(1);
+  return weekStart.subtract(7, 'days').isoWeekday(RULES.weekOpensOn === 0 ? 7 : RULES.weekOpensOn);
+};
+
+// Last date that can be booked right now
+const lastBookableDate = () => {
+  let last = moment(today(), 'YYYY-MM-DD').add(RULES.maxDaysAhead, 'days');
+  if (RULES.weekOpensOn !== null) {
+    // Only weeks that have already opened, i.e. the current week plus the next one
+    // once this week's opening day has come
+    const current = moment(today(), 'YYYY-MM-DD');
+    const nextWeekStart = current.clone().isoWeekday(8);
+    const openWeekEnd = weekOpensAt(nextWeekStart.format('YYYY-MM-DD')).isSameOrBefore(current, 'day')
+      ? nextWeekStart.clone().isoWeekday(7)
+      : current.clone().isoWeekday(7);
+    last = moment.min(last, openWeekEnd);
+  }
+  return last.format('YYYY-MM-DD');
+};
+
+// Why a date cannot be booked, or null when it is within the booking window
+const dateWindowError = (date) => {
+  date = moment(date, 'YYYY-MM-DD').format('YYYY-MM-DD');
+  if (date < today()) {
+    return 'Cannot book a date in the past';
+  }
+  if (date > lastBookableDate()) {
+    const opensAt = weekOpensAt(date);
+    if (opensAt && opensAt.format('YYYY-MM-DD') > today() &&
+        date <= moment(today(), 'YYYY-MM-DD').add(RULES.maxDaysAhead, 'days').format('YYYY-MM-DD')) {
+      return `Bookings for this week open on ${opensAt.format('dddd, MMM D')}`;
+    }
+    return `Bookings can be made at most ${RULES.maxDaysAhead} days in advance`;
+  }
+  return null;
+};
+
+// Minutes from now until a slot on date starting at time ('HH:mm'); negative once it has started
+const minutesUntilSlot = (date, time) =>
+  moment(`${date} ${time}`, 'YYYY-MM-DD HH:mm').utcOffset(RULES.utcOffset, true).diff(now(), 'minutes', true);
+
+// Whether bookings for a slot on date starting at time ('HH:mm') have closed
+const isPastCutoff = (date, time) => minutesUntilSlot(date, time) < RULES.minLeadMinutes;
+
+// Whether a slot on date starting at time ('HH:mm') has started
+const hasStarted = (date, time) =>
+  !moment(`${date} ${time}`, 'YYYY-MM-DD HH:mm').utcOffset(RULES.utcOffset, true).isAfter(now());
+
+// Why a slot cannot be booked, or null
+const bookingWindowError = (date, time) => {
+  const error = dateWindowError(date);
+  if (error) return error;
+  if (isPastCutoff(date, time)) {
+    return RULES.minLeadMinutes > 0
+      ? `Bookings for this slot closed ${RULES.minLeadMinutes} minutes before it starts`
+      : 'This slot has already started';
+  }
+  return null;
+};
+
+// Rules as published to the booking page
+const publicRules = () => ({
+  maxDaysAhead: RULES.maxDaysAhead,
+  minLeadMinutes: RULES.minLeadMinutes,
+  weekOpensOn: RULES.weekOpensOn,
+  utcOffset: RULES.utcOffset,
+  today: today(),
+  lastBookableDate: lastBookableDate()
+});
+
+module.exports = {
+  RULES,
+  today,
+  lastBookableDate,
+  dateWindowError,
+  minutesUntilSlot,
+  isPastCutoff,
+  hasStarted,
+  bookingWindowError,
+  publicRules
+};
@@ -0,0 +1,488 @@
+// Booking creation and cancellation, and the capacity rules that guard them
+const crypto = require('crypto');
+const moment = require('moment');
+const repo = require('./repository');
+const { HttpError } = require('./errors');
+const { getSlotsForDate, dailyCapacity } = require('./schedule');
+const { getClosuresForDate, closureForSlot } = require('./closures');
+const { bookingWindowError, hasStarted, today } = require('./bookingRules');
+const { ticketToken } = require('./tickets');
+const { canAccessLocation } = require('./auth');
+const { EVENTS, notify } = require('./notifier');
+const { slotsChanged } = require('./events');
+
+// Only confirmed bookings take up seats or count towards the weekly limit
+const STATUS = {
+  CONFIRMED: 'confirmed',
+  CANCELLED: 'cancelled'
+};
+
+// Attendance of a confirmed booking; null until the booker checks in or is marked
+// as a no-show
+const ATTENDANCE = {
+  ARRIVED: 'arrived',
+  LATE: 'late',
+  NO_SHOW: 'no_show'
+};
+
+// A waitlist entry waits until a seat is given to it (promoted), or until it is dropped
+// because its phone can no longer book that week (skipped)
+const WAITLIST = {
+  WAITING: 'waiting',
+  PROMOTED: 'promoted',
+  SKIPPED: 'skipped'
+};
+
+// Unambiguous characters only (no 0/O or 1/I), as the reference is read out and typed
+const REFERENCE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const REFERENCE_LENGTH = 8;
+
+const generateReference = () => Array.from(
+  { length: REFERENCE_LENGTH },
+  () => REFERENCE_ALPHABET[crypto.randomInt(REFERENCE_ALPHABET.length)]
+).join('');
+
+// Count a phone number's bookings in the same week as slotDate
+const checkWeeklyBookingRestriction = (phone, slotDate, db) =>
+  repo.bookings.countInWeek(phone, slotDate, STATUS.CONFIRMED, db);
+
+// A phone's block from booking after repeated no-shows, if one is in force today
+const getActiveBlock = (phone, db) => repo.blocks.findActive(phone, today(), db);
+
+// What a blocked booker is told
+const blockedMessage = (block) =>
+  `This phone number cannot book until ${moment(block.blocked_until).format('MMM D, YYYY')} because of ${block.no_show_count} missed bookings`;
+
+// Per-slot counts as { 'HH:mm': count }
+const countsBySlot = (rows) => {
+  const counts = {};
+  rows.forEach(row => {
+    counts[row.time_slot.substring(0, 5)] = parseInt(row.count);
+  });
+  return counts;
+};
+
+// Bookings per slot at a location on a date, as { 'HH:mm': count }
+const countBookingsBySlot = async (date, location, db) =>
+  countsBySlot(await repo.bookings.countBySlot(date, location, STATUS.CONFIRMED, db));
+
+// Seats held by unexpired slot holds at a location on a date, as { 'HH:mm': count },
+// leaving out `exceptHold` (the hold being turned into a booking)
+const countHoldsBySlot = async (date, location, db, exceptHold = null) =>
+  countsBySlot(await repo.holds.countBySlot(date, location, exceptHold ? exceptHold.id : null, db));
+
+// Bookings per location, as { location: count }, optionally for one date and/or
+// limited to some locations (null = every location)
+const countBookingsByLocation = async ({ date, locations } = {}, db) => {
+  const rows = await repo.bookings.countByLocation({ status: STATUS.CONFIRMED, date, locations }, db);
+
+  const counts = {};
+  rows.forEach(row => {
+    counts[row.location] = parseInt(row.count);
+  });
+  return counts;
+};
+
+// Booking as shown to the booker, with the signed QR ticket of a confirmed booking
+const serializeBooking = (row) => {
+  const booking = {
+    id: row.id,
+    reference: row.reference,
+    name: row.name,
+    phone: row.phone,
+    purpose: row.purpose,
+    location: row.location,
+    date: moment(row.date).format('YYYY-MM-DD'),
+    time_slot: row.time_slot.substring(0, 5),
+    status: row.status,
+    created_at: row.created_at,
+    cancelled_at: row.cancelled_at,
+    checked_in_at: row.checked_in_at
+  };
+  booking.qr_token = booking.status === STATUS.CONFIRMED ? ticketToken(booking) : null;
+  return booking;
+};
+
+// A booking by its reference, if it belongs to phone
+const findBooking = (phone, reference, db) =>
+  repo.bookings.findByPhoneAndReference(phone, String(reference).trim().toUpperCase(), db);
+
+// Transaction-scoped locks, released on COMMIT or ROLLBACK. Always lock the phone
+// before any location's day, and days in date order ('YYYY-MM-DD'), so two
+// transactions can never wait on each other.
+const lockPhone = (client, phone) => repo.lock(client, `booking:phone:${phone}`);
+
+const lockLocationDay = (client, location, date) => repo.lock(client, `booking:date:${location}:${date}`);
+
+// Like lockPhone, but gives up at once if another transaction holds the lock. Used
+// while already holding a day lock, where waiting for a phone would break the order.
+const tryLockPhone = (client, phone) => repo.tryLock(client, `booking:phone:${phone}`);
+
+// Throw unless a slot at a location is open for booking: it must be on the schedule
+// and not closed. Returns the date's slots and the slot itself.
+async function checkSlotOpen(client, { location, date, time_slot }) {
+  // Check the slot is on the schedule for that date
+  const slots = await getSlotsForDate(date, client);
+  const slot = slots.find(s => s.time === time_slot);
+  if (!slot) {
+    throw new HttpError(400, 'This time slot is not offered on the selected date');
+  }
+
+  // Check the slot is not closed at this location
+  const closure = closureForSlot(await getClosuresForDate(date, location, client), time_slot);
+  if (closure) {
+    throw new HttpError(409, `Bookings are closed for this slot: ${closure.reason}`);
+  }
+
+  return { slots, slot };
+}
+
+// Why an open slot cannot take one more booking - the slot or the location's day is
+// full - or null if it can. Seats held by other people's holds count as taken. When
+// moving a booking within the same day, its current seat does not count towards the
+// daily limit; when booking with a hold, the hold's own seat is not counted.
+async function slotFullReason(client, { location, date, time_slot }, { slots, slot }, { movingBooking = null, hold = null } = {}) {
+  const bookingCounts = await countBookingsBySlot(date, location, client);
+  const holdCounts = await countHoldsBySlot(date, location, client, hold);
+  const slotCounts = {};
+  [bookingCounts, holdCounts].forEach(counts => Object.entries(counts).forEach(([time, count]) => {
+    slotCounts[time] = (slotCounts[time] || 0) + count;
+  }));
+
+  // Check if slot has capacity at this location
+  if ((slotCounts[time_slot] || 0) >= slot.capacity) {
+    return `This time slot is fully booked (${slot.capacity}/${slot.capacity} capacity reached)`;
+  }
+
+  // Check the location's daily booking limit
+  const maxBookings = dailyCapacity(slots);
+  let dailyBookings = Object.values(slotCounts).reduce((sum, count) => sum + count, 0);
+  if (movingBooking && moment(movingBooking.date).format('YYYY-MM-DD') === date) {
+    dailyBookings -= 1;
+  }
+  if (dailyBookings >= maxBookings) {
+    return `Daily booking limit reached for ${location} (${maxBookings} bookings)`;
+  }
+
+  return null;
+}
+
+// Throw unless a slot at a location can take one more booking (options as for
+// slotFullReason)
+async function checkSlotAvailable(client, slotRef, options = {}) {
+  const open = await checkSlotOpen(client, slotRef);
+  const fullReason = await slotFullReason(client, slotRef, open, options);
+  if (fullReason) {
+    throw new HttpError(409, fullReason);
+  }
+}
+
+// Give a freed seat to the first eligible person on the slot's waitlist, booking it in
+// their name. Call inside the transaction that frees the seat, while holding the slot's
+// location-day lock, so the seat cannot be given out twice. Entries whose phone has
+// since booked that week or been blocked are skipped for good; a phone that is busy
+// booking right now keeps its place and the next person is tried. Returns the new
+// booking, or null if nobody was promoted.
+async function promoteFromWaitlist(client, { location, date, time_slot }) {
+  if (bookingWindowError(date, time_slot)) {
+    return null;
+  }
+  try {
+    await checkSlotAvailable(client, { location, date, time_slot });
+  } catch (err) {
+    if (err instanceof HttpError) return null;
+    throw err;
+  }
+
+  const waiting = await repo.waitlist.listForSlot({ location, date, time_slot }, WAITLIST.WAITING, client);
+
+  for (const entry of waiting) {
+    if (!await tryLockPhone(client, entry.phone)) {
+      continue;
+    }
+
+    if (await getActiveBlock(entry.phone, client) || await checkWeeklyBookingRestriction(entry.phone, date, client) > 0) {
+      await repo.waitlist.setStatus(entry.id, WAITLIST.SKIPPED, client);
+      continue;
+    }
+
+    const booking = await repo.bookings.insert({
+      name: entry.name,
+      phone: entry.phone,
+      purpose: entry.purpose,
+      location,
+      date,
+      time_slot,
+      reference: generateReference()
+    }, client);
+    await repo.waitlist.setPromoted(entry.id, WAITLIST.PROMOTED, booking.id, client);
+    return booking;
+  }
+
+  return null;
+}
+
+// Tell promoted bookers about their new booking. Call after the transaction commits.
+const notifyPromoted = (bookings) => {
+  bookings.filter(Boolean).forEach(booking => notify(EVENTS.WAITLIST_PROMOTED, booking));
+};
+
+// Check slot capacity, the weekly phone limit and the daily cap, then insert - atomically.
+// Every location has its own seats. Concurrent bookings for the same phone, or for the
+// same location and date, wait for each other, so the counts cannot change between the
+// checks and the INSERT. With the token of the booker's unexpired hold on the slot, the
+// held seat is used and the hold released.
+async function createBooking({ name, phone, purpose, location, date, time_slot, holdToken = null }) {
+  // Accept "9:00" as well as "09:00"
+  time_slot = time_slot.padStart(5, '0');
+
+  // Check the date and time are inside the booking window
+  const windowError = bookingWindowError(date, time_slot);
+  if (windowError) {
+    throw new HttpError(400, windowError);
+  }
+
+  const booking = await repo.withTransaction(async (client) => {
+    await lockPhone(client, phone);
+    await lockLocationDay(client, location, date);
+
+    // Phones that keep missing their bookings are blocked for a while
+    const block = await getActiveBlock(phone, client);
+    if (block) {
+      throw new HttpError(403, blockedMessage(block));
+    }
+
+    // Check weekly booking restriction (one booking per week per user)
+    if (await checkWeeklyBookingRestriction(phone, date, client) > 0) {
+      throw new HttpError(409, 'You have already booked a slot this week. Only one booking per week is allowed.');
+    }
+
+    // An expired or unknown hold is ignored; the booking goes ahead if a seat is free
+    const hold = holdToken ? await repo.holds.findActive(holdToken, { location, date, time_slot }, client) : null;
+    await checkSlotAvailable(client, { location, date, time_slot }, { hold });
+
+    const inserted = await repo.bookings.insert(
+      { name, phone, purpose, location, date, time_slot, reference: generateReference() },
+      client
+    );
+    if (hold) {
+      await repo.holds.deleteById(hold.id, client);
+    }
+    return inserted;
+  });
+
+  slotsChanged(location, date);
+  return booking;
+}
+
+// Load a booker's booking for changing it, refusing cancelled bookings and ones whose
+// slot has already started
+async function findChangeableBooking(client, phone, reference, action) {
+  const booking = await findBooking(phone, reference, client);
+  if (!booking) {
+    throw new HttpError(404, 'No booking found for this phone number and reference');
+  }
+  if (booking.status === STATUS.CANCELLED) {
+    throw new HttpError(409, 'This booking has already been cancelled');
+  }
+  if (hasStarted(moment(booking.date).format('YYYY-MM-DD'), booking.time_slot.substring(0, 5))) {
+    throw new HttpError(409, `This booking can no longer be ${action} because its slot has started`);
+  }
+  return booking;
+}
+
+// Cancel a booking on behalf of its booker, identified by phone and reference. The
+// seat and the week become free again as soon as the booking is cancelled, and the
+// seat goes to the slot's waitlist. Returns the cancelled booking and the bookings
+// made for the waitlist (promoted).
+async function cancelBooking(phone, reference) {
+  const { cancelled, promoted } = await repo.withTransaction(async (client) => {
+    await lockPhone(client, phone);
+    const booking = await findChangeableBooking(client, phone, reference, 'cancelled');
+    const date = moment(booking.date).format('YYYY-MM-DD');
+    await lockLocationDay(client, booking.location, date);
+
+    return {
+      cancelled: await repo.bookings.cancel(booking.id, STATUS.CANCELLED, client),
+      promoted: await promoteFromWaitlist(client, {
+        location: booking.location,
+        date,
+        time_slot: booking.time_slot.substring(0, 5)
+      })
+    };
+  });
+
+  slotsChanged(cancelled.location, cancelled.date);
+  notifyPromoted([promoted]);
+  return { cancelled, promoted: [promoted].filter(Boolean) };
+}
+
+// Move a booking to another slot at the same location in the same week, releasing the
+// old seat and claiming the new one in one transaction. The booking keeps its ID and
+// reference, and the move is recorded in booking_changes. The old seat goes to its
+// slot's waitlist. Returns the moved booking and the bookings made for the waitlist
+// (promoted).
+async function rescheduleBooking(phone, reference, { date, time_slot }) {
+  time_slot = time_slot.padStart(5, '0');
+
+  const windowError = bookingWindowError(date, time_slot);
+  if (windowError) {
+    throw new HttpError(400, windowError);
+  }
+
+  const { rescheduled, fromDate, promoted } = await repo.withTransaction(async (client) => {
+    await lockPhone(client, phone);
+    const booking = await findChangeableBooking(client, phone, reference, 'rescheduled');
+
+    const fromDate = moment(booking.date).format('YYYY-MM-DD');
+    const fromTime = booking.time_slot.substring(0, 5);
+    if (fromDate === date && fromTime === time_slot) {
+      throw new HttpError(400, 'This booking is already for that slot');
+    }
+    // One booking per week: a booking can only move within its own week
+    if (!moment(date, 'YYYY-MM-DD').isSame(moment(fromDate, 'YYYY-MM-DD'), 'isoWeek')) {
+      throw new HttpError(400, 'A booking can only be moved to another slot in the same week');
+    }
+
+    for (const day of [...new Set([fromDate, date])].sort()) {
+      await lockLocationDay(client, booking.location, day);
+    }
+
+    await checkSlotAvailable(client, { location: booking.location, date, time_slot }, { movingBooking: booking });
+
+    return {
+      rescheduled: await repo.bookings.move(booking, {
+        from: { date: fromDate, time_slot: fromTime },
+        to: { date, time_slot }
+      }, client),
+      fromDate,
+      promoted: await promoteFromWaitlist(client, { location: booking.location, date: fromDate, time_slot: fromTime })
+    };
+  });
+
+  slotsChanged(rescheduled.location, fromDate);
+  slotsChanged(rescheduled.location, date);
+  notifyPromoted([promoted]);
+  return { rescheduled, promoted: [promoted].filter(Boolean) };
+}
+
+// Delete bookings (admin), giving every freed seat to its slot's waitlist. Deletion is
+// soft: the bookings are kept with who deleted them and why, and can be restored.
+// Refuses the whole batch if any booking is outside the admin's locations. Returns the
+// deleted bookings and the bookings made for the waitlist (promoted).
+async function deleteBookings(ids, admin, reason) {
+  const { deleted, promoted } = await repo.withTransaction(async (client) => {
+    const found = await repo.bookings.findByIds(ids, client);
+    if (found.some(booking => !canAccessLocation(admin, booking.location))) {
+      throw new HttpError(403, 'Some of the selected bookings are outside your locations');
+    }
+
+    // Lock every affected location's day, in date order
+    const days = new Map();
+    found.forEach(booking => {
+      const date = moment(booking.date).format('YYYY-MM-DD');
+      days.set(`${date}|${booking.location}`, { location: booking.location, date });
+    });
+    for (const key of [...days.keys()].sort()) {
+      await lockLocationDay(client, days.get(key).location, days.get(key).date);
+    }
+
+    const removed = await repo.bookings.softDelete(ids, { adminId: admin.id, reason }, client);
+
+    // A booking rescheduled since it was read may now be on a day that is not locked;
+    // its seat is freed without promoting anyone
+    const promotedBookings = [];
+    for (const booking of removed.filter(row => row.status === STATUS.CONFIRMED)) {
+      const date = moment(booking.date).format('YYYY-MM-DD');
+      if (!days.has(`${date}|${booking.location}`)) continue;
+      promotedBookings.push(await promoteFromWaitlist(client, {
+        location: booking.location,
+        date,
+        time_slot: booking.time_slot.substring(0, 5)
+      }));
+    }
+    return { deleted: removed, promoted: promotedBookings.filter(Boolean) };
+  });
+
+  deleted.forEach(booking => slotsChanged(booking.location, booking.date));
+  notifyPromoted(promoted);
+  return { deleted, promoted };
+}
+
+// Restore a booking an admin deleted. A confirmed booking takes its seat back, so its
+// slot must still be open and have a seat free, and the phone must not have booked
+// again in that week; a cancelled booking is restored as it is. Returns the booking.
+async function restoreBooking(id, admin) {
+  const restored = await repo.withTransaction(async (client) => {
+    const booking = await repo.bookings.findDeletedById(id, client);
+    if (!booking) {
+      throw new HttpError(404, 'Deleted booking not found');
+    }
+    if (!canAccessLocation(admin, booking.location)) {
+      throw new HttpError(403, 'This booking is outside your locations');
+    }
+
+    if (booking.status === STATUS.CONFIRMED) {
+      const date = moment(booking.date).format('YYYY-MM-DD');
+      await lockPhone(client, booking.phone);
+      await lockLocationDay(client, booking.location, date);
+
+      if (await checkWeeklyBookingRestriction(booking.phone, date, client) > 0) {
+        throw new HttpError(409, 'This phone number has booked another slot in the same week since the booking was deleted');
+      }
+      await checkSlotAvailable(client, { location: booking.location, date, time_slot: booking.time_slot.substring(0, 5) });
+    }
+
+    // Another admin may have restored it while this one waited for the locks
+    const row = await repo.bookings.restore(id, client);
+    if (!row) {
+      throw new HttpError(404, 'Deleted booking not found');
+    }
+    return row;
+  });
+
+  slotsChanged(restored.location, restored.date);
+  return restored;
+}
+
+// Bookings admins have deleted, most recently deleted first, limited to some locations
+// (null = every location)
+const getDeletedBookings = (locations, db) => repo.bookings.listDeleted({ locations }, db);
+
+// A booking's reschedule history, oldest first
+const getBookingChanges = async (bookingId, db) => {
+  const changes = await repo.bookings.listChanges(bookingId, db);
+  return changes.map(row => ({
+    ...row,
+    from_time_slot: row.from_time_slot.substring(0, 5),
+    to_time_slot: row.to_time_slot.substring(0, 5)
+  }));
+};
+
+module.exports = {
+  STATUS,
+  ATTENDANCE,
+  WAITLIST,
+  lockPhone,
+  lockLocationDay,
+  checkSlotOpen,
+  checkSlotAvailable,
+  slotFullReason,
+  promoteFromWaitlist,
+  notifyPromoted,
+  checkWeeklyBookingRestriction,
+  getActiveBlock,
+  blockedMessage,
+  countBookingsBySlot,
+  countHoldsBySlot,
+  countBookingsByLocation,
+  serializeBooking,
+  findBooking,
+  createBooking,
+  cancelBooking,
+  rescheduleBooking,
+  deleteBookings,
+  restoreBooking,
+  getDeletedBookings,
+  getBookingChanges
+};
@@ -0,0 +1,201 @@
+// Gate check-in and attendance: admitting a booking by its scanned QR ticket (or its
+// typed ID or reference) during its slot, the live count of arrivals for the current
+// slot, and marking the bookers who never came as no-shows
+const moment = require('moment');
+const repo = require('./repository');
+const { HttpError } = require('./errors');
+const { canAccessLocation } = require('./auth');
+const { STATUS, ATTENDANCE, serializeBooking } = require('./bookings');
+const { applyNoShowPolicy } = require('./penalties');
+const { readTicket } = require('./tickets');
+const { RULES, today, minutesUntilSlot } = require('./bookingRules');
+const { getSlotsForDate } = require('./schedule');
+
+const CHECKIN = {
+  // Check-in for a slot opens this many minutes before it starts
+  earlyMinutes: parseInt(process.env.CHECKIN_EARLY_MINUTES || '15'),
+  // and closes this many minutes after it starts
+  lateMinutes: parseInt(process.env.CHECKIN_LATE_MINUTES || '60'),
+  // Bookers checked in more than this many minutes after their slot starts are late
+  graceMinutes: parseInt(process.env.CHECKIN_GRACE_MINUTES || '10')
+};
+
+// Outcome of a check-in attempt, as shown at the gate
+const RESULT = {
+  VALID: 'valid',
+  WRONG_DAY: 'wrong_day',
+  WRONG_SLOT: 'wrong_slot',
+  ALREADY_USED: 'already_used',
+  CANCELLED: 'cancelled'
+};
+
+const localTime = (timestamp) => moment(timestamp).utcOffset(RULES.utcOffset).format('HH:mm');
+
+// The booking a scanned ticket or typed booking ID / reference refers to
+const findBookingToCheckIn = async (client, { token, bookingId }) => {
+  let row;
+  if (token) {
+    const id = readTicket(token);
+    if (!id) {
+      throw new HttpError(400, 'Invalid or expired QR code');
+    }
+    row = await repo.bookings.findById(id, client);
+  } else {
+    const value = String(bookingId || '').trim().toUpperCase();
+    if (!value) {
+      throw new HttpError(400, 'Scan a QR code or enter a booking ID');
+    }
+    row = /^\d+$/.test(value)
+      ? await repo.bookings.findById(parseInt(value), client)
+      : await repo.bookings.findByReference(value, client);
+  }
+
+  if (!row) {
+    throw new HttpError(404, 'Booking not found');
+  }
+  return row;
+};
+
+// Why a booking cannot be admitted right now, as { result, message }, or null. Only
+// the booking's current date and slot count, so a rescheduled booking's QR code admits
+// it at its new slot.
+const refusal = (booking) => {
+  if (booking.status === STATUS.CANCELLED) {
+    return { result: RESULT.CANCELLED, message: 'This booking was cancelled' };
+  }
+  if (booking.date !== today()) {
+    return { result: RESULT.WRONG_DAY, message: `This booking is for ${moment(booking.date).format('MMM D, YYYY')}, not today` };
+  }
+  if (booking.checked_in_at) {
+    return { result: RESULT.ALREADY_USED, message: `Already checked in at ${localTime(booking.checked_in_at)}` };
+  }
+  const minutesUntil = minutesUntilSlot(booking.date, booking.time_slot);
+  if (minutesUntil > CHECKIN.earlyMinutes) {
+    return { result: RESULT.WRONG_SLOT, message: `Too early: this booking is for the ${booking.time_slot} slot` };
+  }
+  if (minutesUntil < -CHECKIN.lateMinutes) {
+    return { result: RESULT.WRONG_SLOT, message: `Too late: this booking was for the ${booking.time_slot} slot` };
+  }
+  return null;
+};
+
+// Check in a booking once, by an admin with access to its location, inside the
+// caller's transaction (client). Returns { result, message, booking }; only
+// RESULT.VALID means the booker may enter.
+async function checkInBooking(client, { token, bookingId }, admin) {
+  const row = await findBookingToCheckIn(client, { token, bookingId });
+  if (!canAccessLocation(admin, row.location)) {
+    throw new HttpError(403, `You do not have access to ${row.location} bookings`);
+  }
+
+  const refused = refusal(serializeBooking(row));
+  if (refused) {
+    return { ...refused, booking: row };
+  }
+
+  const attendance = minutesUntilSlot(row.date, row.time_slot.substring(0, 5)) < -CHECKIN.graceMinutes
+    ? ATTENDANCE.LATE
+    : ATTENDANCE.ARRIVED;
+
+  // Only the first scan succeeds, even when two gates scan the same code at once
+  const checkedIn = await repo.bookings.checkIn(row.id, { status: STATUS.CONFIRMED, adminId: admin.id, attendance }, client);
+  if (!checkedIn) {
+    // Deleted by an admin since it was looked up
+    const current = await repo.bookings.findById(row.id, client);
+    if (!current) {
+      throw new HttpError(404, 'Booking not found');
+    }
+    return { ...refusal(serializeBooking(current)), booking: current };
+  }
+  return {
+    result: RESULT.VALID,
+    message: attendance === ATTENDANCE.LATE ? `${row.name} checked in (late)` : `${row.name} checked in`,
+    booking: checkedIn
+  };
+}
+
+// The slot the gate is admitting for on a date: the last one whose check-in has
+// opened, or the day's first slot before then. Null when the date has no slots.
+const currentSlot = async (date) => {
+  const slots = await getSlotsForDate(date);
+  if (slots.length === 0) return null;
+
+  const opened = slots.filter(slot => minutesUntilSlot(date, slot.time) <= CHECKIN.earlyMinutes);
+  return (opened.length > 0 ? opened[opened.length - 1] : slots[0]).time;
+};
+
+// Confirmed and checked-in bookings for a slot, optionally limited to some locations
+const getSlotAttendance = ({ date, time_slot, locations }) =>
+  repo.bookings.countCheckedIn({ date, time_slot, status: STATUS.CONFIRMED, locations });
+
+// Mark the confirmed bookings on a date that were never checked in as no-shows, for
+// every slot (or just time_slot) whose check-in has closed, and block the phones that
+// have now missed too many, inside the caller's transaction (client). Limited to some
+// locations (null = every location). Returns the number of bookings marked and of
+// phones blocked, as { marked, blocked }.
+async function markNoShows(client, { date, time_slot, locations }) {
+  if (time_slot && minutesUntilSlot(date, time_slot) >= -CHECKIN.lateMinutes) {
+    throw new HttpError(400, `Check-in for the ${time_slot} slot is still open`);
+  }
+
+  const pending = await repo.bookings.slotsWithoutAttendance({ date, status: STATUS.CONFIRMED, locations }, client);
+
+  const closedSlots = pending
+    .map(slot => slot.substring(0, 5))
+    .filter(slot => (!time_slot || slot === time_slot) && minutesUntilSlot(date, slot) < -CHECKIN.lateMinutes);
+  if (closedSlots.length === 0) return { marked: 0, blocked: 0 };
+
+  const phones = await repo.bookings.setMissingAttendance({
+    date,
+    status: STATUS.CONFIRMED,
+    locations,
+    timeSlots: closedSlots,
+    attendance: ATTENDANCE.NO_SHOW
+  }, client);
+  const blocked = await applyNoShowPolicy(phones, client);
+  return { marked: phones.length, blocked };
+}
+
+const emptyAttendance = () => ({ arrived: 0, late: 0, noShow: 0, pending: 0 });
+
+// Attendance counter for each attendance_status; bookings without one are pending
+const ATTENDANCE_KEYS = {
+  [ATTENDANCE.ARRIVED]: 'arrived',
+  [ATTENDANCE.LATE]: 'late',
+  [ATTENDANCE.NO_SHOW]: 'noShow'
+};
+
+// Attendance of confirmed bookings per location, as { location: { arrived, late,
+// noShow, pending } }, optionally for one date and limited to some locations
+const countAttendanceByLocation = async ({ date, locations } = {}) => {
+  const rows = await repo.bookings.countAttendanceByLocation({ status: STATUS.CONFIRMED, date, locations });
+
+  const counts = {};
+  rows.forEach(row => {
+    counts[row.location] = counts[row.location] || emptyAttendance();
+    counts[row.location][ATTENDANCE_KEYS[row.attendance_status] || 'pending'] += parseInt(row.count);
+  });
+  return counts;
+};
+
+// Attendance with its no-show rate: the share of settled bookings (arrived, late or
+// no-show) whose booker never came, or null before any are settled
+const withNoShowRate = (attendance) => {
+  const settled = attendance.arrived + attendance.late + attendance.noShow;
+  return {
+    ...attendance,
+    noShowRate: settled > 0 ? Math.round((attendance.noShow / settled) * 1000) / 10 : null
+  };
+};
+
+module.exports = {
+  CHECKIN,
+  RESULT,
+  checkInBooking,
+  currentSlot,
+  getSlotAttendance,
+  markNoShows,
+  countAttendanceByLocation,
+  emptyAttendance,
+  withNoShowRate
+};
@@ -0,0 +1,50 @@
+// Closures: dates, or time ranges within a date, when no bookings are taken
+const moment = require('moment');
+const repo = require('./repository');
+
+// Normalise TIME columns ("09:00:00") to "HH:mm"; a closure without times covers the whole day
+const formatClosure = (row) => ({
+  ...row,
+  start_time: row.start_time ? row.start_time.substring(0, 5) : null,
+  end_time: row.end_time ? row.end_time.substring(0, 5) : null
+});
+
+// Closures between two dates that apply to a location (closures without a location
+// apply everywhere). Without a location, every closure is returned.
+const getClosures = async (from, to, location, db) =>
+  (await repo.closures.list({ from, to, location }, db)).map(formatClosure);
+
+const getClosuresForDate = (date, location, db) => getClosures(date, date, location, db);
+
+// The closure covering a slot that starts at time ('HH:mm'), or null
+const closureForSlot = (closures, time) => closures.find(closure =>
+  !closure.start_time || (time >= closure.start_time && time < closure.end_time)
+) || null;
+
+// The whole-day closure among a date's closures, or null
+const fullDayClosure = (closures) => closures.find(closure => !closure.start_time) || null;
+
+// Returns an error message for an invalid closure, or null
+const validateClosure = ({ date, start_time, end_time, reason }) => {
+  if (!moment(date, 'YYYY-MM-DD', true).isValid()) return 'Invalid date format';
+  if (!reason || !String(reason).trim()) return 'A reason is required';
+  if (String(reason).length > 255) return 'Reason must be at most 255 characters';
+
+  if (start_time || end_time) {
+    const timePattern = /^([01][0-9]|2[0-3]):[0-5][0-9]$/;
+    if (!timePattern.test(start_time) || !timePattern.test(end_time)) {
+      return 'Start and end times must be in HH:mm format';
+    }
+    if (end_time <= start_time) return 'End time must be after start time';
+  }
+  return null;
+};
+
+module.exports = {
+  formatClosure,
+  getClosures,
+  getClosuresForDate,
+  closureForSlot,
+  fullDayClosure,
+  validateClosure
+};
@@ -0,0 +1,29 @@
+// Error carrying the HTTP status a route should respond with
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
+
+// Database constraints that back up booking rules checked in code. A violation means a
+// request slipped past the check, and is answered as the check would have.
+const CONSTRAINT_ERRORS = {
+  bookings_phone_week_key: [409, 'You have already booked a slot this week. Only one booking per week is allowed.']
+};
+
+// Send an HttpError as-is, anything else as a generic 500
+const sendError = (res, err, fallbackMessage = 'Database error') => {
+  if (err instanceof HttpError) {
+    return res.status(err.status).json({ error: err.message });
+  }
+  if (err.constraint && CONSTRAINT_ERRORS[err.constraint]) {
+    const [status, message] = CONSTRAINT_ERRORS[err.constraint];
+    return res.status(status).json({ error: message });
+  }
+  console.error(fallbackMessage + ':', err);
+  return res.status(500).json({ error: fallbackMessage });
+};
+
+module.exports = { HttpError, sendError };
@@ -0,0 +1,15 @@
+// In-process notifications about changes other modules react to. Listeners only hear
+// about changes made by this server process.
+const { EventEmitter } = require('events');
+const moment = require('moment');
+
+const events = new EventEmitter();
+// Every open slot stream may listen
+events.setMaxListeners(0);
+
+// Seat counts of a location's day changed: a booking or hold was made, moved or removed
+const slotsChanged = (location, date) => {
+  events.emit('slots', { location, date: moment(date).format('YYYY-MM-DD') });
+};
+
+module.exports = { events, slotsChanged };
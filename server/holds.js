@@ -0,0 +1,101 @@
+// Slot holds: picking a slot on the booking form reserves a seat for a few minutes, so
+// it cannot fill up while the booker types. Held seats count against capacity (see
+// slotFullReason in bookings.js) until the hold is booked, released or expires.
+const crypto = require('crypto');
+const repo = require('./repository');
+const { HttpError } = require('./errors');
+const { bookingWindowError } = require('./bookingRules');
+const {
+  lockLocationDay,
+  checkSlotAvailable,
+  promoteFromWaitlist,
+  notifyPromoted
+} = require('./bookings');
+const { slotsChanged } = require('./events');
+
+const HOLD = {
+  seconds: parseInt(process.env.HOLD_MINUTES || '5') * 60,
+  // How often expired holds are cleared
+  sweepSeconds: parseInt(process.env.HOLD_SWEEP_SECONDS || '60')
+};
+
+// Reserve a seat in a slot. Replaces the caller's previous hold (replacesToken), so a
+// booker holds one seat at a time. Returns the new hold's token and lifetime.
+async function holdSlot({ location, date, time_slot }, replacesToken = null) {
+  time_slot = time_slot.padStart(5, '0');
+
+  const windowError = bookingWindowError(date, time_slot);
+  if (windowError) {
+    throw new HttpError(400, windowError);
+  }
+
+  if (replacesToken) {
+    await releaseHold(replacesToken);
+  }
+
+  const token = crypto.randomBytes(16).toString('hex');
+  await repo.withTransaction(async (client) => {
+    await lockLocationDay(client, location, date);
+    await checkSlotAvailable(client, { location, date, time_slot });
+    await repo.holds.insert(token, { location, date, time_slot }, HOLD.seconds, client);
+  });
+  slotsChanged(location, date);
+
+  return { holdToken: token, expiresIn: HOLD.seconds };
+}
+
+// Delete one slot's hold with the given token, or (without a token) its expired
+// holds, and give the freed seats to the slot's waitlist. Returns how many holds were
+// deleted.
+async function clearHolds({ location, date, time_slot }, token = null) {
+  const promoted = [];
+  const deleted = await repo.withTransaction(async (client) => {
+    await lockLocationDay(client, location, date);
+    const count = await repo.holds.deleteForSlot({ location, date, time_slot }, token, client);
+    for (let i = 0; i < count; i++) {
+      promoted.push(await promoteFromWaitlist(client, { location, date, time_slot }));
+    }
+    return count;
+  });
+
+  if (deleted > 0) {
+    slotsChanged(location, date);
+  }
+  notifyPromoted(promoted);
+  return deleted;
+}
+
+// Give up a hold before it expires, e.g. when the booker picks another slot
+async function releaseHold(token) {
+  const hold = await repo.holds.findSlotByToken(token);
+  if (!hold) {
+    return false;
+  }
+  return await clearHolds({ ...hold, time_slot: hold.time_slot.substring(0, 5) }, token) > 0;
+}
+
+// Clear expired holds, slot by slot
+async function sweepExpiredHolds() {
+  let swept = 0;
+  for (const slot of await repo.holds.listExpiredSlots()) {
+    swept += await clearHolds({ ...slot, time_slot: slot.time_slot.substring(0, 5) });
+  }
+  return swept;
+}
+
+// Sweep expired holds every HOLD.sweepSeconds. The timer does not keep the process alive.
+const startHoldSweeper = () => {
+  const timer = setInterval(() => {
+    sweepExpiredHolds().catch(err => console.error('Error sweeping expired slot holds:', err.message));
+  }, HOLD.sweepSeconds * 1000);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  HOLD,
+  holdSlot,
+  releaseHold,
+  sweepExpiredHolds,
+  startHoldSweeper
+};
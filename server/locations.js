@@ -0,0 +1,19 @@
+// Districts (outlet locations) that bookings can be made for
+const LOCATIONS = [
+  'Almora',
+  'Bageshwar',
+  'Chamoli',
+  'Champawat',
+  'Dehradun',
+  'Haridwar',
+  'Nainital',
+  'Pauri Garhwal',
+  'Pithoragarh',
+  'Rudraprayag',
+  'Tehri Garhwal',
+  'Uttarkashi',
+  'Udham Singh Nagar',
+  'Others'
+];
+
+module.exports = { LOCATIONS };
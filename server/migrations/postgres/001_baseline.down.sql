@@ -0,0 +1,11 @@
+-- Drops every table of the baseline schema, and all data in them
+DROP TABLE IF EXISTS slot_holds;
+DROP TABLE IF EXISTS waitlist;
+DROP TABLE IF EXISTS phone_blocks;
+DROP TABLE IF EXISTS otp_codes;
+DROP TABLE IF EXISTS closures;
+DROP TABLE IF EXISTS slot_overrides;
+DROP TABLE IF EXISTS slot_templates;
+DROP TABLE IF EXISTS booking_changes;
+DROP TABLE IF EXISTS bookings;
+DROP TABLE IF EXISTS admins;
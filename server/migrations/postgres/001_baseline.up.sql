@@ -0,0 +1,142 @@
+-- The schema as it stood before versioned migrations. Every statement is idempotent,
+-- so a database set up by the old startup code (or by migrate-db.js) is brought up to
+-- date instead of rejected.
+
+CREATE TABLE IF NOT EXISTS admins (
+  id SERIAL PRIMARY KEY,
+  username VARCHAR(100) NOT NULL UNIQUE,
+  password_hash VARCHAR(255) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+-- Accounts created before roles existed keep full access
+ALTER TABLE admins ADD COLUMN IF NOT EXISTS role VARCHAR(20) NOT NULL DEFAULT 'super_admin';
+ALTER TABLE admins ADD COLUMN IF NOT EXISTS locations TEXT[] NOT NULL DEFAULT '{}';
+
+CREATE TABLE IF NOT EXISTS bookings (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  phone VARCHAR(20) NOT NULL,
+  purpose VARCHAR(255) NOT NULL,
+  location VARCHAR(255) NOT NULL,
+  date DATE NOT NULL,
+  time_slot TIME NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+-- Bookings from before locations existed were all made at Almora. The default only
+-- fills those rows; new bookings must always name their location.
+ALTER TABLE bookings DROP COLUMN IF EXISTS email;
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS location VARCHAR(255) NOT NULL DEFAULT 'Almora';
+ALTER TABLE bookings ALTER COLUMN location DROP DEFAULT;
+ALTER TABLE bookings ALTER COLUMN purpose TYPE VARCHAR(255);
+-- Booking reference the booker uses to look up or cancel, and the booking's status
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS reference VARCHAR(12);
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'confirmed';
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMP;
+UPDATE bookings SET reference = upper(substr(md5(random()::text || id::text), 1, 8)) WHERE reference IS NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS bookings_reference_key ON bookings (reference);
+-- When the booker's QR ticket was scanned at the gate, who checked them in, and whether
+-- they arrived, arrived late or never came
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS checked_in_at TIMESTAMP;
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS checked_in_by INTEGER REFERENCES admins(id) ON DELETE SET NULL;
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS attendance_status VARCHAR(20);
+UPDATE bookings SET attendance_status = 'arrived' WHERE checked_in_at IS NOT NULL AND attendance_status IS NULL;
+
+-- Reschedule history: every move of a booking to another slot
+CREATE TABLE IF NOT EXISTS booking_changes (
+  id SERIAL PRIMARY KEY,
+  booking_id INTEGER NOT NULL REFERENCES bookings(id) ON DELETE CASCADE,
+  from_date DATE NOT NULL,
+  from_time_slot TIME NOT NULL,
+  to_date DATE NOT NULL,
+  to_time_slot TIME NOT NULL,
+  changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Weekly slot schedule: periods per weekday (0 = Sunday) split into slots of slot_minutes
+CREATE TABLE IF NOT EXISTS slot_templates (
+  id SERIAL PRIMARY KEY,
+  weekday SMALLINT NOT NULL CHECK (weekday BETWEEN 0 AND 6),
+  start_time TIME NOT NULL,
+  end_time TIME NOT NULL CHECK (end_time > start_time),
+  slot_minutes INTEGER NOT NULL CHECK (slot_minutes > 0),
+  capacity INTEGER NOT NULL CHECK (capacity >= 0)
+);
+
+-- Date-specific schedules; when a date has overrides they replace its weekday template
+CREATE TABLE IF NOT EXISTS slot_overrides (
+  id SERIAL PRIMARY KEY,
+  date DATE NOT NULL,
+  start_time TIME NOT NULL,
+  end_time TIME NOT NULL CHECK (end_time > start_time),
+  slot_minutes INTEGER NOT NULL CHECK (slot_minutes > 0),
+  capacity INTEGER NOT NULL CHECK (capacity >= 0)
+);
+
+-- Closed dates or time ranges; no times means the whole day, no location means everywhere
+CREATE TABLE IF NOT EXISTS closures (
+  id SERIAL PRIMARY KEY,
+  date DATE NOT NULL,
+  start_time TIME,
+  end_time TIME,
+  location VARCHAR(255),
+  reason VARCHAR(255) NOT NULL,
+  created_by INTEGER REFERENCES admins(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  CHECK ((start_time IS NULL AND end_time IS NULL) OR end_time > start_time)
+);
+
+-- One-time phone verification codes, stored hashed
+CREATE TABLE IF NOT EXISTS otp_codes (
+  id SERIAL PRIMARY KEY,
+  phone VARCHAR(20) NOT NULL,
+  code_hash VARCHAR(64) NOT NULL,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  expires_at TIMESTAMP NOT NULL,
+  consumed_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS otp_codes_phone_created_at_idx ON otp_codes (phone, created_at);
+
+-- Phones blocked from booking after repeated no-shows; blocked_until is the first day
+-- the phone can book again
+CREATE TABLE IF NOT EXISTS phone_blocks (
+  id SERIAL PRIMARY KEY,
+  phone VARCHAR(20) NOT NULL,
+  blocked_until DATE NOT NULL,
+  no_show_count INTEGER NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  lifted_at TIMESTAMP,
+  lifted_by INTEGER REFERENCES admins(id) ON DELETE SET NULL
+);
+CREATE INDEX IF NOT EXISTS phone_blocks_phone_idx ON phone_blocks (phone, blocked_until);
+
+-- People waiting for a seat in a fully booked slot, served first come first served;
+-- booking_id is the booking made for them when a seat was freed
+CREATE TABLE IF NOT EXISTS waitlist (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  phone VARCHAR(20) NOT NULL,
+  purpose VARCHAR(255) NOT NULL,
+  location VARCHAR(255) NOT NULL,
+  date DATE NOT NULL,
+  time_slot TIME NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'waiting',
+  booking_id INTEGER REFERENCES bookings(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  promoted_at TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS waitlist_slot_idx ON waitlist (location, date, time_slot, status);
+CREATE UNIQUE INDEX IF NOT EXISTS waitlist_waiting_phone_idx ON waitlist (phone, location, date, time_slot) WHERE status = 'waiting';
+
+-- Seats reserved for a few minutes while a booker fills in the form; the token is
+-- handed to the booker and exchanged for the seat when they book
+CREATE TABLE IF NOT EXISTS slot_holds (
+  id SERIAL PRIMARY KEY,
+  token VARCHAR(64) NOT NULL UNIQUE,
+  location VARCHAR(255) NOT NULL,
+  date DATE NOT NULL,
+  time_slot TIME NOT NULL,
+  expires_at TIMESTAMP NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS slot_holds_slot_idx ON slot_holds (location, date, time_slot, expires_at);
@@ -0,0 +1,12 @@
+ALTER TABLE slot_holds DROP CONSTRAINT IF EXISTS slot_holds_expires_at_check;
+ALTER TABLE phone_blocks DROP CONSTRAINT IF EXISTS phone_blocks_no_show_count_check;
+ALTER TABLE waitlist DROP CONSTRAINT IF EXISTS waitlist_promoted_check;
+ALTER TABLE waitlist DROP CONSTRAINT IF EXISTS waitlist_status_check;
+ALTER TABLE bookings DROP CONSTRAINT IF EXISTS bookings_attendance_checked_in_check;
+ALTER TABLE bookings DROP CONSTRAINT IF EXISTS bookings_attendance_status_check;
+ALTER TABLE bookings DROP CONSTRAINT IF EXISTS bookings_cancelled_at_check;
+ALTER TABLE bookings DROP CONSTRAINT IF EXISTS bookings_status_check;
+ALTER TABLE bookings ALTER COLUMN reference DROP NOT NULL;
+DROP INDEX IF EXISTS bookings_phone_week_key;
+DROP INDEX IF EXISTS bookings_date_idx;
+DROP INDEX IF EXISTS bookings_confirmed_slot_idx;
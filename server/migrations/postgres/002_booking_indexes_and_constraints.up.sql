@@ -0,0 +1,39 @@
+-- Indexes for the queries every request runs, and constraints that back up the
+-- booking rules enforced in code.
+
+-- Seats taken per slot and per day at a location (countBookingsBySlot,
+-- countBookingsByLocation). Only confirmed bookings take seats.
+CREATE INDEX IF NOT EXISTS bookings_confirmed_slot_idx
+  ON bookings (date, location, time_slot) WHERE status = 'confirmed';
+
+-- Admin lists, exports and stats filter every booking by date range
+CREATE INDEX IF NOT EXISTS bookings_date_idx ON bookings (date, time_slot);
+
+-- One confirmed booking per phone per Monday-Sunday week. The index also serves the
+-- weekly check, which must use the same expression: date_trunc on a plain timestamp,
+-- as on a date it depends on the session time zone and cannot be indexed. Creating it
+-- fails if existing bookings already break the rule; cancel the extra bookings first.
+CREATE UNIQUE INDEX IF NOT EXISTS bookings_phone_week_key
+  ON bookings (phone, (date_trunc('week', date::timestamp))) WHERE status = 'confirmed';
+
+ALTER TABLE bookings ALTER COLUMN reference SET NOT NULL;
+ALTER TABLE bookings ADD CONSTRAINT bookings_status_check
+  CHECK (status IN ('confirmed', 'cancelled'));
+ALTER TABLE bookings ADD CONSTRAINT bookings_cancelled_at_check
+  CHECK (status <> 'cancelled' OR cancelled_at IS NOT NULL);
+ALTER TABLE bookings ADD CONSTRAINT bookings_attendance_status_check
+  CHECK (attendance_status IS NULL OR attendance_status IN ('arrived', 'late', 'no_show'));
+-- Arrivals are recorded by checking in
+ALTER TABLE bookings ADD CONSTRAINT bookings_attendance_checked_in_check
+  CHECK (attendance_status IS NULL OR attendance_status = 'no_show' OR checked_in_at IS NOT NULL);
+
+ALTER TABLE waitlist ADD CONSTRAINT waitlist_status_check
+  CHECK (status IN ('waiting', 'promoted', 'skipped'));
+ALTER TABLE waitlist ADD CONSTRAINT waitlist_promoted_check
+  CHECK (status <> 'promoted' OR promoted_at IS NOT NULL);
+
+ALTER TABLE phone_blocks ADD CONSTRAINT phone_blocks_no_show_count_check
+  CHECK (no_show_count > 0);
+
+ALTER TABLE slot_holds ADD CONSTRAINT slot_holds_expires_at_check
+  CHECK (expires_at > created_at);
@@ -0,0 +1,21 @@
+-- Admins delete bookings softly: a deleted booking keeps its row, with who deleted it,
+-- when and why, and can be restored. Deleted bookings take no seats and do not count
+-- towards the weekly limit, so the partial indexes leave them out.
+
+ALTER TABLE bookings ADD COLUMN deleted_at TIMESTAMP;
+ALTER TABLE bookings ADD COLUMN deleted_by INTEGER REFERENCES admins(id) ON DELETE SET NULL;
+ALTER TABLE bookings ADD COLUMN deleted_reason TEXT;
+ALTER TABLE bookings ADD CONSTRAINT bookings_deleted_check
+  CHECK (deleted_at IS NOT NULL OR (deleted_by IS NULL AND deleted_reason IS NULL));
+
+DROP INDEX IF EXISTS bookings_confirmed_slot_idx;
+CREATE INDEX bookings_confirmed_slot_idx
+  ON bookings (date, location, time_slot) WHERE status = 'confirmed' AND deleted_at IS NULL;
+
+DROP INDEX IF EXISTS bookings_phone_week_key;
+CREATE UNIQUE INDEX bookings_phone_week_key
+  ON bookings (phone, (date_trunc('week', date::timestamp)))
+  WHERE status = 'confirmed' AND deleted_at IS NULL;
+
+-- The admin's list of deleted bookings, most recently deleted first
+CREATE INDEX bookings_deleted_at_idx ON bookings (deleted_at) WHERE deleted_at IS NOT NULL;
@@ -0,0 +1,32 @@
+-- Who did what, when: one row per booking or admin action. Rows are only ever added;
+-- the triggers refuse to change or remove them. Actors and bookings are copied in
+-- rather than referenced, so an event outlives the admin account or booking it names.
+CREATE TABLE audit_events (
+  id BIGSERIAL PRIMARY KEY,
+  occurred_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  action VARCHAR(50) NOT NULL,
+  actor_type VARCHAR(20) NOT NULL CHECK (actor_type IN ('booker', 'admin')),
+  admin_id INTEGER,
+  actor_username VARCHAR(100),
+  booking_id INTEGER,
+  phone VARCHAR(20),
+  ip VARCHAR(64),
+  user_agent TEXT,
+  details JSONB NOT NULL DEFAULT '{}'
+);
+
+CREATE INDEX audit_events_occurred_at_idx ON audit_events (occurred_at);
+CREATE INDEX audit_events_booking_id_idx ON audit_events (booking_id) WHERE booking_id IS NOT NULL;
+CREATE INDEX audit_events_phone_idx ON audit_events (phone) WHERE phone IS NOT NULL;
+CREATE INDEX audit_events_actor_username_idx ON audit_events (actor_username) WHERE actor_username IS NOT NULL;
+
+CREATE FUNCTION audit_events_append_only() RETURNS trigger AS $$
+BEGIN
+  RAISE EXCEPTION 'audit_events is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER audit_events_no_update BEFORE UPDATE OR DELETE ON audit_events
+  FOR EACH ROW EXECUTE FUNCTION audit_events_append_only();
+CREATE TRIGGER audit_events_no_truncate BEFORE TRUNCATE ON audit_events
+  FOR EACH STATEMENT EXECUTE FUNCTION audit_events_append_only();
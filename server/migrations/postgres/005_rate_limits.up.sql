@@ -0,0 +1,10 @@
+-- Request counts for RATE_LIMIT_STORE=database, shared by every server on the database:
+-- requests counted against a key (e.g. an IP address) in the window ending at
+-- window_ends_at. Expired rows are swept from time to time.
+CREATE TABLE rate_limits (
+  key VARCHAR(200) PRIMARY KEY,
+  count INTEGER NOT NULL CHECK (count > 0),
+  window_ends_at TIMESTAMP NOT NULL
+);
+
+CREATE INDEX rate_limits_window_ends_at_idx ON rate_limits (window_ends_at);
@@ -0,0 +1,130 @@
+-- The schema of migrations/postgres/001_baseline for SQLite. Dates are stored as
+-- 'YYYY-MM-DD' text, times as 'HH:mm' text and timestamps as ISO 8601 UTC text.
+-- SQLite cannot add constraints to an existing table, so the CHECK constraints that
+-- PostgreSQL gets in 002 are part of the tables here.
+
+CREATE TABLE admins (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  username VARCHAR(100) NOT NULL UNIQUE,
+  password_hash VARCHAR(255) NOT NULL,
+  role VARCHAR(20) NOT NULL DEFAULT 'super_admin',
+  -- JSON array of location names
+  locations TEXT NOT NULL DEFAULT '[]',
+  created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE TABLE bookings (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name VARCHAR(255) NOT NULL,
+  phone VARCHAR(20) NOT NULL,
+  purpose VARCHAR(255) NOT NULL,
+  location VARCHAR(255) NOT NULL,
+  date TEXT NOT NULL,
+  time_slot TEXT NOT NULL,
+  created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  reference VARCHAR(12) NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'confirmed',
+  cancelled_at TEXT,
+  checked_in_at TEXT,
+  checked_in_by INTEGER REFERENCES admins(id) ON DELETE SET NULL,
+  attendance_status VARCHAR(20),
+  CONSTRAINT bookings_status_check CHECK (status IN ('confirmed', 'cancelled')),
+  CONSTRAINT bookings_cancelled_at_check CHECK (status <> 'cancelled' OR cancelled_at IS NOT NULL),
+  CONSTRAINT bookings_attendance_status_check
+    CHECK (attendance_status IS NULL OR attendance_status IN ('arrived', 'late', 'no_show')),
+  CONSTRAINT bookings_attendance_checked_in_check
+    CHECK (attendance_status IS NULL OR attendance_status = 'no_show' OR checked_in_at IS NOT NULL)
+);
+CREATE UNIQUE INDEX bookings_reference_key ON bookings (reference);
+
+CREATE TABLE booking_changes (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  booking_id INTEGER NOT NULL REFERENCES bookings(id) ON DELETE CASCADE,
+  from_date TEXT NOT NULL,
+  from_time_slot TEXT NOT NULL,
+  to_date TEXT NOT NULL,
+  to_time_slot TEXT NOT NULL,
+  changed_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE TABLE slot_templates (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  weekday SMALLINT NOT NULL CHECK (weekday BETWEEN 0 AND 6),
+  start_time TEXT NOT NULL,
+  end_time TEXT NOT NULL CHECK (end_time > start_time),
+  slot_minutes INTEGER NOT NULL CHECK (slot_minutes > 0),
+  capacity INTEGER NOT NULL CHECK (capacity >= 0)
+);
+
+CREATE TABLE slot_overrides (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  date TEXT NOT NULL,
+  start_time TEXT NOT NULL,
+  end_time TEXT NOT NULL CHECK (end_time > start_time),
+  slot_minutes INTEGER NOT NULL CHECK (slot_minutes > 0),
+  capacity INTEGER NOT NULL CHECK (capacity >= 0)
+);
+
+CREATE TABLE closures (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  date TEXT NOT NULL,
+  start_time TEXT,
+  end_time TEXT,
+  location VARCHAR(255),
+  reason VARCHAR(255) NOT NULL,
+  created_by INTEGER REFERENCES admins(id) ON DELETE SET NULL,
+  created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  CHECK ((start_time IS NULL AND end_time IS NULL) OR end_time > start_time)
+);
+
+CREATE TABLE otp_codes (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  phone VARCHAR(20) NOT NULL,
+  code_hash VARCHAR(64) NOT NULL,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  expires_at TEXT NOT NULL,
+  consumed_at TEXT,
+  created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+CREATE INDEX otp_codes_phone_created_at_idx ON otp_codes (phone, created_at);
+
+CREATE TABLE phone_blocks (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  phone VARCHAR(20) NOT NULL,
+  blocked_until TEXT NOT NULL,
+  no_show_count INTEGER NOT NULL CONSTRAINT phone_blocks_no_show_count_check CHECK (no_show_count > 0),
+  created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  lifted_at TEXT,
+  lifted_by INTEGER REFERENCES admins(id) ON DELETE SET NULL
+);
+CREATE INDEX phone_blocks_phone_idx ON phone_blocks (phone, blocked_until);
+
+CREATE TABLE waitlist (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name VARCHAR(255) NOT NULL,
+  phone VARCHAR(20) NOT NULL,
+  purpose VARCHAR(255) NOT NULL,
+  location VARCHAR(255) NOT NULL,
+  date TEXT NOT NULL,
+  time_slot TEXT NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'waiting',
+  booking_id INTEGER REFERENCES bookings(id) ON DELETE SET NULL,
+  created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  promoted_at TEXT,
+  CONSTRAINT waitlist_status_check CHECK (status IN ('waiting', 'promoted', 'skipped')),
+  CONSTRAINT waitlist_promoted_check CHECK (status <> 'promoted' OR promoted_at IS NOT NULL)
+);
+CREATE INDEX waitlist_slot_idx ON waitlist (location, date, time_slot, status);
+CREATE UNIQUE INDEX waitlist_waiting_phone_idx ON waitlist (phone, location, date, time_slot) WHERE status = 'waiting';
+
+CREATE TABLE slot_holds (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  token VARCHAR(64) NOT NULL UNIQUE,
+  location VARCHAR(255) NOT NULL,
+  date TEXT NOT NULL,
+  time_slot TEXT NOT NULL,
+  expires_at TEXT NOT NULL,
+  created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  CONSTRAINT slot_holds_expires_at_check CHECK (expires_at > created_at)
+);
+CREATE INDEX slot_holds_slot_idx ON slot_holds (location, date, time_slot, expires_at);
@@ -0,0 +1,3 @@
+DROP INDEX IF EXISTS bookings_phone_week_key;
+DROP INDEX IF EXISTS bookings_date_idx;
+DROP INDEX IF EXISTS bookings_confirmed_slot_idx;
@@ -0,0 +1,12 @@
+-- The indexes of migrations/postgres/002_booking_indexes_and_constraints for SQLite.
+-- The constraints are already part of the tables (see 001_baseline).
+
+CREATE INDEX bookings_confirmed_slot_idx
+  ON bookings (date, location, time_slot) WHERE status = 'confirmed';
+
+CREATE INDEX bookings_date_idx ON bookings (date, time_slot);
+
+-- One confirmed booking per phone per Monday-Sunday week. The weekly check must use
+-- the same expression (the dialect's weekStart) for the index to serve it.
+CREATE UNIQUE INDEX bookings_phone_week_key
+  ON bookings (phone, date(date, 'weekday 0', '-6 days')) WHERE status = 'confirmed';
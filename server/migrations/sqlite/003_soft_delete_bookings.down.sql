@@ -0,0 +1,15 @@
+DELETE FROM bookings WHERE deleted_at IS NOT NULL;
+
+DROP INDEX IF EXISTS bookings_deleted_at_idx;
+
+DROP INDEX IF EXISTS bookings_phone_week_key;
+CREATE UNIQUE INDEX bookings_phone_week_key
+  ON bookings (phone, date(date, 'weekday 0', '-6 days')) WHERE status = 'confirmed';
+
+DROP INDEX IF EXISTS bookings_confirmed_slot_idx;
+CREATE INDEX bookings_confirmed_slot_idx
+  ON bookings (date, location, time_slot) WHERE status = 'confirmed';
+
+ALTER TABLE bookings DROP COLUMN deleted_reason;
+ALTER TABLE bookings DROP COLUMN deleted_by;
+ALTER TABLE bookings DROP COLUMN deleted_at;
@@ -0,0 +1,17 @@
+-- migrations/postgres/003_soft_delete_bookings for SQLite, which cannot add a table
+-- CHECK constraint to an existing table, so bookings_deleted_check is left out.
+
+ALTER TABLE bookings ADD COLUMN deleted_at TEXT;
+ALTER TABLE bookings ADD COLUMN deleted_by INTEGER REFERENCES admins(id) ON DELETE SET NULL;
+ALTER TABLE bookings ADD COLUMN deleted_reason TEXT;
+
+DROP INDEX IF EXISTS bookings_confirmed_slot_idx;
+CREATE INDEX bookings_confirmed_slot_idx
+  ON bookings (date, location, time_slot) WHERE status = 'confirmed' AND deleted_at IS NULL;
+
+DROP INDEX IF EXISTS bookings_phone_week_key;
+CREATE UNIQUE INDEX bookings_phone_week_key
+  ON bookings (phone, date(date, 'weekday 0', '-6 days'))
+  WHERE status = 'confirmed' AND deleted_at IS NULL;
+
+CREATE INDEX bookings_deleted_at_idx ON bookings (deleted_at) WHERE deleted_at IS NOT NULL;
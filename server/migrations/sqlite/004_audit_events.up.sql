@@ -0,0 +1,29 @@
+-- migrations/postgres/004_audit_events for SQLite. details is JSON text.
+CREATE TABLE audit_events (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  occurred_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  action TEXT NOT NULL,
+  actor_type TEXT NOT NULL CHECK (actor_type IN ('booker', 'admin')),
+  admin_id INTEGER,
+  actor_username TEXT,
+  booking_id INTEGER,
+  phone TEXT,
+  ip TEXT,
+  user_agent TEXT,
+  details TEXT NOT NULL DEFAULT '{}'
+);
+
+CREATE INDEX audit_events_occurred_at_idx ON audit_events (occurred_at);
+CREATE INDEX audit_events_booking_id_idx ON audit_events (booking_id) WHERE booking_id IS NOT NULL;
+CREATE INDEX audit_events_phone_idx ON audit_events (phone) WHERE phone IS NOT NULL;
+CREATE INDEX audit_events_actor_username_idx ON audit_events (actor_username) WHERE actor_username IS NOT NULL;
+
+CREATE TRIGGER audit_events_no_update BEFORE UPDATE ON audit_events
+BEGIN
+  SELECT RAISE(ABORT, 'audit_events is append-only');
+END;
+
+CREATE TRIGGER audit_events_no_delete BEFORE DELETE ON audit_events
+BEGIN
+  SELECT RAISE(ABORT, 'audit_events is append-only');
+END;
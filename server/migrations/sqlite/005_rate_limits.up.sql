@@ -0,0 +1,8 @@
+-- migrations/postgres/005_rate_limits for SQLite
+CREATE TABLE rate_limits (
+  key TEXT PRIMARY KEY,
+  count INTEGER NOT NULL CHECK (count > 0),
+  window_ends_at TEXT NOT NULL
+);
+
+CREATE INDEX rate_limits_window_ends_at_idx ON rate_limits (window_ends_at);
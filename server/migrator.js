@@ -0,0 +1,144 @@
+// Versioned schema migrations. Each migration is a pair of SQL files,
+// NNN_name.up.sql and NNN_name.down.sql, applied in version order and recorded in
+// schema_migrations. Each backend has its own set, in migrations/postgres/ and
+// migrations/sqlite/. Run them with scripts/migrate.js (npm run migrate).
+const fs = require('fs');
+const path = require('path');
+const repo = require('./repository');
+
+// The migrations for the configured backend
+const migrationsDir = () => path.join(__dirname, 'migrations', repo.getBackend().dialect.name);
+const FILE_PATTERN = /^(\d+)_([\w-]+)\.(up|down)\.sql$/;
+
+const label = (migration) => `${String(migration.version).padStart(3, '0')}_${migration.name}`;
+
+// Every migration on disk, oldest first, as { version, name, up, down }
+function loadMigrations(dir = migrationsDir()) {
+  const migrations = new Map();
+  for (const file of fs.readdirSync(dir)) {
+    const match = FILE_PATTERN.exec(file);
+    if (!match) continue;
+
+    const version = parseInt(match[1]);
+    const migration = migrations.get(version) || { version, name: match[2] };
+    if (migration.name !== match[2]) {
+      throw new Error(`Migration ${version} has two names: ${migration.name} and ${match[2]}`);
+    }
+    migration[match[3]] = fs.readFileSync(path.join(dir, file), 'utf8');
+    migrations.set(version, migration);
+  }
+
+  const sorted = [...migrations.values()].sort((a, b) => a.version - b.version);
+  sorted.forEach(migration => {
+    if (!migration.up || !migration.down) {
+      throw new Error(`Migration ${label(migration)} needs both an .up.sql and a .down.sql file`);
+    }
+  });
+  return sorted;
+}
+
+// Applied migrations as Map(version => { version, name, applied_at }). Without the
+// schema_migrations table nothing has been applied.
+async function appliedMigrations(db = repo.getBackend().pool) {
+  if (!await repo.getBackend().tableExists(db, 'schema_migrations')) {
+    return new Map();
+  }
+  const rows = await repo.migrations.list(db);
+  return new Map(rows.map(row => [row.version, row]));
+}
+
+// Run fn(client) on a connection holding the migration lock, so two migrators (e.g.
+// two deploys starting together) never run at the same time
+function withMigrationLock(fn) {
+  return repo.getBackend().withExclusiveLock('schema_migrations', async (client) => {
+    await repo.migrations.createTable(client);
+    return fn(client);
+  });
+}
+
+// Run a migration's SQL and record the change in schema_migrations, in one transaction
+async function runMigration(client, sql, record) {
+  await client.query('BEGIN');
+  try {
+    await repo.getBackend().exec(client, sql);
+    await record();
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  }
+}
+
+// Apply every pending migration, oldest first. Returns the labels of those applied.
+async function migrate() {
+  return withMigrationLock(async (client) => {
+    const applied = await appliedMigrations(client);
+    const done = [];
+    for (const migration of loadMigrations().filter(m => !applied.has(m.version))) {
+      await runMigration(client, migration.up, () => repo.migrations.record(migration.version, migration.name, client));
+      done.push(label(migration));
+    }
+    return done;
+  });
+}
+
+// Undo the last `steps` applied migrations, newest first. Returns the labels of those
+// undone.
+async function rollback(steps = 1) {
+  return withMigrationLock(async (client) => {
+    const applied = await appliedMigrations(client);
+    const onDisk = new Map(loadMigrations().map(migration => [migration.version, migration]));
+    const versions = [...applied.keys()].sort((a, b) => b - a).slice(0, steps);
+
+    const undone = [];
+    for (const version of versions) {
+      const migration = onDisk.get(version);
+      if (!migration) {
+        throw new Error(`Migration ${version} (${applied.get(version).name}) is applied but its files are missing`);
+      }
+      await runMigration(client, migration.down, () => repo.migrations.remove(version, client));
+      undone.push(label(migration));
+    }
+    return undone;
+  });
+}
+
+// Every known migration as { version, name, label, appliedAt }, oldest first. appliedAt
+// is null for pending migrations; `missing` marks applied migrations whose files are
+// not in this version of the code.
+async function migrationStatus(db) {
+  const applied = await appliedMigrations(db);
+  const onDisk = loadMigrations();
+
+  const status = onDisk.map(migration => ({
+    version: migration.version,
+    name: migration.name,
+    label: label(migration),
+    appliedAt: applied.has(migration.version) ? applied.get(migration.version).applied_at : null
+  }));
+  applied.forEach((row, version) => {
+    if (!onDisk.some(migration => migration.version === version)) {
+      status.push({ version, name: row.name, label: label(row), appliedAt: row.applied_at, missing: true });
+    }
+  });
+  return status.sort((a, b) => a.version - b.version);
+}
+
+// Throw unless every migration has been applied. The server checks this on startup.
+async function assertMigrated(db) {
+  const pending = (await migrationStatus(db)).filter(migration => !migration.appliedAt);
+  if (pending.length > 0) {
+    throw new Error(
+      `The database schema is not up to date (pending: ${pending.map(migration => migration.label).join(', ')}). ` +
+      'Run "npm run migrate" in server/ first.'
+    );
+  }
+}
+
+module.exports = {
+  loadMigrations,
+  migrate,
+  rollback,
+  migrationStatus,
+  assertMigrated
+};
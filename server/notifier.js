@@ -0,0 +1,52 @@
+// Booker notifications through a pluggable notifier, chosen with NOTIFIER.
+//
+// A notifier is `async (event, booking)`. The default texts the booker through sms/. To
+// notify another way (e.g. email or push), register a factory in NOTIFIERS, or replace
+// the notifier at runtime with setNotifier.
+const moment = require('moment');
+const { sendSms } = require('./sms');
+
+const EVENTS = {
+  // A seat opened up and was booked for someone on the waitlist
+  WAITLIST_PROMOTED: 'waitlist_promoted'
+};
+
+// Text sent to the booker for each event
+const MESSAGES = {
+  [EVENTS.WAITLIST_PROMOTED]: (booking) =>
+    `A seat opened up: you are now booked at ${booking.location} on ${moment(booking.date).format('MMM D, YYYY')} at ${booking.time_slot.substring(0, 5)}. Your booking reference is ${booking.reference}.`
+};
+
+const NOTIFIERS = {
+  sms: () => (event, booking) => sendSms(booking.phone, MESSAGES[event](booking)),
+  none: () => async () => {}
+};
+
+let notifier = null;
+
+// The configured notifier, created on first use
+const getNotifier = () => {
+  if (!notifier) {
+    const name = process.env.NOTIFIER || 'sms';
+    const createNotifier = NOTIFIERS[name];
+    if (!createNotifier) {
+      throw new Error(`Unknown NOTIFIER "${name}". Available: ${Object.keys(NOTIFIERS).join(', ')}`);
+    }
+    notifier = createNotifier();
+  }
+  return notifier;
+};
+
+// Replace the notifier, e.g. with a stub that records events
+const setNotifier = (newNotifier) => {
+  notifier = newNotifier;
+};
+
+// Notify a booker without holding up the caller; failures are logged, not thrown
+const notify = (event, booking) => {
+  Promise.resolve()
+    .then(() => getNotifier()(event, booking))
+    .catch(err => console.error(`Failed to send ${event} notification for booking ${booking.id}:`, err.message));
+};
+
+module.exports = { EVENTS, getNotifier, setNotifier, notify };
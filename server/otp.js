@@ -0,0 +1,100 @@
+// Phone verification: one-time codes sent by SMS, exchanged for a short-lived token
+// that proves the booker owns the phone number they book with
+const crypto = require('crypto');
+const repo = require('./repository');
+const { HttpError } = require('./errors');
+const { signToken, verifyToken } = require('./tokens');
+const { sendSms } = require('./sms');
+
+const OTP = {
+  length: 6,
+  ttlSeconds: parseInt(process.env.OTP_TTL_MINUTES || '5') * 60,
+  // Wrong guesses allowed per code
+  maxAttempts: parseInt(process.env.OTP_MAX_ATTEMPTS || '5'),
+  // Minimum wait between two codes for the same phone, and codes allowed per hour
+  resendSeconds: parseInt(process.env.OTP_RESEND_SECONDS || '60'),
+  maxPerHour: parseInt(process.env.OTP_MAX_PER_HOUR || '5'),
+  // How long a verified phone may be used to book
+  tokenTtlSeconds: parseInt(process.env.OTP_TOKEN_TTL_MINUTES || '15') * 60
+};
+
+// Verification tokens are signed with OTP_SECRET. Without it a random secret is used,
+// so phones have to be verified again after a restart.
+let otpSecret = process.env.OTP_SECRET;
+if (!otpSecret) {
+  console.warn('OTP_SECRET is not set - using a random secret, phone verifications will not survive a restart.');
+  otpSecret = crypto.randomBytes(32).toString('hex');
+}
+
+// Codes are stored hashed, bound to the phone they were sent to
+const hashCode = (phone, code) =>
+  crypto.createHmac('sha256', otpSecret).update(`${phone}:${code}`).digest('hex');
+
+const generateCode = () => String(crypto.randomInt(10 ** OTP.length)).padStart(OTP.length, '0');
+
+// Send a new code to a phone, subject to the resend interval and hourly limit
+async function requestOtp(phone) {
+  const { count, secondsSinceLast } = await repo.otp.countRecent(phone, 60 * 60);
+
+  if (secondsSinceLast !== null && secondsSinceLast < OTP.resendSeconds) {
+    const wait = Math.ceil(OTP.resendSeconds - secondsSinceLast);
+    throw new HttpError(429, `Please wait ${wait} seconds before requesting another code`);
+  }
+  if (count >= OTP.maxPerHour) {
+    throw new HttpError(429, 'Too many codes requested for this phone number. Please try again later.');
+  }
+
+  const code = generateCode();
+  await repo.otp.insert(phone, hashCode(phone, code), OTP.ttlSeconds);
+
+  await sendSms(phone, `Your slot booking verification code is ${code}. It expires in ${OTP.ttlSeconds / 60} minutes.`);
+
+  return { expiresIn: OTP.ttlSeconds, resendIn: OTP.resendSeconds };
+}
+
+// Check a code against the phone's latest one. On success the code is used up and a
+// verification token for the phone is returned.
+async function verifyOtp(phone, code) {
+  const otp = await repo.otp.findLatestUsable(phone);
+
+  if (!otp) {
+    throw new HttpError(400, 'This code has expired. Please request a new one.');
+  }
+
+  // Count the attempt before checking it, so parallel guesses cannot exceed the limit
+  if (!await repo.otp.countAttempt(otp.id, OTP.maxAttempts)) {
+    throw new HttpError(429, 'Too many incorrect attempts. Please request a new code.');
+  }
+
+  const expected = Buffer.from(otp.code_hash);
+  const actual = Buffer.from(hashCode(phone, String(code).trim()));
+  if (!crypto.timingSafeEqual(expected, actual)) {
+    throw new HttpError(400, 'Incorrect verification code');
+  }
+
+  // Use the code up; a concurrent request with the same code gets nothing back
+  if (!await repo.otp.consume(otp.id)) {
+    throw new HttpError(400, 'This code has already been used. Please request a new one.');
+  }
+
+  return {
+    verificationToken: signToken({ phone, purpose: 'booking' }, otpSecret, OTP.tokenTtlSeconds),
+    expiresIn: OTP.tokenTtlSeconds
+  };
+}
+
+// Middleware: require a verification token (body.verificationToken) for body.phone
+const requireVerifiedPhone = (req, res, next) => {
+  const verification = verifyToken(req.body.verificationToken, otpSecret);
+  if (!verification || verification.purpose !== 'booking' || verification.phone !== req.body.phone) {
+    return res.status(403).json({ error: 'Please verify your phone number before booking' });
+  }
+  next();
+};
+
+module.exports = {
+  OTP,
+  requestOtp,
+  verifyOtp,
+  requireVerifiedPhone
+};
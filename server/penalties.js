@@ -0,0 +1,60 @@
+// No-show penalties: a phone that misses too many bookings in a few weeks is blocked
+// from booking for a while. Blocks are checked by createBooking (see getActiveBlock).
+const moment = require('moment');
+const repo = require('./repository');
+const { HttpError } = require('./errors');
+const { ATTENDANCE } = require('./bookings');
+const { today } = require('./bookingRules');
+
+const POLICY = {
+  // No-shows that trigger a block; 0 turns the policy off
+  maxNoShows: parseInt(process.env.NO_SHOW_LIMIT || '3'),
+  // counted over this many weeks of bookings
+  windowWeeks: parseInt(process.env.NO_SHOW_WINDOW_WEEKS || '4'),
+  // and the number of days the phone is then blocked for
+  blockDays: parseInt(process.env.NO_SHOW_BLOCK_DAYS || '14')
+};
+
+// Block each of the phones that has reached the no-show limit and is not blocked yet.
+// No-shows from before a phone's last block (lifted or not) do not count again.
+// Returns the number of phones blocked.
+async function applyNoShowPolicy(phones, db) {
+  if (POLICY.maxNoShows <= 0) return 0;
+
+  const windowStart = moment(today(), 'YYYY-MM-DD').subtract(POLICY.windowWeeks, 'weeks').format('YYYY-MM-DD');
+  const blockedUntil = moment(today(), 'YYYY-MM-DD').add(POLICY.blockDays, 'days').format('YYYY-MM-DD');
+  let blocked = 0;
+
+  for (const phone of [...new Set(phones)]) {
+    const noShows = await repo.blocks.countNoShowsSinceLastBlock(phone, ATTENDANCE.NO_SHOW, windowStart, db);
+    if (noShows < POLICY.maxNoShows) continue;
+
+    if (await repo.blocks.insertUnlessBlocked({ phone, blockedUntil, noShowCount: noShows }, today(), db)) {
+      blocked += 1;
+    }
+  }
+  return blocked;
+}
+
+// Blocks in force today, soonest to expire first
+const getActiveBlocks = () => repo.blocks.listActive(today());
+
+// Let a blocked phone book again before its block runs out
+async function liftBlock(id, admin, db) {
+  const block = await repo.blocks.lift(id, admin.id, db);
+  if (!block) {
+    throw new HttpError(404, 'Block not found or already lifted');
+  }
+  return block;
+}
+
+// Policy as published to admins
+const publicPolicy = () => ({ ...POLICY, enabled: POLICY.maxNoShows > 0 });
+
+module.exports = {
+  POLICY,
+  applyNoShowPolicy,
+  getActiveBlocks,
+  liftBlock,
+  publicPolicy
+};
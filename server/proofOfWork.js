@@ -0,0 +1,73 @@
+// Proof of work for booking submissions, to make scripted booking costly. The browser
+// fetches a signed challenge and searches for a solution: a number such that the
+// SHA-256 hash of `${challenge}:${solution}` starts with `difficulty` zero bits. That
+// takes the browser a second or two, but checking it takes one hash.
+const crypto = require('crypto');
+const { signToken, verifyToken } = require('./tokens');
+const { getRateLimitStore } = require('./rateLimit');
+
+const POW = {
+  // Zero bits the hash must start with; each one doubles the work. 0 turns the check off.
+  difficulty: parseInt(process.env.POW_DIFFICULTY || '16'),
+  ttlSeconds: parseInt(process.env.POW_TTL_MINUTES || '10') * 60
+};
+
+// Challenges are signed with POW_SECRET, which every server instance must share.
+// Without it a random secret is used, so challenges do not survive a restart.
+let powSecret = process.env.POW_SECRET;
+if (!powSecret) {
+  console.warn('POW_SECRET is not set - using a random secret, booking challenges will not survive a restart.');
+  powSecret = crypto.randomBytes(32).toString('hex');
+}
+
+const issueChallenge = () => ({
+  challenge: signToken({ nonce: crypto.randomBytes(16).toString('hex'), difficulty: POW.difficulty }, powSecret, POW.ttlSeconds),
+  difficulty: POW.difficulty,
+  expiresIn: POW.ttlSeconds
+});
+
+const leadingZeroBits = (hash) => {
+  let bits = 0;
+  for (const byte of hash) {
+    if (byte === 0) {
+      bits += 8;
+      continue;
+    }
+    return bits + Math.clz32(byte) - 24;
+  }
+  return bits;
+};
+
+// The challenge's payload if the solution solves it, otherwise null
+const checkSolution = (challenge, solution) => {
+  const payload = verifyToken(challenge, powSecret);
+  if (!payload || typeof solution !== 'string' || solution.length > 32) return null;
+
+  const hash = crypto.createHash('sha256').update(`${challenge}:${solution}`).digest();
+  return leadingZeroBits(hash) >= payload.difficulty ? payload : null;
+};
+
+// Middleware: require a solved challenge (body.challenge, body.solution). Each
+// challenge is good for one submission.
+const requireProofOfWork = async (req, res, next) => {
+  if (!POW.difficulty) {
+    return next();
+  }
+
+  const payload = checkSolution(req.body.challenge, req.body.solution);
+  if (!payload) {
+    return res.status(400).json({ error: 'The browser check failed. Please try again.' });
+  }
+
+  try {
+    const { count } = await getRateLimitStore().hit(`pow:${payload.nonce}`, POW.ttlSeconds);
+    if (count > 1) {
+      return res.status(400).json({ error: 'The browser check has already been used. Please try again.' });
+    }
+  } catch (err) {
+    console.error('Error checking proof of work:', err.message);
+  }
+  next();
+};
+
+module.exports = { POW, issueChallenge, requireProofOfWork };
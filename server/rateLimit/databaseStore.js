@@ -0,0 +1,18 @@
+// Shared store: counts requests in the rate_limits table, so that every server
+// instance on the same database enforces one limit between them
+const repo = require('../repository');
+
+const SWEEP_SECONDS = 5 * 60;
+
+module.exports = () => {
+  // Delete ended windows from time to time. The timer does not keep the process alive.
+  const timer = setInterval(() => {
+    repo.rateLimits.deleteExpired().catch(err => console.error('Error sweeping rate limits:', err.message));
+  }, SWEEP_SECONDS * 1000);
+  timer.unref();
+
+  return {
+    name: 'database',
+    hit: (key, windowSeconds) => repo.rateLimits.hit(key, windowSeconds)
+  };
+};
@@ -0,0 +1,97 @@
+// Rate limiting for the public endpoints: requests are counted per client IP or per
+// phone number in fixed windows, in a pluggable store chosen with RATE_LIMIT_STORE.
+//
+// A store is an object with `name` and `async hit(key, windowSeconds)`, which counts
+// a request against key and resolves to { count, resetSeconds }: the requests in the
+// key's current window, this one included, and the seconds until the window ends.
+// `memory` counts in this process only; `database` shares the counts between every
+// server on the same database. To add one (e.g. Redis), create a module here exporting
+// a factory that reads its own settings from the environment, and register it in STORES.
+const STORES = {
+  memory: require('./memoryStore'),
+  database: require('./databaseStore')
+};
+
+// A limit from the environment; 0 turns it off
+const limitFromEnv = (name, fallback) => {
+  const value = parseInt(process.env[name]);
+  return isNaN(value) ? fallback : value;
+};
+
+// Requests allowed per window
+const RATE_LIMITS = {
+  windowSeconds: limitFromEnv('RATE_LIMIT_WINDOW_MINUTES', 15) * 60,
+  bookingsPerIp: limitFromEnv('RATE_LIMIT_BOOKINGS_PER_IP', 20),
+  bookingsPerPhone: limitFromEnv('RATE_LIMIT_BOOKINGS_PER_PHONE', 5),
+  weeklyStatusPerIp: limitFromEnv('RATE_LIMIT_WEEKLY_STATUS_PER_IP', 60),
+  weeklyStatusPerPhone: limitFromEnv('RATE_LIMIT_WEEKLY_STATUS_PER_PHONE', 20),
+  holdsPerIp: limitFromEnv('RATE_LIMIT_HOLDS_PER_IP', 60),
+  otpPerIp: limitFromEnv('RATE_LIMIT_OTP_PER_IP', 20),
+  lookupPerIp: limitFromEnv('RATE_LIMIT_LOOKUP_PER_IP', 20)
+};
+
+let store = null;
+
+// The configured store, created on first use
+const getRateLimitStore = () => {
+  if (!store) {
+    const name = process.env.RATE_LIMIT_STORE || 'memory';
+    const createStore = STORES[name];
+    if (!createStore) {
+      throw new Error(`Unknown RATE_LIMIT_STORE "${name}". Available: ${Object.keys(STORES).join(', ')}`);
+    }
+    store = createStore();
+  }
+  return store;
+};
+
+// Replace the store, e.g. with a fresh memory store between test cases
+const setRateLimitStore = (newStore) => {
+  store = newStore;
+};
+
+const waitMessage = (seconds) => {
+  if (seconds < 60) {
+    return `${seconds} second${seconds !== 1 ? 's' : ''}`;
+  }
+  const minutes = Math.ceil(seconds / 60);
+  return `${minutes} minute${minutes !== 1 ? 's' : ''}`;
+};
+
+// Middleware allowing `limit` requests per window for each value of key(req), counted
+// under `name`. Requests without a key are let through. Over the limit it answers 429
+// with Retry-After, and retryAfter (seconds) in the body. If the store fails the
+// request is let through rather than turned away.
+const rateLimit = (name, limit, key) => async (req, res, next) => {
+  const value = key(req);
+  if (!limit || !value) {
+    return next();
+  }
+
+  let result;
+  try {
+    result = await getRateLimitStore().hit(`${name}:${value}`, RATE_LIMITS.windowSeconds);
+  } catch (err) {
+    console.error(`Error checking rate limit ${name}:`, err.message);
+    return next();
+  }
+
+  if (result.count > limit) {
+    res.set('Retry-After', String(result.resetSeconds));
+    return res.status(429).json({
+      error: `Too many requests. Please try again in ${waitMessage(result.resetSeconds)}.`,
+      retryAfter: result.resetSeconds
+    });
+  }
+  next();
+};
+
+// Keys: the client's address (see TRUST_PROXY_HOPS), and the phone number in the
+// body or query string
+const byIp = (req) => req.ip;
+const byPhone = (req) => {
+  const phone = (req.body && req.body.phone) || req.query.phone;
+  return typeof phone === 'string' ? phone.trim().slice(0, 50) : null;
+};
+
+module.exports = { RATE_LIMITS, getRateLimitStore, setRateLimitStore, rateLimit, byIp, byPhone };
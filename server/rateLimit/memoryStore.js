@@ -0,0 +1,31 @@
+// Default store: counts requests in this process's memory. With several server
+// instances each counts only its own requests; use the database store to share them.
+const SWEEP_SECONDS = 60;
+
+module.exports = () => {
+  // key -> { count, endsAt } (endsAt in ms)
+  const windows = new Map();
+
+  // Drop the windows that have ended. The timer does not keep the process alive.
+  const timer = setInterval(() => {
+    const now = Date.now();
+    for (const [key, window] of windows) {
+      if (window.endsAt <= now) windows.delete(key);
+    }
+  }, SWEEP_SECONDS * 1000);
+  timer.unref();
+
+  return {
+    name: 'memory',
+    async hit(key, windowSeconds) {
+      const now = Date.now();
+      let window = windows.get(key);
+      if (!window || window.endsAt <= now) {
+        window = { count: 0, endsAt: now + windowSeconds * 1000 };
+        windows.set(key, window);
+      }
+      window.count += 1;
+      return { count: window.count, resetSeconds: Math.ceil((window.endsAt - now) / 1000) };
+    }
+  };
+};
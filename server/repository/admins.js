@@ -0,0 +1,69 @@
+// Admin accounts
+const { database } = require('./backend');
+
+// SQLite returns the locations array as the JSON text it was stored as
+const toAdmin = (row) => row && {
+  ...row,
+  locations: typeof row.locations === 'string' ? JSON.parse(row.locations) : row.locations
+};
+
+const findById = async (id, db = database()) => {
+  const result = await db.query('SELECT * FROM admins WHERE id = $1', [id]);
+  return toAdmin(result.rows[0]) || null;
+};
+
+const findByUsername = async (username, db = database()) => {
+  const result = await db.query('SELECT * FROM admins WHERE username = $1', [username]);
+  return toAdmin(result.rows[0]) || null;
+};
+
+const list = async (db = database()) => {
+  const result = await db.query('SELECT * FROM admins ORDER BY username ASC');
+  return result.rows.map(toAdmin);
+};
+
+// Admins with a role, or every admin
+const count = async (role = null, db = database()) => {
+  const result = role
+    ? await db.query('SELECT COUNT(*) AS count FROM admins WHERE role = $1', [role])
+    : await db.query('SELECT COUNT(*) AS count FROM admins');
+  return parseInt(result.rows[0].count);
+};
+
+const insert = async ({ username, password_hash, role, locations = [] }, db = database()) => {
+  const result = await db.query(
+    'INSERT INTO admins (username, password_hash, role, locations) VALUES ($1, $2, $3, $4) RETURNING *',
+    [username, password_hash, role, locations]
+  );
+  return toAdmin(result.rows[0]);
+};
+
+// Change an admin's role and locations, and their password hash if one is given.
+// Returns the admin, or null if there is none with that id.
+const update = async (id, { role, locations, password_hash = null }, db = database()) => {
+  const result = password_hash
+    ? await db.query(
+      'UPDATE admins SET role = $1, locations = $2, password_hash = $3 WHERE id = $4 RETURNING *',
+      [role, locations, password_hash, id]
+    )
+    : await db.query(
+      'UPDATE admins SET role = $1, locations = $2 WHERE id = $3 RETURNING *',
+      [role, locations, id]
+    );
+  return toAdmin(result.rows[0]) || null;
+};
+
+const deleteById = async (id, db = database()) => {
+  const result = await db.query('DELETE FROM admins WHERE id = $1 RETURNING *', [id]);
+  return toAdmin(result.rows[0]) || null;
+};
+
+module.exports = {
+  findById,
+  findByUsername,
+  list,
+  count,
+  insert,
+  update,
+  deleteById
+};
@@ -0,0 +1,60 @@
+// The audit log of booking and admin actions. Events are only ever added: the database
+// refuses to update or delete them (see the 004_audit_events migrations).
+const { database, dialect } = require('./backend');
+
+// SQLite returns details as the JSON text it was stored as
+const toEvent = (row) => ({
+  ...row,
+  details: typeof row.details === 'string' ? JSON.parse(row.details) : row.details
+});
+
+const insert = async ({ action, actorType, adminId, actorUsername, bookingId, phone, ip, userAgent, details }, db = database()) => {
+  await db.query(
+    `INSERT INTO audit_events (action, actor_type, admin_id, actor_username, booking_id, phone, ip, user_agent, details)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+    [action, actorType, adminId, actorUsername, bookingId, phone, ip, userAgent, JSON.stringify(details)]
+  );
+};
+
+// Conditions for the optional filters: the admin's username (actor), bookingId, phone,
+// action, and the days (from, to) the events happened on
+const eventFilter = ({ actor, bookingId, phone, action, from, to }) => {
+  const conditions = [];
+  const params = [];
+  const add = (condition, value) => {
+    params.push(value);
+    conditions.push(condition.replace('?', `$${params.length}`));
+  };
+
+  if (actor) add('actor_username = ?', actor);
+  if (bookingId) add('booking_id = ?', bookingId);
+  if (phone) add('phone = ?', phone);
+  if (action) add('action = ?', action);
+  if (from) add(`${dialect().dateOf('occurred_at')} >= ?`, from);
+  if (to) add(`${dialect().dateOf('occurred_at')} <= ?`, to);
+
+  return {
+    where: conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '',
+    params
+  };
+};
+
+// Events matching the filter, newest first, at most `limit` of them (null = all)
+const list = async (filter, { limit = null } = {}, db = database()) => {
+  const { where, params } = eventFilter(filter);
+  let query = `SELECT * FROM audit_events${where} ORDER BY occurred_at DESC, id DESC`;
+  if (limit) {
+    params.push(limit);
+    query += ` LIMIT $${params.length}`;
+  }
+  const result = await db.query(query, params);
+  return result.rows.map(toEvent);
+};
+
+const count = async (filter, db = database()) => {
+  const { where, params } = eventFilter(filter);
+  const result = await db.query(`SELECT COUNT(*) AS count FROM audit_events${where}`, params);
+  return parseInt(result.rows[0].count);
+};
+
+module.exports = { insert, list, count };
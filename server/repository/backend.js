@@ -0,0 +1,51 @@
+// The database backend, chosen with DATABASE_URL: a postgres:// URL uses PostgreSQL,
+// sqlite:<file> an SQLite file and sqlite::memory: a throwaway in-memory database.
+// Without DATABASE_URL, development uses the SQLite file server/slots.sqlite.
+//
+// A backend is an object with `dialect` (the SQL that differs, see postgres.js),
+// `pool` and `withTransaction(fn)` for running queries, `lock` / `tryLock` for
+// transaction-scoped locks, `withExclusiveLock`, `exec` and `tableExists` for the
+// migrator, and `close()`.
+const path = require('path');
+const { createPostgresBackend } = require('./postgres');
+const { createSqliteBackend } = require('./sqlite');
+
+const DEFAULT_SQLITE_FILE = path.join(__dirname, '..', 'slots.sqlite');
+
+function createBackend(url = process.env.DATABASE_URL) {
+  if (!url) {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('DATABASE_URL environment variable is required in production');
+    }
+    return createSqliteBackend(DEFAULT_SQLITE_FILE);
+  }
+  if (/^postgres(ql)?:\/\//.test(url)) {
+    return createPostgresBackend(url);
+  }
+  if (url.startsWith('sqlite:')) {
+    return createSqliteBackend(url.slice('sqlite:'.length) || DEFAULT_SQLITE_FILE);
+  }
+  throw new Error('DATABASE_URL must be a postgres:// or sqlite: URL');
+}
+
+let backend = null;
+
+// The configured backend, created on first use
+const getBackend = () => {
+  if (!backend) {
+    backend = createBackend();
+  }
+  return backend;
+};
+
+// Replace the backend, e.g. with a fresh in-memory database
+const setBackend = (newBackend) => {
+  backend = newBackend;
+};
+
+// Shorthands for the table modules: the pool to query outside a transaction, and the
+// dialect to write SQL with
+const database = () => getBackend().pool;
+const dialect = () => getBackend().dialect;
+
+module.exports = { createBackend, getBackend, setBackend, database, dialect };
@@ -0,0 +1,75 @@
+// Phones blocked from booking after repeated no-shows
+const { database, dialect } = require('./backend');
+
+// A phone's block in force on date `today`, the longest first
+const findActive = async (phone, today, db = database()) => {
+  const result = await db.query(
+    `SELECT * FROM phone_blocks
+     WHERE phone = $1 AND lifted_at IS NULL AND blocked_until > $2
+     ORDER BY blocked_until DESC
+     LIMIT 1`,
+    [phone, today]
+  );
+  return result.rows[0] || null;
+};
+
+// Blocks in force on date `today`, soonest to expire first
+const listActive = async (today, db = database()) => {
+  const result = await db.query(
+    `SELECT id, phone, ${dialect().cast('blocked_until', 'text')} AS blocked_until, no_show_count, created_at
+     FROM phone_blocks
+     WHERE lifted_at IS NULL AND blocked_until > $1
+     ORDER BY blocked_until, id`,
+    [today]
+  );
+  return result.rows;
+};
+
+// A phone's bookings with the attendance `noShow` since a date, leaving out deleted
+// bookings and those on or before the day of its last block (lifted or not)
+const countNoShowsSinceLastBlock = async (phone, noShow, since, db = database()) => {
+  const result = await db.query(
+    `SELECT COUNT(*) AS count FROM bookings
+     WHERE phone = $1 AND attendance_status = $2 AND date >= $3 AND deleted_at IS NULL
+       AND NOT EXISTS (
+         SELECT 1 FROM phone_blocks
+         WHERE phone_blocks.phone = $1 AND ${dialect().dateOf('phone_blocks.created_at')} >= bookings.date
+       )`,
+    [phone, noShow, since]
+  );
+  return parseInt(result.rows[0].count);
+};
+
+// Block a phone until blockedUntil unless it is already blocked on date `today`.
+// Returns whether it was blocked.
+const insertUnlessBlocked = async ({ phone, blockedUntil, noShowCount }, today, db = database()) => {
+  const sql = dialect();
+  const result = await db.query(
+    `INSERT INTO phone_blocks (phone, blocked_until, no_show_count)
+     SELECT ${sql.cast('$1', 'varchar')}, ${sql.cast('$2', 'date')}, ${sql.cast('$3', 'integer')}
+     WHERE NOT EXISTS (
+       SELECT 1 FROM phone_blocks WHERE phone = $1 AND lifted_at IS NULL AND blocked_until > $4
+     )`,
+    [phone, blockedUntil, noShowCount, today]
+  );
+  return result.rowCount > 0;
+};
+
+// Lift a block that is not lifted yet. Returns the block, or null.
+const lift = async (id, adminId, db = database()) => {
+  const result = await db.query(
+    `UPDATE phone_blocks SET lifted_at = ${dialect().now}, lifted_by = $2
+     WHERE id = $1 AND lifted_at IS NULL
+     RETURNING *`,
+    [id, adminId]
+  );
+  return result.rows[0] || null;
+};
+
+module.exports = {
+  findActive,
+  listActive,
+  countNoShowsSinceLastBlock,
+  insertUnlessBlocked,
+  lift
+};
@@ -0,0 +1,367 @@
+// Bookings, their reschedule history and their attendance. Deleted bookings (with
+// deleted_at set) are left out of everything but listDeleted, findDeletedById and
+// restore.
+const { database, dialect } = require('./backend');
+
+// Bookings of a phone with `status` in the same week as date. The week expression
+// and the deleted_at condition match the bookings_phone_week_key index.
+const countInWeek = async (phone, date, status, db = database()) => {
+  const sql = dialect();
+  const result = await db.query(
+    `SELECT COUNT(*) AS count
+     FROM bookings
+     WHERE phone = $1
+       AND status = $3
+       AND deleted_at IS NULL
+       AND ${sql.weekStart('date')} = ${sql.weekStart(sql.cast('$2', 'date'))}`,
+    [phone, date, status]
+  );
+  return parseInt(result.rows[0].count);
+};
+
+// Bookings with `status` per slot at a location on a date, as [{ time_slot, count }]
+const countBySlot = async (date, location, status, db = database()) => {
+  const sql = dialect();
+  const result = await db.query(
+    `SELECT ${sql.cast('time_slot', 'text')} AS time_slot, COUNT(*) AS count FROM bookings
+     WHERE date = $1 AND location = $2 AND status = $3 AND deleted_at IS NULL GROUP BY time_slot`,
+    [date, location, status]
+  );
+  return result.rows;
+};
+
+// Conditions for the optional date and location filters shared by the counts below
+const locationDayFilter = ({ date, locations }, conditions, params) => {
+  if (date) {
+    params.push(date);
+    conditions.push(`date = $${params.length}`);
+  }
+  if (locations) {
+    params.push(locations);
+    conditions.push(dialect().inList('location', `$${params.length}`));
+  }
+};
+
+// Bookings with `status` per location, as [{ location, count }], optionally for one
+// date and/or limited to some locations (null = every location)
+const countByLocation = async ({ status, date, locations }, db = database()) => {
+  const params = [status];
+  const conditions = ['status = $1', 'deleted_at IS NULL'];
+  locationDayFilter({ date, locations }, conditions, params);
+
+  const result = await db.query(
+    `SELECT location, COUNT(*) AS count FROM bookings WHERE ${conditions.join(' AND ')} GROUP BY location`,
+    params
+  );
+  return result.rows;
+};
+
+// Bookings with `status` per location and attendance_status, as [{ location,
+// attendance_status, count }], with the same filters as countByLocation
+const countAttendanceByLocation = async ({ status, date, locations }, db = database()) => {
+  const params = [status];
+  const conditions = ['status = $1', 'deleted_at IS NULL'];
+  locationDayFilter({ date, locations }, conditions, params);
+
+  const result = await db.query(
+    `SELECT location, attendance_status, COUNT(*) AS count
+     FROM bookings WHERE ${conditions.join(' AND ')}
+     GROUP BY location, attendance_status`,
+    params
+  );
+  return result.rows;
+};
+
+// Bookings with `status` in a slot, and how many of them are checked in, as
+// { booked, checkedIn }, optionally limited to some locations
+const countCheckedIn = async ({ date, time_slot, status, locations }, db = database()) => {
+  const params = [date, time_slot, status];
+  let query = `SELECT COUNT(*) AS booked, COUNT(checked_in_at) AS checked_in
+               FROM bookings
+               WHERE date = $1 AND time_slot = $2 AND status = $3 AND deleted_at IS NULL`;
+  if (locations) {
+    params.push(locations);
+    query += ` AND ${dialect().inList('location', `$${params.length}`)}`;
+  }
+
+  const result = await db.query(query, params);
+  return {
+    booked: parseInt(result.rows[0].booked),
+    checkedIn: parseInt(result.rows[0].checked_in)
+  };
+};
+
+const findById = async (id, db = database()) => {
+  const result = await db.query('SELECT * FROM bookings WHERE id = $1 AND deleted_at IS NULL', [id]);
+  return result.rows[0] || null;
+};
+
+const findByReference = async (reference, db = database()) => {
+  const result = await db.query('SELECT * FROM bookings WHERE reference = $1 AND deleted_at IS NULL', [reference]);
+  return result.rows[0] || null;
+};
+
+// A booking by its reference, if it belongs to phone
+const findByPhoneAndReference = async (phone, reference, db = database()) => {
+  const result = await db.query(
+    'SELECT * FROM bookings WHERE reference = $1 AND phone = $2 AND deleted_at IS NULL',
+    [reference, phone]
+  );
+  return result.rows[0] || null;
+};
+
+const findByIds = async (ids, db = database()) => {
+  const result = await db.query(`SELECT * FROM bookings WHERE ${dialect().inList('id', '$1')} AND deleted_at IS NULL`, [ids]);
+  return result.rows;
+};
+
+// Insert a confirmed booking and return it
+const insert = async ({ name, phone, purpose, location, date, time_slot, reference }, db = database()) => {
+  const result = await db.query(
+    'INSERT INTO bookings (name, phone, purpose, location, date, time_slot, reference) VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *',
+    [name, phone, purpose, location, date, time_slot, reference]
+  );
+  return result.rows[0];
+};
+
+// Set a booking's status to `status` (cancelled), recording when
+const cancel = async (id, status, db = database()) => {
+  const result = await db.query(
+    `UPDATE bookings SET status = $1, cancelled_at = ${dialect().now} WHERE id = $2 RETURNING *`,
+    [status, id]
+  );
+  return result.rows[0];
+};
+
+// Move a booking to another slot and record the move in booking_changes
+const move = async (booking, { from, to }, db = database()) => {
+  const result = await db.query(
+    'UPDATE bookings SET date = $1, time_slot = $2 WHERE id = $3 RETURNING *',
+    [to.date, to.time_slot, booking.id]
+  );
+  await db.query(
+    'INSERT INTO booking_changes (booking_id, from_date, from_time_slot, to_date, to_time_slot) VALUES ($1, $2, $3, $4, $5)',
+    [booking.id, from.date, from.time_slot, to.date, to.time_slot]
+  );
+  return result.rows[0];
+};
+
+// Mark bookings deleted by an admin, with a reason. Returns the bookings that were
+// not deleted already.
+const softDelete = async (ids, { adminId, reason }, db = database()) => {
+  const result = await db.query(
+    `UPDATE bookings SET deleted_at = ${dialect().now}, deleted_by = $2, deleted_reason = $3
+     WHERE ${dialect().inList('id', '$1')} AND deleted_at IS NULL
+     RETURNING *`,
+    [ids, adminId, reason]
+  );
+  return result.rows;
+};
+
+// A deleted booking, for restoring it
+const findDeletedById = async (id, db = database()) => {
+  const result = await db.query('SELECT * FROM bookings WHERE id = $1 AND deleted_at IS NOT NULL', [id]);
+  return result.rows[0] || null;
+};
+
+// Undo a booking's deletion. Returns the booking, or null if it is not deleted.
+const restore = async (id, db = database()) => {
+  const result = await db.query(
+    `UPDATE bookings SET deleted_at = NULL, deleted_by = NULL, deleted_reason = NULL
+     WHERE id = $1 AND deleted_at IS NOT NULL
+     RETURNING *`,
+    [id]
+  );
+  return result.rows[0] || null;
+};
+
+// Deleted bookings, most recently deleted first, with the username of the admin who
+// deleted each, optionally limited to some locations
+const listDeleted = async ({ locations }, db = database()) => {
+  const params = [];
+  let query = `SELECT bookings.*, admins.username AS deleted_by_username
+               FROM bookings LEFT JOIN admins ON admins.id = bookings.deleted_by
+               WHERE bookings.deleted_at IS NOT NULL`;
+  if (locations) {
+    params.push(locations);
+    query += ` AND ${dialect().inList('bookings.location', `$${params.length}`)}`;
+  }
+  const result = await db.query(`${query} ORDER BY bookings.deleted_at DESC, bookings.id DESC`, params);
+  return result.rows;
+};
+
+// A booking's reschedule history, oldest first, with dates and times as text
+const listChanges = async (bookingId, db = database()) => {
+  const sql = dialect();
+  const result = await db.query(
+    `SELECT ${sql.cast('from_date', 'text')} AS from_date, ${sql.cast('from_time_slot', 'text')} AS from_time_slot,
+            ${sql.cast('to_date', 'text')} AS to_date, ${sql.cast('to_time_slot', 'text')} AS to_time_slot, changed_at
+     FROM booking_changes WHERE booking_id = $1 ORDER BY changed_at, id`,
+    [bookingId]
+  );
+  return result.rows;
+};
+
+// Check in a booking with `status` that has not been checked in yet. Returns the
+// booking, or null if it was not (e.g. another gate was first).
+const checkIn = async (id, { status, adminId, attendance }, db = database()) => {
+  const result = await db.query(
+    `UPDATE bookings SET checked_in_at = ${dialect().now}, checked_in_by = $3, attendance_status = $4
+     WHERE id = $1 AND status = $2 AND checked_in_at IS NULL AND deleted_at IS NULL
+     RETURNING *`,
+    [id, status, adminId, attendance]
+  );
+  return result.rows[0] || null;
+};
+
+// Slots on a date that still have bookings with `status` and no attendance, as
+// ['HH:mm:ss'], optionally limited to some locations
+const slotsWithoutAttendance = async ({ date, status, locations }, db = database()) => {
+  const sql = dialect();
+  const params = [date, status];
+  let query = `SELECT DISTINCT ${sql.cast('time_slot', 'text')} AS time_slot FROM bookings
+               WHERE date = $1 AND status = $2 AND checked_in_at IS NULL AND attendance_status IS NULL
+                 AND deleted_at IS NULL`;
+  if (locations) {
+    params.push(locations);
+    query += ` AND ${sql.inList('location', `$${params.length}`)}`;
+  }
+  const result = await db.query(query, params);
+  return result.rows.map(row => row.time_slot);
+};
+
+// Give the bookings with `status` and no attendance in some slots on a date the
+// attendance `attendance`. Returns their phones.
+const setMissingAttendance = async ({ date, status, locations, timeSlots, attendance }, db = database()) => {
+  const sql = dialect();
+  const params = [date, status];
+  const conditions = ['date = $1', 'status = $2', 'checked_in_at IS NULL', 'attendance_status IS NULL', 'deleted_at IS NULL'];
+  if (locations) {
+    params.push(locations);
+    conditions.push(sql.inList('location', `$${params.length}`));
+  }
+  params.push(timeSlots);
+  conditions.push(sql.inList('time_slot', `$${params.length}`, 'time'));
+  params.push(attendance);
+
+  const result = await db.query(
+    `UPDATE bookings SET attendance_status = $${params.length}
+     WHERE ${conditions.join(' AND ')}
+     RETURNING phone`,
+    params
+  );
+  return result.rows.map(row => row.phone);
+};
+
+// Filter for the admin lists: a date range (either end may be left open) and/or date,
+// the admin's locations (null = every location), and optionally one location, purpose,
+// time slot and status, and a search term matched against the name, phone and
+// reference, or the ID if it is a number
+const adminFilter = ({ startDate, endDate, date, locations, location, purpose, timeSlot, status, search }) => {
+  const conditions = ['bookings.deleted_at IS NULL'];
+  const params = [];
+  const add = (condition, value) => {
+    params.push(value);
+    conditions.push(condition.replace(/\?/g, `$${params.length}`));
+  };
+
+  if (startDate) add('date >= ?', startDate);
+  if (endDate) add('date <= ?', endDate);
+  if (date) add('date = ?', date);
+  if (locations) add(dialect().inList('location', '?'), locations);
+  if (location) add('location = ?', location);
+  if (purpose) add('purpose = ?', purpose);
+  if (timeSlot) add('time_slot = ?', timeSlot);
+  if (status) add('bookings.status = ?', status);
+
+  if (search) {
+    // LIKE wildcards in the search term match themselves
+    params.push(`%${search.toLowerCase().replace(/[\\%_]/g, '\\$&')}%`);
+    const pattern = `$${params.length}`;
+    const matches = ['LOWER(name)', 'phone', 'LOWER(reference)'].map(column => `${column} LIKE ${pattern} ESCAPE '\\'`);
+    if (/^\d{1,9}$/.test(search)) {
+      params.push(parseInt(search));
+      matches.push(`bookings.id = $${params.length}`);
+    }
+    conditions.push(`(${matches.join(' OR ')})`);
+  }
+
+  return {
+    where: ` WHERE ${conditions.join(' AND ')}`,
+    params
+  };
+};
+
+// Columns the admin list can be sorted by, each followed by its tie-breakers. Only the
+// first column follows the requested order; ties are always broken earliest slot first.
+const ADMIN_SORTS = {
+  date: ['date', 'time_slot'],
+  created: ['created_at'],
+  name: ['LOWER(name)', 'date', 'time_slot'],
+  phone: ['phone', 'date', 'time_slot'],
+  location: ['location', 'date', 'time_slot'],
+  purpose: ['purpose', 'date', 'time_slot'],
+  status: ['bookings.status', 'date', 'time_slot']
+};
+
+// One page of the admin list: `limit` bookings from `offset`, sorted by one of
+// ADMIN_SORTS in `order` ('asc' or 'desc'), ending with the ID so that pages never overlap
+const listForAdmin = async (filter, { sort = 'date', order = 'desc', limit, offset = 0 }, db = database()) => {
+  const { where, params } = adminFilter(filter);
+  const direction = order === 'asc' ? 'ASC' : 'DESC';
+  const [column, ...tieBreakers] = ADMIN_SORTS[sort];
+  const orderBy = [`${column} ${direction}`, ...tieBreakers.map(tieBreaker => `${tieBreaker} ASC`), 'bookings.id ASC']
+    .join(', ');
+  params.push(limit, offset);
+  const result = await db.query(
+    `SELECT * FROM bookings${where} ORDER BY ${orderBy} LIMIT $${params.length - 1} OFFSET $${params.length}`,
+    params
+  );
+  return result.rows;
+};
+
+// How many bookings match the admin list's filter
+const countForAdmin = async (filter, db = database()) => {
+  const { where, params } = adminFilter(filter);
+  const result = await db.query(`SELECT COUNT(*) AS count FROM bookings${where}`, params);
+  return parseInt(result.rows[0].count);
+};
+
+// Bookings for the Excel export, with the username of the admin who checked each in
+const listForExport = async (filter, db = database()) => {
+  const { where, params } = adminFilter(filter);
+  const result = await db.query(
+    `SELECT bookings.*, admins.username AS checked_in_by_username
+     FROM bookings LEFT JOIN admins ON admins.id = bookings.checked_in_by${where}
+     ORDER BY date DESC, time_slot ASC`,
+    params
+  );
+  return result.rows;
+};
+
+module.exports = {
+  countInWeek,
+  countBySlot,
+  countByLocation,
+  countAttendanceByLocation,
+  countCheckedIn,
+  findById,
+  findByReference,
+  findByPhoneAndReference,
+  findByIds,
+  insert,
+  cancel,
+  move,
+  softDelete,
+  findDeletedById,
+  restore,
+  listDeleted,
+  listChanges,
+  checkIn,
+  slotsWithoutAttendance,
+  setMissingAttendance,
+  ADMIN_SORTS,
+  listForAdmin,
+  countForAdmin,
+  listForExport
+};
@@ -0,0 +1,59 @@
+// Closures: dates, or time ranges within a date, when no bookings are taken
+const { database, dialect } = require('./backend');
+
+// Closure columns with dates and times as text
+const closureColumns = () => {
+  const sql = dialect();
+  return `id, ${sql.cast('date', 'text')} AS date, ${sql.cast('start_time', 'text')} AS start_time, ` +
+    `${sql.cast('end_time', 'text')} AS end_time, location, reason, created_at`;
+};
+
+// Closures from date `from` (to date `to`, if given), whole-day closures first. With
+// `location` only those that apply there (closures without a location apply
+// everywhere); with `locations` those that apply in any of them.
+const list = async ({ from, to, location, locations }, db = database()) => {
+  const params = [from];
+  const conditions = ['date >= $1'];
+  if (to) {
+    params.push(to);
+    conditions.push(`date <= $${params.length}`);
+  }
+  if (location) {
+    params.push(location);
+    conditions.push(`(location IS NULL OR location = $${params.length})`);
+  }
+  if (locations) {
+    params.push(locations);
+    conditions.push(`(location IS NULL OR ${dialect().inList('location', `$${params.length}`)})`);
+  }
+
+  const result = await db.query(
+    `SELECT ${closureColumns()} FROM closures WHERE ${conditions.join(' AND ')} ORDER BY date, start_time NULLS FIRST`,
+    params
+  );
+  return result.rows;
+};
+
+const findById = async (id, db = database()) => {
+  const result = await db.query('SELECT * FROM closures WHERE id = $1', [id]);
+  return result.rows[0] || null;
+};
+
+const insert = async ({ date, start_time, end_time, location, reason, created_by }, db = database()) => {
+  const result = await db.query(
+    `INSERT INTO closures (date, start_time, end_time, location, reason, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING ${closureColumns()}`,
+    [date, start_time, end_time, location, reason, created_by]
+  );
+  return result.rows[0];
+};
+
+const deleteById = (id, db = database()) => db.query('DELETE FROM closures WHERE id = $1', [id]);
+
+module.exports = {
+  list,
+  findById,
+  insert,
+  deleteById
+};
@@ -0,0 +1,81 @@
+// Slot holds: seats reserved for a few minutes while a booker fills in the form
+const { database, dialect } = require('./backend');
+
+// Seats held by unexpired holds per slot at a location on a date, as [{ time_slot,
+// count }], leaving out the hold with the id exceptId
+const countBySlot = async (date, location, exceptId = null, db = database()) => {
+  const sql = dialect();
+  const result = await db.query(
+    `SELECT ${sql.cast('time_slot', 'text')} AS time_slot, COUNT(*) AS count FROM slot_holds
+     WHERE date = $1 AND location = $2 AND expires_at > ${sql.now} AND (${sql.cast('$3', 'integer')} IS NULL OR id <> $3)
+     GROUP BY time_slot`,
+    [date, location, exceptId]
+  );
+  return result.rows;
+};
+
+// An unexpired hold by its token, if it is for the given slot
+const findActive = async (token, { location, date, time_slot }, db = database()) => {
+  const result = await db.query(
+    `SELECT * FROM slot_holds
+     WHERE token = $1 AND location = $2 AND date = $3 AND time_slot = $4 AND expires_at > ${dialect().now}`,
+    [token, location, date, time_slot]
+  );
+  return result.rows[0] || null;
+};
+
+// The slot a hold is for, as { location, date, time_slot } in text, expired or not
+const findSlotByToken = async (token, db = database()) => {
+  const sql = dialect();
+  const result = await db.query(
+    `SELECT location, ${sql.cast('date', 'text')} AS date, ${sql.cast('time_slot', 'text')} AS time_slot
+     FROM slot_holds WHERE token = $1`,
+    [token]
+  );
+  return result.rows[0] || null;
+};
+
+// Slots with expired holds, as [{ location, date, time_slot }] in text
+const listExpiredSlots = async (db = database()) => {
+  const sql = dialect();
+  const result = await db.query(
+    `SELECT DISTINCT location, ${sql.cast('date', 'text')} AS date, ${sql.cast('time_slot', 'text')} AS time_slot
+     FROM slot_holds WHERE expires_at <= ${sql.now}`
+  );
+  return result.rows;
+};
+
+// Hold a seat for `seconds`
+const insert = (token, { location, date, time_slot }, seconds, db = database()) => db.query(
+  `INSERT INTO slot_holds (token, location, date, time_slot, expires_at)
+   VALUES ($1, $2, $3, $4, ${dialect().secondsFromNow('$5')})`,
+  [token, location, date, time_slot, seconds]
+);
+
+const deleteById = (id, db = database()) => db.query('DELETE FROM slot_holds WHERE id = $1', [id]);
+
+// Delete a slot's hold with the given token, or (without one) its expired holds.
+// Returns how many were deleted.
+const deleteForSlot = async ({ location, date, time_slot }, token, db = database()) => {
+  const params = [location, date, time_slot];
+  let condition = `expires_at <= ${dialect().now}`;
+  if (token) {
+    params.push(token);
+    condition = `token = $${params.length}`;
+  }
+  const result = await db.query(
+    `DELETE FROM slot_holds WHERE location = $1 AND date = $2 AND time_slot = $3 AND ${condition}`,
+    params
+  );
+  return result.rowCount;
+};
+
+module.exports = {
+  countBySlot,
+  findActive,
+  findSlotByToken,
+  listExpiredSlots,
+  insert,
+  deleteById,
+  deleteForSlot
+};
@@ -0,0 +1,42 @@
+// Storage. Every SQL statement the server runs lives in this directory, in one module
+// per table, written once against the backend's dialect so that it runs on both
+// PostgreSQL and SQLite (see backend.js).
+const { getBackend, setBackend, database } = require('./backend');
+
+// Run fn(client) in a transaction, committing if it resolves and rolling back if it
+// throws. Pass the client to the table functions to run them inside it.
+const withTransaction = (fn) => getBackend().withTransaction(fn);
+
+// Transaction-scoped lock on a string key, released when the transaction ends.
+// tryLock gives up at once, returning false, if another transaction holds the key.
+const lock = (client, key) => getBackend().lock(client, key);
+const tryLock = (client, key) => getBackend().tryLock(client, key);
+
+// Check the database can be reached, returning its current time
+const ping = async () => {
+  const result = await database().query(`SELECT ${getBackend().dialect.now} AS now`);
+  return result.rows[0].now;
+};
+
+const closeDatabase = () => getBackend().close();
+
+module.exports = {
+  getBackend,
+  setBackend,
+  withTransaction,
+  lock,
+  tryLock,
+  ping,
+  closeDatabase,
+  admins: require('./admins'),
+  audit: require('./audit'),
+  blocks: require('./blocks'),
+  bookings: require('./bookings'),
+  closures: require('./closures'),
+  holds: require('./holds'),
+  migrations: require('./migrations'),
+  otp: require('./otp'),
+  rateLimits: require('./rateLimits'),
+  schedule: require('./schedule'),
+  waitlist: require('./waitlist')
+};
@@ -0,0 +1,27 @@
+// The schema_migrations table, where the migrator records applied migrations
+const { database, dialect } = require('./backend');
+
+const createTable = (db) => db.query(
+  `CREATE TABLE IF NOT EXISTS schema_migrations (
+    version INTEGER PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    applied_at TIMESTAMP DEFAULT ${dialect().now}
+  )`
+);
+
+const list = async (db = database()) => {
+  const result = await db.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+  return result.rows;
+};
+
+const record = (version, name, db) =>
+  db.query('INSERT INTO schema_migrations (version, name) VALUES ($1, $2)', [version, name]);
+
+const remove = (version, db) => db.query('DELETE FROM schema_migrations WHERE version = $1', [version]);
+
+module.exports = {
+  createTable,
+  list,
+  record,
+  remove
+};
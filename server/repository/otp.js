@@ -0,0 +1,66 @@
+// One-time phone verification codes
+const { database, dialect } = require('./backend');
+
+// Codes sent to a phone within the last `seconds`, and the seconds since the latest
+// one (null if none), as { count, secondsSinceLast }
+const countRecent = async (phone, seconds, db = database()) => {
+  const sql = dialect();
+  const result = await db.query(
+    `SELECT COUNT(*) AS count, ${sql.secondsSince('MAX(created_at)')} AS seconds_since_last
+     FROM otp_codes
+     WHERE phone = $1 AND created_at > ${sql.secondsFromNow('$2')}`,
+    [phone, -seconds]
+  );
+  const row = result.rows[0];
+  return {
+    count: parseInt(row.count),
+    secondsSinceLast: row.seconds_since_last === null ? null : parseFloat(row.seconds_since_last)
+  };
+};
+
+// Store a hashed code that expires in `seconds`
+const insert = (phone, codeHash, seconds, db = database()) => db.query(
+  `INSERT INTO otp_codes (phone, code_hash, expires_at)
+   VALUES ($1, $2, ${dialect().secondsFromNow('$3')})`,
+  [phone, codeHash, seconds]
+);
+
+// The phone's latest code that is neither used nor expired
+const findLatestUsable = async (phone, db = database()) => {
+  const sql = dialect();
+  const result = await db.query(
+    `SELECT * FROM otp_codes
+     WHERE phone = $1 AND consumed_at IS NULL AND expires_at > ${sql.now}
+     ORDER BY created_at DESC
+     LIMIT 1`,
+    [phone]
+  );
+  return result.rows[0] || null;
+};
+
+// Count an attempt at a code, unless it has had maxAttempts. Returns whether it was
+// counted.
+const countAttempt = async (id, maxAttempts, db = database()) => {
+  const result = await db.query(
+    'UPDATE otp_codes SET attempts = attempts + 1 WHERE id = $1 AND attempts < $2',
+    [id, maxAttempts]
+  );
+  return result.rowCount > 0;
+};
+
+// Use a code up. Returns false if it already was.
+const consume = async (id, db = database()) => {
+  const result = await db.query(
+    `UPDATE otp_codes SET consumed_at = ${dialect().now} WHERE id = $1 AND consumed_at IS NULL`,
+    [id]
+  );
+  return result.rowCount > 0;
+};
+
+module.exports = {
+  countRecent,
+  insert,
+  findLatestUsable,
+  countAttempt,
+  consume
+};
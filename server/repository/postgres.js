@@ -0,0 +1,94 @@
+// PostgreSQL backend, used when DATABASE_URL is a postgres:// URL
+const { Pool } = require('pg');
+
+// SQL that differs between backends (see sqlite.js for the other side)
+const dialect = {
+  name: 'postgres',
+  // Give a parameter or expression a type where PostgreSQL cannot infer it
+  cast: (expr, type) => `${expr}::${type}`,
+  now: 'CURRENT_TIMESTAMP',
+  // A timestamp `seconds` (an SQL expression) from now, or before now if negative
+  secondsFromNow: (seconds) => `CURRENT_TIMESTAMP + (${seconds}) * INTERVAL '1 second'`,
+  secondsSince: (timestamp) => `EXTRACT(EPOCH FROM (CURRENT_TIMESTAMP - ${timestamp}))`,
+  dateOf: (timestamp) => `(${timestamp})::date`,
+  // Monday of a date's Monday-Sunday week. Has to stay the expression of the
+  // bookings_phone_week_key index, or the weekly check cannot use it. date_trunc on a
+  // date depends on the session time zone, so it is truncated as a plain timestamp.
+  weekStart: (date) => `date_trunc('week', (${date})::timestamp)`,
+  // `column` is one of the values in an array parameter
+  inList: (column, param, type = null) => `${column} = ANY(${param}${type ? `::${type}[]` : ''})`
+};
+
+function createPostgresBackend(connectionString) {
+  console.log('Connecting to PostgreSQL database...');
+  console.log('DATABASE_URL (masked):', connectionString.replace(/\/\/[^:]+:[^@]+@/, '//***:***@'));
+
+  const pool = new Pool({
+    connectionString,
+    ssl: {
+      rejectUnauthorized: false,
+      sslmode: 'require'
+    },
+    connectionTimeoutMillis: 10000,
+    idleTimeoutMillis: 30000,
+    max: 20
+  });
+
+  // Add error handling for pool
+  pool.on('error', (err) => {
+    console.error('Unexpected error on idle client', err);
+    process.exit(-1);
+  });
+
+  // Run fn(client) inside a transaction on a dedicated connection, committing if it
+  // resolves and rolling back if it throws
+  async function withTransaction(fn) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await fn(client);
+      await client.query('COMMIT');
+      return result;
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Run fn(client) on a dedicated connection holding a session-level advisory lock,
+  // so no other process runs it at the same time. fn may run its own transactions.
+  async function withExclusiveLock(key, fn) {
+    const client = await pool.connect();
+    try {
+      await client.query('SELECT pg_advisory_lock(hashtext($1))', [key]);
+      return await fn(client);
+    } finally {
+      await client.query('SELECT pg_advisory_unlock(hashtext($1))', [key]).catch(() => {});
+      client.release();
+    }
+  }
+
+  return {
+    dialect,
+    pool,
+    withTransaction,
+    withExclusiveLock,
+    // Transaction-scoped advisory locks on a string key, released on COMMIT or ROLLBACK
+    lock: (client, key) => client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [key]),
+    tryLock: async (client, key) => {
+      const result = await client.query('SELECT pg_try_advisory_xact_lock(hashtext($1)) AS locked', [key]);
+      return result.rows[0].locked;
+    },
+    // Run a script of several statements, e.g. a migration
+    exec: (client, sql) => client.query(sql),
+    tableExists: async (db, name) => {
+      const result = await db.query('SELECT to_regclass($1) AS name', [name]);
+      return Boolean(result.rows[0].name);
+    },
+    close: () => pool.end()
+  };
+}
+
+module.exports = { dialect, createPostgresBackend };
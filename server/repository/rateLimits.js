@@ -0,0 +1,30 @@
+// Request counts for the shared rate limit store (rateLimit/databaseStore.js)
+const { database, dialect } = require('./backend');
+
+// Count a request against key in a window of `seconds`, starting a new window if the
+// key has none or it has ended. Returns { count, resetSeconds }: the requests in the
+// window so far, this one included, and the seconds until it ends.
+const hit = async (key, seconds, db = database()) => {
+  const sql = dialect();
+  const result = await db.query(
+    `INSERT INTO rate_limits (key, count, window_ends_at) VALUES ($1, 1, ${sql.secondsFromNow('$2')})
+     ON CONFLICT (key) DO UPDATE SET
+       count = CASE WHEN rate_limits.window_ends_at <= ${sql.now} THEN 1 ELSE rate_limits.count + 1 END,
+       window_ends_at = CASE WHEN rate_limits.window_ends_at <= ${sql.now}
+         THEN excluded.window_ends_at ELSE rate_limits.window_ends_at END
+     RETURNING count, ${sql.secondsSince('window_ends_at')} AS seconds_since_end`,
+    [key, seconds]
+  );
+  const row = result.rows[0];
+  return {
+    count: parseInt(row.count),
+    resetSeconds: Math.max(1, Math.ceil(-parseFloat(row.seconds_since_end)))
+  };
+};
+
+// Remove the counts of windows that have ended
+const deleteExpired = (db = database()) => db.query(
+  `DELETE FROM rate_limits WHERE window_ends_at <= ${dialect().now}`
+);
+
+module.exports = { hit, deleteExpired };
@@ -0,0 +1,78 @@
+// Slot schedule: weekly templates and date-specific overrides
+const { database, dialect } = require('./backend');
+
+// Period columns with times as text
+const periodColumns = () => {
+  const sql = dialect();
+  return `id, ${sql.cast('start_time', 'text')} AS start_time, ${sql.cast('end_time', 'text')} AS end_time, slot_minutes, capacity`;
+};
+
+const listOverridesForDate = async (date, db = database()) => {
+  const result = await db.query(
+    `SELECT ${periodColumns()} FROM slot_overrides WHERE date = $1 ORDER BY start_time`,
+    [date]
+  );
+  return result.rows;
+};
+
+const listTemplatesForWeekday = async (weekday, db = database()) => {
+  const result = await db.query(
+    `SELECT ${periodColumns()} FROM slot_templates WHERE weekday = $1 ORDER BY start_time`,
+    [weekday]
+  );
+  return result.rows;
+};
+
+const listTemplates = async (db = database()) => {
+  const result = await db.query(
+    `SELECT weekday, ${periodColumns()} FROM slot_templates ORDER BY weekday, start_time`
+  );
+  return result.rows;
+};
+
+// Overrides from date `from` on, with the date as text
+const listOverridesFrom = async (from, db = database()) => {
+  const result = await db.query(
+    `SELECT ${dialect().cast('date', 'text')} AS date, ${periodColumns()} FROM slot_overrides
+     WHERE date >= $1 ORDER BY date, start_time`,
+    [from]
+  );
+  return result.rows;
+};
+
+const countTemplates = async (db = database()) => {
+  const result = await db.query('SELECT COUNT(*) AS count FROM slot_templates');
+  return parseInt(result.rows[0].count);
+};
+
+// Replace the whole weekly template with periods ({ weekday, start_time, ... })
+const replaceTemplates = async (periods, db = database()) => {
+  await db.query('DELETE FROM slot_templates');
+  for (const period of periods) {
+    await db.query(
+      'INSERT INTO slot_templates (weekday, start_time, end_time, slot_minutes, capacity) VALUES ($1, $2, $3, $4, $5)',
+      [period.weekday, period.start_time, period.end_time, period.slot_minutes, period.capacity]
+    );
+  }
+};
+
+// Replace a date's overrides with periods; none removes the override
+const replaceOverrides = async (date, periods, db = database()) => {
+  await db.query('DELETE FROM slot_overrides WHERE date = $1', [date]);
+  for (const period of periods) {
+    await db.query(
+      'INSERT INTO slot_overrides (date, start_time, end_time, slot_minutes, capacity) VALUES ($1, $2, $3, $4, $5)',
+      [date, period.start_time, period.end_time, period.slot_minutes, period.capacity]
+    );
+  }
+};
+
+module.exports = {
+  listOverridesForDate,
+  listTemplatesForWeekday,
+  listTemplates,
+  listOverridesFrom,
+  countTemplates,
+  replaceTemplates,
+  replaceOverrides
+};
@@ -0,0 +1,118 @@
+// SQLite backend for local development and tests, used when DATABASE_URL is
+// sqlite:<file> (or sqlite::memory: for a database that lasts as long as the process)
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Timestamps are stored as ISO 8601 UTC text, so they sort in time order and reach
+// the API in the same form as PostgreSQL's
+const NOW = "(strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))";
+
+// SQL that differs between backends (see postgres.js for the other side)
+const dialect = {
+  name: 'sqlite',
+  // SQLite is dynamically typed
+  cast: (expr) => expr,
+  now: NOW,
+  secondsFromNow: (seconds) => `strftime('%Y-%m-%dT%H:%M:%fZ', 'now', (${seconds}) || ' seconds')`,
+  secondsSince: (timestamp) => `((julianday('now') - julianday(${timestamp})) * 86400)`,
+  dateOf: (timestamp) => `date(${timestamp})`,
+  // Monday of a date's Monday-Sunday week: the coming Sunday (or the day itself) less
+  // six days. Has to stay the expression of the bookings_phone_week_key index.
+  weekStart: (date) => `date(${date}, 'weekday 0', '-6 days')`,
+  // Array parameters are bound as JSON
+  inList: (column, param) => `${column} IN (SELECT value FROM json_each(${param}))`
+};
+
+// PostgreSQL-style $1 placeholders become SQLite's numbered ?1, and arrays (which
+// SQLite cannot bind) JSON text
+const toSqlite = (sql) => sql.replace(/\$(\d+)/g, '?$1');
+const toValue = (value) => (Array.isArray(value) ? JSON.stringify(value) : value);
+
+const returnsRows = (sql) => /^\s*(SELECT|WITH|PRAGMA)\b/i.test(sql) || /\bRETURNING\b/i.test(sql);
+
+// Report unique violations like PostgreSQL does (code 23505 and the index name), so
+// callers deal with one kind of error
+const translateError = (err) => {
+  const unique = /UNIQUE constraint failed(?:: index '([^']+)')?/.exec(err.message);
+  if (unique) {
+    err.code = '23505';
+    err.constraint = unique[1];
+  }
+  return err;
+};
+
+function createSqliteBackend(filename) {
+  const sqlite3 = require('sqlite3');
+  console.log(`Using SQLite database ${filename}`);
+
+  const connection = new sqlite3.Database(filename);
+  connection.configure('busyTimeout', 10000);
+
+  // Resolves to { rows, rowCount }, like pg
+  const run = (sql, params = []) => new Promise((resolve, reject) => {
+    const values = params.map(toValue);
+    if (returnsRows(sql)) {
+      connection.all(toSqlite(sql), values, (err, rows) => {
+        if (err) return reject(translateError(err));
+        resolve({ rows, rowCount: rows.length });
+      });
+    } else {
+      connection.run(toSqlite(sql), values, function (err) {
+        if (err) return reject(translateError(err));
+        resolve({ rows: [], rowCount: this.changes });
+      });
+    }
+  });
+
+  const exec = (sql) => new Promise((resolve, reject) => {
+    connection.exec(sql, (err) => (err ? reject(translateError(err)) : resolve()));
+  });
+
+  // There is one connection, so statements and transactions take turns on it: each
+  // waits for the one before to finish. Inside a turn (e.g. a transaction), queries
+  // run straight away as part of it.
+  const turn = new AsyncLocalStorage();
+  let queue = exec('PRAGMA foreign_keys = ON');
+  const exclusive = (fn) => {
+    if (turn.getStore()) {
+      return fn();
+    }
+    const result = queue.then(() => turn.run(true, fn));
+    queue = result.catch(() => {});
+    return result;
+  };
+
+  const client = { query: run };
+  const pool = { query: (sql, params) => exclusive(() => run(sql, params)) };
+
+  const withTransaction = (fn) => exclusive(async () => {
+    await run('BEGIN IMMEDIATE');
+    try {
+      const result = await fn(client);
+      await run('COMMIT');
+      return result;
+    } catch (err) {
+      await run('ROLLBACK');
+      throw err;
+    }
+  });
+
+  return {
+    dialect,
+    pool,
+    withTransaction,
+    withExclusiveLock: (key, fn) => exclusive(() => fn(client)),
+    // Transactions already run one at a time, so there is nothing to lock
+    lock: async () => {},
+    tryLock: async () => true,
+    exec: (db, sql) => exec(sql),
+    tableExists: async (db, name) => {
+      const result = await db.query(`SELECT name FROM sqlite_master WHERE type = 'table' AND name = $1`, [name]);
+      return result.rows.length > 0;
+    },
+    close: () => exclusive(() => new Promise((resolve, reject) => {
+      connection.close((err) => (err ? reject(err) : resolve()));
+    }))
+  };
+}
+
+module.exports = { dialect, createSqliteBackend };
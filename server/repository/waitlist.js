@@ -0,0 +1,69 @@
+// Waitlist entries for fully booked slots
+const { database, dialect } = require('./backend');
+
+// Entries with `status` on a slot, first come first served
+const listForSlot = async ({ location, date, time_slot }, status, db = database()) => {
+  const result = await db.query(
+    `SELECT * FROM waitlist
+     WHERE location = $1 AND date = $2 AND time_slot = $3 AND status = $4
+     ORDER BY created_at, id`,
+    [location, date, time_slot, status]
+  );
+  return result.rows;
+};
+
+// A phone's entry with `status` on a slot
+const findForPhone = async (phone, { location, date, time_slot }, status, db = database()) => {
+  const result = await db.query(
+    'SELECT * FROM waitlist WHERE phone = $1 AND location = $2 AND date = $3 AND time_slot = $4 AND status = $5',
+    [phone, location, date, time_slot, status]
+  );
+  return result.rows[0] || null;
+};
+
+const insert = async ({ name, phone, purpose, location, date, time_slot }, db = database()) => {
+  const result = await db.query(
+    'INSERT INTO waitlist (name, phone, purpose, location, date, time_slot) VALUES ($1, $2, $3, $4, $5, $6) RETURNING *',
+    [name, phone, purpose, location, date, time_slot]
+  );
+  return result.rows[0];
+};
+
+// Place of the entry with the id entryId in its slot's queue of entries with
+// `status`, counting from 1
+const position = async ({ location, date, time_slot }, entryId, status, db = database()) => {
+  const result = await db.query(
+    'SELECT COUNT(*) AS count FROM waitlist WHERE location = $1 AND date = $2 AND time_slot = $3 AND status = $4 AND id <= $5',
+    [location, date, time_slot, status, entryId]
+  );
+  return parseInt(result.rows[0].count);
+};
+
+const setStatus = (id, status, db = database()) =>
+  db.query('UPDATE waitlist SET status = $1 WHERE id = $2', [status, id]);
+
+// Record that an entry got the booking bookingId
+const setPromoted = (id, status, bookingId, db = database()) => db.query(
+  `UPDATE waitlist SET status = $1, booking_id = $2, promoted_at = ${dialect().now} WHERE id = $3`,
+  [status, bookingId, id]
+);
+
+// Entries with `status` per slot at a location on a date, as [{ time_slot, count }]
+const countBySlot = async (date, location, status, db = database()) => {
+  const result = await db.query(
+    `SELECT ${dialect().cast('time_slot', 'text')} AS time_slot, COUNT(*) AS count FROM waitlist
+     WHERE date = $1 AND location = $2 AND status = $3 GROUP BY time_slot`,
+    [date, location, status]
+  );
+  return result.rows;
+};
+
+module.exports = {
+  listForSlot,
+  findForPhone,
+  insert,
+  position,
+  setStatus,
+  setPromoted,
+  countBySlot
+};
@@ -0,0 +1,174 @@
+// Admin account management, mounted at /api/admin/users for super admins
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const repo = require('../repository');
+const { ROLES, hashPassword, serializeAdmin } = require('../auth');
+const { LOCATIONS } = require('../locations');
+const { AUDIT, recordAudit } = require('../audit');
+
+const router = express.Router();
+
+const validateRole = body('role')
+  .isIn(Object.values(ROLES))
+  .withMessage(`Role must be one of: ${Object.values(ROLES).join(', ')}`);
+
+const validateLocations = body('locations')
+  .optional()
+  .isArray()
+  .withMessage('Locations must be a list')
+  .custom((locations) => locations.every(location => LOCATIONS.includes(location)))
+  .withMessage('Unknown location');
+
+const validatePassword = body('password')
+  .isLength({ min: 8 })
+  .withMessage('Password must be at least 8 characters long');
+
+// Operators need at least one location to work in
+const checkOperatorLocations = (role, locations) =>
+  role !== ROLES.OPERATOR || (locations && locations.length > 0);
+
+const countSuperAdmins = () => repo.admins.count(ROLES.SUPER_ADMIN);
+
+// The account an admin event is about, as recorded in its details
+const auditedAccount = (admin) => ({
+  adminId: admin.id,
+  username: admin.username,
+  role: admin.role,
+  locations: admin.locations
+});
+
+// List admin accounts
+router.get('/', async (req, res) => {
+  try {
+    const admins = await repo.admins.list();
+    res.json(admins.map(serializeAdmin));
+  } catch (err) {
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Create an admin account
+router.post('/', [
+  body('username').trim().isLength({ min: 3, max: 100 }).withMessage('Username must be between 3 and 100 characters long'),
+  validatePassword,
+  validateRole,
+  validateLocations
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { username, password, role } = req.body;
+  const locations = req.body.locations || [];
+
+  if (!checkOperatorLocations(role, locations)) {
+    return res.status(400).json({ error: 'Operators must be assigned at least one location' });
+  }
+
+  try {
+    const password_hash = await hashPassword(password);
+    const admin = await repo.withTransaction(async (client) => {
+      const created = await repo.admins.insert({ username, password_hash, role, locations }, client);
+      await recordAudit(req, AUDIT.ADMIN_CREATED, { details: auditedAccount(created), db: client });
+      return created;
+    });
+    res.status(201).json({
+      message: 'Admin account created successfully',
+      admin: serializeAdmin(admin)
+    });
+  } catch (err) {
+    if (err.code === '23505') {
+      return res.status(409).json({ error: 'An admin with this username already exists' });
+    }
+    res.status(500).json({ error: 'Failed to create admin account' });
+  }
+});
+
+// Update an admin's role, locations or password
+router.put('/:id', [
+  validateRole,
+  validateLocations,
+  validatePassword.optional({ values: 'falsy' })
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const id = parseInt(req.params.id);
+  if (isNaN(id)) {
+    return res.status(400).json({ error: 'Invalid admin ID' });
+  }
+
+  const { role, password } = req.body;
+  const locations = req.body.locations || [];
+
+  if (!checkOperatorLocations(role, locations)) {
+    return res.status(400).json({ error: 'Operators must be assigned at least one location' });
+  }
+
+  try {
+    const existing = await repo.admins.findById(id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Admin not found' });
+    }
+
+    if (existing.role === ROLES.SUPER_ADMIN && role !== ROLES.SUPER_ADMIN && await countSuperAdmins() === 1) {
+      return res.status(409).json({ error: 'At least one super admin is required' });
+    }
+
+    const password_hash = password ? await hashPassword(password) : null;
+    const admin = await repo.withTransaction(async (client) => {
+      const updated = await repo.admins.update(id, { role, locations, password_hash }, client);
+      if (updated) {
+        await recordAudit(req, AUDIT.ADMIN_UPDATED, {
+          details: { ...auditedAccount(updated), passwordChanged: Boolean(password_hash) },
+          db: client
+        });
+      }
+      return updated;
+    });
+
+    res.json({
+      message: 'Admin account updated successfully',
+      admin: serializeAdmin(admin)
+    });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to update admin account' });
+  }
+});
+
+// Delete an admin account
+router.delete('/:id', async (req, res) => {
+  const id = parseInt(req.params.id);
+  if (isNaN(id)) {
+    return res.status(400).json({ error: 'Invalid admin ID' });
+  }
+
+  if (id === req.admin.id) {
+    return res.status(409).json({ error: 'You cannot delete your own account' });
+  }
+
+  try {
+    const deleted = await repo.withTransaction(async (client) => {
+      const account = await repo.admins.deleteById(id, client);
+      if (account) {
+        await recordAudit(req, AUDIT.ADMIN_DELETED, { details: auditedAccount(account), db: client });
+      }
+      return account;
+    });
+    if (!deleted) {
+      return res.status(404).json({ error: 'Admin not found' });
+    }
+
+    res.json({
+      message: 'Admin account deleted successfully',
+      deletedAdmin: serializeAdmin(deleted)
+    });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to delete admin account' });
+  }
+});
+
+module.exports = router;
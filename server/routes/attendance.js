@@ -0,0 +1,52 @@
+// Attendance management, mounted at /api/admin/attendance
+const express = require('express');
+const moment = require('moment');
+const { body, validationResult } = require('express-validator');
+const repo = require('../repository');
+const { ROLES, requireRole, locationScope, canAccessLocation } = require('../auth');
+const { LOCATIONS } = require('../locations');
+const { sendError } = require('../errors');
+const { markNoShows } = require('../checkin');
+const { AUDIT, recordAudit } = require('../audit');
+
+const router = express.Router();
+
+// Mark everyone booked on a date (optionally one slot and/or location) who never
+// checked in as a no-show, once check-in for their slot has closed
+router.post('/no-shows', requireRole(ROLES.SUPER_ADMIN, ROLES.OPERATOR), [
+  body('date').custom(value => moment(value, 'YYYY-MM-DD', true).isValid()).withMessage('Must be a valid date'),
+  body('time_slot').optional({ nullable: true }).matches(/^([01][0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Must be a valid time slot'),
+  body('location').optional({ nullable: true }).isIn(LOCATIONS).withMessage('Unknown location')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { date, time_slot, location } = req.body;
+  if (location && !canAccessLocation(req.admin, location)) {
+    return res.status(403).json({ error: `You do not have access to ${location} bookings` });
+  }
+
+  try {
+    const filter = {
+      date,
+      time_slot: time_slot || null,
+      locations: location ? [location] : locationScope(req.admin)
+    };
+    const { marked, blocked } = await repo.withTransaction(async (client) => {
+      const counts = await markNoShows(client, filter);
+      await recordAudit(req, AUDIT.NO_SHOWS_MARKED, { details: { ...filter, ...counts }, db: client });
+      return counts;
+    });
+    let message = `Marked ${marked} booking${marked !== 1 ? 's' : ''} as no-show`;
+    if (blocked > 0) {
+      message += `; ${blocked} phone number${blocked !== 1 ? 's' : ''} blocked for repeated no-shows`;
+    }
+    res.json({ message, marked, blocked });
+  } catch (err) {
+    sendError(res, err, 'Failed to mark no-shows');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,96 @@
+// The audit log viewer and its export for auditors, mounted at /api/admin/audit
+// behind requireRole(SUPER_ADMIN)
+const express = require('express');
+const XLSX = require('xlsx');
+const moment = require('moment');
+const { sendError } = require('../errors');
+const { AUDIT, recordAudit, getAuditEvents } = require('../audit');
+const repo = require('../repository');
+
+const router = express.Router();
+
+// The filters in the query string: actor (admin username), bookingId, phone, action,
+// and the days from and to ('YYYY-MM-DD'). Returns { filter } or { error }.
+const parseFilter = ({ actor, bookingId, phone, action, from, to }) => {
+  const filter = {};
+  if (actor) filter.actor = String(actor).trim();
+  if (bookingId) {
+    filter.bookingId = parseInt(bookingId);
+    if (isNaN(filter.bookingId)) {
+      return { error: 'Invalid booking ID' };
+    }
+  }
+  if (phone) filter.phone = String(phone).trim();
+  if (action) {
+    if (!Object.values(AUDIT).includes(action)) {
+      return { error: 'Unknown action' };
+    }
+    filter.action = action;
+  }
+  for (const [key, value] of [['from', from], ['to', to]]) {
+    if (!value) continue;
+    if (!moment(value, 'YYYY-MM-DD', true).isValid()) {
+      return { error: 'Invalid date format' };
+    }
+    filter[key] = value;
+  }
+  return { filter };
+};
+
+// Events matching the filters, newest first, and the actions that can be filtered on
+router.get('/', async (req, res) => {
+  const { filter, error } = parseFilter(req.query);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const { events, total } = await getAuditEvents(filter);
+    res.json({ events, total, actions: Object.values(AUDIT) });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Every event matching the filters as an Excel file, or CSV with format=csv. The
+// export is itself recorded.
+router.get('/export', async (req, res) => {
+  const { filter, error } = parseFilter(req.query);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  const bookType = req.query.format === 'csv' ? 'csv' : 'xlsx';
+
+  let events;
+  try {
+    events = await repo.audit.list(filter);
+  } catch (err) {
+    return sendError(res, err);
+  }
+  await recordAudit(req, AUDIT.AUDIT_EXPORTED, { details: { filter, format: bookType, rows: events.length } });
+
+  const rows = events.map(event => ({
+    'ID': event.id,
+    'Time': new Date(event.occurred_at).toISOString(),
+    'Action': event.action,
+    'Actor': event.actor_type === 'admin' ? event.actor_username : 'booker',
+    'Admin ID': event.admin_id || '',
+    'Booking ID': event.booking_id || '',
+    'Phone': event.phone || '',
+    'IP': event.ip || '',
+    'User Agent': event.user_agent || '',
+    'Details': JSON.stringify(event.details)
+  }));
+
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(rows), 'Audit');
+
+  const filename = `audit_${filter.from || 'all'}_${filter.to || 'all'}_${moment().format('YYYY-MM-DD_HH-mm')}.${bookType}`;
+  res.setHeader('Content-Type', bookType === 'csv'
+    ? 'text/csv; charset=utf-8'
+    : 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.send(XLSX.write(workbook, { type: 'buffer', bookType }));
+});
+
+module.exports = router;
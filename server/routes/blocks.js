@@ -0,0 +1,43 @@
+// Phone blocks for repeated no-shows, mounted at /api/admin/blocks
+const express = require('express');
+const repo = require('../repository');
+const { ROLES, requireRole } = require('../auth');
+const { sendError } = require('../errors');
+const { getActiveBlocks, liftBlock, publicPolicy } = require('../penalties');
+const { AUDIT, recordAudit } = require('../audit');
+
+const router = express.Router();
+
+// Phones blocked today, with the policy that blocks them
+router.get('/', async (req, res) => {
+  try {
+    res.json({ policy: publicPolicy(), blocks: await getActiveBlocks() });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Lift a block so the phone can book again straight away
+router.delete('/:id', requireRole(ROLES.SUPER_ADMIN, ROLES.OPERATOR), async (req, res) => {
+  const id = parseInt(req.params.id);
+  if (isNaN(id)) {
+    return res.status(400).json({ error: 'Invalid block ID' });
+  }
+
+  try {
+    const block = await repo.withTransaction(async (client) => {
+      const lifted = await liftBlock(id, req.admin, client);
+      await recordAudit(req, AUDIT.BLOCK_LIFTED, {
+        phone: lifted.phone,
+        details: { blockId: lifted.id, noShowCount: lifted.no_show_count },
+        db: client
+      });
+      return lifted;
+    });
+    res.json({ message: `Block on ${block.phone} lifted` });
+  } catch (err) {
+    sendError(res, err, 'Failed to lift block');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,77 @@
+// Gate check-in, mounted at /api/checkin behind requireAdmin
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const repo = require('../repository');
+const { ROLES, requireRole, locationScope, canAccessLocation } = require('../auth');
+const { LOCATIONS } = require('../locations');
+const { sendError } = require('../errors');
+const { serializeBooking } = require('../bookings');
+const { today } = require('../bookingRules');
+const { RESULT, checkInBooking, currentSlot, getSlotAttendance } = require('../checkin');
+const { AUDIT, recordAudit } = require('../audit');
+
+const router = express.Router();
+
+// Check in a booking by its scanned QR `token`, or by `bookingId` (ID or reference)
+// when the code cannot be scanned. Refused check-ins answer 409 with the booking and
+// the reason in `result`.
+router.post('/', requireRole(ROLES.SUPER_ADMIN, ROLES.OPERATOR), [
+  body('token').optional().isString(),
+  body('bookingId').optional().isString().isLength({ max: 20 })
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { result, message, booking } = await repo.withTransaction(async (client) => {
+      const checkIn = await checkInBooking(client, req.body, req.admin);
+      if (checkIn.result === RESULT.VALID) {
+        await recordAudit(req, AUDIT.BOOKING_CHECKED_IN, {
+          booking: checkIn.booking,
+          details: { reference: checkIn.booking.reference, attendance: checkIn.booking.attendance_status },
+          db: client
+        });
+      }
+      return checkIn;
+    });
+    if (result !== RESULT.VALID) {
+      return res.status(409).json({ error: message, result, booking: serializeBooking(booking) });
+    }
+    res.json({ message, result, booking: serializeBooking(booking) });
+  } catch (err) {
+    sendError(res, err, 'Failed to check in booking');
+  }
+});
+
+// Checked-in versus booked for today's current slot, at one location or across the
+// admin's locations
+router.get('/status', async (req, res) => {
+  const { location } = req.query;
+  if (location && !LOCATIONS.includes(location)) {
+    return res.status(400).json({ error: 'Unknown location' });
+  }
+  if (location && !canAccessLocation(req.admin, location)) {
+    return res.status(403).json({ error: `You do not have access to ${location} bookings` });
+  }
+
+  try {
+    const date = today();
+    const time_slot = await currentSlot(date);
+    if (!time_slot) {
+      return res.json({ date, time_slot: null, location: location || null, booked: 0, checkedIn: 0 });
+    }
+
+    const attendance = await getSlotAttendance({
+      date,
+      time_slot,
+      locations: location ? [location] : locationScope(req.admin)
+    });
+    res.json({ date, time_slot, location: location || null, ...attendance });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,101 @@
+// Closure management, mounted at /api/admin/closures
+const express = require('express');
+const moment = require('moment');
+const repo = require('../repository');
+const { ROLES, requireRole, locationScope, canAccessLocation } = require('../auth');
+const { LOCATIONS } = require('../locations');
+const { sendError } = require('../errors');
+const { formatClosure, validateClosure } = require('../closures');
+const { AUDIT, recordAudit } = require('../audit');
+
+const router = express.Router();
+
+// The closure an event is about, as recorded in its details
+const auditedClosure = (closure) => {
+  const { id, date, start_time, end_time, location, reason } = formatClosure(closure);
+  return { closureId: id, date, start_time, end_time, location, reason };
+};
+
+// Upcoming closures the admin can see: everywhere-closures plus their own locations
+router.get('/', async (req, res) => {
+  try {
+    const closures = await repo.closures.list({
+      from: moment().format('YYYY-MM-DD'),
+      locations: locationScope(req.admin)
+    });
+    res.json(closures.map(formatClosure));
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Close a date, or part of it, at one location or everywhere
+router.post('/', requireRole(ROLES.SUPER_ADMIN, ROLES.OPERATOR), async (req, res) => {
+  const { date, reason } = req.body;
+  const start_time = req.body.start_time || null;
+  const end_time = req.body.end_time || null;
+  const location = req.body.location || null;
+
+  const error = validateClosure({ date, start_time, end_time, reason });
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  if (location && !LOCATIONS.includes(location)) {
+    return res.status(400).json({ error: 'Unknown location' });
+  }
+
+  // Location-scoped admins can only close their own locations
+  if (location ? !canAccessLocation(req.admin, location) : locationScope(req.admin)) {
+    return res.status(403).json({ error: 'You can only close your own locations' });
+  }
+
+  try {
+    const closure = await repo.withTransaction(async (client) => {
+      const added = await repo.closures.insert({
+        date,
+        start_time,
+        end_time,
+        location,
+        reason: reason.trim(),
+        created_by: req.admin.id
+      }, client);
+      await recordAudit(req, AUDIT.CLOSURE_ADDED, { details: auditedClosure(added), db: client });
+      return added;
+    });
+    res.status(201).json({
+      message: 'Closure added successfully',
+      closure: formatClosure(closure)
+    });
+  } catch (err) {
+    sendError(res, err, 'Failed to add closure');
+  }
+});
+
+// Reopen by removing a closure
+router.delete('/:id', requireRole(ROLES.SUPER_ADMIN, ROLES.OPERATOR), async (req, res) => {
+  const { id } = req.params;
+  if (isNaN(parseInt(id))) {
+    return res.status(400).json({ error: 'Invalid closure ID' });
+  }
+
+  try {
+    const closure = await repo.closures.findById(id);
+    if (!closure) {
+      return res.status(404).json({ error: 'Closure not found' });
+    }
+
+    if (closure.location ? !canAccessLocation(req.admin, closure.location) : locationScope(req.admin)) {
+      return res.status(403).json({ error: 'You can only remove closures for your own locations' });
+    }
+
+    await repo.withTransaction(async (client) => {
+      await repo.closures.deleteById(id, client);
+      await recordAudit(req, AUDIT.CLOSURE_REMOVED, { details: auditedClosure(closure), db: client });
+    });
+    res.json({ message: 'Closure removed successfully' });
+  } catch (err) {
+    sendError(res, err, 'Failed to remove closure');
+  }
+});
+
+module.exports = router;
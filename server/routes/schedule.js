@@ -0,0 +1,100 @@
+// Slot schedule management, mounted at /api/admin/schedule
+const express = require('express');
+const moment = require('moment');
+const repo = require('../repository');
+const { ROLES, requireRole } = require('../auth');
+const { sendError } = require('../errors');
+const { formatPeriod, getSlotsForDate, validatePeriods } = require('../schedule');
+const { AUDIT, recordAudit } = require('../audit');
+
+const router = express.Router();
+
+// Periods as recorded in an audit event, without anything else the request sent
+const auditedPeriods = (periods) => periods.map(({ weekday, start_time, end_time, slot_minutes, capacity }) =>
+  ({ weekday, start_time, end_time, slot_minutes, capacity }));
+
+// Weekly template and upcoming date overrides
+router.get('/', async (req, res) => {
+  try {
+    const templates = await repo.schedule.listTemplates();
+    const overrides = await repo.schedule.listOverridesFrom(moment().format('YYYY-MM-DD'));
+
+    res.json({
+      templates: templates.map(formatPeriod),
+      overrides: overrides.map(formatPeriod)
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Slots a date would offer under the current schedule
+router.get('/preview/:date', async (req, res) => {
+  const { date } = req.params;
+  if (!moment(date, 'YYYY-MM-DD', true).isValid()) {
+    return res.status(400).json({ error: 'Invalid date format' });
+  }
+
+  try {
+    res.json({ date, slots: await getSlotsForDate(date) });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Replace the whole weekly template
+router.put('/templates', requireRole(ROLES.SUPER_ADMIN), async (req, res) => {
+  const { templates } = req.body;
+
+  const error = validatePeriods(templates);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  if (templates.some(period => period.weekday === undefined)) {
+    return res.status(400).json({ error: 'Every template period needs a weekday' });
+  }
+
+  try {
+    await repo.withTransaction(async (client) => {
+      await repo.schedule.replaceTemplates(templates, client);
+      await recordAudit(req, AUDIT.SCHEDULE_TEMPLATES_SAVED, { details: { templates: auditedPeriods(templates) }, db: client });
+    });
+
+    res.json({ message: 'Weekly schedule saved successfully' });
+  } catch (err) {
+    sendError(res, err, 'Failed to save schedule');
+  }
+});
+
+// Replace the schedule for one date. An empty list removes the override, so the
+// date falls back to its weekday template.
+router.put('/overrides/:date', requireRole(ROLES.SUPER_ADMIN), async (req, res) => {
+  const { date } = req.params;
+  const { periods } = req.body;
+
+  if (!moment(date, 'YYYY-MM-DD', true).isValid()) {
+    return res.status(400).json({ error: 'Invalid date format' });
+  }
+
+  const error = validatePeriods(periods);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    await repo.withTransaction(async (client) => {
+      await repo.schedule.replaceOverrides(date, periods, client);
+      await recordAudit(req, AUDIT.SCHEDULE_OVERRIDE_SAVED, { details: { date, periods: auditedPeriods(periods) }, db: client });
+    });
+
+    res.json({
+      message: periods.length > 0
+        ? `Schedule for ${date} saved successfully`
+        : `Schedule override for ${date} removed`
+    });
+  } catch (err) {
+    sendError(res, err, 'Failed to save schedule');
+  }
+});
+
+module.exports = router;
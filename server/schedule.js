@@ -0,0 +1,118 @@
+// Slot schedule: weekly templates per weekday, replaced by date-specific overrides
+const moment = require('moment');
+const repo = require('./repository');
+
+// Schedule used to seed an empty slot_templates table: 09:00-12:00 and 15:00-16:00
+// in 30 minute slots of 120 seats, every day of the week
+const DEFAULT_TEMPLATE = [
+  { start_time: '09:00', end_time: '12:30', slot_minutes: 30, capacity: 120 },
+  { start_time: '15:00', end_time: '16:30', slot_minutes: 30, capacity: 120 }
+];
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const toTime = (minutes) =>
+  `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+// Normalise TIME columns ("09:00:00") to "HH:mm"
+const formatPeriod = (row) => ({
+  ...row,
+  start_time: row.start_time.substring(0, 5),
+  end_time: row.end_time.substring(0, 5)
+});
+
+// Expand schedule periods into individual slots. A period yields every slot that
+// fits entirely between its start and end time.
+const expandPeriods = (periods) => {
+  const slots = {};
+  periods.forEach((period) => {
+    const end = toMinutes(period.end_time);
+    for (let start = toMinutes(period.start_time); start + period.slot_minutes <= end; start += period.slot_minutes) {
+      slots[toTime(start)] = {
+        time: toTime(start),
+        capacity: period.capacity,
+        durationMinutes: period.slot_minutes
+      };
+    }
+  });
+  return Object.values(slots).sort((a, b) => a.time.localeCompare(b.time));
+};
+
+// Periods in effect on a date: that date's overrides if there are any, otherwise the
+// template for its weekday
+const getPeriodsForDate = async (date, db) => {
+  const overrides = await repo.schedule.listOverridesForDate(date, db);
+  if (overrides.length > 0) {
+    return overrides.map(formatPeriod);
+  }
+
+  const templates = await repo.schedule.listTemplatesForWeekday(moment(date, 'YYYY-MM-DD').day(), db);
+  return templates.map(formatPeriod);
+};
+
+// Slots offered on a date, as [{ time: 'HH:mm', capacity, durationMinutes }]
+const getSlotsForDate = async (date, db) => expandPeriods(await getPeriodsForDate(date, db));
+
+// Total seats offered on a date
+const dailyCapacity = (slots) => slots.reduce((sum, slot) => sum + slot.capacity, 0);
+
+// Returns an error message for an invalid list of periods, or null
+const validatePeriods = (periods) => {
+  if (!Array.isArray(periods)) return 'Periods must be a list';
+
+  const timePattern = /^([01][0-9]|2[0-3]):[0-5][0-9]$/;
+  for (const period of periods) {
+    if (!timePattern.test(period.start_time) || !timePattern.test(period.end_time)) {
+      return 'Start and end times must be in HH:mm format';
+    }
+    if (toMinutes(period.end_time) <= toMinutes(period.start_time)) {
+      return 'End time must be after start time';
+    }
+    if (!Number.isInteger(period.slot_minutes) || period.slot_minutes < 5) {
+      return 'Slot length must be a whole number of minutes (at least 5)';
+    }
+    if (!Number.isInteger(period.capacity) || period.capacity < 0) {
+      return 'Capacity must be a whole number (0 or more)';
+    }
+    if (period.weekday !== undefined && !(Number.isInteger(period.weekday) && period.weekday >= 0 && period.weekday <= 6)) {
+      return 'Weekday must be between 0 (Sunday) and 6 (Saturday)';
+    }
+  }
+
+  // Periods on the same day must not overlap
+  const sorted = [...periods].sort((a, b) =>
+    (a.weekday || 0) - (b.weekday || 0) || toMinutes(a.start_time) - toMinutes(b.start_time)
+  );
+  for (let i = 1; i < sorted.length; i++) {
+    const previous = sorted[i - 1];
+    if (previous.weekday === sorted[i].weekday && toMinutes(sorted[i].start_time) < toMinutes(previous.end_time)) {
+      return `Periods ${previous.start_time}-${previous.end_time} and ${sorted[i].start_time}-${sorted[i].end_time} overlap`;
+    }
+  }
+  return null;
+};
+
+// Seed the weekly template on first run
+async function ensureDefaultSchedule() {
+  if (await repo.schedule.countTemplates() > 0) return;
+
+  const periods = [];
+  for (let weekday = 0; weekday < 7; weekday++) {
+    DEFAULT_TEMPLATE.forEach(period => periods.push({ weekday, ...period }));
+  }
+  await repo.withTransaction(client => repo.schedule.replaceTemplates(periods, client));
+  console.log('Created default slot schedule.');
+}
+
+module.exports = {
+  formatPeriod,
+  expandPeriods,
+  getPeriodsForDate,
+  getSlotsForDate,
+  dailyCapacity,
+  validatePeriods,
+  ensureDefaultSchedule
+};
@@ -0,0 +1,159 @@
+// Latency of the bookings hot-path queries without and with the indexes added by
+// migration 002_booking_indexes_and_constraints.
+//
+// Seeds a copy of the bookings table with a few million rows in a scratch schema
+// (`bench`), times each query, adds the indexes and times them again. Run it against a
+// local development database only - seeding the default three million rows takes a few
+// minutes and around a gigabyte of disk. The scratch schema is dropped afterwards.
+//
+//   DATABASE_URL=postgresql://... node scripts/index-benchmark.js
+//
+// Optional: BENCH_ROWS (default 3000000), BENCH_RUNS (default 50 per query)
+require('dotenv').config();
+
+const { getBackend } = require('../repository');
+
+const backend = getBackend();
+if (backend.dialect.name !== 'postgres') {
+  console.error('The index benchmark needs a PostgreSQL DATABASE_URL');
+  process.exit(1);
+}
+const { pool } = backend;
+
+const ROWS = parseInt(process.env.BENCH_ROWS || '3000000');
+const RUNS = parseInt(process.env.BENCH_RUNS || '50');
+const LOCATIONS = ['Almora', 'Bageshwar', 'Champawat', 'Dehradun', 'Haridwar', 'Nainital', 'Pauri', 'Pithoragarh', 'Tehri', 'Udham Singh Nagar'];
+// Two years of Monday-Sunday weeks, starting on a Monday
+const START = '2025-01-06';
+const WEEKS = 104;
+
+// The same indexes as the migration, on the scratch table
+const INDEXES = [
+  `CREATE INDEX ON bench.bookings (date, location, time_slot) WHERE status = 'confirmed'`,
+  `CREATE INDEX ON bench.bookings (date, time_slot)`,
+  `CREATE UNIQUE INDEX ON bench.bookings (phone, (date_trunc('week', date::timestamp))) WHERE status = 'confirmed'`
+];
+
+// The hot-path queries, as the server runs them, with random parameters from the seeded range
+const randomDate = () => {
+  const day = Math.floor(Math.random() * WEEKS * 7);
+  return new Date(Date.parse(START) + day * 86400000).toISOString().slice(0, 10);
+};
+const randomPhone = () => `9${String(Math.floor(Math.random() * Math.ceil(ROWS / WEEKS))).padStart(9, '0')}`;
+const randomLocation = () => LOCATIONS[Math.floor(Math.random() * LOCATIONS.length)];
+
+const QUERIES = {
+  'seats per slot (location, date)': () => [
+    `SELECT time_slot::text, COUNT(*) FROM bench.bookings
+     WHERE date = $1 AND location = $2 AND status = 'confirmed' GROUP BY time_slot`,
+    [randomDate(), randomLocation()]
+  ],
+  'seats per location (date)': () => [
+    `SELECT location, COUNT(*) FROM bench.bookings
+     WHERE status = 'confirmed' AND date = $1 GROUP BY location`,
+    [randomDate()]
+  ],
+  'weekly check (phone, week)': () => [
+    `SELECT COUNT(*) FROM bench.bookings
+     WHERE phone = $1 AND status = 'confirmed'
+       AND date_trunc('week', date::timestamp) = date_trunc('week', $2::date::timestamp)`,
+    [randomPhone(), randomDate()]
+  ],
+  'admin list (one week)': () => {
+    const from = randomDate();
+    return [
+      `SELECT * FROM bench.bookings WHERE date BETWEEN $1 AND $1::date + 6 ORDER BY date DESC, time_slot ASC`,
+      [from]
+    ];
+  }
+};
+
+// Every row's phone books once a week, so the data satisfies the one-per-week index
+async function seed() {
+  console.log(`Seeding ${ROWS.toLocaleString()} bookings...`);
+  await pool.query('DROP SCHEMA IF EXISTS bench CASCADE');
+  await pool.query('CREATE SCHEMA bench');
+  await pool.query(
+    `CREATE TABLE bench.bookings (
+      id SERIAL PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      phone VARCHAR(20) NOT NULL,
+      purpose VARCHAR(255) NOT NULL,
+      location VARCHAR(255) NOT NULL,
+      date DATE NOT NULL,
+      time_slot TIME NOT NULL,
+      reference VARCHAR(12) NOT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'confirmed',
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`
+  );
+  await pool.query(
+    `INSERT INTO bench.bookings (name, phone, purpose, location, date, time_slot, reference, status)
+     SELECT 'Bench ' || i,
+            '9' || lpad((i / $2)::text, 9, '0'),
+            'Benchmark',
+            ($3::text[])[1 + (i % array_length($3::text[], 1))],
+            $4::date + (i % $2) * 7 + (i / $2) % 7,
+            TIME '09:00' + ((i / 7) % 24) * INTERVAL '30 minutes',
+            upper(substr(md5(i::text), 1, 8)),
+            CASE WHEN i % 10 = 0 THEN 'cancelled' ELSE 'confirmed' END
+     FROM generate_series(0, $1 - 1) AS i`,
+    [ROWS, WEEKS, LOCATIONS, START]
+  );
+  await pool.query('ANALYZE bench.bookings');
+}
+
+const percentile = (sorted, p) => sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))];
+
+// Median and 95th percentile latency of each query, in milliseconds
+async function measure() {
+  const results = {};
+  for (const [name, build] of Object.entries(QUERIES)) {
+    const timings = [];
+    for (let i = 0; i < RUNS; i++) {
+      const [sql, params] = build();
+      const started = process.hrtime.bigint();
+      await pool.query(sql, params);
+      timings.push(Number(process.hrtime.bigint() - started) / 1e6);
+    }
+    timings.sort((a, b) => a - b);
+    results[name] = { p50: percentile(timings, 0.5), p95: percentile(timings, 0.95) };
+  }
+  return results;
+}
+
+async function run() {
+  await seed();
+
+  console.log(`Timing ${RUNS} runs per query without indexes...`);
+  const before = await measure();
+
+  console.log('Adding indexes...');
+  for (const statement of INDEXES) {
+    await pool.query(statement);
+  }
+  await pool.query('ANALYZE bench.bookings');
+
+  console.log(`Timing ${RUNS} runs per query with indexes...`);
+  const after = await measure();
+
+  const ms = (value) => `${value.toFixed(2)} ms`;
+  console.table(Object.keys(QUERIES).map(name => ({
+    query: name,
+    'before p50': ms(before[name].p50),
+    'before p95': ms(before[name].p95),
+    'after p50': ms(after[name].p50),
+    'after p95': ms(after[name].p95),
+    speedup: `${(before[name].p50 / after[name].p50).toFixed(1)}x`
+  })));
+}
+
+run()
+  .catch((err) => {
+    console.error('Benchmark failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    await pool.query('DROP SCHEMA IF EXISTS bench CASCADE').catch(() => {});
+    await pool.end();
+  });
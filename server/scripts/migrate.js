@@ -0,0 +1,56 @@
+// Database migrations: apply, undo or list them.
+//
+//   node scripts/migrate.js migrate            apply every pending migration
+//   node scripts/migrate.js rollback [steps]   undo the last migration, or the last `steps`
+//   node scripts/migrate.js status             list migrations and whether they are applied
+//
+// Also available as npm run migrate, npm run migrate:rollback and npm run migrate:status.
+require('dotenv').config();
+
+const { closeDatabase } = require('../repository');
+const { migrate, rollback, migrationStatus } = require('../migrator');
+
+const COMMANDS = {
+  migrate: async () => {
+    const applied = await migrate();
+    if (applied.length === 0) {
+      console.log('Nothing to migrate - the schema is up to date.');
+    }
+    applied.forEach(name => console.log(`Applied ${name}`));
+  },
+
+  rollback: async (steps = '1') => {
+    const count = parseInt(steps);
+    if (!(count > 0)) {
+      throw new Error('The number of steps must be a positive number');
+    }
+    const undone = await rollback(count);
+    if (undone.length === 0) {
+      console.log('Nothing to roll back - no migrations are applied.');
+    }
+    undone.forEach(name => console.log(`Rolled back ${name}`));
+  },
+
+  status: async () => {
+    for (const migration of await migrationStatus()) {
+      const state = migration.missing ? 'applied, file missing' : migration.appliedAt ? 'applied' : 'pending';
+      const when = migration.appliedAt ? ` (${new Date(migration.appliedAt).toISOString()})` : '';
+      console.log(`${migration.label}: ${state}${when}`);
+    }
+  }
+};
+
+const [command = 'migrate', ...args] = process.argv.slice(2);
+
+if (!COMMANDS[command]) {
+  console.error(`Unknown command "${command}". Use one of: ${Object.keys(COMMANDS).join(', ')}`);
+  process.exit(1);
+}
+
+COMMANDS[command](...args)
+  .then(() => closeDatabase())
+  .catch(async (err) => {
+    console.error(`Migration ${command} failed:`, err.message);
+    await closeDatabase().catch(() => {});
+    process.exit(1);
+  });
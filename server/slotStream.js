@@ -0,0 +1,125 @@
+// Live seat counts over Server-Sent Events. A client subscribes to one location's day
+// and gets the counts when it connects and again whenever bookings or holds change.
+const { events } = require('./events');
+const { getSlotsForDate, dailyCapacity } = require('./schedule');
+const { countBookingsBySlot, countHoldsBySlot } = require('./bookings');
+
+const STREAM = {
+  // Changes arriving within this window are pushed once
+  coalesceMs: 250,
+  // Keeps idle connections open through proxies
+  heartbeatSeconds: 25,
+  // How long the browser waits before reconnecting a dropped stream
+  retryMs: 5000
+};
+
+// Open streams by `location|date`
+const subscribers = new Map();
+const pending = new Set();
+let flushTimer = null;
+let heartbeatTimer = null;
+
+const sum = (counts) => Object.values(counts).reduce((total, count) => total + count, 0);
+
+// Seat counts of every slot of a location's day
+async function slotSnapshot(location, date) {
+  const slots = await getSlotsForDate(date);
+  const bookings = await countBookingsBySlot(date, location);
+  const holds = await countHoldsBySlot(date, location);
+
+  return {
+    date,
+    location,
+    slots: slots.map(slot => ({
+      time: slot.time,
+      bookingCount: bookings[slot.time] || 0,
+      heldCount: holds[slot.time] || 0
+    })),
+    totalBookings: sum(bookings),
+    totalHeld: sum(holds),
+    maxBookings: dailyCapacity(slots)
+  };
+}
+
+const send = (res, snapshot) => {
+  if (!res.destroyed) {
+    res.write(`event: slots\ndata: ${JSON.stringify(snapshot)}\n\n`);
+  }
+};
+
+// Push fresh counts for every changed day someone is watching, one query per day
+// however many clients watch it
+async function flush() {
+  flushTimer = null;
+  const keys = [...pending];
+  pending.clear();
+
+  for (const key of keys) {
+    const streams = subscribers.get(key);
+    if (!streams) continue;
+    const [location, date] = key.split('|');
+    try {
+      const snapshot = await slotSnapshot(location, date);
+      streams.forEach(res => send(res, snapshot));
+    } catch (err) {
+      console.error(`Error pushing slot counts for ${key}:`, err.message);
+    }
+  }
+}
+
+events.on('slots', ({ location, date }) => {
+  const key = `${location}|${date}`;
+  if (!subscribers.has(key)) return;
+  pending.add(key);
+  if (!flushTimer) {
+    flushTimer = setTimeout(flush, STREAM.coalesceMs);
+  }
+});
+
+const startHeartbeat = () => {
+  heartbeatTimer = setInterval(() => {
+    subscribers.forEach(streams => streams.forEach(res => res.write(': ping\n\n')));
+  }, STREAM.heartbeatSeconds * 1000);
+  heartbeatTimer.unref();
+};
+
+// Express handler: stream a location's day (req.query.location and date, validated by
+// the caller) until the client disconnects
+async function streamSlots(req, res) {
+  const { location, date } = req.query;
+  const key = `${location}|${date}`;
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    // Stop nginx-style proxies from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${STREAM.retryMs}\n\n`);
+
+  if (!subscribers.has(key)) {
+    subscribers.set(key, new Set());
+  }
+  subscribers.get(key).add(res);
+  if (!heartbeatTimer) {
+    startHeartbeat();
+  }
+
+  req.on('close', () => {
+    const streams = subscribers.get(key);
+    streams.delete(res);
+    if (streams.size === 0) {
+      subscribers.delete(key);
+    }
+  });
+
+  try {
+    send(res, await slotSnapshot(location, date));
+  } catch (err) {
+    console.error(`Error sending slot counts for ${key}:`, err.message);
+  }
+}
+
+module.exports = { STREAM, streamSlots };
@@ -0,0 +1,7 @@
+// Development provider: prints messages to the server log instead of sending them
+module.exports = () => ({
+  name: 'console',
+  async send(phone, message) {
+    console.log(`[sms] to ${phone}: ${message}`);
+  }
+});
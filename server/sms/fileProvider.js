@@ -0,0 +1,15 @@
+// Development provider: appends messages, one JSON object per line, to SMS_OUTBOX_FILE
+const fs = require('fs');
+const path = require('path');
+
+module.exports = () => {
+  const file = process.env.SMS_OUTBOX_FILE || path.join(__dirname, '..', 'sms-outbox.log');
+
+  return {
+    name: 'file',
+    async send(phone, message) {
+      const line = JSON.stringify({ to: phone, message, sent_at: new Date().toISOString() });
+      await fs.promises.appendFile(file, `${line}\n`);
+    }
+  };
+};
@@ -0,0 +1,41 @@
+// SMS sending through a pluggable provider, chosen with SMS_PROVIDER.
+//
+// A provider is an object with `name` and `async send(phone, message)`. To add one
+// (e.g. a real SMS gateway), create a module here exporting a factory that reads its
+// own settings from the environment, and register it in PROVIDERS.
+const PROVIDERS = {
+  console: require('./consoleProvider'),
+  file: require('./fileProvider'),
+  twilio: require('./twilioProvider')
+};
+
+// Providers that only record messages locally, so nobody receives them
+const DEVELOPMENT_PROVIDERS = ['console', 'file'];
+
+let provider = null;
+
+// The configured provider, created on first use
+const getSmsProvider = () => {
+  if (!provider) {
+    const name = process.env.SMS_PROVIDER || 'console';
+    if (process.env.NODE_ENV === 'production' && DEVELOPMENT_PROVIDERS.includes(name)) {
+      const gateways = Object.keys(PROVIDERS).filter(key => !DEVELOPMENT_PROVIDERS.includes(key));
+      throw new Error(`SMS_PROVIDER must name an SMS gateway in production (${gateways.join(', ')}), or bookers never receive their verification codes`);
+    }
+    const createProvider = PROVIDERS[name];
+    if (!createProvider) {
+      throw new Error(`Unknown SMS_PROVIDER "${name}". Available: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+    provider = createProvider();
+  }
+  return provider;
+};
+
+// Replace the provider, e.g. with a stub that records messages
+const setSmsProvider = (newProvider) => {
+  provider = newProvider;
+};
+
+const sendSms = (phone, message) => getSmsProvider().send(phone, message);
+
+module.exports = { getSmsProvider, setSmsProvider, sendSms };
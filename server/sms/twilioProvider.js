@@ -0,0 +1,37 @@
+// Production provider: sends messages through Twilio's REST API. Needs
+// TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN and TWILIO_FROM (the sending number, or a
+// messaging service SID starting with MG). Numbers without a country code get
+// SMS_COUNTRY_CODE (default +91).
+const API_URL = 'https://api.twilio.com/2010-04-01';
+const SETTINGS = ['TWILIO_ACCOUNT_SID', 'TWILIO_AUTH_TOKEN', 'TWILIO_FROM'];
+
+module.exports = () => {
+  const missing = SETTINGS.filter(name => !process.env[name]);
+  if (missing.length > 0) {
+    throw new Error(`SMS_PROVIDER=twilio needs ${missing.join(', ')}`);
+  }
+  const { TWILIO_ACCOUNT_SID: accountSid, TWILIO_AUTH_TOKEN: authToken, TWILIO_FROM: from } = process.env;
+  const countryCode = process.env.SMS_COUNTRY_CODE || '+91';
+  const authorization = `Basic ${Buffer.from(`${accountSid}:${authToken}`).toString('base64')}`;
+
+  return {
+    name: 'twilio',
+    async send(phone, message) {
+      const params = new URLSearchParams({
+        To: phone.startsWith('+') ? phone : `${countryCode}${phone}`,
+        Body: message
+      });
+      params.set(from.startsWith('MG') ? 'MessagingServiceSid' : 'From', from);
+
+      const response = await fetch(`${API_URL}/Accounts/${accountSid}/Messages.json`, {
+        method: 'POST',
+        headers: { Authorization: authorization, 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: params
+      });
+      if (!response.ok) {
+        const detail = await response.text();
+        throw new Error(`Twilio refused the message (${response.status}): ${detail.slice(0, 200)}`);
+      }
+    }
+  };
+};
@@ -0,0 +1,178 @@
+// Admin booking routes: the paged list, deleting bookings, the Excel export and stats
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const XLSX = require('xlsx');
+const { app, request, setupDatabase, closeDatabase, phone, nextWeek, seedBookings, adminAuth } = require('./helpers');
+
+// Collect a binary response body into a Buffer
+const binaryParser = (res, callback) => {
+  const chunks = [];
+  res.on('data', chunk => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+};
+
+describe('admin booking routes', () => {
+  const earlier = nextWeek(2);
+  const later = nextWeek(3);
+  let auth;
+
+  before(async () => {
+    await setupDatabase();
+    // 5 at Almora on the earlier day, 2 at Dehradun on the later one
+    await seedBookings({ date: earlier, slots: [{ time_slot: '09:00', count: 3 }, { time_slot: '10:00', count: 2 }], firstPhone: 1000 });
+    await seedBookings({ location: 'Dehradun', date: later, slots: [{ time_slot: '09:00', count: 2 }], firstPhone: 2000 });
+    auth = await adminAuth();
+  });
+  after(closeDatabase);
+
+  const list = (query = {}) => request(app).get('/api/admin/bookings').set('Authorization', auth).query(query);
+
+  it('requires an admin session', async () => {
+    assert.equal((await request(app).get('/api/admin/bookings')).status, 401);
+    assert.equal((await request(app).get('/api/admin/export')).status, 401);
+    assert.equal((await request(app).get('/api/admin/stats')).status, 401);
+    assert.equal((await request(app).delete('/api/admin/bookings/1').send({ reason: 'test' })).status, 401);
+  });
+
+  describe('GET /api/admin/bookings', () => {
+    it('returns the first page with the total', async () => {
+      const response = await list();
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.total, 7);
+      assert.equal(response.body.page, 1);
+      assert.equal(response.body.pageSize, 50);
+      assert.equal(response.body.bookings.length, 7);
+      assert.ok(response.body.bookings.every(booking => booking.qr_token));
+    });
+
+    it('pages through the results', async () => {
+      const response = await list({ page: 3, pageSize: 3 });
+
+      assert.equal(response.body.total, 7);
+      assert.equal(response.body.bookings.length, 1);
+    });
+
+    it('filters by location, slot, date and search term', async () => {
+      assert.equal((await list({ location: 'Dehradun' })).body.total, 2);
+      assert.equal((await list({ location: 'Almora', time_slot: '09:00' })).body.total, 3);
+      assert.equal((await list({ startDate: later, endDate: later })).body.total, 2);
+      assert.equal((await list({ startDate: later })).body.total, 2);
+      assert.equal((await list({ endDate: earlier })).body.total, 5);
+
+      const search = await list({ search: phone(1001) });
+      assert.equal(search.body.total, 1);
+      assert.equal(search.body.bookings[0].phone, phone(1001));
+    });
+
+    it('sorts by date, newest first by default', async () => {
+      const newest = await list();
+      assert.equal(newest.body.bookings[0].date, later);
+
+      const oldest = await list({ sort: 'date', order: 'asc' });
+      assert.equal(oldest.body.bookings[0].date, earlier);
+    });
+
+    it('breaks ties earliest slot first, whatever the order', async () => {
+      const slots = (query) => list(query).then(response => response.body.bookings.map(booking => booking.time_slot.substring(0, 5)));
+      const almora = ['09:00', '09:00', '09:00', '10:00', '10:00'];
+
+      assert.deepEqual(await slots({ location: 'Almora' }), almora);
+      assert.deepEqual(await slots({ location: 'Almora', sort: 'purpose', order: 'desc' }), almora);
+
+      const byLocation = await list({ sort: 'location', order: 'desc' });
+      assert.deepEqual(byLocation.body.bookings.map(booking => booking.location),
+        ['Dehradun', 'Dehradun', 'Almora', 'Almora', 'Almora', 'Almora', 'Almora']);
+      assert.equal(byLocation.body.bookings[2].time_slot.substring(0, 5), '09:00');
+    });
+
+    it('rejects unknown filters and sort columns', async () => {
+      assert.equal((await list({ location: 'Atlantis' })).status, 400);
+      assert.equal((await list({ startDate: '2026-02-30' })).status, 400);
+      assert.equal((await list({ sort: 'password' })).status, 400);
+    });
+  });
+
+  describe('GET /api/admin/export', () => {
+    it('exports the filtered bookings as a spreadsheet', async () => {
+      const response = await request(app).get('/api/admin/export')
+        .set('Authorization', auth)
+        .query({ location: 'Almora' })
+        .buffer(true)
+        .parse(binaryParser);
+
+      assert.equal(response.status, 200);
+      assert.match(response.headers['content-type'], /spreadsheetml/);
+
+      const workbook = XLSX.read(response.body, { type: 'buffer' });
+      const rows = XLSX.utils.sheet_to_json(workbook.Sheets.Bookings);
+      assert.equal(rows.length, 5);
+      assert.ok(rows.every(row => row.Location === 'Almora' && row.Date === earlier));
+    });
+  });
+
+  describe('GET /api/admin/stats', () => {
+    it('counts a day\'s bookings against each location\'s capacity', async () => {
+      const response = await request(app).get('/api/admin/stats').set('Authorization', auth).query({ date: earlier });
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.totalBookings, 5);
+
+      const almora = response.body.byLocation.find(row => row.location === 'Almora');
+      assert.equal(almora.totalBookings, 5);
+      assert.equal(almora.maxBookings, 1200);
+      assert.equal(almora.availableBookings, 1195);
+      assert.equal(response.body.maxBookings, 1200 * response.body.byLocation.length);
+    });
+
+    it('rejects a malformed date', async () => {
+      for (const date of ['2026-02-30', 'yesterday', `${earlier}' OR 1=1`]) {
+        const response = await request(app).get('/api/admin/stats').set('Authorization', auth).query({ date });
+        assert.equal(response.status, 400);
+        assert.equal(response.body.error, 'Invalid date format');
+      }
+    });
+  });
+
+  describe('deleting bookings', () => {
+    it('deletes a single booking with a reason', async () => {
+      const [booking] = (await list({ search: phone(1000) })).body.bookings;
+
+      const noReason = await request(app).delete(`/api/admin/bookings/${booking.id}`).set('Authorization', auth).send({});
+      assert.equal(noReason.status, 400);
+
+      const response = await request(app).delete(`/api/admin/bookings/${booking.id}`)
+        .set('Authorization', auth)
+        .send({ reason: 'Duplicate booking' });
+      assert.equal(response.status, 200);
+      assert.equal(response.body.deletedBooking.id, booking.id);
+
+      assert.equal((await list()).body.total, 6);
+      const deleted = await request(app).get('/api/admin/bookings/deleted').set('Authorization', auth);
+      assert.deepEqual(deleted.body.map(row => row.id), [booking.id]);
+    });
+
+    it('answers 404 for a booking that does not exist', async () => {
+      const response = await request(app).delete('/api/admin/bookings/999999')
+        .set('Authorization', auth)
+        .send({ reason: 'Test' });
+      assert.equal(response.status, 404);
+    });
+
+    it('deletes bookings in bulk', async () => {
+      const ids = (await list({ location: 'Dehradun' })).body.bookings.map(booking => booking.id);
+
+      assert.equal((await request(app).delete('/api/admin/bookings').set('Authorization', auth).send({ reason: 'Test' })).status, 400);
+      assert.equal((await request(app).delete('/api/admin/bookings').set('Authorization', auth).send({ ids })).status, 400);
+
+      const response = await request(app).delete('/api/admin/bookings')
+        .set('Authorization', auth)
+        .send({ ids, reason: 'Location closed' });
+      assert.equal(response.status, 200);
+      assert.equal(response.body.deletedCount, 2);
+
+      assert.equal((await list({ location: 'Dehradun' })).body.total, 0);
+      assert.equal((await list()).body.total, 4);
+    });
+  });
+});
@@ -0,0 +1,139 @@
+// Admin changes are recorded in the audit log in the same transaction as the change:
+// accounts, closures, the schedule, lifted blocks, no-shows and gate check-ins
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const moment = require('moment');
+const { app, request, setupDatabase, closeDatabase, phone, nextWeek, book, adminAuth } = require('./helpers');
+const repo = require('../repository');
+const { AUDIT } = require('../audit');
+const { RULES, today } = require('../bookingRules');
+
+describe('audit log of admin actions', () => {
+  let auth;
+
+  before(async () => {
+    await setupDatabase();
+    auth = await adminAuth();
+  });
+  after(closeDatabase);
+
+  // The recorded events with an action, newest first
+  const eventsFor = async (action) => {
+    const response = await request(app).get('/api/admin/audit').query({ action }).set('Authorization', auth);
+    assert.equal(response.status, 200);
+    return response.body.events;
+  };
+
+  // Book a slot next week, then move the booking onto `to` behind the API's back
+  const bookFor = async (phoneNumber, to) => {
+    const from = { date: nextWeek(2), time_slot: '09:00' };
+    const created = await book(phoneNumber, from);
+    await repo.bookings.move(created.body.booking, { from, to });
+    return created.body;
+  };
+
+  it('records creating, updating and deleting admin accounts', async () => {
+    const created = await request(app).post('/api/admin/users').set('Authorization', auth)
+      .send({ username: 'gatekeeper', password: 'password123', role: 'operator', locations: ['Almora'] });
+    assert.equal(created.status, 201);
+    const id = created.body.admin.id;
+
+    const updated = await request(app).put(`/api/admin/users/${id}`).set('Authorization', auth)
+      .send({ role: 'operator', locations: ['Almora', 'Bageshwar'], password: 'another-password' });
+    assert.equal(updated.status, 200);
+    const deleted = await request(app).delete(`/api/admin/users/${id}`).set('Authorization', auth);
+    assert.equal(deleted.status, 200);
+
+    const [createdEvent] = await eventsFor(AUDIT.ADMIN_CREATED);
+    assert.equal(createdEvent.actor_username, process.env.ADMIN_USERNAME);
+    assert.deepEqual(createdEvent.details, { adminId: id, username: 'gatekeeper', role: 'operator', locations: ['Almora'] });
+
+    const [updatedEvent] = await eventsFor(AUDIT.ADMIN_UPDATED);
+    assert.deepEqual(updatedEvent.details.locations, ['Almora', 'Bageshwar']);
+    assert.equal(updatedEvent.details.passwordChanged, true);
+
+    const [deletedEvent] = await eventsFor(AUDIT.ADMIN_DELETED);
+    assert.equal(deletedEvent.details.username, 'gatekeeper');
+  });
+
+  it('records adding and removing a closure', async () => {
+    const date = nextWeek(5);
+    const added = await request(app).post('/api/admin/closures').set('Authorization', auth)
+      .send({ date, location: 'Almora', reason: 'Stock count' });
+    assert.equal(added.status, 201);
+    await request(app).delete(`/api/admin/closures/${added.body.closure.id}`).set('Authorization', auth);
+
+    const [addedEvent] = await eventsFor(AUDIT.CLOSURE_ADDED);
+    assert.equal(addedEvent.details.closureId, added.body.closure.id);
+    assert.equal(addedEvent.details.reason, 'Stock count');
+
+    const [removedEvent] = await eventsFor(AUDIT.CLOSURE_REMOVED);
+    assert.equal(removedEvent.details.closureId, added.body.closure.id);
+  });
+
+  it('records a schedule change', async () => {
+    const date = nextWeek(6);
+    const periods = [{ start_time: '09:00', end_time: '12:00', slot_minutes: 60, capacity: 50 }];
+    const response = await request(app).put(`/api/admin/schedule/overrides/${date}`).set('Authorization', auth)
+      .send({ periods });
+    assert.equal(response.status, 200);
+
+    const [event] = await eventsFor(AUDIT.SCHEDULE_OVERRIDE_SAVED);
+    assert.deepEqual(event.details, { date, periods });
+  });
+
+  it('records lifting a block', async () => {
+    await repo.blocks.insertUnlessBlocked({ phone: phone(1), blockedUntil: nextWeek(1), noShowCount: 3 }, today());
+    const { body } = await request(app).get('/api/admin/blocks').set('Authorization', auth);
+    const block = body.blocks.find(active => active.phone === phone(1));
+
+    const response = await request(app).delete(`/api/admin/blocks/${block.id}`).set('Authorization', auth);
+    assert.equal(response.status, 200);
+
+    const [event] = await eventsFor(AUDIT.BLOCK_LIFTED);
+    assert.equal(event.phone, phone(1));
+    assert.deepEqual(event.details, { blockId: block.id, noShowCount: 3 });
+  });
+
+  it('records marking no-shows', async () => {
+    const yesterday = moment(today()).subtract(1, 'day').format('YYYY-MM-DD');
+    await bookFor(phone(2), { date: yesterday, time_slot: '09:00' });
+
+    const response = await request(app).post('/api/admin/attendance/no-shows').set('Authorization', auth)
+      .send({ date: yesterday, location: 'Almora' });
+    assert.equal(response.body.marked, 1);
+
+    const [event] = await eventsFor(AUDIT.NO_SHOWS_MARKED);
+    assert.deepEqual(event.details, { date: yesterday, time_slot: null, locations: ['Almora'], marked: 1, blocked: 0 });
+  });
+
+  it('records a gate check-in, but not a refused one', async () => {
+    const now = moment().utcOffset(RULES.utcOffset).format('HH:mm');
+    const created = await bookFor(phone(3), { date: today(), time_slot: now });
+
+    const checkIn = () => request(app).post('/api/checkin').set('Authorization', auth)
+      .send({ token: created.booking.qr_token });
+    assert.equal((await checkIn()).status, 200);
+    assert.equal((await checkIn()).body.result, 'already_used');
+
+    const events = await eventsFor(AUDIT.BOOKING_CHECKED_IN);
+    assert.equal(events.length, 1);
+    assert.equal(events[0].booking_id, created.booking.id);
+    assert.deepEqual(events[0].details, { reference: created.reference, attendance: 'arrived' });
+  });
+
+  it('leaves the change undone when it cannot be recorded', async (t) => {
+    t.mock.method(repo.audit, 'insert', async () => {
+      throw new Error('audit_events is unavailable');
+    });
+
+    const date = nextWeek(4);
+    const response = await request(app).post('/api/admin/closures').set('Authorization', auth)
+      .send({ date, reason: 'Never recorded' });
+    assert.equal(response.status, 500);
+
+    t.mock.restoreAll();
+    const closures = await request(app).get('/api/admin/closures').set('Authorization', auth);
+    assert.equal(closures.body.some(closure => closure.reason === 'Never recorded'), false);
+  });
+});
@@ -0,0 +1,98 @@
+// POST /api/bookings: validation, phone verification and the booking rules
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const moment = require('moment');
+const { app, request, setupDatabase, closeDatabase, phone, nextWeek, bookingBody, book, seedBookings } = require('./helpers');
+const { getSlotsForDate } = require('../schedule');
+const { countBookingsBySlot } = require('../bookings');
+
+describe('POST /api/bookings', () => {
+  before(setupDatabase);
+  after(closeDatabase);
+
+  it('creates a booking with a reference and QR ticket', async () => {
+    const response = await book(phone(1));
+
+    assert.equal(response.status, 201);
+    assert.match(response.body.reference, /^[A-Z0-9]{8}$/);
+    assert.equal(response.body.booking.phone, phone(1));
+    assert.ok(response.body.booking.qr_token);
+  });
+
+  it('rejects invalid fields', async () => {
+    const response = await request(app).post('/api/bookings')
+      .send(bookingBody(phone(2), { name: 'A', time_slot: '25:00' }));
+
+    assert.equal(response.status, 400);
+    assert.deepEqual(response.body.errors.map(error => error.path).sort(), ['name', 'time_slot']);
+  });
+
+  it('requires a verification token for the phone being booked', async () => {
+    const missing = await request(app).post('/api/bookings')
+      .send(bookingBody(phone(3), { verificationToken: undefined }));
+    assert.equal(missing.status, 403);
+
+    const otherPhone = await request(app).post('/api/bookings')
+      .send(bookingBody(phone(3), { verificationToken: bookingBody(phone(4)).verificationToken }));
+    assert.equal(otherPhone.status, 403);
+  });
+
+  it('rejects dates outside the booking window', async () => {
+    const past = moment().subtract(2, 'days').format('YYYY-MM-DD');
+    assert.equal((await book(phone(5), { date: past })).status, 400);
+
+    const tooFar = moment().add(60, 'days').format('YYYY-MM-DD');
+    assert.equal((await book(phone(5), { date: tooFar })).status, 400);
+  });
+
+  it('rejects a slot that is not on the schedule', async () => {
+    assert.equal((await book(phone(6), { time_slot: '13:00' })).status, 400);
+  });
+
+  it('allows one booking per phone per Monday-Sunday week', async () => {
+    assert.equal((await book(phone(7), { date: nextWeek(1) })).status, 201);
+
+    const sameWeek = await book(phone(7), { date: nextWeek(7), time_slot: '10:00' });
+    assert.equal(sameWeek.status, 409);
+    assert.match(sameWeek.body.error, /already booked a slot this week/);
+
+    const followingWeek = moment(nextWeek(1)).add(7, 'days').format('YYYY-MM-DD');
+    assert.equal((await book(phone(7), { date: followingWeek })).status, 201);
+  });
+
+  it('caps a slot at its 120 seats, per location', async () => {
+    const date = nextWeek(4);
+    await seedBookings({ date, slots: [{ time_slot: '09:00', count: 119 }], firstPhone: 10000 });
+
+    assert.equal((await book(phone(8), { date })).status, 201);
+
+    const full = await book(phone(9), { date });
+    assert.equal(full.status, 409);
+    assert.match(full.body.error, /fully booked/);
+    assert.equal((await countBookingsBySlot(date, 'Almora'))['09:00'], 120);
+
+    // Other slots and other locations have their own seats
+    assert.equal((await book(phone(9), { date, time_slot: '09:30' })).status, 201);
+    assert.equal((await book(phone(10), { date, location: 'Dehradun' })).status, 201);
+  });
+
+  it('caps a location\'s day at 1200 bookings', async () => {
+    const date = nextWeek(5);
+    const slots = await getSlotsForDate(date);
+    await seedBookings({
+      date,
+      slots: slots.map((slot, i) => ({ time_slot: slot.time, count: i === 0 ? slot.capacity - 1 : slot.capacity })),
+      firstPhone: 20000
+    });
+
+    assert.equal((await book(phone(11), { date, time_slot: slots[0].time })).status, 201);
+
+    const counts = await countBookingsBySlot(date, 'Almora');
+    assert.equal(Object.values(counts).reduce((sum, count) => sum + count, 0), 1200);
+
+    for (const slot of slots) {
+      assert.equal((await book(phone(12), { date, time_slot: slot.time })).status, 409);
+    }
+    assert.equal((await book(phone(12), { date, location: 'Dehradun' })).status, 201);
+  });
+});
@@ -0,0 +1,84 @@
+// Capacity under load: hundreds of parallel POST /api/bookings must never overbook a
+// slot or a location's day.
+//
+// Only PostgreSQL runs bookings side by side (SQLite runs one transaction at a time), so
+// these tests need TEST_DATABASE_URL, a postgres:// URL, and are skipped without it. They
+// run in a scratch schema (`capacity_test`) that is dropped afterwards; use a
+// development database.
+//
+//   TEST_DATABASE_URL=postgresql://... npm test
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { app, request, setupDatabase, closeDatabase, phone, nextWeek, bookingBody } = require('./helpers');
+const { createBackend } = require('../repository/backend');
+const { getSlotsForDate } = require('../schedule');
+const { countBookingsBySlot } = require('../bookings');
+
+const TEST_DATABASE_URL = process.env.TEST_DATABASE_URL;
+const SCHEMA = 'capacity_test';
+
+// Run sql on TEST_DATABASE_URL outside the scratch schema
+const onTestDatabase = async (sql) => {
+  const backend = createBackend(TEST_DATABASE_URL);
+  try {
+    await backend.pool.query(sql);
+  } finally {
+    await backend.close();
+  }
+};
+
+// TEST_DATABASE_URL with the scratch schema as the only one on the search path
+const scratchSchemaUrl = () => {
+  const url = new URL(TEST_DATABASE_URL);
+  url.searchParams.set('options', `-c search_path=${SCHEMA}`);
+  return url.toString();
+};
+
+const skip = !/^postgres(ql)?:\/\//.test(TEST_DATABASE_URL || '') &&
+  'set TEST_DATABASE_URL to a PostgreSQL database to run the concurrency tests';
+
+describe('booking capacity under concurrent requests', { skip }, () => {
+  let server;
+
+  before(async () => {
+    await onTestDatabase(`DROP SCHEMA IF EXISTS ${SCHEMA} CASCADE; CREATE SCHEMA ${SCHEMA}`);
+    await setupDatabase({ url: scratchSchemaUrl() });
+    // One listening server for every request, rather than one per request
+    server = app.listen(0);
+  });
+  after(async () => {
+    if (server) await new Promise(resolve => server.close(resolve));
+    await closeDatabase();
+    await onTestDatabase(`DROP SCHEMA IF EXISTS ${SCHEMA} CASCADE`);
+  });
+
+  // Send every body at once and tally the response statuses
+  const bookInParallel = async (bodies) => {
+    const responses = await Promise.all(bodies.map(body => request(server).post('/api/bookings').send(body)));
+    return responses.reduce((statuses, { status }) => ({ ...statuses, [status]: (statuses[status] || 0) + 1 }), {});
+  };
+
+  it('fills a 120-seat slot exactly', async () => {
+    const date = nextWeek(2);
+    const bodies = Array.from({ length: 300 }, (_, i) => bookingBody(phone(10000 + i), { date, time_slot: '09:00' }));
+
+    const statuses = await bookInParallel(bodies);
+
+    assert.deepEqual(statuses, { 201: 120, 409: 180 });
+    assert.equal((await countBookingsBySlot(date, 'Almora'))['09:00'], 120);
+  });
+
+  it('stops a location\'s day at 1200 bookings', async () => {
+    const date = nextWeek(4);
+    const slots = await getSlotsForDate(date);
+    const bodies = Array.from({ length: 1300 }, (_, i) =>
+      bookingBody(phone(20000 + i), { date, time_slot: slots[i % slots.length].time }));
+
+    const statuses = await bookInParallel(bodies);
+
+    assert.deepEqual(statuses, { 201: 1200, 409: 100 });
+    const counts = await countBookingsBySlot(date, 'Almora');
+    assert.equal(Object.values(counts).reduce((sum, count) => sum + count, 0), 1200);
+    slots.forEach(slot => assert.equal(counts[slot.time], slot.capacity));
+  });
+});
@@ -0,0 +1,85 @@
+// Gate check-in by QR ticket: the ticket names the booking, and the booking's current
+// date and slot decide whether it is admitted
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const moment = require('moment');
+const { app, request, setupDatabase, closeDatabase, phone, verificationToken, nextWeek, book, adminAuth } = require('./helpers');
+const repo = require('../repository');
+const { RULES, today } = require('../bookingRules');
+
+describe('POST /api/checkin', () => {
+  const date = nextWeek(3);
+  let auth;
+
+  before(async () => {
+    await setupDatabase();
+    auth = await adminAuth();
+  });
+  after(closeDatabase);
+
+  const checkIn = (token) => request(app).post('/api/checkin').set('Authorization', auth).send({ token });
+
+  it('refuses a forged QR code', async () => {
+    const response = await checkIn('not-a-ticket');
+    assert.equal(response.status, 400);
+  });
+
+  it('checks a rescheduled booking against its new slot', async () => {
+    const created = await book(phone(1), { date, time_slot: '09:00' });
+    const token = created.body.booking.qr_token;
+
+    const moved = await request(app).post('/api/bookings/reschedule').send({
+      phone: phone(1),
+      reference: created.body.reference,
+      date,
+      time_slot: '10:00',
+      verificationToken: verificationToken(phone(1))
+    });
+    assert.equal(moved.status, 200);
+
+    // The booking is next week, so it is refused for the day, not for its old slot
+    const response = await checkIn(token);
+    assert.equal(response.status, 409);
+    assert.equal(response.body.result, 'wrong_day');
+    assert.equal(response.body.booking.time_slot, '10:00');
+  });
+
+  it('admits a booking with the QR code issued before it was moved', async () => {
+    const created = await book(phone(2), { date, time_slot: '09:00' });
+    const token = created.body.booking.qr_token;
+
+    // Move the booking onto the current minute, so that check-in is open for it
+    const now = moment().utcOffset(RULES.utcOffset).format('HH:mm');
+    await repo.bookings.move(created.body.booking, {
+      from: { date, time_slot: '09:00' },
+      to: { date: today(), time_slot: now }
+    });
+
+    const response = await checkIn(token);
+    assert.equal(response.status, 200);
+    assert.equal(response.body.result, 'valid');
+
+    const again = await checkIn(token);
+    assert.equal(again.body.result, 'already_used');
+  });
+
+  it('answers 404 for a booking deleted while it was being checked in', async (t) => {
+    const created = await book(phone(3), { date, time_slot: '09:00' });
+    const now = moment().utcOffset(RULES.utcOffset).format('HH:mm');
+    await repo.bookings.move(created.body.booking, {
+      from: { date, time_slot: '09:00' },
+      to: { date: today(), time_slot: now }
+    });
+
+    // An admin deletes the booking between the gate's lookup and its update
+    const checkInBooking = repo.bookings.checkIn;
+    t.mock.method(repo.bookings, 'checkIn', async (id, options, client) => {
+      await repo.bookings.softDelete([id], { adminId: null, reason: 'Duplicate booking' }, client);
+      return checkInBooking(id, options, client);
+    });
+
+    const response = await checkIn(created.body.booking.qr_token);
+    assert.equal(response.status, 404);
+    assert.equal(response.body.error, 'Booking not found');
+  });
+});
@@ -0,0 +1,115 @@
+// Shared setup for the route tests. Each test file runs in its own process (node --test)
+// and builds a fresh in-memory SQLite database per suite. Settings are fixed here,
+// before the app is loaded: the proof of work and rate limits are off, and phone
+// verification tokens are signed with a known OTP_SECRET.
+const TEST_ENV = {
+  NODE_ENV: 'test',
+  DATABASE_URL: 'sqlite::memory:',
+  ADMIN_USERNAME: 'admin',
+  ADMIN_PASSWORD: 'test-password',
+  ADMIN_SESSION_SECRET: 'test-admin-secret',
+  OTP_SECRET: 'test-otp-secret',
+  QR_SECRET: 'test-qr-secret',
+  POW_SECRET: 'test-pow-secret',
+  POW_DIFFICULTY: '0',
+  NOTIFIER: 'none',
+  RATE_LIMIT_BOOKINGS_PER_IP: '0',
+  RATE_LIMIT_BOOKINGS_PER_PHONE: '0',
+  RATE_LIMIT_WEEKLY_STATUS_PER_IP: '0',
+  RATE_LIMIT_WEEKLY_STATUS_PER_PHONE: '0',
+  RATE_LIMIT_HOLDS_PER_IP: '0',
+  RATE_LIMIT_OTP_PER_IP: '0',
+  RATE_LIMIT_LOOKUP_PER_IP: '0'
+};
+Object.entries(TEST_ENV).forEach(([key, value]) => {
+  if (process.env[key] === undefined) process.env[key] = value;
+});
+
+const moment = require('moment');
+const request = require('supertest');
+const repo = require('../repository');
+const { createBackend } = require('../repository/backend');
+const { migrate } = require('../migrator');
+const { ensureDefaultAdmin } = require('../auth');
+const { ensureDefaultSchedule } = require('../schedule');
+const { today } = require('../bookingRules');
+const { signToken } = require('../tokens');
+const app = require('../app');
+
+// Point the repository at a new, empty database (DATABASE_URL unless `url` is given)
+// with the current schema, the default slot schedule and the first admin account
+async function setupDatabase({ url = process.env.DATABASE_URL } = {}) {
+  repo.setBackend(createBackend(url));
+  await migrate();
+  await ensureDefaultSchedule();
+  await ensureDefaultAdmin();
+}
+
+const closeDatabase = () => repo.closeDatabase();
+
+// A distinct, valid phone number for each n
+const phone = (n) => String(7000000000 + n);
+
+// A verification token for phone, as POST /api/otp/verify hands out
+const verificationToken = (phoneNumber) =>
+  signToken({ phone: phoneNumber, purpose: 'booking' }, process.env.OTP_SECRET, 15 * 60);
+
+// Days of next week (Monday-Sunday), which is always inside the booking window
+const nextWeek = (isoWeekday = 1) =>
+  moment(today(), 'YYYY-MM-DD').isoWeekday(8).isoWeekday(isoWeekday).format('YYYY-MM-DD');
+
+// The body of POST /api/bookings for phoneNumber, with a valid verification token
+const bookingBody = (phoneNumber, overrides = {}) => ({
+  name: `Booker ${phoneNumber}`,
+  phone: phoneNumber,
+  purpose: 'Grocery',
+  location: 'Almora',
+  date: nextWeek(3),
+  time_slot: '09:00',
+  verificationToken: verificationToken(phoneNumber),
+  ...overrides
+});
+
+const book = (phoneNumber, overrides) =>
+  request(app).post('/api/bookings').send(bookingBody(phoneNumber, overrides));
+
+// Insert confirmed bookings straight into the database, to fill slots quickly.
+// `slots` is [{ time_slot, count }]; phones are numbered from firstPhone.
+async function seedBookings({ location = 'Almora', date, slots, firstPhone = 100000 }) {
+  let n = firstPhone;
+  for (const { time_slot, count } of slots) {
+    for (let i = 0; i < count; i++, n++) {
+      await repo.bookings.insert({
+        name: `Seeded ${n}`,
+        phone: phone(n),
+        purpose: 'Grocery',
+        location,
+        date,
+        time_slot,
+        reference: `SEED${n}`
+      });
+    }
+  }
+}
+
+// Sign in as the default admin, returning the Authorization header value
+async function adminAuth() {
+  const response = await request(app)
+    .post('/api/admin/login')
+    .send({ username: process.env.ADMIN_USERNAME, password: process.env.ADMIN_PASSWORD });
+  return `Bearer ${response.body.token}`;
+}
+
+module.exports = {
+  app,
+  request,
+  setupDatabase,
+  closeDatabase,
+  phone,
+  verificationToken,
+  nextWeek,
+  bookingBody,
+  book,
+  seedBookings,
+  adminAuth
+};
@@ -0,0 +1,24 @@
+// The startup schema check: the server refuses an unmigrated database on every backend
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers');
+const repo = require('../repository');
+const { createBackend } = require('../repository/backend');
+const { migrate, rollback, assertMigrated } = require('../migrator');
+
+describe('assertMigrated', () => {
+  before(() => repo.setBackend(createBackend('sqlite::memory:')));
+  after(() => repo.closeDatabase());
+
+  it('refuses an empty SQLite database', async () => {
+    await assert.rejects(assertMigrated(), /The database schema is not up to date \(pending: 001_baseline/);
+  });
+
+  it('passes once every migration is applied, and refuses a pending one', async () => {
+    await migrate();
+    await assertMigrated();
+
+    await rollback(1);
+    await assert.rejects(assertMigrated(), /pending: 005_rate_limits\)/);
+  });
+});
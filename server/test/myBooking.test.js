@@ -0,0 +1,68 @@
+// The booker's own booking, by phone and reference: lookup, cancel and reschedule,
+// their shared per-client limit, and phone verification for reschedules
+process.env.RATE_LIMIT_LOOKUP_PER_IP = '5';
+
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { app, request, setupDatabase, closeDatabase, phone, verificationToken, nextWeek, book } = require('./helpers');
+const { setRateLimitStore } = require('../rateLimit');
+const createMemoryStore = require('../rateLimit/memoryStore');
+
+describe('booker booking routes', () => {
+  const date = nextWeek(3);
+  let reference;
+
+  before(async () => {
+    await setupDatabase();
+    reference = (await book(phone(1), { date, time_slot: '09:00' })).body.reference;
+  });
+  // Every test starts with its own request counts
+  beforeEach(() => setRateLimitStore(createMemoryStore()));
+  after(closeDatabase);
+
+  const reschedule = (overrides = {}) => request(app).post('/api/bookings/reschedule').send({
+    phone: phone(1),
+    reference,
+    date,
+    time_slot: '10:00',
+    verificationToken: verificationToken(phone(1)),
+    ...overrides
+  });
+
+  it('looks a booking up by phone and reference', async () => {
+    const found = await request(app).post('/api/bookings/lookup').send({ phone: phone(1), reference });
+    assert.equal(found.status, 200);
+    assert.equal(found.body.booking.reference, reference);
+
+    const wrongPhone = await request(app).post('/api/bookings/lookup').send({ phone: phone(2), reference });
+    assert.equal(wrongPhone.status, 404);
+  });
+
+  it('limits lookups, cancellations and reschedules together per client', async () => {
+    for (let i = 0; i < 5; i++) {
+      const route = ['lookup', 'cancel', 'reschedule'][i % 3];
+      const response = await request(app).post(`/api/bookings/${route}`).send({ phone: phone(2), reference: 'NOTMINE1' });
+      assert.notEqual(response.status, 429);
+    }
+
+    const response = await request(app).post('/api/bookings/lookup').send({ phone: phone(1), reference });
+    assert.equal(response.status, 429);
+    assert.ok(parseInt(response.headers['retry-after']) > 0);
+    assert.ok(response.body.retryAfter > 0);
+  });
+
+  it('requires a verified phone to reschedule', async () => {
+    assert.equal((await reschedule({ verificationToken: undefined })).status, 403);
+    assert.equal((await reschedule({ verificationToken: verificationToken(phone(2)) })).status, 403);
+
+    const response = await reschedule();
+    assert.equal(response.status, 200);
+    assert.equal(response.body.booking.time_slot, '10:00');
+  });
+
+  it('cancels a booking', async () => {
+    const response = await request(app).post('/api/bookings/cancel').send({ phone: phone(1), reference });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.booking.status, 'cancelled');
+  });
+});
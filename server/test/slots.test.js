@@ -0,0 +1,93 @@
+// Public availability routes: the slot grid, the overall status and the weekly status
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const moment = require('moment');
+const { app, request, setupDatabase, closeDatabase, phone, nextWeek, book } = require('./helpers');
+
+describe('availability routes', () => {
+  const date = nextWeek(3);
+
+  before(async () => {
+    await setupDatabase();
+    assert.equal((await book(phone(1), { date, time_slot: '10:00' })).status, 201);
+  });
+  after(closeDatabase);
+
+  describe('GET /api/slots/:date', () => {
+    it('rejects a malformed date or unknown location', async () => {
+      assert.equal((await request(app).get('/api/slots/2026-13-45').query({ location: 'Almora' })).status, 400);
+      assert.equal((await request(app).get(`/api/slots/${date}`)).status, 400);
+      assert.equal((await request(app).get(`/api/slots/${date}`).query({ location: 'Atlantis' })).status, 400);
+    });
+
+    it('lists the default schedule with the seats taken at the location', async () => {
+      const response = await request(app).get(`/api/slots/${date}`).query({ location: 'Almora' });
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.maxBookings, 1200);
+      assert.equal(response.body.totalBookings, 1);
+      assert.equal(response.body.slotStatus.length, 10);
+
+      const slot = response.body.slotStatus.find(s => s.time === '10:00');
+      assert.equal(slot.bookingCount, 1);
+      assert.equal(slot.maxCapacity, 120);
+      assert.equal(slot.availableSpots, 119);
+      assert.equal(slot.isAvailable, true);
+    });
+
+    it('keeps each location\'s seats separate', async () => {
+      const response = await request(app).get(`/api/slots/${date}`).query({ location: 'Dehradun' });
+
+      assert.equal(response.body.totalBookings, 0);
+      assert.equal(response.body.slotStatus.find(s => s.time === '10:00').availableSpots, 120);
+    });
+  });
+
+  describe('GET /api/slots/status/overall', () => {
+    it('counts bookings and seats at one location', async () => {
+      const response = await request(app).get('/api/slots/status/overall').query({ date, location: 'Almora' });
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.totalBookings, 1);
+      assert.equal(response.body.maxSlots, 1200);
+      assert.equal(response.body.availableSlots, 1199);
+    });
+
+    it('counts every location when none is given', async () => {
+      const response = await request(app).get('/api/slots/status/overall').query({ date });
+
+      assert.equal(response.body.totalBookings, 1);
+      assert.equal(response.body.maxSlots % 1200, 0);
+      assert.ok(response.body.maxSlots > 1200);
+    });
+
+    it('rejects an unknown location', async () => {
+      const response = await request(app).get('/api/slots/status/overall').query({ date, location: 'Atlantis' });
+      assert.equal(response.status, 400);
+    });
+  });
+
+  describe('GET /api/user/weekly-status', () => {
+    it('requires a phone number', async () => {
+      assert.equal((await request(app).get('/api/user/weekly-status')).status, 400);
+    });
+
+    it('reports a booking in the same week', async () => {
+      const response = await request(app).get('/api/user/weekly-status').query({ phone: phone(1), date: nextWeek(6) });
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.hasBookedThisWeek, true);
+      assert.equal(response.body.canBook, false);
+    });
+
+    it('lets the phone book in another week, and other phones in this one', async () => {
+      const otherWeek = await request(app).get('/api/user/weekly-status')
+        .query({ phone: phone(1), date: moment(date).add(7, 'days').format('YYYY-MM-DD') });
+      assert.equal(otherWeek.body.canBook, true);
+
+      const otherPhone = await request(app).get('/api/user/weekly-status').query({ phone: phone(2), date });
+      assert.equal(otherPhone.body.canBook, true);
+      assert.equal(otherPhone.body.blockedUntil, null);
+    });
+  });
+});
@@ -0,0 +1,75 @@
+// The SMS provider: production refuses the development providers, and the Twilio
+// provider needs its credentials
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { getSmsProvider, setSmsProvider } = require('../sms');
+
+const SETTINGS = ['NODE_ENV', 'SMS_PROVIDER', 'TWILIO_ACCOUNT_SID', 'TWILIO_AUTH_TOKEN', 'TWILIO_FROM'];
+
+describe('SMS provider', () => {
+  let saved;
+
+  beforeEach(() => {
+    saved = Object.fromEntries(SETTINGS.map(name => [name, process.env[name]]));
+    SETTINGS.forEach(name => delete process.env[name]);
+    setSmsProvider(null);
+  });
+  afterEach(() => {
+    SETTINGS.forEach(name => {
+      if (saved[name] === undefined) delete process.env[name];
+      else process.env[name] = saved[name];
+    });
+    setSmsProvider(null);
+  });
+
+  const useTwilio = () => Object.assign(process.env, {
+    SMS_PROVIDER: 'twilio',
+    TWILIO_ACCOUNT_SID: 'AC123',
+    TWILIO_AUTH_TOKEN: 'secret',
+    TWILIO_FROM: '+15550001111'
+  });
+
+  it('logs messages to the console outside production', () => {
+    assert.equal(getSmsProvider().name, 'console');
+  });
+
+  it('refuses to run in production without a gateway', () => {
+    process.env.NODE_ENV = 'production';
+    assert.throws(getSmsProvider, /SMS_PROVIDER must name an SMS gateway/);
+
+    for (const name of ['console', 'file']) {
+      process.env.SMS_PROVIDER = name;
+      assert.throws(getSmsProvider, /SMS_PROVIDER must name an SMS gateway/);
+    }
+  });
+
+  it('needs the Twilio credentials', () => {
+    process.env.NODE_ENV = 'production';
+    process.env.SMS_PROVIDER = 'twilio';
+    assert.throws(getSmsProvider, /needs TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_FROM/);
+
+    useTwilio();
+    assert.equal(getSmsProvider().name, 'twilio');
+  });
+
+  it('sends through the Twilio API, adding the country code', async (t) => {
+    useTwilio();
+    const fetch = t.mock.method(global, 'fetch', async () => new Response('{}', { status: 201 }));
+
+    await getSmsProvider().send('9876543210', 'Your code is 123456');
+
+    const [url, { headers, body }] = fetch.mock.calls[0].arguments;
+    assert.equal(url, 'https://api.twilio.com/2010-04-01/Accounts/AC123/Messages.json');
+    assert.equal(headers.Authorization, `Basic ${Buffer.from('AC123:secret').toString('base64')}`);
+    assert.equal(body.get('To'), '+919876543210');
+    assert.equal(body.get('From'), '+15550001111');
+    assert.equal(body.get('Body'), 'Your code is 123456');
+  });
+
+  it('fails when Twilio refuses the message', async (t) => {
+    useTwilio();
+    t.mock.method(global, 'fetch', async () => new Response('{"message":"invalid number"}', { status: 400 }));
+
+    await assert.rejects(getSmsProvider().send('+1', 'Hi'), /Twilio refused the message \(400\)/);
+  });
+});
@@ -0,0 +1,72 @@
+// Waitlist promotion: a seat freed by a cancellation, a reschedule or an admin deletion
+// is booked for the first person waiting, and the new booking is audited
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { app, request, setupDatabase, closeDatabase, phone, verificationToken, nextWeek, bookingBody, seedBookings, adminAuth } = require('./helpers');
+const { AUDIT } = require('../audit');
+
+describe('waitlist promotion', () => {
+  const date = nextWeek(3);
+  let auth;
+
+  before(async () => {
+    await setupDatabase();
+    auth = await adminAuth();
+    // Fill three slots and put one person on each slot's waitlist
+    for (const [time_slot, firstPhone, waiting] of [['09:00', 1000, 1], ['10:00', 2000, 2], ['11:00', 3000, 3]]) {
+      await seedBookings({ date, slots: [{ time_slot, count: 120 }], firstPhone });
+      const response = await request(app).post('/api/waitlist').send(bookingBody(phone(waiting), { date, time_slot }));
+      assert.equal(response.status, 201);
+    }
+  });
+  after(closeDatabase);
+
+  // The booking.created events recorded for a phone
+  const createdEvents = async (phoneNumber) => {
+    const response = await request(app).get('/api/admin/audit')
+      .set('Authorization', auth)
+      .query({ action: AUDIT.BOOKING_CREATED, phone: phoneNumber });
+    assert.equal(response.status, 200);
+    return response.body.events;
+  };
+
+  const assertPromoted = async (phoneNumber, time_slot) => {
+    const events = await createdEvents(phoneNumber);
+    assert.equal(events.length, 1);
+    assert.ok(events[0].booking_id);
+    assert.equal(events[0].details.source, 'waitlist');
+    assert.equal(events[0].details.date, date);
+    assert.equal(events[0].details.time_slot, time_slot);
+  };
+
+  it('books a seat freed by a cancellation', async () => {
+    const response = await request(app).post('/api/bookings/cancel')
+      .send({ phone: phone(1000), reference: 'SEED1000', verificationToken: verificationToken(phone(1000)) });
+    assert.equal(response.status, 200);
+
+    await assertPromoted(phone(1), '09:00');
+  });
+
+  it('books a seat freed by a reschedule', async () => {
+    const response = await request(app).post('/api/bookings/reschedule').send({
+      phone: phone(2000),
+      reference: 'SEED2000',
+      date,
+      time_slot: '09:30',
+      verificationToken: verificationToken(phone(2000))
+    });
+    assert.equal(response.status, 200);
+
+    await assertPromoted(phone(2), '10:00');
+  });
+
+  it('books a seat freed by an admin deletion', async () => {
+    const list = await request(app).get('/api/admin/bookings').set('Authorization', auth).query({ search: phone(3000) });
+    const response = await request(app).delete(`/api/admin/bookings/${list.body.bookings[0].id}`)
+      .set('Authorization', auth)
+      .send({ reason: 'Duplicate booking' });
+    assert.equal(response.status, 200);
+
+    await assertPromoted(phone(3), '11:00');
+  });
+});
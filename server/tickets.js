@@ -0,0 +1,33 @@
+// QR tickets: a compact token signed by the server over a booking's ID, so the gate can
+// tell a real booking from a hand-made QR code. The ticket names the booking only; the
+// gate checks the booking's current date and slot, so a ticket survives a reschedule.
+const crypto = require('crypto');
+const moment = require('moment');
+const { signToken, verifyToken } = require('./tokens');
+const { RULES } = require('./bookingRules');
+
+// Tickets are signed with QR_SECRET. Without it a random secret is used, so QR codes
+// issued before a restart can no longer be scanned.
+let ticketSecret = process.env.QR_SECRET;
+if (!ticketSecret) {
+  console.warn('QR_SECRET is not set - using a random secret, QR codes will not survive a restart.');
+  ticketSecret = crypto.randomBytes(32).toString('hex');
+}
+
+// A ticket for a booking (date 'YYYY-MM-DD'), valid until the end of its Monday-Sunday
+// week in the service's local time: a booking can only be moved within its week
+const ticketToken = ({ id, date }) => {
+  const endOfWeek = moment(date, 'YYYY-MM-DD').utcOffset(RULES.utcOffset, true).endOf('isoWeek');
+  const ttlSeconds = Math.max(endOfWeek.diff(moment(), 'seconds'), 60);
+  // A short key keeps the QR code small
+  return signToken({ b: id }, ticketSecret, ttlSeconds);
+};
+
+// The ID of the booking a ticket was issued for, or null if the ticket is forged,
+// damaged or expired
+const readTicket = (token) => {
+  const payload = verifyToken(typeof token === 'string' ? token.trim() : token, ticketSecret);
+  return payload && Number.isInteger(payload.b) ? payload.b : null;
+};
+
+module.exports = { ticketToken, readTicket };
@@ -0,0 +1,40 @@
+// Compact HMAC-signed tokens: base64url(JSON payload) + '.' + base64url(signature)
+const crypto = require('crypto');
+
+const encode = (buffer) => Buffer.from(buffer).toString('base64url');
+
+const signature = (data, secret) =>
+  crypto.createHmac('sha256', secret).update(data).digest('base64url');
+
+// Sign a payload, expiring it after ttlSeconds
+const signToken = (payload, secret, ttlSeconds) => {
+  const body = encode(JSON.stringify({
+    ...payload,
+    exp: Math.floor(Date.now() / 1000) + ttlSeconds
+  }));
+  return `${body}.${signature(body, secret)}`;
+};
+
+// Returns the payload, or null if the token is malformed, tampered with or expired
+const verifyToken = (token, secret) => {
+  if (typeof token !== 'string') return null;
+
+  const [body, sig] = token.split('.');
+  if (!body || !sig) return null;
+
+  const expected = Buffer.from(signature(body, secret));
+  const actual = Buffer.from(sig);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  try {
+    const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    if (!payload.exp || payload.exp < Math.floor(Date.now() / 1000)) return null;
+    return payload;
+  } catch (err) {
+    return null;
+  }
+};
+
+module.exports = { signToken, verifyToken };
@@ -0,0 +1,69 @@
+// Waitlist for fully booked slots. Seats freed by cancellations, reschedules and admin
+// deletions are handed out by promoteFromWaitlist in bookings.js.
+const repo = require('./repository');
+const { HttpError } = require('./errors');
+const { bookingWindowError } = require('./bookingRules');
+const {
+  WAITLIST,
+  lockPhone,
+  lockLocationDay,
+  checkSlotOpen,
+  slotFullReason,
+  checkWeeklyBookingRestriction,
+  getActiveBlock,
+  blockedMessage
+} = require('./bookings');
+
+// Put a phone on the waitlist of a full slot. Only slots that could be booked if they
+// had a free seat can be joined, and only by phones that could book them. Returns the
+// entry and its place in the queue.
+async function joinWaitlist({ name, phone, purpose, location, date, time_slot }) {
+  time_slot = time_slot.padStart(5, '0');
+
+  const windowError = bookingWindowError(date, time_slot);
+  if (windowError) {
+    throw new HttpError(400, windowError);
+  }
+
+  return repo.withTransaction(async (client) => {
+    await lockPhone(client, phone);
+    await lockLocationDay(client, location, date);
+
+    const block = await getActiveBlock(phone, client);
+    if (block) {
+      throw new HttpError(403, blockedMessage(block));
+    }
+    if (await checkWeeklyBookingRestriction(phone, date, client) > 0) {
+      throw new HttpError(409, 'You have already booked a slot this week. Only one booking per week is allowed.');
+    }
+
+    const slotRef = { location, date, time_slot };
+    const open = await checkSlotOpen(client, slotRef);
+    if (!await slotFullReason(client, slotRef, open)) {
+      throw new HttpError(409, 'This slot still has free seats. Please book it instead.');
+    }
+
+    if (await repo.waitlist.findForPhone(phone, slotRef, WAITLIST.WAITING, client)) {
+      throw new HttpError(409, 'You are already on the waitlist for this slot');
+    }
+
+    const entry = await repo.waitlist.insert({ name, phone, purpose, location, date, time_slot }, client);
+    return { entry, position: await repo.waitlist.position(slotRef, entry.id, WAITLIST.WAITING, client) };
+  });
+}
+
+// People waiting per slot at a location on a date, as { 'HH:mm': count }
+const countWaitlistBySlot = async (date, location, db) => {
+  const rows = await repo.waitlist.countBySlot(date, location, WAITLIST.WAITING, db);
+
+  const counts = {};
+  rows.forEach(row => {
+    counts[row.time_slot.substring(0, 5)] = parseInt(row.count);
+  });
+  return counts;
+};
+
+module.exports = {
+  joinWaitlist,
+  countWaitlistBySlot
+};